@@ -62,7 +62,9 @@ module.exports = {
     subscriptionConditionsCount: 16,
     subscriptionMinterms: 0,
     subscriptionRooms: 1000000,
-    subscriptionDocumentTTL: 259200
+    subscriptionDocumentTTL: 259200,
+    subscriptionReplayBufferSize: 0,
+    subscriptionReplayTTL: 300
   },
 
   plugins: {
@@ -83,12 +85,34 @@ module.exports = {
 
   security: {
     restrictedProfileIds: ['default'],
+    trustedProxies: [],
+    auditTrail: {
+      enabled: true,
+      retention: '90d'
+    },
+    lockout: {
+      attemptsTTL: '15m',
+      duration: '1m',
+      enabled: false,
+      maxAttempts: 5,
+      maxDuration: '1h'
+    },
+    refreshTokens: {
+      enabled: false,
+      expiresIn: '30d'
+    },
+    impersonation: {
+      expiresIn: '15m',
+      maxTTL: '1h'
+    },
     jwt: {
       algorithm: 'HS256',
       expiresIn: '1h',
       gracePeriod: 1000,
+      keyRotationGracePeriod: '1d',
       maxTTL: -1,
-      secret: null
+      secret: null,
+      vaultSecret: null
     },
     default: {
       role: {
@@ -133,7 +157,9 @@ module.exports = {
                 checkToken: true,
                 getCurrentUser: true,
                 getMyRights: true,
+                listMySessions: true,
                 logout: true,
+                revokeSession: true,
                 updateSelf: true
               }
             },
@@ -149,6 +175,7 @@ module.exports = {
             auth: {
               actions: {
                 checkToken: true,
+                exchangeRefreshToken: true,
                 getCurrentUser: true,
                 getMyRights: true,
                 login: true
@@ -242,6 +269,10 @@ module.exports = {
             properties: {
               author:     { type: 'keyword' },
               createdAt:  { type: 'date' },
+              deletedAt:  { type: 'date' },
+              deleter:    { type: 'keyword' },
+              expiresAt:  { type: 'date' },
+              impersonatedBy: { type: 'keyword' },
               updater:    { type: 'keyword' },
               updatedAt:  { type: 'date' }
             }
@@ -254,6 +285,8 @@ module.exports = {
           users: {
             dynamic: 'false',
             properties: {
+              disabled: { type: 'boolean' },
+              expiresAt: { type: 'date' },
               profileIds: { type: 'keyword' }
             }
           },
@@ -290,6 +323,18 @@ module.exports = {
             dynamic: 'false',
             properties: {}
           },
+          'document-history': {
+            dynamic: 'false',
+            properties: {
+              action: { type: 'keyword' },
+              author: { type: 'keyword' },
+              collection: { type: 'keyword' },
+              document: { enabled: false, type: 'object' },
+              documentId: { type: 'keyword' },
+              index: { type: 'keyword' },
+              timestamp: { type: 'date' }
+            }
+          },
           'api-keys': {
             dynamic: 'false',
             properties: {
@@ -300,9 +345,51 @@ module.exports = {
               ttl: { type: 'keyword' },
               token: { type: 'keyword' }
             }
+          },
+          'audit-logs': {
+            dynamic: 'false',
+            properties: {
+              action: { type: 'keyword' },
+              actor: { type: 'keyword' },
+              after: { enabled: false, type: 'object' },
+              before: { enabled: false, type: 'object' },
+              controller: { type: 'keyword' },
+              impersonatedBy: { type: 'keyword' },
+              ip: { type: 'keyword' },
+              protocol: { type: 'keyword' },
+              status: { type: 'keyword' },
+              target: {
+                properties: {
+                  id: { type: 'keyword' },
+                  strategy: { type: 'keyword' },
+                  type: { type: 'keyword' }
+                }
+              },
+              timestamp: { type: 'date' }
+            }
+          },
+          'refresh-tokens': {
+            dynamic: 'false',
+            properties: {
+              chainId: { type: 'keyword' },
+              expiresAt: { type: 'long' },
+              sessionId: { type: 'keyword' },
+              userId: { type: 'keyword' }
+            }
           }
         }
       },
+      history: {
+        collections: {}
+      },
+      softDelete: {
+        collections: {},
+        purgeDelay: '30d'
+      },
+      documentExpiry: {
+        batchSize: 1000,
+        interval: '1m'
+      },
       maxScrollDuration: '1m',
       defaults: {
         onUpdateConflictRetries: 0,
@@ -35,12 +35,14 @@ class AdminController extends NativeController {
   constructor(kuzzle) {
     super(kuzzle, [
       'dump',
+      'exportSecurities',
       'loadFixtures',
       'loadMappings',
       'loadSecurities',
       'resetCache',
       'resetDatabase',
       'resetSecurity',
+      'rotateJwtKey',
       'shutdown'
     ]);
   }
@@ -165,20 +167,59 @@ class AdminController extends NativeController {
     return this._waitForAction(waitForRefresh, promise);
   }
 
+  /**
+   * Loads roles, profiles and users. In dry run mode, returns the changes
+   * that would be made instead.
+   */
   async loadSecurities (request) {
     const securities = this.getBody(request);
     const user = this.getUser(request);
     const onExistingUsers = request.input.args.onExistingUsers;
     const force = this.getBoolean(request, 'force');
+    const dryRun = this.getBoolean(request, 'dryRun');
     const waitForRefresh = this.getRefresh(request, 'true');
 
     const promise = this.kuzzle.repositories.loadSecurities(
       securities,
-      { force, onExistingUsers, user });
+      { dryRun, force, onExistingUsers, user });
+
+    if (dryRun) {
+      return promise;
+    }
 
     return this._waitForAction(waitForRefresh, promise);
   }
 
+  /**
+   * Exports roles, profiles and users, in the format expected by
+   * loadSecurities
+   *
+   * @returns {Promise.<Object>} { profiles, roles, users }
+   */
+  exportSecurities (request) {
+    return this.kuzzle.repositories.exportSecurities({
+      excludeUsers: this.getBoolean(request, 'excludeUsers'),
+      includeCredentials: this.getBoolean(request, 'includeCredentials')
+    });
+  }
+
+  /**
+   * Replaces the JWT signing key with a newly generated one. Tokens signed
+   * with the previous key remain valid during the configured grace period.
+   *
+   * @returns {Promise.<Object>} { algorithm, createdAt, kid }
+   */
+  async rotateJwtKey (request) {
+    this._lockAction(request, 'Kuzzle is already rotating the JWT signing key.');
+
+    try {
+      return await this.kuzzle.jwtKeyring.rotate();
+    }
+    finally {
+      delete _locks.rotateJwtKey;
+    }
+  }
+
   _lockAction (request, message) {
     const action = request.input.action;
 
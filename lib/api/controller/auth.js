@@ -49,13 +49,16 @@ class AuthController extends NativeController {
       'credentialsExist',
       'deleteApiKey',
       'deleteMyCredentials',
+      'exchangeRefreshToken',
       'getCurrentUser',
       'getMyCredentials',
       'getMyRights',
       'getStrategies',
+      'listMySessions',
       'login',
       'logout',
       'refreshToken',
+      'revokeSession',
       'searchApiKeys',
       'updateMyCredentials',
       'updateSelf',
@@ -87,7 +90,8 @@ class AuthController extends NativeController {
       expiresIn = request.input.args.expiresIn || -1,
       refresh = request.input.args.refresh || 'wait_for',
       apiKeyId = request.input.resource._id || null,
-      description = this.getBodyString(request, 'description');
+      description = this.getBodyString(request, 'description'),
+      restriction = this.getApiKeyRestriction(request);
 
     const
       user = request.context.user,
@@ -98,7 +102,7 @@ class AuthController extends NativeController {
       connectionId,
       expiresIn,
       description,
-      { apiKeyId, creatorId: user._id, refresh });
+      { apiKeyId, creatorId: user._id, refresh, restriction });
 
     return apiKey.serialize({ includeToken: true });
   }
@@ -145,6 +149,41 @@ class AuthController extends NativeController {
     return { _id: apiKeyId };
   }
 
+  /**
+   * Lists the sessions of the current user
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async listMySessions (request) {
+    this.assertIsAuthenticated(request);
+
+    const sessions = await this.kuzzle.repositories.token.listSessions(
+      request.context.user._id,
+      request.context.token);
+
+    return { hits: sessions, total: sessions.length };
+  }
+
+  /**
+   * Revokes one of the sessions of the current user, e.g. to sign out
+   * another device
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async revokeSession (request) {
+    this.assertIsAuthenticated(request);
+
+    const sessionId = this.getId(request);
+
+    await this.kuzzle.repositories.token.revokeSession(
+      request.context.user._id,
+      sessionId);
+
+    return { _id: sessionId };
+  }
+
   /**
    * Logs the current user out
    *
@@ -154,9 +193,16 @@ class AuthController extends NativeController {
   logout (request) {
     this.assertIsAuthenticated(request);
 
+    const
+      userId = request.context.user._id,
+      token = request.context.token;
+
     const promise = this.getBoolean(request, 'global')
-      ? this.kuzzle.repositories.token.deleteByUserId(request.context.user._id)
-      : this.kuzzle.repositories.token.expire(request.context.token);
+      ? this.kuzzle.repositories.token.deleteByUserId(userId)
+      : this.kuzzle.repositories.token.expire(token)
+        .then(() => this.kuzzle.refreshTokens.revokeSession(
+          userId,
+          this.kuzzle.repositories.token.getSessionId(token.jwt)));
 
     return promise.then(() => ({acknowledged: true}));
   }
@@ -171,6 +217,7 @@ class AuthController extends NativeController {
   login (request) {
     const
       strategy = this.getString(request, 'strategy'),
+      withRefreshToken = this.getBoolean(request, 'refreshToken'),
       passportRequest = new IncomingMessage();
 
     // even in http, the url and the method are not pushed back to the request object
@@ -193,7 +240,40 @@ class AuthController extends NativeController {
       throw kerror.get('security', 'credentials', 'unknown_strategy', strategy);
     }
 
-    return this.kuzzle.passport.authenticate(passportRequest, strategy)
+    if (withRefreshToken && !this.kuzzle.config.security.refreshTokens.enabled) {
+      throw kerror.get('security', 'token', 'refresh_tokens_disabled');
+    }
+
+    const
+      lockout = this.kuzzle.loginLockout,
+      identifier = lockout.getIdentifier(strategy, request.input.body);
+
+    return Bluebird.resolve(identifier && lockout.assertNotLocked(strategy, identifier))
+      .then(() => this.kuzzle.passport.authenticate(passportRequest, strategy)
+        .catch(error => {
+          // only rejected credentials count as failed login attempts
+          if (identifier && error.status === 401) {
+            return lockout.fail(strategy, identifier)
+              .then(() => {
+                throw error;
+              });
+          }
+
+          throw error;
+        }))
+      .then(content => {
+        // valid credentials of disabled or expired accounts are rejected, but
+        // do not count as failed login attempts
+        if (content instanceof User) {
+          content.assertIsActive();
+        }
+
+        if (identifier && content instanceof User) {
+          return lockout.reset(strategy, identifier).then(() => content);
+        }
+
+        return content;
+      })
       .then(content => {
         // do not trigger the "auth:strategyAutenticated" pipe if the result is
         // not a User object, i.e. if we are a intermediate step of a multi-step
@@ -216,7 +296,7 @@ class AuthController extends NativeController {
           return response.content;
         }
 
-        const options = {};
+        const options = this.getSessionOrigin(request);
         if (request.input.args.expiresIn) {
           options.expiresIn = request.input.args.expiresIn;
         }
@@ -232,16 +312,103 @@ class AuthController extends NativeController {
               this.kuzzle.tokenManager.refresh(existingToken, token);
             }
 
-            return {
+            const result = {
               _id: token.userId,
               expiresAt: token.expiresAt,
               jwt: token.jwt,
               ttl: token.ttl
             };
+
+            return withRefreshToken
+              ? this.addRefreshToken(request, token, result)
+              : result;
           });
       });
   }
 
+  /**
+   * Exchanges a refresh token for a new authentication token and a new
+   * refresh token. The exchanged refresh token cannot be used again.
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async exchangeRefreshToken (request) {
+    const
+      refreshToken = this.getBodyString(request, 'refreshToken'),
+      used = await this.kuzzle.refreshTokens.use(refreshToken);
+    let user = null;
+
+    try {
+      user = await this.kuzzle.repositories.user.load(used.userId);
+    }
+    catch (error) {
+      if (error.id !== 'services.storage.not_found') {
+        throw error;
+      }
+    }
+
+    // the user has been deleted since the refresh token was issued
+    if (!user) {
+      await this.kuzzle.refreshTokens.revokeUser(used.userId);
+      throw kerror.get('security', 'token', 'invalid_refresh_token');
+    }
+
+    user.assertIsActive();
+
+    const options = this.getSessionOrigin(request);
+    if (request.input.args.expiresIn) {
+      options.expiresIn = request.input.args.expiresIn;
+    }
+
+    const token = await this.kuzzle.repositories.token.generateToken(
+      user,
+      request.context.connection.id,
+      options);
+
+    const existingToken = this.kuzzle.tokenManager.getConnectedUserToken(
+      user._id,
+      request.context.connection.id);
+
+    if (existingToken) {
+      this.kuzzle.tokenManager.refresh(existingToken, token);
+    }
+
+    return this.addRefreshToken(
+      request,
+      token,
+      {
+        _id: token.userId,
+        expiresAt: token.expiresAt,
+        jwt: token.jwt,
+        ttl: token.ttl
+      },
+      used.chainId);
+  }
+
+  /**
+   * Issues a refresh token along with an authentication token
+   *
+   * @param {Request} request
+   * @param {Token} token - issued authentication token
+   * @param {Object} result - action result, completed with the refresh token
+   * @param {string} [chainId] - chain of the exchanged refresh token
+   * @returns {Promise<Object>}
+   */
+  addRefreshToken (request, token, result, chainId = null) {
+    const options = Object.assign({ chainId }, this.getSessionOrigin(request));
+
+    return this.kuzzle.refreshTokens
+      .create(
+        token.userId,
+        this.kuzzle.repositories.token.getSessionId(token.jwt),
+        options)
+      .then(({ expiresAt, refreshToken }) => Object.assign(result, {
+        refreshToken,
+        refreshTokenExpiresAt: expiresAt
+      }));
+  }
+
   /**
    * Returns the user identified by the given jwt token
    *
@@ -329,6 +496,14 @@ class AuthController extends NativeController {
 
     const userContent = this.getBody(request);
 
+    // users cannot change the status of their own account, not even to
+    // clear it
+    for (const attribute of ['disabled', 'expiresAt']) {
+      if (has(userContent, attribute)) {
+        throw kerror.get('api', 'assert', 'forbidden_argument', `body.${attribute}`);
+      }
+    }
+
     return this.kuzzle.repositories.user
       .persist(
         _.extend(request.context.user, userContent),
@@ -500,7 +675,10 @@ class AuthController extends NativeController {
       throw kerror.get('security', 'token', 'invalid');
     }
 
-    const options = {};
+    const options = this.getSessionOrigin(request);
+
+    // refreshed tokens keep the restriction of scoped API keys tokens
+    options.restriction = request.context.token.restriction;
     if (request.input.args.expiresIn) {
       options.expiresIn = request.input.args.expiresIn;
     }
@@ -21,9 +21,11 @@
 
 'use strict';
 
+const _ = require('lodash');
 const Bluebird = require('bluebird');
 const kerror = require('../../kerror');
 const { get, isPlainObject } = require('../../util/safeObject');
+const { getClientIp } = require('../../util/ipRange');
 
 const assertionError = kerror.wrap('api', 'assert');
 
@@ -632,6 +634,65 @@ class NativeController extends BaseController {
     return null;
   }
 
+  /**
+   * Returns the id of the user impersonating the current user, if any
+   *
+   * @param {Request} request
+   *
+   * @returns {String|null}
+   */
+  getImpersonatorId (request) {
+    const token = request.context && request.context.token;
+
+    return token && token.impersonatedBy ? token.impersonatedBy : null;
+  }
+
+  /**
+   * Returns where a session is opened from
+   *
+   * @param {Request} request
+   *
+   * @returns {Object} { ip, protocol }
+   */
+  getSessionOrigin (request) {
+    const connection = request.context.connection;
+
+    return {
+      ip: getClientIp(
+        connection.ips || [],
+        this.kuzzle.config.security.trustedProxies || []) || null,
+      protocol: connection.protocol || null
+    };
+  }
+
+  /**
+   * Returns the restriction of an API key to create, or null if the API key
+   * is not restricted.
+   * API keys created with a restricted token inherit its restriction, so that
+   * they cannot be used to get more rights.
+   *
+   * @param {Request} request
+   *
+   * @returns {Object|null}
+   */
+  getApiKeyRestriction (request) {
+    const
+      body = request.input.body || {},
+      restriction = body.restriction === undefined ? null : body.restriction,
+      token = request.context && request.context.token,
+      tokenRestriction = token ? token.restriction : null;
+
+    if (!tokenRestriction) {
+      return restriction;
+    }
+
+    if (restriction !== null && !_.isEqual(restriction, tokenRestriction)) {
+      throw kerror.get('security', 'token', 'restricted');
+    }
+
+    return tokenRestriction;
+  }
+
   /**
   * Returns the search body query according to the http method
   *
@@ -22,6 +22,7 @@
 'use strict';
 
 const { NativeController } = require('./base');
+const kerror = require('../../kerror');
 
 /**
  * @class BulkController
@@ -44,11 +45,15 @@ class BulkController extends NativeController {
    * @returns {Promise}
    */
   async import (request) {
+    await this._assertUnrestricted(request);
+
     const userId = this.getUserId(request);
+    const impersonatedBy = this.getImpersonatorId(request);
     const { index, collection } = this.getIndexAndCollection(request);
     const refresh = this.getString(request, 'refresh', 'false');
     const bulkData = this.getBodyArray(request, 'bulkData');
     const options = {
+      impersonatedBy,
       refresh,
       userId
     };
@@ -69,6 +74,9 @@ class BulkController extends NativeController {
    * Write a document without adding metadata or performing data validation.
    */
   async write (request) {
+    await this._assertUnrestricted(request);
+
+    const impersonatedBy = this.getImpersonatorId(request);
     const { index, collection } = this.getIndexAndCollection(request);
     const id = request.input.resource._id;
     const content = this.getBody(request);
@@ -80,7 +88,7 @@ class BulkController extends NativeController {
       collection,
       id,
       content,
-      { injectKuzzleMeta: false, refresh });
+      { impersonatedBy, injectKuzzleMeta: false, refresh });
 
     if (notify && result.created) {
       this.kuzzle.notifier.notifyDocumentCreate(request, result);
@@ -100,6 +108,9 @@ class BulkController extends NativeController {
    * Write several documents without adding metadata or performing data validation.
    */
   async mWrite (request) {
+    await this._assertUnrestricted(request);
+
+    const impersonatedBy = this.getImpersonatorId(request);
     const { index, collection } = this.getIndexAndCollection(request);
     const documents = this.getBodyArray(request, 'documents');
     const refresh = this.getString(request, 'refresh', 'false');
@@ -109,7 +120,7 @@ class BulkController extends NativeController {
       index,
       collection,
       documents,
-      { injectKuzzleMeta: false, refresh });
+      { impersonatedBy, injectKuzzleMeta: false, refresh });
 
     if (notify) {
       this.kuzzle.notifier.notifyDocumentMChanges(request, items, true);
@@ -137,16 +148,67 @@ class BulkController extends NativeController {
     const { index, collection } = this.getIndexAndCollection(request);
     const query = this.getBodyObject(request, 'query');
     const refresh = this.getString(request, 'refresh', 'false');
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const { read } = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+    // the number of deleted documents discloses the values of the fields
+    // used by the query
+    const field = this.kuzzle.documentFilters.findReadField(read, { query });
+
+    if (field !== null) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden_field',
+        field,
+        this.getUserId(request));
+    }
 
     const { deleted } = await this.publicStorage.deleteByQuery(
       index,
       collection,
-      query,
+      this.kuzzle.documentFilters.restrictQuery(filter, query),
       { fetch: false, refresh });
 
     return { deleted };
   }
 
+  /**
+   * Written documents cannot be checked against the user document filters
+   * and forbidden fields, since raw writes bypass Kuzzle: restricted users
+   * cannot use them
+   *
+   * @param {Request} request
+   * @returns {Promise}
+   * @throws {security.rights.forbidden} If the user is restricted by
+   *                                     document filters
+   * @throws {security.rights.forbidden_field} If the user may not write
+   *                                           some fields
+   */
+  async _assertUnrestricted (request) {
+    if (await this.kuzzle.documentFilters.get(request) !== null) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden',
+        request.input.controller,
+        request.input.action,
+        this.getUserId(request));
+    }
+
+    const { write } = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+
+    if (write.length > 0) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden_field',
+        write[0],
+        this.getUserId(request));
+    }
+  }
+
 }
 
 module.exports = BulkController;
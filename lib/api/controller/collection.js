@@ -37,8 +37,10 @@ class CollectionController extends NativeController {
       'deleteSpecifications',
       'exists',
       'getMapping',
+      'getMigration',
       'getSpecifications',
       'list',
+      'migrate',
       'scrollSpecifications',
       'searchSpecifications',
       'truncate',
@@ -91,6 +93,46 @@ class CollectionController extends NativeController {
     return this._filterMappingResponse(mapping);
   }
 
+  /**
+   * Starts migrating a collection to new mappings and settings, without
+   * downtime
+   *
+   * @param {Request} request
+   * @returns {Promise.<Object>} migration status
+   */
+  migrate (request) {
+    const
+      { index, collection } = this.getIndexAndCollection(request),
+      body = this.getBody(request, {}),
+      mappings = this.getBodyObject(request, 'mappings', {}),
+      settings = this.getBodyObject(request, 'settings', {});
+
+    let script = null;
+
+    if (body.script !== undefined && body.script !== null) {
+      script = typeof body.script === 'string'
+        ? { lang: 'painless', source: body.script }
+        : this.getBodyObject(request, 'script');
+    }
+
+    return this.kuzzle.collectionMigration.start(
+      index,
+      collection,
+      { mappings, script, settings });
+  }
+
+  /**
+   * Gets the status of the current or last migration of a collection
+   *
+   * @param {Request} request
+   * @returns {Promise.<Object>} migration status
+   */
+  getMigration (request) {
+    const { index, collection } = this.getIndexAndCollection(request);
+
+    return this.kuzzle.collectionMigration.getStatus(index, collection);
+  }
+
   /**
    * Get the collection validation specifications
    *
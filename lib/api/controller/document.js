@@ -21,7 +21,12 @@
 
 'use strict';
 
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const ms = require('ms');
+const { Request } = require('kuzzle-common-objects');
 const kerror = require('../../kerror');
+const { isPlainObject } = require('../../util/safeObject');
 const { NativeController } = require('./base');
 const { assertHasBody, assertHasIndexAndCollection } = require('../../util/requestAssertions');
 
@@ -39,6 +44,8 @@ class DocumentController extends NativeController {
       'deleteByQuery',
       'exists',
       'get',
+      'getHistory',
+      'getRevision',
       'mCreate',
       'mCreateOrReplace',
       'mDelete',
@@ -46,8 +53,11 @@ class DocumentController extends NativeController {
       'mReplace',
       'mUpdate',
       'replace',
+      'restore',
+      'restoreDeleted',
       'scroll',
       'search',
+      'searchDeleted',
       'update',
       'updateByQuery',
       'validate'
@@ -75,12 +85,21 @@ class DocumentController extends NativeController {
 
     this.assertNotExceedMaxFetch(size - from);
 
-    return this.publicStorage.search(
-      index,
-      collection,
-      searchBody,
-      { from, scroll: scrollTTL, size }
-    )
+    return Bluebird.all([
+      this.kuzzle.documentFilters.get(request),
+      this.kuzzle.documentFilters.getForbiddenFields(request)
+    ])
+      .then(([filter, forbidden]) => {
+        this._assertReadableFields(request, forbidden, searchBody);
+
+        return this.publicStorage.search(
+          index,
+          collection,
+          this._hideSearchFields(
+            forbidden.read,
+            this._restrictSearchBody(filter, searchBody)),
+          { from, scroll: scrollTTL, size });
+      })
       .then(({ scrollId, hits, aggregations, total }) => ({
         aggregations,
         hits,
@@ -89,6 +108,37 @@ class DocumentController extends NativeController {
       }));
   }
 
+  /**
+   * Searches the deleted documents of a collection, kept in its trash bin
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async searchDeleted (request) {
+    const { from, size, scrollTTL, searchBody } = this.getSearchParams(request);
+    const { index, collection } = this.getIndexAndCollection(request);
+
+    this.assertNotExceedMaxFetch(size - from);
+    this.kuzzle.storageEngine.softDelete.assertEnabled(index, collection);
+
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+
+    this._assertReadableFields(request, forbidden, searchBody);
+
+    const { scrollId, hits, aggregations, total } = await this.publicStorage
+      .searchDeleted(
+        index,
+        collection,
+        this._hideSearchFields(
+          forbidden.read,
+          this._restrictSearchBody(filter, searchBody)),
+        { from, scroll: scrollTTL, size });
+
+    return { aggregations, hits, scrollId, total };
+  }
+
   /**
    * @param {Request} request
    * @returns {Promise<Object>}
@@ -109,27 +159,106 @@ class DocumentController extends NativeController {
    * @param {Request} request
    * @returns {Promise<Boolean>}
    */
-  exists (request) {
+  async exists (request) {
     const id = this.getId(request);
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
 
-    return this.publicStorage.exists(index, collection, id);
+    if (filter === null) {
+      return this.publicStorage.exists(index, collection, id);
+    }
+
+    // documents hidden by the user document filters do not exist for them
+    const { items } = await this.publicStorage.mGet(index, collection, [id]);
+    const [allowed] = await this.kuzzle.documentFilters.test(filter, items);
+
+    return items.length > 0 && allowed;
   }
 
   /**
    * @param {Request} request
    * @returns {Promise<Object>}
    */
-  get (request) {
+  async get (request) {
     const id = this.getId(request);
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
 
-    return this.publicStorage.get(index, collection, id)
-      .then(({ _id, _version, _source}) => ({
-        _id,
-        _source,
-        _version
-      }));
+    const { _id, _version, _source } = await this._getDocument(
+      filter,
+      index,
+      collection,
+      id);
+
+    return this.kuzzle.documentFilters.hideFields(forbidden.read, {
+      _id,
+      _source,
+      _version
+    });
+  }
+
+  /**
+   * Lists the previous versions of a document, most recent first. Versions
+   * hidden by the user document filters are not listed.
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>} { hits, total }
+   */
+  async getHistory (request) {
+    const id = this.getId(request);
+    const from = this.getInteger(request, 'from', 0);
+    const size = this.getInteger(request, 'size', 10);
+    const { index, collection } = this.getIndexAndCollection(request);
+
+    this.kuzzle.storageEngine.history.assertEnabled(index, collection);
+    this.assertNotExceedMaxFetch(size);
+
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+    const { hits, total } = await this.kuzzle.storageEngine.history.search(
+      index,
+      collection,
+      id,
+      { from, size });
+    const allowed = await this.kuzzle.documentFilters.test(
+      filter,
+      hits.map(revision => revision.document));
+
+    return {
+      hits: hits
+        .filter((revision, i) => allowed[i])
+        .map(revision => this._hideRevisionFields(forbidden, revision)),
+      total
+    };
+  }
+
+  /**
+   * Gets a previous version of a document
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>} { _id, action, author, document, timestamp }
+   */
+  async getRevision (request) {
+    const id = this.getId(request);
+    const revisionId = this.getString(request, 'revision');
+    const { index, collection } = this.getIndexAndCollection(request);
+
+    this.kuzzle.storageEngine.history.assertEnabled(index, collection);
+
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+    const revision = await this._getRevision(
+      filter,
+      index,
+      collection,
+      id,
+      revisionId);
+
+    return this._hideRevisionFields(forbidden, revision);
   }
 
   /**
@@ -153,11 +282,25 @@ class DocumentController extends NativeController {
 
     this.assertNotExceedMaxFetch(ids.length);
 
-    return this.publicStorage.mGet(index, collection, ids)
-      .then(({ items, errors }) => {
+    return Bluebird.all([
+      this.kuzzle.documentFilters.get(request),
+      this.kuzzle.documentFilters.getForbiddenFields(request)
+    ])
+      .then(async ([filter, forbidden]) => {
+        const { items, errors } = await this.publicStorage.mGet(
+          index,
+          collection,
+          ids);
+        const allowed = await this.kuzzle.documentFilters.test(filter, items);
+
+        // documents hidden by the user document filters are reported as
+        // not found
         return {
-          errors,
-          successes: items
+          errors: errors.concat(
+            items.filter((item, i) => !allowed[i]).map(item => item._id)),
+          successes: this._hideFields(
+            forbidden,
+            items.filter((item, i) => allowed[i]))
         };
       });
   }
@@ -166,14 +309,21 @@ class DocumentController extends NativeController {
    * @param {Request} request
    * @returns {Promise<Object>}
    */
-  count (request) {
+  async count (request) {
     const { searchBody } = this.getSearchParams(request);
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
 
-    return this.publicStorage.count(index, collection, searchBody)
-      .then(count => ({
-        count
-      }));
+    this._assertReadableFields(request, forbidden, searchBody);
+
+    const count = await this.publicStorage.count(
+      index,
+      collection,
+      this._restrictSearchBody(filter, searchBody));
+
+    return { count };
   }
 
   /**
@@ -182,15 +332,24 @@ class DocumentController extends NativeController {
    * @param {Request} request
    * @returns {Promise<Object>}
    */
-  create (request) {
+  async create (request) {
     let modifiedRequest;
     let response;
 
     const id = request.input.resource._id;
     const content = this.getBody(request);
     const userId = this.getUserId(request);
+    const impersonatedBy = this.getImpersonatorId(request);
     const refresh = this.getString(request, 'refresh', 'false');
+    const expiresAt = this._getExpiresAt(request);
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+
+    this._assertWritableFields(request, forbidden, content);
+    await this._assertWritable(request, filter, { _id: id, _source: content });
+    await this._prepareExpiry(index, collection, expiresAt);
 
     return this.kuzzle.validation.validate(request, false)
       .then(newRequest => {
@@ -200,7 +359,7 @@ class DocumentController extends NativeController {
           index,
           collection,
           content,
-          { id, refresh, userId });
+          { expiresAt, id, impersonatedBy, refresh, userId });
       })
       .then(_response => {
         // response: { _id, _version, _source }
@@ -210,7 +369,9 @@ class DocumentController extends NativeController {
           modifiedRequest,
           response);
       })
-      .then(() => response);
+      .then(() => this.kuzzle.documentFilters.hideFields(
+        forbidden.read,
+        response));
   }
 
   /**
@@ -230,15 +391,32 @@ class DocumentController extends NativeController {
    * @param {Request} request
    * @returns {Promise<Object>}
    */
-  createOrReplace (request) {
+  async createOrReplace (request) {
     let modifiedRequest;
     let response;
 
     const id = this.getId(request);
     const content = this.getBody(request);
     const userId = this.getUserId(request);
+    const impersonatedBy = this.getImpersonatorId(request);
     const refresh = this.getString(request, 'refresh', 'false');
+    const expiresAt = this._getExpiresAt(request);
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+
+    if (filter !== null || forbidden.write.length > 0) {
+      const { items } = await this.publicStorage.mGet(index, collection, [id]);
+
+      this._assertWritableFields(request, forbidden, content, items[0]);
+
+      for (const document of items.concat({ _id: id, _source: content })) {
+        await this._assertWritable(request, filter, document);
+      }
+    }
+
+    await this._prepareExpiry(index, collection, expiresAt);
 
     return this.kuzzle.validation.validate(request, false)
       .then(newRequest => {
@@ -249,7 +427,7 @@ class DocumentController extends NativeController {
           collection,
           id,
           content,
-          { refresh, userId });
+          { expiresAt, impersonatedBy, refresh, userId });
       })
       .then(_response => {
         // response: { _id, _version, _source, created }
@@ -263,7 +441,9 @@ class DocumentController extends NativeController {
 
         return this.kuzzle.notifier.notifyDocumentReplace(modifiedRequest);
       })
-      .then(() => response);
+      .then(() => this.kuzzle.documentFilters.hideFields(
+        forbidden.read,
+        response));
   }
 
   /**
@@ -287,10 +467,36 @@ class DocumentController extends NativeController {
     const id = this.getId(request);
     const content = this.getBody(request);
     const userId = this.getUserId(request);
+    const impersonatedBy = this.getImpersonatorId(request);
     const refresh = this.getString(request, 'refresh', 'false');
     const retryOnConflict = request.input.args.retryOnConflict;
+    const ifVersion = this._getIfVersion(request);
+    const expiresAt = this._getExpiresAt(request);
     const source = this.getBoolean(request, 'source');
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+
+    this._assertWritableFields(request, forbidden, content);
+
+    let previous = null;
+
+    if (filter !== null) {
+      const document = await this._getDocument(filter, index, collection, id);
+
+      await this._assertWritable(request, filter, {
+        _id: id,
+        _source: applyChanges(document._source, content)
+      });
+
+      previous = document._source;
+    }
+    else if (this.kuzzle.notifier.tracksChanges(index, collection)) {
+      previous = (await this.publicStorage.get(index, collection, id))._source;
+    }
+
+    await this._prepareExpiry(index, collection, expiresAt);
 
     const modifiedRequest = await this.kuzzle.validation.validate(request, false);
 
@@ -299,19 +505,24 @@ class DocumentController extends NativeController {
       collection,
       id,
       content,
-      { refresh, retryOnConflict, userId });
+      { expiresAt, ifVersion, impersonatedBy, refresh, retryOnConflict, userId });
 
-    await this.kuzzle.notifier.notifyDocumentUpdate(modifiedRequest, updatedDocument);
+    await this.kuzzle.notifier.notifyDocumentUpdate(
+      modifiedRequest,
+      updatedDocument,
+      previous);
 
     if (source) {
-      return updatedDocument;
+      return this.kuzzle.documentFilters.hideFields(
+        forbidden.read,
+        updatedDocument);
     }
 
-    return {
+    return this.kuzzle.documentFilters.hideFields(forbidden.read, {
       _id: updatedDocument._id,
       _source: content,
       _version: updatedDocument._version,
-    };
+    });
   }
 
   /**
@@ -331,15 +542,30 @@ class DocumentController extends NativeController {
    * @param {Request} request
    * @returns {Promise<Object>}
    */
-  replace (request) {
+  async replace (request) {
     let modifiedRequest;
     let response;
 
     const id = this.getId(request);
     const content = this.getBody(request);
     const userId = this.getUserId(request);
+    const impersonatedBy = this.getImpersonatorId(request);
     const refresh = this.getString(request, 'refresh', 'false');
+    const ifVersion = this._getIfVersion(request);
+    const expiresAt = this._getExpiresAt(request);
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+
+    if (filter !== null || forbidden.write.length > 0) {
+      const document = await this._getDocument(filter, index, collection, id);
+
+      this._assertWritableFields(request, forbidden, content, document);
+      await this._assertWritable(request, filter, { _id: id, _source: content });
+    }
+
+    await this._prepareExpiry(index, collection, expiresAt);
 
     return this.kuzzle.validation.validate(request, false)
       .then(newRequest => {
@@ -350,14 +576,16 @@ class DocumentController extends NativeController {
           collection,
           id,
           content,
-          { refresh, userId });
+          { expiresAt, ifVersion, impersonatedBy, refresh, userId });
       })
       .then(_response => {
         response = _response;
 
         return this.kuzzle.notifier.notifyDocumentReplace(modifiedRequest);
       })
-      .then(() => response);
+      .then(() => this.kuzzle.documentFilters.hideFields(
+        forbidden.read,
+        response));
   }
 
   /**
@@ -371,6 +599,94 @@ class DocumentController extends NativeController {
     return this._mChanges(request, 'mReplace', true);
   }
 
+  /**
+   * Restores a previous version of a document, replacing the current one or
+   * creating it again if it has been deleted. The current version is kept in
+   * the document history.
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async restore (request) {
+    const id = this.getId(request);
+    const revisionId = this.getString(request, 'revision');
+    const { index, collection } = this.getIndexAndCollection(request);
+
+    this.kuzzle.storageEngine.history.assertEnabled(index, collection);
+
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const revision = await this._getRevision(
+      filter,
+      index,
+      collection,
+      id,
+      revisionId);
+
+    // the restored version goes through the funnel like any other document
+    // replacement: the user must be allowed to replace the document, and the
+    // same validation checks, events and notifications apply
+    const replace = new Request(
+      {
+        _id: id,
+        action: 'createOrReplace',
+        body: _.omit(revision.document._source, '_kuzzle_info'),
+        collection,
+        controller: 'document',
+        index,
+        jwt: request.input.jwt,
+        refresh: request.input.args.refresh
+      },
+      request.context);
+
+    await this.kuzzle.funnel.checkRights(replace);
+
+    const { result } = await this.kuzzle.funnel.processRequest(replace);
+
+    return result;
+  }
+
+  /**
+   * Takes a deleted document out of the trash bin of its collection.
+   * Subscribers are notified as if the document had been created again.
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async restoreDeleted (request) {
+    const id = this.getId(request);
+    const refresh = this.getString(request, 'refresh', 'false');
+    const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+
+    const deleted = await this.publicStorage.getDeleted(index, collection, id);
+    const [allowed] = await this.kuzzle.documentFilters.test(filter, [deleted]);
+
+    if (!allowed) {
+      throw kerror.get(
+        'services',
+        'storage',
+        'not_in_trash',
+        id,
+        index,
+        collection);
+    }
+
+    // restoring a document writes all its fields back
+    this._assertWritableFields(request, forbidden, deleted._source);
+
+    const document = await this.publicStorage.restore(
+      index,
+      collection,
+      id,
+      { refresh, userId: this.getUserId(request) });
+
+    await this.kuzzle.notifier.notifyDocumentCreate(request, document);
+
+    return this.kuzzle.documentFilters.hideFields(forbidden.read, document);
+  }
+
   /**
    * Delete a document through the persistent layer
    *
@@ -380,19 +696,29 @@ class DocumentController extends NativeController {
   async delete (request) {
     const id = this.getId(request);
     const refresh = this.getString(request, 'refresh', 'false');
+    const ifVersion = this._getIfVersion(request);
     const source = this.getBoolean(request, 'source');
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
 
-    const document = await this.publicStorage.get(index, collection, id);
+    const document = await this._getDocument(filter, index, collection, id);
 
-    await this.publicStorage.delete(index, collection, id, { refresh });
+    this._assertWritableFields(request, forbidden, document._source);
+
+    await this.publicStorage.delete(
+      index,
+      collection,
+      id,
+      { ifVersion, refresh, userId: this.getUserId(request) });
 
     await this.kuzzle.notifier.notifyDocumentMDelete(request, [document]);
 
     if (!source) {
       return { _id: document._id };
     }
-    return document;
+    return this.kuzzle.documentFilters.hideFields(forbidden.read, document);
   }
 
   /**
@@ -404,19 +730,47 @@ class DocumentController extends NativeController {
    */
   async mDelete (request) {
     const ids = this.getBodyArray(request, 'ids');
+    const ifVersions = this.getBodyObject(request, 'ifVersions', {});
     const refresh = this.getString(request, 'refresh', 'false');
     const { index, collection } = this.getIndexAndCollection(request);
 
-    const { documents, errors } = await this.publicStorage.mDelete(
+    for (const [id, version] of Object.entries(ifVersions)) {
+      if (!Number.isSafeInteger(version)) {
+        throw kerror.get(
+          'api',
+          'assert',
+          'invalid_type',
+          `body.ifVersions.${id}`,
+          'integer');
+      }
+    }
+
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+    const { hidden, rejected, visible } = await this._filterIds(
+      filter,
       index,
       collection,
       ids,
-      { refresh });
+      forbidden.write);
+
+    const { documents, errors } = await this.publicStorage.mDelete(
+      index,
+      collection,
+      visible,
+      { ifVersions, refresh, userId: this.getUserId(request) });
 
     await this.kuzzle.notifier.notifyDocumentMDelete(request, documents);
 
     return {
-      errors,
+      errors: errors
+        .concat(hidden.map(_id => ({
+          _id,
+          reason: 'document not found',
+          status: 404
+        })))
+        .concat(rejected),
       successes: documents.map(d => d._id)
     };
   }
@@ -432,12 +786,25 @@ class DocumentController extends NativeController {
     const refresh = this.getString(request, 'refresh', 'false');
     const source = this.getBoolean(request, 'source');
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+
+    const restrictedQuery = this.kuzzle.documentFilters.restrictQuery(
+      filter,
+      query);
+
+    this._assertReadableFields(request, forbidden, { query });
+
+    if (forbidden.write.length > 0) {
+      await this._assertDeletableByQuery(request, forbidden, restrictedQuery);
+    }
 
     const result = await this.publicStorage.deleteByQuery(
       index,
       collection,
-      query,
-      { refresh });
+      restrictedQuery,
+      { refresh, userId: this.getUserId(request) });
 
     await this.kuzzle.notifier.notifyDocumentMDelete(request, result.documents);
 
@@ -445,7 +812,7 @@ class DocumentController extends NativeController {
       result.documents.forEach(d => (d._source = undefined));
     }
     return {
-      documents: result.documents,
+      documents: this._hideFields(forbidden, result.documents),
       ids: result.documents.map(d => d._id)
     };
   }
@@ -457,25 +824,50 @@ class DocumentController extends NativeController {
    * @returns {Promise<Object}
    */
   async updateByQuery (request) {
+    const userId = this.getUserId(request);
+    const impersonatedBy = this.getImpersonatorId(request);
     const query = this.getBodyObject(request, 'query');
     const changes = this.getBodyObject(request, 'changes');
     const refresh = this.getString(request, 'refresh', 'false');
     const source = this.getBoolean(request, 'source');
     const { index, collection } = this.getIndexAndCollection(request);
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+
+    const restrictedQuery = this.kuzzle.documentFilters.restrictQuery(
+      filter,
+      query);
+
+    this._assertReadableFields(request, forbidden, { query });
+    this._assertWritableFields(request, forbidden, changes);
+
+    if (filter !== null) {
+      await this._assertWritableByQuery(
+        request,
+        filter,
+        restrictedQuery,
+        changes);
+    }
 
-    const result = await this.publicStorage.updateByQuery(
+    const { errors, previous, successes } = await this.publicStorage.updateByQuery(
       index,
       collection,
-      query,
+      restrictedQuery,
       changes,
-      { refresh });
+      { impersonatedBy, refresh, userId });
 
-    await this.kuzzle.notifier.notifyDocumentMChanges(request, result.successes);
+    await this.kuzzle.notifier.notifyDocumentMChanges(
+      request,
+      successes,
+      false,
+      previous);
 
     if (!source) {
-      result.successes.forEach(d => (d._source = undefined));
+      successes.forEach(d => (d._source = undefined));
     }
-    return result;
+
+    return { errors, successes: this._hideFields(forbidden, successes) };
   }
 
   /**
@@ -504,6 +896,7 @@ class DocumentController extends NativeController {
   async _mChanges (request, methodName, cached) {
     const refresh = this.getString(request, 'refresh', 'false');
     const userId = this.getUserId(request);
+    const impersonatedBy = this.getImpersonatorId(request);
     const documents = this.getBodyArray(request, 'documents');
     const { index, collection } = this.getIndexAndCollection(request);
 
@@ -520,22 +913,571 @@ class DocumentController extends NativeController {
       }
     }
 
-    const response = await this.publicStorage[methodName](
-      index,
-      collection,
-      documents,
-      { refresh, userId });
+    const filter = await this.kuzzle.documentFilters.get(request);
+    const forbidden = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+    const { accepted, existing, rejected } = await this._filterMChanges(
+      request,
+      { filter, forbidden },
+      methodName,
+      documents);
+    const previous = methodName === 'mUpdate'
+      ? await this._getPreviousSources(index, collection, accepted, existing)
+      : null;
+
+    const response = accepted.length > 0
+      ? await this.publicStorage[methodName](
+        index,
+        collection,
+        accepted,
+        { impersonatedBy, refresh, userId })
+      : { errors: [], items: [] };
 
     await this.kuzzle.notifier.notifyDocumentMChanges(
       request,
       response.items,
-      cached);
+      cached,
+      previous);
 
     return {
-      errors: response.errors,
-      successes: response.items
+      errors: response.errors.concat(rejected),
+      successes: this._hideFields(forbidden, response.items)
     };
   }
+
+  /**
+   * @param {Request} request
+   * @returns {Number|null} version that the written document must have, or
+   *                        null if the write is unconditional
+   */
+  _getIfVersion (request) {
+    const ifVersion = request.input.args.ifVersion;
+
+    return ifVersion === undefined || ifVersion === null
+      ? null
+      : this.getInteger(request, 'ifVersion');
+  }
+
+  /**
+   * Gets the expiration date of a written document, from either its time to
+   * live ("ttl": milliseconds or time representation, e.g. "1h") or an
+   * absolute date ("expiresAt": epoch-milliseconds)
+   *
+   * @param {Request} request
+   * @returns {Number|null} expiration timestamp, or null if the document
+   *                        does not expire
+   */
+  _getExpiresAt (request) {
+    const { expiresAt, ttl } = request.input.args;
+
+    if (ttl === undefined || ttl === null) {
+      return expiresAt === undefined || expiresAt === null
+        ? null
+        : this.getInteger(request, 'expiresAt');
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+      throw kerror.get('api', 'assert', 'mutually_exclusive', 'ttl', 'expiresAt');
+    }
+
+    const duration = typeof ttl === 'string' ? ms(ttl) : ttl;
+
+    if (!Number.isSafeInteger(duration) || duration <= 0) {
+      throw kerror.get(
+        'api',
+        'assert',
+        'invalid_argument',
+        'ttl',
+        'a positive duration');
+    }
+
+    return Date.now() + duration;
+  }
+
+  /**
+   * Makes sure that the expiration date of documents can be searched, before
+   * writing a document that expires
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {Number|null} expiresAt
+   * @returns {Promise}
+   */
+  async _prepareExpiry (index, collection, expiresAt) {
+    if (expiresAt !== null) {
+      await this.kuzzle.documentExpiry.mapCollection(index, collection);
+    }
+  }
+
+  /**
+   * Fetches a document, hiding it if it does not match the user document
+   * filters
+   *
+   * @param {Object|null} filter - user document filter
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @returns {Promise.<Object>}
+   * @throws {services.storage.not_found} If the document does not exist, or
+   *                                      if it is hidden
+   */
+  async _getDocument (filter, index, collection, id) {
+    const document = await this.publicStorage.get(index, collection, id);
+    const [allowed] = await this.kuzzle.documentFilters.test(filter, [document]);
+
+    if (!allowed) {
+      throw kerror.get('services', 'storage', 'not_found', id, index, collection);
+    }
+
+    return document;
+  }
+
+  /**
+   * Fetches a previous version of a document, hiding it if it does not match
+   * the user document filters
+   *
+   * @param {Object|null} filter - user document filter
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @param {String} revisionId
+   * @returns {Promise.<Object>}
+   * @throws {services.storage.revision_not_found} If the revision does not
+   *                                               exist, or if it is hidden
+   */
+  async _getRevision (filter, index, collection, id, revisionId) {
+    const revision = await this.kuzzle.storageEngine.history.get(
+      index,
+      collection,
+      id,
+      revisionId);
+    const [allowed] = await this.kuzzle.documentFilters.test(
+      filter,
+      [revision.document]);
+
+    if (!allowed) {
+      throw kerror.get(
+        'services',
+        'storage',
+        'revision_not_found',
+        revisionId,
+        id,
+        index,
+        collection);
+    }
+
+    return revision;
+  }
+
+  /**
+   * Splits a list of document IDs between the ones hidden by the user
+   * document filters, the ones holding fields that the user may not write,
+   * and the other ones
+   *
+   * @param {Object|null} filter - user document filter
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<String>} ids
+   * @param {Array.<String>} [unwritable] - fields the user may not write
+   * @returns {Promise.<Object>} { hidden, rejected, visible }, rejected
+   *          being the errors of the documents holding unwritable fields
+   */
+  async _filterIds (filter, index, collection, ids, unwritable = []) {
+    if (filter === null && unwritable.length === 0) {
+      return { hidden: [], rejected: [], visible: ids };
+    }
+
+    const { items } = await this.publicStorage.mGet(
+      index,
+      collection,
+      ids.filter(id => typeof id === 'string'));
+    const allowed = await this.kuzzle.documentFilters.test(filter, items);
+    const hidden = new Set();
+    const rejected = new Map();
+
+    items.forEach((item, i) => {
+      const field = this.kuzzle.documentFilters.findWrittenField(
+        unwritable,
+        item._source);
+
+      if (!allowed[i]) {
+        hidden.add(item._id);
+      }
+      else if (field !== null) {
+        rejected.set(item._id, {
+          _id: item._id,
+          reason: `forbidden field "${field}"`,
+          status: 403
+        });
+      }
+    });
+
+    return {
+      hidden: [...hidden],
+      rejected: [...rejected.values()],
+      visible: ids.filter(id => !hidden.has(id) && !rejected.has(id))
+    };
+  }
+
+  /**
+   * Rejects the documents of a multi-document change request that the user
+   * is not allowed to write, according to their document filters and to
+   * the fields they may not write
+   *
+   * @param {Request} request
+   * @param {Object} restrictions - { filter, forbidden }
+   * @param {String} methodName - mCreate, mCreateOrReplace, mReplace, mUpdate
+   * @param {Array.<Object>} documents
+   * @returns {Promise.<Object>} { accepted, existing, rejected }, existing
+   *          being the fetched documents, if any
+   */
+  async _filterMChanges (request, { filter, forbidden }, methodName, documents) {
+    if (filter === null && forbidden.write.length === 0) {
+      return { accepted: documents, existing: null, rejected: [] };
+    }
+
+    const { index, collection } = this.getIndexAndCollection(request);
+    const existing = new Map();
+
+    if (methodName !== 'mCreate') {
+      const ids = documents
+        .map(document => document._id)
+        .filter(id => typeof id === 'string');
+      const { items } = await this.publicStorage.mGet(index, collection, ids);
+      const allowed = await this.kuzzle.documentFilters.test(filter, items);
+
+      items.forEach((item, i) => existing.set(item._id, {
+        allowed: allowed[i],
+        document: item
+      }));
+    }
+
+    const results = await this.kuzzle.documentFilters.test(
+      filter,
+      documents.map(({ _id, body }) => ({
+        _id,
+        _source: methodName === 'mUpdate' && existing.has(_id)
+          ? applyChanges(existing.get(_id).document._source, body)
+          : body
+      })));
+
+    const accepted = [];
+    const rejected = [];
+
+    for (let i = 0; i < documents.length; i++) {
+      const current = existing.get(documents[i]._id);
+      const field = this.kuzzle.documentFilters.findWrittenField(
+        forbidden.write,
+        documents[i].body)
+        || (current && methodName !== 'mUpdate'
+          ? this.kuzzle.documentFilters.findWrittenField(
+            forbidden.write,
+            current.document._source)
+          : null);
+
+      if (current && !current.allowed && methodName !== 'mCreateOrReplace') {
+        rejected.push({
+          document: documents[i],
+          reason: 'document not found',
+          status: 404
+        });
+      }
+      else if (field !== null) {
+        rejected.push({
+          document: documents[i],
+          reason: `forbidden field "${field}"`,
+          status: 403
+        });
+      }
+      else if ((current && !current.allowed) || !results[i]) {
+        rejected.push({
+          document: documents[i],
+          reason: 'forbidden by the user document filters',
+          status: 403
+        });
+      }
+      else {
+        accepted.push(documents[i]);
+      }
+    }
+
+    return { accepted, existing, rejected };
+  }
+
+  /**
+   * Gets the content of documents about to be updated, for the subscriptions
+   * listing their changes. Documents already fetched are reused.
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<Object>} documents - documents to update
+   * @param {Map|null} existing - already fetched documents, if any
+   * @returns {Promise.<Map|null>} documents contents, by identifier
+   */
+  async _getPreviousSources (index, collection, documents, existing) {
+    const previous = new Map();
+
+    if (existing !== null) {
+      for (const [id, { document }] of existing) {
+        previous.set(id, document._source);
+      }
+
+      return previous;
+    }
+
+    if ( documents.length === 0
+      || !this.kuzzle.notifier.tracksChanges(index, collection)
+    ) {
+      return null;
+    }
+
+    const { items } = await this.publicStorage.mGet(
+      index,
+      collection,
+      documents
+        .map(document => document._id)
+        .filter(id => typeof id === 'string'));
+
+    for (const { _id, _source } of items) {
+      previous.set(_id, _source);
+    }
+
+    return previous;
+  }
+
+  /**
+   * @param {Request} request
+   * @param {Object|null} filter - user document filter
+   * @param {Object} document - { _id, _source }
+   * @throws {security.rights.forbidden_document} If the document does not
+   *                                              match the filter
+   */
+  async _assertWritable (request, filter, document) {
+    const [allowed] = await this.kuzzle.documentFilters.test(filter, [document]);
+
+    if (!allowed) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden_document',
+        document._id,
+        this.getUserId(request));
+    }
+  }
+
+  /**
+   * Checks that updating the documents matching a query keeps them matching
+   * the user document filter
+   *
+   * @param {Request} request
+   * @param {Object} filter - user document filter
+   * @param {Object} query - query restricted to the filter
+   * @param {Object} changes
+   * @throws {security.rights.forbidden_document} If an updated document would
+   *                                              not match the filter anymore
+   */
+  async _assertWritableByQuery (request, filter, query, changes) {
+    const { index, collection } = this.getIndexAndCollection(request);
+
+    // documents beyond the write limit make the update fail anyway
+    const { hits } = await this.publicStorage.search(
+      index,
+      collection,
+      { query },
+      { size: this.kuzzle.config.limits.documentsWriteCount });
+
+    const allowed = await this.kuzzle.documentFilters.test(
+      filter,
+      hits.map(({ _id, _source }) => ({
+        _id,
+        _source: applyChanges(_source, changes)
+      })));
+    const i = allowed.indexOf(false);
+
+    if (i !== -1) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden_document',
+        hits[i]._id,
+        this.getUserId(request));
+    }
+  }
+
+  /**
+   * Checks that the documents matching a query do not hold fields that the
+   * user may not write: deleting them would remove these fields
+   *
+   * @param {Request} request
+   * @param {Object} forbidden - user forbidden fields
+   * @param {Object} query - query restricted to the user document filter
+   * @throws {security.rights.forbidden_field}
+   */
+  async _assertDeletableByQuery (request, forbidden, query) {
+    const { index, collection } = this.getIndexAndCollection(request);
+
+    // documents beyond the write limit make the deletion fail anyway
+    const { hits } = await this.publicStorage.search(
+      index,
+      collection,
+      { query },
+      { size: this.kuzzle.config.limits.documentsWriteCount });
+
+    for (const { _source } of hits) {
+      this._assertWritableFields(request, forbidden, _source);
+    }
+  }
+
+  /**
+   * Rejects a document content changing fields that the user may not write.
+   * Replacing an existing document changes all its fields.
+   *
+   * @param {Request} request
+   * @param {Object} forbidden - user forbidden fields
+   * @param {Object} content - written content
+   * @param {Object} [replaced] - replaced document, if any
+   * @throws {security.rights.forbidden_field}
+   */
+  _assertWritableFields (request, forbidden, content, replaced) {
+    const documentFilters = this.kuzzle.documentFilters;
+    const field = documentFilters.findWrittenField(forbidden.write, content)
+      || (replaced
+        ? documentFilters.findWrittenField(forbidden.write, replaced._source)
+        : null);
+
+    if (field !== null) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden_field',
+        field,
+        this.getUserId(request));
+    }
+  }
+
+  /**
+   * @param {Object} forbidden - user forbidden fields
+   * @param {Array.<Object>} documents
+   * @returns {Array.<Object>} documents without the fields that the user
+   *                           may not read
+   */
+  _hideFields (forbidden, documents) {
+    return documents.map(document => this.kuzzle.documentFilters.hideFields(
+      forbidden.read,
+      document));
+  }
+
+  /**
+   * @param {Object} forbidden - user forbidden fields
+   * @param {Object} revision
+   * @returns {Object} revision without the document fields that the user may
+   *                   not read
+   */
+  _hideRevisionFields (forbidden, revision) {
+    return Object.assign({}, revision, {
+      document: this.kuzzle.documentFilters.hideFields(
+        forbidden.read,
+        revision.document)
+    });
+  }
+
+  /**
+   * Rejects search bodies whose queries, sorts or aggregations reference
+   * fields that the user may not read. Returned fields are hidden by
+   * _hideSearchFields instead.
+   *
+   * @param {Request} request
+   * @param {Object} forbidden - user forbidden fields
+   * @param {Object} searchBody - search body, before document filters apply
+   * @throws {security.rights.forbidden_field}
+   */
+  _assertReadableFields (request, forbidden, searchBody) {
+    const field = this.kuzzle.documentFilters.findReadField(
+      forbidden.read,
+      _.omit(searchBody, ['_source', 'highlight']));
+
+    if (field !== null) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden_field',
+        field,
+        this.getUserId(request));
+    }
+  }
+
+  /**
+   * Makes the storage engine remove unreadable fields from search results,
+   * including the next pages of a scroll search
+   *
+   * @param {Array.<string>} fields - unreadable fields
+   * @param {Object} searchBody
+   * @returns {Object} updated search body
+   */
+  _hideSearchFields (fields, searchBody) {
+    if (fields.length === 0) {
+      return searchBody;
+    }
+
+    const isHidden = field => fields.some(
+      f => field === f || field.startsWith(`${f}.`));
+    const body = Object.assign({}, searchBody);
+    const source = body._source;
+
+    if (source === undefined || source === true) {
+      body._source = { excludes: fields };
+    }
+    else if (typeof source === 'string' || Array.isArray(source)) {
+      body._source = { excludes: fields, includes: [].concat(source) };
+    }
+    else if (isPlainObject(source)) {
+      body._source = Object.assign({}, source, {
+        excludes: [].concat(source.excludes || [], fields)
+      });
+    }
+
+    if (body.highlight && isPlainObject(body.highlight.fields)) {
+      body.highlight = Object.assign({}, body.highlight, {
+        fields: _.omitBy(
+          body.highlight.fields,
+          (value, field) => field.includes('*') || isHidden(field))
+      });
+    }
+
+    return body;
+  }
+
+  /**
+   * @param {Object|null} filter - user document filter
+   * @param {Object} searchBody
+   * @returns {Object} search body restricted to the documents matching the
+   *                   filter
+   */
+  _restrictSearchBody (filter, searchBody) {
+    if (filter === null) {
+      return searchBody;
+    }
+
+    return Object.assign({}, searchBody, {
+      query: this.kuzzle.documentFilters.restrictQuery(filter, searchBody.query)
+    });
+  }
+}
+
+/**
+ * Applies partial update changes to a document content, the way the storage
+ * engine does: objects are merged, other values are replaced
+ *
+ * @param {Object} source - document content
+ * @param {Object} changes
+ * @returns {Object} updated content
+ */
+function applyChanges (source, changes) {
+  return _.mergeWith(
+    {},
+    source,
+    changes,
+    (value, change) => Array.isArray(change) ? change : undefined);
 }
 
 module.exports = DocumentController;
@@ -21,7 +21,10 @@
 
 'use strict';
 
+const { Request } = require('kuzzle-common-objects');
+
 const { NativeController } = require('./base');
+const kerror = require('../../kerror');
 const {
   assertHasBody,
   assertBodyHasAttribute,
@@ -36,6 +39,7 @@ class RealtimeController extends NativeController {
   constructor(kuzzle) {
     super(kuzzle, [
       'count',
+      'getPresence',
       'join',
       'list',
       'publish',
@@ -64,6 +68,11 @@ class RealtimeController extends NativeController {
       request.input.args.propagate = this.getBoolean(request, 'propagate');
     }
 
+    this._assertResumeFrom(request);
+    await this._assertSnapshot(request);
+    await this._assertReadableFilters(request);
+    await this._restrictSubscription(request);
+
     const result = await this.kuzzle.hotelClerk.addSubscription(request);
 
     if (! result) {
@@ -75,7 +84,8 @@ class RealtimeController extends NativeController {
     this.kuzzle.tokenManager.link(
       request.context.token,
       request.context.connection.id,
-      result.roomId);
+      result.roomId,
+      request.context.user);
 
     return result;
   }
@@ -87,13 +97,27 @@ class RealtimeController extends NativeController {
   async join (request) {
     assertHasBody(request);
     assertBodyHasAttribute(request, 'roomId');
+    this._assertResumeFrom(request);
+
+    // rooms filters cannot be checked against the user document filters:
+    // restricted users must subscribe instead
+    if (await this.kuzzle.documentFilters.get(request) !== null) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden',
+        'realtime',
+        'join',
+        this.getUserId(request));
+    }
 
     const result = await this.kuzzle.hotelClerk.join(request);
 
     this.kuzzle.tokenManager.link(
       request.context.token,
       request.context.connection.id,
-      result.roomId);
+      result.roomId,
+      request.context.user);
 
     return result;
   }
@@ -124,6 +148,24 @@ class RealtimeController extends NativeController {
     return this.kuzzle.hotelClerk.countSubscription(request);
   }
 
+  /**
+   * Lists the users subscribed to a room
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async getPresence (request) {
+    assertHasBody(request);
+    assertBodyHasAttribute(request, 'roomId');
+
+    const from = this.getInteger(request, 'from', 0);
+    const size = this.getInteger(request, 'size', 10);
+
+    this.assertNotExceedMaxFetch(size - from);
+
+    return this.kuzzle.hotelClerk.getPresence(request, from, size);
+  }
+
   /**
    * @param {Request} request
    * @returns {Promise<Object>}
@@ -163,6 +205,158 @@ class RealtimeController extends NativeController {
   validate (request) {
     return this.kuzzle.funnel.controllers.get('document').validate(request);
   }
+
+  /**
+   * Validates the "snapshot" option, and its "from" and "size" arguments.
+   * Since a snapshot returns documents, users must also be allowed to
+   * search the subscribed collection.
+   *
+   * @param {Request} request
+   * @returns {Promise}
+   */
+  async _assertSnapshot (request) {
+    const args = request.input.args;
+
+    if (!this.getBoolean(request, 'snapshot')) {
+      return;
+    }
+
+    args.snapshot = true;
+
+    if (args.resumeFrom !== undefined && args.resumeFrom !== null) {
+      throw kerror.get(
+        'api',
+        'assert',
+        'mutually_exclusive',
+        'snapshot',
+        'resumeFrom');
+    }
+
+    args.from = this.getInteger(request, 'from', 0);
+    args.size = this.getInteger(request, 'size', 10);
+
+    this.assertNotExceedMaxFetch(args.size - args.from);
+
+    const user = request.context.user;
+
+    if (! await user.isActionAllowed(this._getSnapshotRequest(request))) {
+      throw kerror.get(
+        'security',
+        'rights',
+        user._id === '-1' ? 'unauthorized' : 'forbidden',
+        'document',
+        'search',
+        user._id);
+    }
+  }
+
+  /**
+   * Returns the document:search request equivalent to a subscription
+   * snapshot, used to check the user rights
+   *
+   * @param {Request} request
+   * @returns {Request}
+   */
+  _getSnapshotRequest (request) {
+    return new Request({
+      action: 'search',
+      collection: request.input.resource.collection,
+      controller: 'document',
+      index: request.input.resource.index
+    }, request.context);
+  }
+
+  /**
+   * Rejects subscription filters referencing fields that the user may not
+   * read: receiving notifications about the documents matching them would
+   * disclose their values
+   *
+   * @param {Request} request
+   * @returns {Promise}
+   * @throws {security.rights.forbidden_field}
+   */
+  async _assertReadableFilters (request) {
+    const { read } = await this.kuzzle.documentFilters.getForbiddenFields(
+      request);
+    const field = this.kuzzle.documentFilters.findReadField(
+      read,
+      request.input.body);
+
+    if (field !== null) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden_field',
+        field,
+        this.getUserId(request));
+    }
+  }
+
+  /**
+   * Restricts subscription filters with the user document filters.
+   * With a snapshot, the document:search filters also apply, so that the
+   * snapshot and the following notifications are consistent.
+   *
+   * @param {Request} request
+   * @returns {Promise}
+   */
+  async _restrictSubscription (request) {
+    const requests = [request];
+
+    if (request.input.args.snapshot) {
+      requests.push(this._getSnapshotRequest(request));
+    }
+
+    const filters = [];
+
+    for (const req of requests) {
+      const filter = await this.kuzzle.documentFilters.get(req);
+
+      if (filter !== null) {
+        filters.push(filter);
+      }
+    }
+
+    if (filters.length === 0) {
+      return;
+    }
+
+    if (Object.keys(request.input.body).length > 0) {
+      filters.unshift(request.input.body);
+    }
+
+    request.input.body = filters.length === 1 ? filters[0] : { and: filters };
+  }
+
+  /**
+   * Checks the optional "resumeFrom" argument, used to replay missed
+   * notifications, and casts it to an integer
+   *
+   * @param {Request} request
+   * @throws {core.realtime.replay_disabled} If notifications replay is disabled
+   */
+  _assertResumeFrom (request) {
+    const resumeFrom = request.input.args.resumeFrom;
+
+    if (resumeFrom === undefined || resumeFrom === null) {
+      return;
+    }
+
+    if (this.kuzzle.config.limits.subscriptionReplayBufferSize === 0) {
+      throw kerror.get('core', 'realtime', 'replay_disabled');
+    }
+
+    request.input.args.resumeFrom = this.getInteger(request, 'resumeFrom');
+
+    if (request.input.args.resumeFrom < 0) {
+      throw kerror.get(
+        'api',
+        'assert',
+        'invalid_argument',
+        'resumeFrom',
+        'positive integer');
+    }
+  }
 }
 
 module.exports = RealtimeController;
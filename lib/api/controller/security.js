@@ -23,6 +23,7 @@
 
 const
   _ = require('lodash'),
+  ms = require('ms'),
   { v4: uuid } = require('uuid'),
   Bluebird = require('bluebird'),
   { NativeController } = require('./base'),
@@ -37,6 +38,7 @@ const
     assertHasBody,
     assertBodyHasAttribute,
     assertBodyAttributeType,
+    assertBodyHasNotAttribute,
     assertContentAttributeType,
     assertContentHasAttribute,
     assertContentHasNotAttribute,
@@ -65,6 +67,34 @@ function getRefresh (request) {
   return 'wait_for';
 }
 
+/**
+ * User accounts are only disabled with the "disableUser" action, and their
+ * optional expiration date is a timestamp
+ *
+ * @param {Request} request
+ * @param {boolean} inContent - true if the user content is in "body.content"
+ *                              rather than in the request body
+ */
+function assertUserStatus (request, inContent) {
+  const content = inContent ? request.input.body.content : request.input.body;
+
+  if (inContent) {
+    assertContentHasNotAttribute(request, 'disabled');
+  }
+  else {
+    assertBodyHasNotAttribute(request, 'disabled');
+  }
+
+  if (!_.isNil(content.expiresAt)) {
+    if (inContent) {
+      assertContentAttributeType(request, 'expiresAt', 'number');
+    }
+    else {
+      assertBodyAttributeType(request, 'expiresAt', 'number');
+    }
+  }
+}
+
 
 /**
  * @param {Kuzzle} kuzzle
@@ -88,10 +118,14 @@ class SecurityController extends NativeController {
       'deleteProfile',
       'deleteRole',
       'deleteUser',
+      'disableUser',
+      'enableUser',
+      'explainRights',
       'getAllCredentialFields',
       'getCredentialFields',
       'getCredentials',
       'getCredentialsById',
+      'getLoginAttempts',
       'getProfile',
       'getProfileMapping',
       'getProfileRights',
@@ -101,6 +135,8 @@ class SecurityController extends NativeController {
       'getUserMapping',
       'getUserRights',
       'hasCredentials',
+      'impersonate',
+      'listUserSessions',
       'mDeleteProfiles',
       'mDeleteRoles',
       'mDeleteUsers',
@@ -109,13 +145,17 @@ class SecurityController extends NativeController {
       'mGetUsers',
       'refresh',
       'replaceUser',
+      'revokeSession',
       'revokeTokens',
+      'scrollAuditLogs',
       'scrollProfiles',
       'scrollUsers',
       'searchApiKeys',
+      'searchAuditLogs',
       'searchProfiles',
       'searchRoles',
       'searchUsers',
+      'unlockUser',
       'updateCredentials',
       'updateProfile',
       'updateProfileMapping',
@@ -141,7 +181,8 @@ class SecurityController extends NativeController {
       refresh = getRefresh(request),
       userId = this.getString(request, 'userId'),
       apiKeyId = request.input.resource._id || null,
-      description = this.getBodyString(request, 'description');
+      description = this.getBodyString(request, 'description'),
+      restriction = this.getApiKeyRestriction(request);
 
     const
       user = await this.kuzzle.repositories.user.load(userId),
@@ -153,7 +194,7 @@ class SecurityController extends NativeController {
       connectionId,
       expiresIn,
       description,
-      { apiKeyId, creatorId, refresh });
+      { apiKeyId, creatorId, refresh, restriction });
 
     this.kuzzle.log.info(`[SECURITY] User "${creatorId}" applied action "${request.input.action}" on user "${userId}."`);
     return apiKey.serialize({ includeToken: true });
@@ -654,6 +695,75 @@ class SecurityController extends NativeController {
       .then(rights => ({hits: rights, total: rights.length}));
   }
 
+  /**
+   * Explains why an API action is allowed or denied to a user, or to a set
+   * of profiles: returns the decision of each profile policy, with the role
+   * rule and the "restrictedTo" entry applying to the action.
+   *
+   * Action rules conditions are checked against the connection and the date
+   * of this request.
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async explainRights(request) {
+    const
+      userId = this.getBodyString(request, 'userId', ''),
+      controller = this.getBodyString(request, 'controller'),
+      action = this.getBodyString(request, 'action'),
+      index = this.getBodyString(request, 'index', '') || null,
+      collection = this.getBodyString(request, 'collection', '') || null;
+    let profileIds = this.getBodyArray(request, 'profileIds', []);
+    let user = null;
+
+    if (userId && profileIds.length > 0) {
+      throw kerror.get(
+        'api',
+        'assert',
+        'mutually_exclusive',
+        'body.userId',
+        'body.profileIds');
+    }
+
+    if (userId) {
+      user = await this.kuzzle.repositories.user.load(userId);
+
+      if (!user) {
+        throw kerror.get('security', 'user', 'not_found', userId);
+      }
+
+      profileIds = user.profileIds;
+    }
+    else if (profileIds.length === 0) {
+      throw kerror.get('api', 'assert', 'missing_argument', 'body.userId');
+    }
+
+    const
+      explained = new Request(
+        { action, collection, controller, index },
+        { connection: request.context.connection, user }),
+      profiles = await this.kuzzle.repositories.profile.loadProfiles(profileIds),
+      explanations = await Bluebird.map(
+        profiles,
+        profile => profile.explainAction(explained));
+
+    // explicit denials take precedence over the rights of all profiles
+    let decision = 'denied';
+
+    if (explanations.some(explanation => explanation.decision === 'forbidden')) {
+      decision = 'forbidden';
+    }
+    else if (explanations.some(explanation => explanation.decision === 'allowed')) {
+      decision = 'allowed';
+    }
+
+    return {
+      allowed: decision === 'allowed',
+      decision,
+      profiles: explanations
+    };
+  }
+
   /**
    * Given a user id, returns the matching user's rights as an array.
    *
@@ -741,6 +851,7 @@ class SecurityController extends NativeController {
     assertBodyAttributeType(request, 'content', 'object');
     assertContentHasAttribute(request, 'profileIds');
     assertContentAttributeType(request, 'profileIds', 'array');
+    assertUserStatus(request, true);
 
     if (request.input.body.credentials) {
       assertBodyAttributeType(request, 'credentials', 'object');
@@ -765,6 +876,7 @@ class SecurityController extends NativeController {
     assertBodyHasAttribute(request, 'content');
     assertBodyAttributeType(request, 'content', 'object');
     assertContentHasNotAttribute(request, 'profileIds');
+    assertUserStatus(request, true);
 
     if (request.input.body.credentials) {
       assertBodyAttributeType(request, 'credentials', 'object');
@@ -788,6 +900,7 @@ class SecurityController extends NativeController {
   updateUser(request) {
     assertHasBody(request);
     assertHasId(request);
+    assertUserStatus(request, false);
 
     const options = {
       database: {
@@ -824,6 +937,7 @@ class SecurityController extends NativeController {
     assertHasBody(request);
     assertBodyHasAttribute(request, 'profileIds');
     assertHasId(request);
+    assertUserStatus(request, false);
 
     const user = request.input.body;
     user._id = request.input.resource._id;
@@ -854,6 +968,11 @@ class SecurityController extends NativeController {
         request.input.resource._id);
     }
 
+    // replacing a disabled user does not enable it
+    if (loadedUser.disabled === true) {
+      user.disabled = true;
+    }
+
     const
       updatedUser = await this.kuzzle.repositories.user.fromDTO(user),
       createdUser = await this.kuzzle.repositories.user.persist(
@@ -864,6 +983,41 @@ class SecurityController extends NativeController {
     return formatProcessing.serializeUser(createdUser);
   }
 
+  /**
+   * Disables a user account: the user cannot log in anymore, and its
+   * authentication tokens and API keys are rejected, until the account is
+   * enabled again
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async disableUser(request) {
+    const
+      userId = this.getId(request),
+      anonymous = await this.kuzzle.repositories.user.anonymous();
+
+    if (userId === this.getUserId(request) || userId === anonymous._id) {
+      throw kerror.get('security', 'user', 'cannot_disable', userId);
+    }
+
+    return this._updateUserStatus(request, () => ({ disabled: true }));
+  }
+
+  /**
+   * Enables a disabled or expired user account. Expired accounts lose their
+   * expiration date.
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  enableUser(request) {
+    return this._updateUserStatus(
+      request,
+      user => user.isExpired()
+        ? { disabled: false, expiresAt: null }
+        : { disabled: false });
+  }
+
   /**
    * Updates an existing profile
    *
@@ -991,6 +1145,39 @@ class SecurityController extends NativeController {
     return this.mDelete('user', request);
   }
 
+  /**
+   * Returns the security audit logs matching the given query, most recent
+   * first unless a sort order is specified
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  searchAuditLogs(request) {
+    checkSearchPageLimit(
+      request,
+      this.kuzzle.config.limits.documentsFetchCount);
+
+    const { from, size, scrollTTL, searchBody } = this.getSearchParams(request);
+
+    return this.kuzzle.auditTrail.search(
+      searchBody,
+      { from, scroll: scrollTTL, size });
+  }
+
+  /**
+   * Scroll a paginated audit logs search result
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  scrollAuditLogs(request) {
+    assertHasScrollId(request);
+
+    return this.kuzzle.auditTrail.scroll(
+      request.input.args.scrollId,
+      request.input.args.scroll);
+  }
+
   /**
    * Scroll a paginated users search result
    *
@@ -1186,6 +1373,46 @@ class SecurityController extends NativeController {
     return Bluebird.resolve({});
   }
 
+  /**
+   * Returns the failed login attempts and the lock status of an account,
+   * identified by its authentication strategy login identifier
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  getLoginAttempts(request) {
+    assertHasStrategy(request);
+    assertIsStrategyRegistered(this.kuzzle, request);
+    assertHasId(request);
+
+    return this.kuzzle.loginLockout.get(
+      request.input.args.strategy,
+      request.input.resource._id);
+  }
+
+  /**
+   * Unlocks an account locked after too many failed login attempts, and
+   * forgets its failed attempts
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async unlockUser(request) {
+    assertHasStrategy(request);
+    assertIsStrategyRegistered(this.kuzzle, request);
+    assertHasId(request);
+
+    const
+      strategy = request.input.args.strategy,
+      identifier = request.input.resource._id;
+
+    await this.kuzzle.loginLockout.reset(strategy, identifier);
+
+    this.kuzzle.log.info(`[SECURITY] User "${this.getUserId(request)}" applied action "${request.input.action}" on account "${identifier}" (strategy "${strategy}").`);
+
+    return { acknowledged: true };
+  }
+
   /**
    * @param {Request} request
    * @returns {Promise<Object>}
@@ -1236,6 +1463,124 @@ class SecurityController extends NativeController {
     return Bluebird.resolve(strategyFields);
   }
 
+  /**
+   * Issues a short-lived token letting the current user act on behalf of
+   * another user, with the rights of that user, e.g. to reproduce
+   * permission problems
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async impersonate(request) {
+    const
+      userId = this.getId(request),
+      impersonatorId = this.getUserId(request),
+      config = this.kuzzle.config.security.impersonation,
+      expiresIn = request.input.args.expiresIn || config.expiresIn,
+      ttl = typeof expiresIn === 'number' ? expiresIn : ms(String(expiresIn)),
+      maxTTL = typeof config.maxTTL === 'number' ? config.maxTTL : ms(config.maxTTL);
+
+    if (typeof ttl !== 'number' || ttl <= 0) {
+      throw kerror.get('api', 'assert', 'invalid_argument', 'expiresIn', 'a positive duration');
+    }
+
+    if (ttl > maxTTL) {
+      throw kerror.get('security', 'token', 'ttl_exceeded');
+    }
+
+    const user = await this.kuzzle.repositories.user.load(userId);
+
+    if (!user) {
+      throw kerror.get('security', 'user', 'not_found', userId);
+    }
+
+    const anonymous = await this.kuzzle.repositories.user.anonymous();
+
+    if (user._id === impersonatorId || user._id === anonymous._id) {
+      throw kerror.get('security', 'user', 'cannot_impersonate', userId);
+    }
+
+    // impersonating a user must not grant rights the impersonator lacks
+    const
+      impersonatorProfiles = request.context.user.profileIds || [],
+      missingProfiles = (user.profileIds || [])
+        .filter(profileId => !impersonatorProfiles.includes(profileId));
+
+    if (missingProfiles.length > 0) {
+      throw kerror.get(
+        'security',
+        'user',
+        'impersonation_forbidden',
+        userId,
+        missingProfiles.join(', '));
+    }
+
+    // impersonating from a scoped API key does not lift its restriction
+    const options = Object.assign(
+      {
+        expiresIn: ttl,
+        impersonatedBy: impersonatorId,
+        restriction: request.context.token.restriction
+      },
+      this.getSessionOrigin(request));
+
+    const token = await this.kuzzle.repositories.token.generateToken(
+      user,
+      request.context.connection.id,
+      options);
+
+    this.kuzzle.log.info(`[SECURITY] User "${impersonatorId}" applied action "${request.input.action}" on user "${userId}."`);
+
+    return {
+      _id: token.userId,
+      expiresAt: token.expiresAt,
+      impersonatedBy: impersonatorId,
+      jwt: token.jwt,
+      ttl: token.ttl
+    };
+  }
+
+  /**
+   * Lists the sessions of a user
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async listUserSessions(request) {
+    const userId = this.getString(request, 'userId');
+
+    if (!await this.kuzzle.repositories.user.load(userId)) {
+      throw kerror.get('security', 'user', 'not_found', userId);
+    }
+
+    const sessions = await this.kuzzle.repositories.token.listSessions(userId);
+
+    return { hits: sessions, total: sessions.length };
+  }
+
+  /**
+   * Revokes one of the sessions of a user, without logging it out from its
+   * other sessions
+   *
+   * @param {Request} request
+   * @returns {Promise<Object>}
+   */
+  async revokeSession(request) {
+    const
+      userId = this.getString(request, 'userId'),
+      sessionId = this.getId(request);
+
+    if (!await this.kuzzle.repositories.user.load(userId)) {
+      throw kerror.get('security', 'user', 'not_found', userId);
+    }
+
+    await this.kuzzle.repositories.token.revokeSession(userId, sessionId);
+
+    this.kuzzle.log.info(`[SECURITY] User "${this.getUserId(request)}" applied action "${request.input.action}" on user "${userId}."`);
+
+    return { _id: sessionId };
+  }
+
   /**
    * @param {Request} request
    * @returns {Promise<null>}
@@ -1332,6 +1677,36 @@ class SecurityController extends NativeController {
     return securityDocument;
   }
 
+  /**
+   * @param {Request} request
+   * @param {Function} getStatus - returns the new status of a loaded user
+   * @returns {Promise<Object>} updated user
+   * @private
+   */
+  async _updateUserStatus(request, getStatus) {
+    const
+      userId = this.getId(request),
+      user = await this.kuzzle.repositories.user.load(userId);
+
+    if (!user) {
+      throw kerror.get('security', 'user', 'not_found', userId);
+    }
+
+    Object.assign(user, getStatus(user));
+    this.updateMetadata(user, request);
+
+    const updatedUser = await this.kuzzle.repositories.user.persist(user, {
+      database: {
+        method: 'update',
+        refresh: getRefresh(request)
+      }
+    });
+
+    this.kuzzle.log.info(`[SECURITY] User "${this.getUserId(request)}" applied action "${request.input.action}" on user "${userId}."`);
+
+    return formatProcessing.serializeUser(updatedUser);
+  }
+
   /**
    * @param {Request} request
    * @param {{ _id: string, _kuzzle_info: object }} pojoUser
@@ -43,6 +43,20 @@ const RateLimiter = require('./rateLimiter');
 
 const processError = kerror.wrap('api', 'process');
 
+// Actions that impersonation tokens cannot execute: they would give
+// impersonators credentials outliving the impersonation, or let them
+// impersonate other users
+const impersonationForbiddenActions = {
+  auth: new Set([
+    'createApiKey',
+    'createMyCredentials',
+    'deleteMyCredentials',
+    'refreshToken',
+    'updateMyCredentials'
+  ]),
+  security: new Set([ 'createApiKey', 'impersonate' ])
+};
+
 /**
  * @class CacheItem
  */
@@ -387,7 +401,9 @@ class Funnel {
 
     request.context.user = await this.kuzzle.repositories.user.load(userId);
 
-    if (! await request.context.user.isActionAllowed(request)) {
+    if ( ! await request.context.user.isActionAllowed(request)
+      || ! await this._isTokenActionAllowed(request)
+    ) {
       // anonymous user => 401 (Unauthorized) error
       // logged-in user with insufficient permissions => 403 (Forbidden) error
       const error = kerror.get(
@@ -407,6 +423,38 @@ class Funnel {
     return this.kuzzle.pipe('request:onAuthorized', request);
   }
 
+  /**
+   * Checks that the restriction of a request token, if any, allows the
+   * request action: tokens of scoped API keys only grant the rights of their
+   * owner that are also granted by their restriction, and impersonation
+   * tokens cannot be used to get new credentials
+   *
+   * @param {Request} request
+   * @returns {Promise.<boolean>}
+   */
+  async _isTokenActionAllowed (request) {
+    const { impersonatedBy, restriction } = request.context.token;
+    const { controller, action } = request.input;
+
+    if ( impersonatedBy
+      && impersonationForbiddenActions[controller]
+      && impersonationForbiddenActions[controller].has(action)
+    ) {
+      return false;
+    }
+
+    if (!restriction) {
+      return true;
+    }
+
+    const role = await this.kuzzle.repositories.role.fromDTO({
+      _id: 'restriction',
+      controllers: restriction.controllers
+    });
+
+    return role.isActionAllowed(request, restriction.restrictedTo || []);
+  }
+
   /**
    * Executes the request immediately.
    * /!\ To be used only by methods having already passed the overload check.
@@ -429,7 +477,9 @@ class Funnel {
         this.getEventName(_request, 'before'),
         _request);
 
-      const responseData = await doAction(controller, _request);
+      const responseData = await this.kuzzle.auditTrail.audit(
+        _request,
+        () => doAction(controller, _request));
 
       _request.setResult(
         responseData,
@@ -509,7 +559,9 @@ class Funnel {
    */
   async executePluginRequest (request) {
     try {
-      return await doAction(this.getController(request), request);
+      return await this.kuzzle.auditTrail.audit(
+        request,
+        () => doAction(this.getController(request), request));
     }
     catch (e) {
       this.handleErrorDump(e);
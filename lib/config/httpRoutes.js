@@ -29,6 +29,7 @@ module.exports = [
   {verb: 'get', url: '/credentials/:strategy/_me', controller: 'auth', action: 'getMyCredentials'},
   {verb: 'get', url: '/credentials/:strategy/_me/_exists', controller: 'auth', action: 'credentialsExist'},
   {verb: 'get', url: '/users/_me/_rights', controller: 'auth', action: 'getMyRights'},
+  {verb: 'get', url: '/users/_me/sessions', controller: 'auth', action: 'listMySessions'},
   {verb: 'get', url: '/strategies', controller: 'auth', action: 'getStrategies'},
 
   // We need to expose a GET method for "login" action in order to make authentication protocol like Oauth2 or CAS work:
@@ -36,7 +37,9 @@ module.exports = [
 
   {verb: 'get', url: '/:index/:collection/_exists', controller: 'collection', action: 'exists'},
   {verb: 'get', url: '/:index/:collection/_mapping', controller: 'collection', action: 'getMapping'},
+  {verb: 'get', url: '/:index/:collection/_migration', controller: 'collection', action: 'getMigration'},
   {verb: 'get', url: '/:index/:collection/_search', controller: 'document', action: 'search'},
+  {verb: 'get', url: '/:index/:collection/_searchDeleted', controller: 'document', action: 'searchDeleted'},
   {verb: 'get', url: '/:index/:collection/_specifications', controller: 'collection', action: 'getSpecifications'},
   {verb: 'get', url: '/validations/_scroll/:scrollId', controller: 'collection', action: 'scrollSpecifications'},
   {verb: 'get', url: '/:index/_list', controller: 'collection', action: 'list'},
@@ -50,10 +53,14 @@ module.exports = [
   {verb: 'post', url: '/admin/_loadFixtures', controller: 'admin', action: 'loadFixtures'},
   {verb: 'post', url: '/admin/_loadMappings', controller: 'admin', action: 'loadMappings'},
   {verb: 'post', url: '/admin/_loadSecurities', controller: 'admin', action: 'loadSecurities'},
+  {verb: 'get', url: '/admin/_exportSecurities', controller: 'admin', action: 'exportSecurities'},
+  {verb: 'post', url: '/admin/_rotateJwtKey', controller: 'admin', action: 'rotateJwtKey'},
 
   {verb: 'get', url: '/:index/:collection/:_id', controller: 'document', action: 'get'},
   {verb: 'get', url: '/:index/:collection/_mGet', controller: 'document', action: 'mGet'},
   {verb: 'get', url: '/:index/:collection/:_id/_exists', controller: 'document', action: 'exists'},
+  {verb: 'get', url: '/:index/:collection/:_id/_history', controller: 'document', action: 'getHistory'},
+  {verb: 'get', url: '/:index/:collection/:_id/_history/:revision', controller: 'document', action: 'getRevision'},
   {verb: 'get', url: '/_scroll/:scrollId', controller: 'document', action: 'scroll'},
 
   {verb: 'get', url: '/:index/_exists', controller: 'index', action: 'exists'},
@@ -68,6 +75,7 @@ module.exports = [
   {verb: 'get', url: '/users/:_id', controller: 'security', action: 'getUser'},
   {verb: 'get', url: '/users/_mGet', controller: 'security', action: 'mGetUsers'},
   {verb: 'get', url: '/users/:_id/_rights', controller: 'security', action: 'getUserRights'},
+  {verb: 'get', url: '/users/:userId/sessions', controller: 'security', action: 'listUserSessions'},
   {verb: 'get', url: '/profiles/_mapping', controller: 'security', action: 'getProfileMapping'},
   {verb: 'get', url: '/roles/_mapping', controller: 'security', action: 'getRoleMapping'},
   {verb: 'get', url: '/users/_mapping', controller: 'security', action: 'getUserMapping'},
@@ -75,9 +83,11 @@ module.exports = [
   {verb: 'get', url: '/credentials/:strategy/:_id', controller: 'security', action: 'getCredentials'},
   {verb: 'get', url: '/credentials/:strategy/:_id/_byId', controller: 'security', action: 'getCredentialsById'},
   {verb: 'get', url: '/credentials/:strategy/:_id/_exists', controller: 'security', action: 'hasCredentials'},
+  {verb: 'get', url: '/credentials/:strategy/:_id/_loginAttempts', controller: 'security', action: 'getLoginAttempts'},
   {verb: 'get', url: '/credentials/:strategy/_fields', controller: 'security', action: 'getCredentialFields'},
   {verb: 'get', url: '/credentials/_fields', controller: 'security', action: 'getAllCredentialFields'},
   {verb: 'get', url: '/profiles/_scroll/:scrollId', controller: 'security', action: 'scrollProfiles'},
+  {verb: 'get', url: '/audit-logs/_scroll/:scrollId', controller: 'security', action: 'scrollAuditLogs'},
 
   {verb: 'get', url: '/_adminExists', controller: 'server', action: 'adminExists'},
   {verb: 'get', url: '/_getAllStats', controller: 'server', action: 'getAllStats'},
@@ -154,6 +164,7 @@ module.exports = [
   {verb: 'post', url: '/_logout', controller: 'auth', action: 'logout'},
   {verb: 'post', url: '/_checkToken', controller: 'auth', action: 'checkToken'},
   {verb: 'post', url: '/_refreshToken', controller: 'auth', action: 'refreshToken'},
+  {verb: 'post', url: '/_exchangeRefreshToken', controller: 'auth', action: 'exchangeRefreshToken'},
   {verb: 'post', url: '/credentials/:strategy/_me/_create', controller: 'auth', action: 'createMyCredentials'},
   {verb: 'post', url: '/credentials/:strategy/_me/_validate', controller: 'auth', action: 'validateMyCredentials'},
 
@@ -166,6 +177,7 @@ module.exports = [
   {verb: 'post', url: '/:index/:collection/_write', controller: 'bulk', action: 'write'},
 
   {verb: 'post', url: '/:index/:collection/_refresh', controller: 'collection', action: 'refresh' },
+  {verb: 'post', url: '/:index/:collection/_migrate', controller: 'collection', action: 'migrate'},
   {verb: 'post', url: '/_security/:collection/_refresh', controller: 'security', action: 'refresh' },
 
   {verb: 'post', url: '/:index/_create', controller: 'index', action: 'create'},
@@ -173,14 +185,18 @@ module.exports = [
   {verb: 'post', url: '/:index/:collection/_count', controller: 'document', action: 'count'},
   {verb: 'post', url: '/:index/:collection/_create', controller: 'document', action: 'create'},
   {verb: 'post', url: '/:index/:collection/:_id/_create', controller: 'document', action: 'create'},
+  {verb: 'post', url: '/:index/:collection/:_id/_restore', controller: 'document', action: 'restore'},
+  {verb: 'post', url: '/:index/:collection/:_id/_restoreDeleted', controller: 'document', action: 'restoreDeleted'},
   {verb: 'post', url: '/:index/:collection/_publish', controller: 'realtime', action: 'publish'},
   {verb: 'post', url: '/:index/:collection/_search', controller: 'document', action: 'search'},
+  {verb: 'post', url: '/:index/:collection/_searchDeleted', controller: 'document', action: 'searchDeleted'},
   {verb: 'post', url: '/:index/:collection/_mGet', controller: 'document', action: 'mGet'},
   {verb: 'post', url: '/:index/:collection/_mCreate', controller: 'document', action: 'mCreate'},
   {verb: 'post', url: '/:index/:collection/_validate', controller: 'document', action: 'validate'},
 
   {verb: 'post', url: '/_createFirstAdmin/:_id', controller: 'security', action: 'createFirstAdmin'},
   {verb: 'post', url: '/_createFirstAdmin', controller: 'security', action: 'createFirstAdmin'},
+  {verb: 'post', url: '/_explainRights', controller: 'security', action: 'explainRights'},
 
   {verb: 'post', url: '/credentials/:strategy/:_id/_create', controller: 'security', action: 'createCredentials'},
   {verb: 'post', url: '/profiles/:_id/_create', controller: 'security', action: 'createProfile'},
@@ -198,7 +214,12 @@ module.exports = [
   {verb: 'post', url: '/profiles/_search', controller: 'security', action: 'searchProfiles'},
   {verb: 'post', url: '/roles/_search', controller: 'security', action: 'searchRoles'},
   {verb: 'post', url: '/users/_search', controller: 'security', action: 'searchUsers'},
+  {verb: 'post', url: '/audit-logs/_search', controller: 'security', action: 'searchAuditLogs'},
   {verb: 'post', url: '/credentials/:strategy/:_id/_validate', controller: 'security', action: 'validateCredentials'},
+  {verb: 'post', url: '/credentials/:strategy/:_id/_unlock', controller: 'security', action: 'unlockUser'},
+  {verb: 'post', url: '/users/:_id/_impersonate', controller: 'security', action: 'impersonate'},
+  {verb: 'post', url: '/users/:_id/_disable', controller: 'security', action: 'disableUser'},
+  {verb: 'post', url: '/users/:_id/_enable', controller: 'security', action: 'enableUser'},
 
   {verb: 'post', url: '/users/:userId/api-keys/_create', controller: 'security', action: 'createApiKey'},
   {verb: 'post', url: '/users/:userId/api-keys/_search', controller: 'security', action: 'searchApiKeys'},
@@ -285,6 +306,8 @@ module.exports = [
   {verb: 'delete', url: '/users/:_id', controller: 'security', action: 'deleteUser'},
   {verb: 'delete', url: '/credentials/:strategy/:_id', controller: 'security', action: 'deleteCredentials'},
   {verb: 'delete', url: '/users/:_id/tokens', controller: 'security', action: 'revokeTokens'},
+  {verb: 'delete', url: '/users/_me/sessions/:_id', controller: 'auth', action: 'revokeSession'},
+  {verb: 'delete', url: '/users/:userId/sessions/:_id', controller: 'security', action: 'revokeSession'},
 
   {verb: 'delete', url: '/ms', controller: 'ms', action: 'del'},
   {verb: 'delete', url: '/ms/_hdel/:_id', controller: 'ms', action: 'hdel'},
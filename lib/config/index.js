@@ -102,12 +102,15 @@ function checkLimitsConfig (cfg) {
     'subscriptionConditionsCount',
     'subscriptionMinterms',
     'subscriptionRooms',
-    'subscriptionDocumentTTL'
+    'subscriptionDocumentTTL',
+    'subscriptionReplayBufferSize',
+    'subscriptionReplayTTL'
   ];
   const canBeZero = [
     'subscriptionMinterms',
     'subscriptionRooms',
-    'subscriptionDocumentTTL'
+    'subscriptionDocumentTTL',
+    'subscriptionReplayBufferSize'
   ];
 
   if (!isPlainObject(cfg.limits)) {
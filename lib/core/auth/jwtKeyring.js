@@ -0,0 +1,698 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ms = require('ms');
+const { get } = require('lodash');
+const kerror = require('../../kerror');
+const debug = require('../../util/debug')('kuzzle:auth:jwtKeyring');
+
+// Internal index "config" documents
+const KEYRING_ID = 'security.jwt.keyring';
+const LEGACY_SECRET_ID = 'security.jwt.secret';
+
+// Tokens signed before the keyring existed have no "kid" header
+const LEGACY_KID = '<legacy>';
+
+// The keyring is reloaded periodically, to take keys rotated by other
+// cluster nodes into account
+const REFRESH_INTERVAL = 60000;
+
+// Tokens signed with an unknown key trigger a keyring reload, at most once
+// per second
+const MIN_REFRESH_DELAY = 1000;
+
+const algorithms = {
+  ES256: { crv: 'P-256', curve: 'prime256v1', size: 32, type: 'ec' },
+  ES384: { crv: 'P-384', curve: 'secp384r1', size: 48, type: 'ec' },
+  ES512: { crv: 'P-521', curve: 'secp521r1', size: 66, type: 'ec' },
+  HS256: { type: 'hmac' },
+  HS384: { type: 'hmac' },
+  HS512: { type: 'hmac' },
+  RS256: { type: 'rsa' },
+  RS384: { type: 'rsa' },
+  RS512: { type: 'rsa' }
+};
+
+/**
+ * Keys signing and verifying authentication tokens.
+ *
+ * Tokens are signed with the current key, and carry its identifier in their
+ * "kid" header. Rotating keys retires the current one: retired keys still
+ * verify tokens during the configured grace period, and as long as API keys
+ * signed with them have not expired. They are then forgotten.
+ *
+ * The keyring is stored in the internal index, shared by all cluster nodes.
+ * Keys are either generated by Kuzzle, or set in the configuration or in
+ * the secrets vault ("configured" keys). Private keys of configured
+ * asymmetric keys are never stored in the internal index.
+ *
+ * Tokens without a "kid" header were signed before the keyring existed,
+ * with the key it was created with (the "legacy" key).
+ *
+ * @class JwtKeyring
+ * @param {Kuzzle} kuzzle
+ */
+class JwtKeyring {
+  constructor (kuzzle) {
+    this.kuzzle = kuzzle;
+    this.config = kuzzle.config.security.jwt;
+    this.configuredKey = null;
+    this.keys = [];
+    this.lastRefresh = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Loads the keyring, creates it if it does not exist yet, and rotates
+   * keys if the configured algorithm or key changed
+   *
+   * @returns {Promise}
+   */
+  async init () {
+    if (!algorithms[this.config.algorithm]) {
+      throw kerror.get(
+        'core',
+        'configuration',
+        'out_of_range',
+        'security.jwt.algorithm',
+        Object.keys(algorithms).join(', '));
+    }
+
+    this.configuredKey = this._getConfiguredKey();
+
+    let keyring = await this._fetch();
+
+    if (keyring === null) {
+      keyring = await this._create();
+    }
+    else if (this._mustRotate(keyring)) {
+      keyring = await this._rotate(
+        keyring,
+        this.configuredKey || generateKey(this.config.algorithm));
+    }
+
+    this._use(keyring);
+
+    this.timer = setInterval(() => this.refresh(), REFRESH_INTERVAL);
+
+    // do not prevent Kuzzle from shutting down
+    this.timer.unref();
+  }
+
+  /**
+   * @returns {Object|null} key signing new tokens
+   */
+  get current () {
+    return this.keys.find(key => key.retiredAt === null) || null;
+  }
+
+  /**
+   * Signs a token payload with the current key
+   *
+   * @param {Object} payload
+   * @param {Object} options - jsonwebtoken sign options
+   * @returns {string} encoded token
+   */
+  sign (payload, options = {}) {
+    const key = this.current;
+
+    if (key === null || key.signingKey === null) {
+      throw new Error('no signing key available');
+    }
+
+    return jwt.sign(
+      payload,
+      key.signingKey,
+      Object.assign({}, options, { algorithm: key.algorithm, keyid: key.kid }));
+  }
+
+  /**
+   * Verifies a token with the key it was signed with
+   *
+   * @param {string} token
+   * @returns {Promise.<Object>} decoded payload
+   * @throws {JsonWebTokenError} If the token is invalid, or if its signing key
+   *                             is unknown or expired
+   */
+  async verify (token) {
+    const decoded = jwt.decode(token, { complete: true });
+
+    if (decoded === null || typeof decoded.header !== 'object') {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const kid = decoded.header.kid;
+    let key = this._getKey(kid);
+
+    // the token may have been signed by a key rotated by another node
+    if ( key === null
+      && kid !== undefined
+      && Date.now() - this.lastRefresh >= MIN_REFRESH_DELAY
+    ) {
+      await this.refresh();
+      key = this._getKey(kid);
+    }
+
+    if (key === null) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+
+    return jwt.verify(token, key.verificationKey, {
+      algorithms: [key.algorithm]
+    });
+  }
+
+  /**
+   * Replaces the current key with a newly generated one, using the
+   * configured algorithm
+   *
+   * @returns {Promise.<Object>} { algorithm, createdAt, kid }
+   */
+  async rotate () {
+    const key = generateKey(this.config.algorithm);
+    const keyring = await this._rotate(await this._fetch(), key);
+
+    this._use(keyring);
+
+    this.kuzzle.log.info(`[SECURITY] JWT signing key rotated (new key: "${key.kid}")`);
+
+    return {
+      algorithm: key.algorithm,
+      createdAt: key.createdAt,
+      kid: key.kid
+    };
+  }
+
+  /**
+   * Reloads the keyring from the internal index
+   *
+   * @returns {Promise}
+   */
+  async refresh () {
+    this.lastRefresh = Date.now();
+
+    try {
+      const keyring = await this._fetch();
+
+      if (keyring !== null) {
+        this._use(keyring);
+      }
+    }
+    catch (error) {
+      this.kuzzle.log.error(`[SECURITY] Cannot reload the JWT keyring: ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the public keys verifying tokens, as a JSON Web Key Set.
+   * HMAC secrets are never published.
+   *
+   * @returns {Object} { keys: [ <JWK>, ... ] }
+   */
+  getJwks () {
+    return {
+      keys: this.keys
+        .filter(key => algorithms[key.algorithm].type !== 'hmac'
+          && this._isUsable(key, Date.now()))
+        .map(toJwk)
+    };
+  }
+
+  /**
+   * @param {string} [kid] - key identifier, undefined for legacy tokens
+   * @returns {Object|null} usable key
+   */
+  _getKey (kid) {
+    const now = Date.now();
+
+    return this.keys.find(key => (kid === undefined ? key.legacy : key.kid === kid)
+      && this._isUsable(key, now)) || null;
+  }
+
+  /**
+   * @param {Object} key
+   * @param {number} now
+   * @returns {boolean} false if the key is retired, its grace period ended
+   *                    and API keys signed with it expired
+   */
+  _isUsable (key, now) {
+    if (key.retiredAt === null
+      || key.apiKeysExpireAt === -1
+      || key.apiKeysExpireAt > now
+    ) {
+      return true;
+    }
+
+    const gracePeriod = typeof this.config.keyRotationGracePeriod === 'string'
+      ? ms(this.config.keyRotationGracePeriod)
+      : this.config.keyRotationGracePeriod;
+
+    return gracePeriod === -1 || key.retiredAt + gracePeriod > now;
+  }
+
+  /**
+   * Tells whether the key set in the configuration or in the vault, or the
+   * configured algorithm, changed since the keyring was last updated
+   *
+   * @param {Object} keyring
+   * @returns {boolean}
+   */
+  _mustRotate (keyring) {
+    if (this.configuredKey !== null) {
+      return keyring.configuredKid !== this.configuredKey.kid;
+    }
+
+    const current = keyring.keys.find(key => key.retiredAt === null);
+
+    // configured keys private keys are not stored: they cannot sign tokens
+    // anymore once removed from the configuration
+    return !current
+      || current.algorithm !== this.config.algorithm
+      || current.signingKey === null;
+  }
+
+  /**
+   * @returns {Promise.<Object|null>} stored keyring, or null if it does not
+   *                                  exist yet
+   */
+  async _fetch () {
+    try {
+      const { _source } = await this.kuzzle.internalIndex.get('config', KEYRING_ID);
+
+      return _source;
+    }
+    catch (error) {
+      if (error.id === 'services.storage.not_found') {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Creates the keyring. Its first key is the configured one if there is
+   * one, the secret used before keyrings existed if there is one, or a
+   * newly generated key otherwise.
+   *
+   * @returns {Promise.<Object>} keyring
+   */
+  async _create () {
+    let key = this.configuredKey;
+
+    if (key === null && algorithms[this.config.algorithm].type === 'hmac') {
+      const seed = await this._getLegacySecret();
+
+      if (seed !== null) {
+        key = createKey(this.config.algorithm, seed);
+      }
+    }
+
+    if (key === null) {
+      key = generateKey(this.config.algorithm);
+    }
+
+    const keyring = {
+      configuredKid: this.configuredKey ? this.configuredKey.kid : null,
+      keys: [ Object.assign(toStorage(key), { legacy: true }) ]
+    };
+
+    debug('Creating the JWT keyring (key: "%s")', key.kid);
+
+    try {
+      await this.kuzzle.internalIndex.create('config', KEYRING_ID, keyring);
+    }
+    catch (error) {
+      if (error.id !== 'services.storage.document_already_exists') {
+        throw error;
+      }
+
+      // another node created the keyring first
+      return this._fetch();
+    }
+
+    return keyring;
+  }
+
+  /**
+   * @returns {Promise.<string|null>} secret stored by previous Kuzzle versions
+   */
+  async _getLegacySecret () {
+    try {
+      const { _source } = await this.kuzzle.internalIndex.get(
+        'config',
+        LEGACY_SECRET_ID);
+
+      return _source.seed;
+    }
+    catch (error) {
+      if (error.id === 'services.storage.not_found') {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Makes a key the current one, retires the previous current key and
+   * forgets keys whose grace period ended, unless unexpired API keys were
+   * signed with them
+   *
+   * @param {Object} keyring
+   * @param {Object} key - new current key
+   * @returns {Promise.<Object>} updated keyring
+   */
+  async _rotate (keyring, key) {
+    const now = Date.now();
+    const apiKeysExpiry = await this._getApiKeysExpiry(now);
+    const keys = keyring.keys
+      .filter(k => k.kid !== key.kid)
+      .map(k => Object.assign({}, k, {
+        apiKeysExpireAt: latest(
+          apiKeysExpiry[k.kid],
+          k.legacy ? apiKeysExpiry[LEGACY_KID] : undefined),
+        retiredAt: k.retiredAt === null ? now : k.retiredAt
+      }))
+      .filter(k => this._isUsable(k, now));
+
+    const updated = {
+      configuredKid: key.configured ? key.kid : keyring.configuredKid,
+      keys: [ toStorage(key), ...keys ]
+    };
+
+    debug('Rotating the JWT signing key (new key: "%s")', key.kid);
+
+    await this.kuzzle.internalIndex.createOrReplace(
+      'config',
+      KEYRING_ID,
+      updated,
+      { refresh: 'wait_for' });
+
+    return updated;
+  }
+
+  /**
+   * API keys are signed once, and stay valid until they expire: the keys
+   * that signed them must verify them until then
+   *
+   * @param {number} now
+   * @returns {Promise.<Object>} expiration date of the last API key signed
+   *                             by each key: { <kid>: <date, -1 if never> }
+   */
+  async _getApiKeysExpiry (now) {
+    const expiry = {};
+
+    await this.kuzzle.internalIndex.batchExecute(
+      'api-keys',
+      {
+        bool: {
+          should: [
+            { term: { expiresAt: -1 } },
+            { range: { expiresAt: { gt: now } } }
+          ]
+        }
+      },
+      apiKeys => {
+        for (const { _source } of apiKeys) {
+          const decoded = jwt.decode(_source.token, { complete: true });
+
+          if (decoded !== null) {
+            const kid = decoded.header.kid || LEGACY_KID;
+
+            expiry[kid] = latest(expiry[kid], _source.expiresAt);
+          }
+        }
+      });
+
+    return expiry;
+  }
+
+  /**
+   * Loads a keyring in memory. The configured key private key is read from
+   * the configuration or from the vault, since it is not stored.
+   *
+   * @param {Object} keyring
+   */
+  _use (keyring) {
+    const now = Date.now();
+
+    this.keys = keyring.keys
+      .filter(key => this._isUsable(key, now))
+      .map(key => {
+        if ( key.signingKey === null
+          && this.configuredKey !== null
+          && key.kid === this.configuredKey.kid
+        ) {
+          return Object.assign({}, key, {
+            signingKey: this.configuredKey.signingKey
+          });
+        }
+
+        return key;
+      });
+  }
+
+  /**
+   * Returns the key set in the secrets vault or in the configuration: an
+   * HMAC secret, or a PEM encoded private key for asymmetric algorithms
+   *
+   * @returns {Object|null} key, or null if none is set
+   */
+  _getConfiguredKey () {
+    let secret = this.config.secret;
+
+    if (this.config.vaultSecret) {
+      secret = get(this.kuzzle.vault.secrets, this.config.vaultSecret);
+
+      if (secret === undefined || secret === null) {
+        throw kerror.get('core', 'vault', 'secret_not_found', this.config.vaultSecret);
+      }
+    }
+
+    if (!secret) {
+      return null;
+    }
+
+    const key = createKey(this.config.algorithm, secret);
+
+    key.configured = true;
+
+    return key;
+  }
+}
+
+/**
+ * @param {number} [a] - expiration date, -1 if it never expires
+ * @param {number} [b] - expiration date, -1 if it never expires
+ * @returns {number|null} latest expiration date, null if there is none
+ */
+function latest (a, b) {
+  if (a === -1 || b === -1) {
+    return -1;
+  }
+
+  const dates = [a, b].filter(date => typeof date === 'number');
+
+  return dates.length > 0 ? Math.max(...dates) : null;
+}
+
+/**
+ * Creates a key from an HMAC secret or a PEM encoded private key, and
+ * checks that it signs tokens verified by its public key
+ *
+ * @param {string} algorithm
+ * @param {string} secret
+ * @returns {Object} key
+ * @throws If the key cannot be used with the algorithm
+ */
+function createKey (algorithm, secret) {
+  let verificationKey = secret;
+
+  try {
+    if (algorithms[algorithm].type !== 'hmac') {
+      verificationKey = crypto
+        .createPublicKey(crypto.createPrivateKey(secret))
+        .export({ format: 'pem', type: 'spki' });
+    }
+
+    jwt.verify(
+      jwt.sign({}, secret, { algorithm }),
+      verificationKey,
+      { algorithms: [algorithm] });
+  }
+  catch (error) {
+    throw kerror.getFrom(
+      error,
+      'security',
+      'token',
+      'invalid_signing_key',
+      algorithm,
+      error.message);
+  }
+
+  return {
+    algorithm,
+    configured: false,
+    createdAt: Date.now(),
+    kid: crypto
+      .createHash('sha256')
+      .update(`${algorithm}:${verificationKey}`)
+      .digest('hex')
+      .slice(0, 16),
+    legacy: false,
+    retiredAt: null,
+    signingKey: secret,
+    verificationKey
+  };
+}
+
+/**
+ * @param {string} algorithm
+ * @returns {Object} newly generated key
+ */
+function generateKey (algorithm) {
+  const { curve, type } = algorithms[algorithm];
+
+  if (type === 'hmac') {
+    return createKey(algorithm, crypto.randomBytes(512).toString('hex'));
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync(
+    type,
+    {
+      modulusLength: 2048,
+      namedCurve: curve,
+      privateKeyEncoding: { format: 'pem', type: 'pkcs8' },
+      publicKeyEncoding: { format: 'pem', type: 'spki' }
+    });
+
+  return createKey(algorithm, privateKey);
+}
+
+/**
+ * @param {Object} key
+ * @returns {Object} key, as stored in the internal index
+ */
+function toStorage (key) {
+  return {
+    algorithm: key.algorithm,
+    createdAt: key.createdAt,
+    kid: key.kid,
+    legacy: key.legacy,
+    retiredAt: key.retiredAt,
+    // configured private keys stay in the configuration or in the vault
+    signingKey: key.configured && algorithms[key.algorithm].type !== 'hmac'
+      ? null
+      : key.signingKey,
+    verificationKey: key.verificationKey
+  };
+}
+
+/**
+ * Converts an asymmetric key public key to a JSON Web Key (RFC 7517)
+ *
+ * @param {Object} key
+ * @returns {Object} JWK
+ */
+function toJwk (key) {
+  const { crv, size, type } = algorithms[key.algorithm];
+  const publicKey = crypto.createPublicKey(key.verificationKey);
+  const jwk = { alg: key.algorithm, kid: key.kid, use: 'sig' };
+
+  if (type === 'rsa') {
+    // PKCS#1 RSAPublicKey: SEQUENCE { modulus INTEGER, exponent INTEGER }
+    const der = publicKey.export({ format: 'der', type: 'pkcs1' });
+    const sequence = readDer(der, 0);
+    const modulus = readDer(der, sequence.start);
+    const exponent = readDer(der, modulus.end);
+
+    return Object.assign(jwk, {
+      e: base64url(trimInteger(der.slice(exponent.start, exponent.end))),
+      kty: 'RSA',
+      n: base64url(trimInteger(der.slice(modulus.start, modulus.end)))
+    });
+  }
+
+  // SubjectPublicKeyInfo ends with the uncompressed point: 0x04 || X || Y
+  const der = publicKey.export({ format: 'der', type: 'spki' });
+  const point = der.slice(der.length - 2 * size);
+
+  return Object.assign(jwk, {
+    crv,
+    kty: 'EC',
+    x: base64url(point.slice(0, size)),
+    y: base64url(point.slice(size))
+  });
+}
+
+/**
+ * Reads the header of a DER element
+ *
+ * @param {Buffer} der
+ * @param {number} offset - element position
+ * @returns {Object} { start, end } element content boundaries
+ */
+function readDer (der, offset) {
+  let length = der[offset + 1];
+  let start = offset + 2;
+
+  // long form: the first byte gives the number of length bytes
+  if (length & 0x80) {
+    const bytes = length & 0x7f;
+
+    length = 0;
+
+    for (let i = 0; i < bytes; i++) {
+      length = length * 256 + der[start + i];
+    }
+
+    start += bytes;
+  }
+
+  return { end: start + length, start };
+}
+
+/**
+ * @param {Buffer} integer - DER encoded unsigned integer
+ * @returns {Buffer} integer without its sign byte
+ */
+function trimInteger (integer) {
+  return integer[0] === 0 ? integer.slice(1) : integer;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base64url (buffer) {
+  return buffer
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+module.exports = JwtKeyring;
@@ -0,0 +1,206 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ms = require('ms');
+const { get } = require('lodash');
+const kerror = require('../../kerror');
+const debug = require('../../util/debug')('kuzzle:auth:loginLockout');
+
+/**
+ * Locks accounts after repeated failed login attempts, whatever the
+ * authentication strategy used.
+ *
+ * Accounts are identified by their strategy, and by the login identifier
+ * sent in login requests bodies: the field named by the strategy
+ * "usernameField" option, or "username" by default, or else the first
+ * credentials field declared by the strategy. Login identifiers are not
+ * resolved to users, so that locks behave the same whether an account
+ * exists or not.
+ *
+ * Failed attempts and locks are stored in the internal cache, shared by all
+ * cluster nodes. Each new lock of an account lasts twice as long as the
+ * previous one, up to a configured maximum.
+ *
+ * @class LoginLockout
+ * @param {Kuzzle} kuzzle
+ */
+class LoginLockout {
+  constructor (kuzzle) {
+    this.kuzzle = kuzzle;
+    this.config = kuzzle.config.security.lockout;
+  }
+
+  get cache () {
+    return this.kuzzle.cacheEngine.internal;
+  }
+
+  /**
+   * Returns the login identifier sent in a login request
+   *
+   * @param {string} strategy
+   * @param {Object|null} body - login request body
+   * @returns {string|null} login identifier, or null if there is none
+   */
+  getIdentifier (strategy, body) {
+    if (!this.config.enabled || body === null || typeof body !== 'object') {
+      return null;
+    }
+
+    const config = get(
+      this.kuzzle.pluginsManager.strategies,
+      [strategy, 'strategy', 'config'],
+      {});
+    const usernameField = get(config, ['strategyOptions', 'usernameField']);
+    // secrets must not be used as identifiers: they would be stored in the
+    // cache and sent with "auth:accountLocked" events
+    const declared = (config.fields || [])
+      .find(field => !/password|secret/i.test(field));
+    const fields = usernameField
+      ? [usernameField]
+      : ['username', declared];
+
+    for (const field of fields) {
+      const identifier = field ? body[field] : undefined;
+
+      if (typeof identifier === 'string' && identifier.length > 0) {
+        return identifier;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {string} strategy
+   * @param {string} identifier - login identifier
+   * @returns {Promise}
+   * @throws {TooManyRequestsError} If the account is locked
+   */
+  async assertNotLocked (strategy, identifier) {
+    const lockedUntil = await this.cache.get(this._key(strategy, identifier, 'lock'));
+
+    if (lockedUntil !== null && Number(lockedUntil) > Date.now()) {
+      throw kerror.get(
+        'security',
+        'credentials',
+        'locked',
+        Math.ceil((Number(lockedUntil) - Date.now()) / 1000));
+    }
+  }
+
+  /**
+   * Counts a failed login attempt, and locks the account if there are too
+   * many of them
+   *
+   * @param {string} strategy
+   * @param {string} identifier - login identifier
+   * @returns {Promise}
+   */
+  async fail (strategy, identifier) {
+    const attemptsKey = this._key(strategy, identifier, 'attempts');
+    const attempts = await this.cache.incr(attemptsKey);
+
+    if (attempts === 1) {
+      await this.cache.pexpire(attemptsKey, ms(this.config.attemptsTTL));
+    }
+
+    // concurrent failures exceeding the limit do not lock the account twice
+    if (attempts !== this.config.maxAttempts) {
+      return;
+    }
+
+    const locksKey = this._key(strategy, identifier, 'locks');
+    const locks = await this.cache.incr(locksKey);
+    const duration = Math.min(
+      ms(this.config.duration) * Math.pow(2, locks - 1),
+      ms(this.config.maxDuration));
+    const lockedUntil = Date.now() + duration;
+
+    await this.cache.del(attemptsKey);
+    await this.cache.psetex(
+      this._key(strategy, identifier, 'lock'),
+      duration,
+      String(lockedUntil));
+
+    // locks are forgotten if no login fails shortly after the last one ends
+    await this.cache.pexpire(locksKey, duration + ms(this.config.attemptsTTL));
+
+    debug('Account "%s" (strategy "%s") locked for %d ms', identifier, strategy, duration);
+
+    this.kuzzle.emit('auth:accountLocked', {
+      _id: identifier,
+      lockedUntil,
+      locks,
+      strategy
+    });
+  }
+
+  /**
+   * Forgets the failed login attempts and the locks of an account
+   *
+   * @param {string} strategy
+   * @param {string} identifier - login identifier
+   * @returns {Promise}
+   */
+  async reset (strategy, identifier) {
+    await this.cache.del(
+      this._key(strategy, identifier, 'attempts'),
+      this._key(strategy, identifier, 'lock'),
+      this._key(strategy, identifier, 'locks'));
+  }
+
+  /**
+   * @param {string} strategy
+   * @param {string} identifier - login identifier
+   * @returns {Promise.<Object>} { attempts, locked, lockedUntil, locks }
+   */
+  async get (strategy, identifier) {
+    const [attempts, lockedUntil, locks] = await this.cache.mget(
+      this._key(strategy, identifier, 'attempts'),
+      this._key(strategy, identifier, 'lock'),
+      this._key(strategy, identifier, 'locks'));
+    const locked = lockedUntil !== null && Number(lockedUntil) > Date.now();
+
+    return {
+      attempts: Number(attempts) || 0,
+      locked,
+      lockedUntil: locked ? Number(lockedUntil) : null,
+      locks: Number(locks) || 0
+    };
+  }
+
+  /**
+   * Keys of a same account share a hash tag, to be stored on the same
+   * Redis cluster node
+   *
+   * @param {string} strategy
+   * @param {string} identifier
+   * @param {string} name
+   * @returns {string}
+   */
+  _key (strategy, identifier, name) {
+    return `{lockout/${strategy}/${identifier}}/${name}`;
+  }
+}
+
+module.exports = LoginLockout;
@@ -0,0 +1,294 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const ms = require('ms');
+const Bluebird = require('bluebird');
+const kerror = require('../../kerror');
+const debug = require('../../util/debug')('kuzzle:auth:refreshTokens');
+
+const securityError = kerror.wrap('security', 'token');
+
+// Internal index collection storing refresh tokens
+const COLLECTION = 'refresh-tokens';
+
+// Expired refresh tokens are looked for at most once per hour
+const MAX_PURGE_INTERVAL = 3600000;
+
+/**
+ * Long-lived refresh tokens, exchangeable for new authentication tokens.
+ *
+ * Refresh tokens are opaque random strings, stored hashed in the internal
+ * index. Each refresh token can only be used once: exchanging it issues a
+ * new refresh token, belonging to the same chain. Presenting an already
+ * used refresh token means that it leaked: the whole chain is revoked,
+ * along with the authentication tokens issued with it.
+ *
+ * @class RefreshTokens
+ * @param {Kuzzle} kuzzle
+ */
+class RefreshTokens {
+  constructor (kuzzle) {
+    this.kuzzle = kuzzle;
+    this.config = kuzzle.config.security.refreshTokens;
+    this.timer = null;
+  }
+
+  get cache () {
+    return this.kuzzle.cacheEngine.internal;
+  }
+
+  /**
+   * Starts purging expired refresh tokens
+   */
+  init () {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    this.timer = setInterval(
+      () => this.purge(),
+      Math.min(ms(this.config.expiresIn), MAX_PURGE_INTERVAL));
+
+    // do not prevent Kuzzle from shutting down
+    this.timer.unref();
+  }
+
+  /**
+   * Creates a refresh token. The refresh token is indexed before being
+   * returned, so that revoking its chain or its user never misses it.
+   *
+   * @param {string} userId
+   * @param {string} sessionId - identifier of the authentication token
+   *                             issued along with the refresh token
+   * @param {Object} options - { chainId (new chain), ip (null),
+   *                             protocol (null) }
+   * @returns {Promise.<Object>} { expiresAt, refreshToken }
+   * @throws {PreconditionError} If refresh tokens are disabled
+   */
+  async create (userId, sessionId, { chainId = null, ip = null, protocol = null } = {}) {
+    if (!this.config.enabled) {
+      throw securityError.get('refresh_tokens_disabled');
+    }
+
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const createdAt = Date.now();
+    const expiresAt = createdAt + ms(this.config.expiresIn);
+
+    await this.kuzzle.internalIndex.create(COLLECTION, hash(refreshToken), {
+      chainId: chainId || crypto.randomBytes(16).toString('hex'),
+      createdAt,
+      expiresAt,
+      ip,
+      protocol,
+      sessionId,
+      usedAt: null,
+      userId
+    }, { refresh: 'wait_for' });
+
+    return { expiresAt, refreshToken };
+  }
+
+  /**
+   * Uses a refresh token. Refresh tokens can only be used once: using one
+   * twice revokes its chain.
+   *
+   * @param {string} refreshToken
+   * @returns {Promise.<Object>} used refresh token: { chainId, userId, ... }
+   * @throws {UnauthorizedError} If the refresh token is unknown, expired or
+   *                             has already been used
+   * @throws {PreconditionError} If refresh tokens are disabled
+   */
+  async use (refreshToken) {
+    if (!this.config.enabled) {
+      throw securityError.get('refresh_tokens_disabled');
+    }
+
+    const id = hash(refreshToken);
+    let document;
+
+    try {
+      document = (await this.kuzzle.internalIndex.get(COLLECTION, id))._source;
+    }
+    catch (error) {
+      if (error.id === 'services.storage.not_found') {
+        throw securityError.get('invalid_refresh_token');
+      }
+
+      throw error;
+    }
+
+    if (document.expiresAt <= Date.now()) {
+      throw securityError.get('invalid_refresh_token');
+    }
+
+    // the cache makes concurrent uses of a same refresh token fail, and the
+    // stored "usedAt" date keeps rejecting it if the cache is flushed
+    const claimed = document.usedAt === null && await this.cache.set(
+      `refreshTokens/${id}/used`,
+      '1',
+      'PX',
+      document.expiresAt - Date.now(),
+      'NX');
+
+    if (!claimed) {
+      await this._onReuse(document);
+      throw securityError.get('invalid_refresh_token');
+    }
+
+    try {
+      await this.kuzzle.internalIndex.update(COLLECTION, id, { usedAt: Date.now() });
+    }
+    catch (error) {
+      // the chain has been revoked meanwhile
+      if (error.id === 'services.storage.not_found') {
+        throw securityError.get('invalid_refresh_token');
+      }
+
+      throw error;
+    }
+
+    return document;
+  }
+
+  /**
+   * Revokes a chain of refresh tokens, and the authentication tokens issued
+   * with them
+   *
+   * @param {Object} document - reused refresh token
+   * @returns {Promise}
+   */
+  async _onReuse (document) {
+    const { chainId, userId } = document;
+
+    this.kuzzle.log.warn(`[SECURITY] Reused refresh token for user "${userId}": revoking its chain ("${chainId}")`);
+
+    const { hits } = await this.kuzzle.internalIndex.search(
+      COLLECTION,
+      { query: { term: { chainId } } },
+      { size: this.kuzzle.config.limits.documentsFetchCount });
+
+    await this._delete({ term: { chainId } });
+
+    await Bluebird.map(hits, async ({ _source }) => {
+      try {
+        await this.kuzzle.repositories.token.revokeSession(
+          userId,
+          _source.sessionId);
+      }
+      catch (error) {
+        // the authentication token has already expired or been revoked
+        if (error.id !== 'security.token.session_not_found') {
+          throw error;
+        }
+      }
+    });
+
+    this.kuzzle.emit('auth:refreshTokenReused', { chainId, userId });
+  }
+
+  /**
+   * Revokes the refresh tokens chains of a user session
+   *
+   * @param {string} userId
+   * @param {string} sessionId
+   * @returns {Promise}
+   */
+  async revokeSession (userId, sessionId) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    const { hits } = await this.kuzzle.internalIndex.search(
+      COLLECTION,
+      {
+        query: {
+          bool: {
+            filter: [ { term: { userId } }, { term: { sessionId } } ]
+          }
+        }
+      });
+
+    if (hits.length === 0) {
+      return;
+    }
+
+    await this._delete({
+      terms: { chainId: hits.map(({ _source }) => _source.chainId) }
+    });
+  }
+
+  /**
+   * Revokes all refresh tokens of a user
+   *
+   * @param {string} userId
+   * @returns {Promise}
+   */
+  async revokeUser (userId) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    await this._delete({ term: { userId } });
+  }
+
+  /**
+   * Deletes expired refresh tokens
+   *
+   * @returns {Promise}
+   */
+  async purge () {
+    debug('Deleting expired refresh tokens');
+
+    try {
+      await this._delete({ range: { expiresAt: { lt: Date.now() } } });
+    }
+    catch (error) {
+      this.kuzzle.log.error(`[SECURITY] Cannot delete expired refresh tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * The deletion does not stop on refresh tokens being used meanwhile:
+   * these are skipped, and are already marked as used anyway
+   *
+   * @param {Object} query
+   * @returns {Promise}
+   */
+  _delete (query) {
+    return this.kuzzle.internalIndex.deleteByQuery(
+      COLLECTION,
+      query,
+      { conflicts: 'proceed', fetch: false });
+  }
+}
+
+/**
+ * @param {string} refreshToken
+ * @returns {string} refresh token hash, used as its storage identifier
+ */
+function hash (refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+module.exports = RefreshTokens;
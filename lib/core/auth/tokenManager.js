@@ -37,8 +37,8 @@ const TIMEOUT_MAX = Math.pow(2, 31) - 1;
 
 /**
  * Maintains a list of valid tokens used by real-time subscriptions
- * When a token expires, this module cleans up the corresponding connection's
- * subscriptions, and notify the user
+ * When a token expires, or when the account of its user expires, this module
+ * cleans up the corresponding connection's subscriptions, and notify the user
  *
  * @class TokenManager
  * @param {Kuzzle} kuzzle
@@ -49,7 +49,8 @@ class TokenManager {
     this.kuzzle = kuzzle;
 
     /*
-     * Tokens are sorted by their expiration date
+     * Tokens are sorted by their expiration date, capped at the expiration
+     * date of their user account, if any
      *
      * The token id is added to the key to handle
      * equality between different tokens sharing
@@ -63,6 +64,7 @@ class TokenManager {
       return a.idx < b.idx ? -1 : 1;
     });
     this.tokensByConnectedUser = new Map();
+    this.tokensById = new Map();
 
     this.timer = null;
   }
@@ -86,8 +88,9 @@ class TokenManager {
    * @param {Token} token
    * @param {String} connectionId
    * @param {String} roomId
+   * @param {User} [user] - token user
    */
-  link (token, connectionId, roomId) {
+  link (token, connectionId, roomId, user = null) {
     // Embedded SDK does not use tokens
     if (! token
       || token._id === this.kuzzle.repositories.token.anonymous()._id
@@ -95,12 +98,14 @@ class TokenManager {
       return;
     }
 
-    const
-      idx = getTokenIndex(token),
-      pos = this.tokens.search({idx});
+    const pos = this._search(token);
 
     if (pos === -1) {
-      this._add(token, connectionId, [roomId]);
+      this._add(
+        token,
+        connectionId,
+        [roomId],
+        user && typeof user.expiresAt === 'number' ? user.expiresAt : null);
     }
     else {
       this.tokens.array[pos].rooms.add(roomId);
@@ -121,9 +126,7 @@ class TokenManager {
       return;
     }
 
-    const
-      idx = getTokenIndex(token),
-      pos = this.tokens.search({idx});
+    const pos = this._search(token);
 
     if (pos > -1) {
       this.tokens.array[pos].rooms.delete(roomId);
@@ -147,9 +150,7 @@ class TokenManager {
       return;
     }
 
-    const
-      idx = getTokenIndex(token),
-      searchResult = this.tokens.search({idx});
+    const searchResult = this._search(token);
 
     if (searchResult > -1) {
       const connectionId = this.tokens.array[searchResult].connectionId;
@@ -169,9 +170,7 @@ class TokenManager {
    * @param  {Token} newToken
    */
   refresh (oldToken, newToken) {
-    const
-      oldIndex = getTokenIndex(oldToken),
-      pos = this.tokens.search({idx: oldIndex});
+    const pos = this._search(oldToken);
 
     // If the old token has been created and then refreshed within the same
     // second, then it has the exact same characteristics than the new one.
@@ -181,12 +180,14 @@ class TokenManager {
     // potentially very, very, very hard to debug random problem before it
     // occurs
     if (pos > -1 && oldToken._id !== newToken._id) {
-      this._add(
-        newToken,
-        this.tokens.array[pos].connectionId,
-        [...this.tokens.array[pos].rooms]);
+      const data = this.tokens.array[pos];
 
       this._deleteByIndex(pos);
+      this._add(
+        newToken,
+        data.connectionId,
+        [...data.rooms],
+        data.userExpiresAt);
     }
   }
 
@@ -195,24 +196,15 @@ class TokenManager {
 
     // API key can never expire (-1)
     if (arr.length > 0 && (arr[0].expiresAt > 0 && arr[0].expiresAt < Date.now())) {
-      const connectionId = arr[0].connectionId;
+      const data = arr[0];
 
-      arr.shift();
+      this._deleteByIndex(0);
 
-      // Send a token expiration notification to the user
-      const customer = this.kuzzle.hotelClerk.customers.get(connectionId);
-      if (customer) {
-        const rooms = Array.from(customer.keys());
-
-        await this.kuzzle.notifier.notifyServer(
-          rooms,
-          connectionId,
-          'TokenExpired',
-          'Authentication Token Expired');
-
-        await this.kuzzle.hotelClerk.removeCustomerFromAllRooms(
-          new RequestContext({ connection: { id: connectionId } }));
-      }
+      await this._expireConnection(
+        data.connectionId,
+        data.expiresAt === data.tokenExpiresAt
+          ? 'Authentication Token Expired'
+          : 'User Account Expired');
 
       setImmediate(() => this.checkTokensValidity());
       return;
@@ -223,6 +215,67 @@ class TokenManager {
     }
   }
 
+  /**
+   * Expires the tokens of a user account that is no longer active (e.g.
+   * disabled, or expired): their real-time connections are notified and
+   * their subscriptions are cleaned up
+   *
+   * @param {string} userId
+   * @param {string} message - notification message
+   * @returns {Promise}
+   */
+  async expireUser(userId, message) {
+    const expired = this.tokens.array.filter(data => data.userId === userId);
+
+    for (const data of expired) {
+      this._deleteByIndex(this.tokens.search({idx: data.idx}));
+      await this._expireConnection(data.connectionId, message);
+    }
+  }
+
+  /**
+   * Updates the expiration date of the account of a user, capping the
+   * expiration dates of their linked tokens
+   *
+   * @param {string} userId
+   * @param {number|null} expiresAt - null if the account never expires
+   */
+  setUserExpiry(userId, expiresAt) {
+    const linked = this.tokens.array
+      .filter(data => data.userId === userId && data.userExpiresAt !== expiresAt);
+
+    for (const data of linked) {
+      this._deleteByIndex(this.tokens.search({idx: data.idx}));
+      this._add(toToken(data), data.connectionId, [...data.rooms], expiresAt);
+    }
+  }
+
+  /**
+   * Sends a token expiration notification to a connection, and removes its
+   * subscriptions
+   *
+   * @param {string} connectionId
+   * @param {string} message
+   * @returns {Promise}
+   * @private
+   */
+  async _expireConnection(connectionId, message) {
+    const customer = this.kuzzle.hotelClerk.customers.get(connectionId);
+
+    if (!customer) {
+      return;
+    }
+
+    await this.kuzzle.notifier.notifyServer(
+      Array.from(customer.keys()),
+      connectionId,
+      'TokenExpired',
+      message);
+
+    await this.kuzzle.hotelClerk.removeCustomerFromAllRooms(
+      new RequestContext({ connection: { id: connectionId } }));
+  }
+
   /**
    * Gets the token matching user & connection if any
    *
@@ -233,7 +286,36 @@ class TokenManager {
   getConnectedUserToken(userId, connectionId) {
     const data = this.tokensByConnectedUser.get(`${userId}#${connectionId}`);
 
-    return data ? new Token(data) : null;
+    return data ? toToken(data) : null;
+  }
+
+  /**
+   * Gets the real-time connections linked to a token on this node
+   *
+   * @param {Token} token
+   * @returns {Array.<Object>} [ { _id: connectionId, subscriptions } ]
+   */
+  getConnections(token) {
+    const pos = this._search(token);
+
+    if (pos === -1) {
+      return [];
+    }
+
+    const data = this.tokens.array[pos];
+
+    return [ { _id: data.connectionId, subscriptions: data.rooms.size } ];
+  }
+
+  /**
+   * @param {Token} token
+   * @returns {number} position of a linked token in the tokens list, or -1
+   * @private
+   */
+  _search(token) {
+    const data = this.tokensById.get(token._id);
+
+    return data ? this.tokens.search({idx: data.idx}) : -1;
   }
 
   /**
@@ -242,17 +324,23 @@ class TokenManager {
    * @param {Token} token
    * @param {string} connectionId
    * @param {Array<string>} roomIds
+   * @param {number|null} userExpiresAt - user account expiration date
    * @private
    */
-  _add(token, connectionId, roomIds = []) {
+  _add(token, connectionId, roomIds = [], userExpiresAt = null) {
     const data = Object.assign({}, token, {
       connectionId,
-      idx: getTokenIndex(token),
-      rooms: new Set(roomIds)
+      expiresAt: capExpiry(token.expiresAt, userExpiresAt),
+      rooms: new Set(roomIds),
+      tokenExpiresAt: token.expiresAt,
+      userExpiresAt
     });
 
+    data.idx = getTokenIndex(data);
+
     this.tokens.insert(data);
     this.tokensByConnectedUser.set(`${data.userId}#${data.connectionId}`, data);
+    this.tokensById.set(data._id, data);
 
     if (this.tokens.array[0].idx === data.idx) {
       this.runTimer();
@@ -267,6 +355,7 @@ class TokenManager {
     }
 
     this.tokensByConnectedUser.delete(`${data.userId}#${data.connectionId}`);
+    this.tokensById.delete(data._id);
     this.tokens.array.splice(index, 1);
   }
 }
@@ -280,4 +369,27 @@ function getTokenIndex(token) {
   return `${token.expiresAt};${token._id}`;
 }
 
+/**
+ * @param {number} tokenExpiresAt - -1 if the token never expires (API keys)
+ * @param {number|null} userExpiresAt - null if the account never expires
+ * @returns {number} date at which the token cannot be used anymore
+ */
+function capExpiry(tokenExpiresAt, userExpiresAt) {
+  if (userExpiresAt === null) {
+    return tokenExpiresAt;
+  }
+
+  return tokenExpiresAt > 0
+    ? Math.min(tokenExpiresAt, userExpiresAt)
+    : userExpiresAt;
+}
+
+/**
+ * @param {Object} data - linked token
+ * @returns {Token} token, with its own expiration date
+ */
+function toToken(data) {
+  return new Token(Object.assign({}, data, { expiresAt: data.tokenExpiresAt }));
+}
+
 module.exports = TokenManager;
@@ -353,6 +353,9 @@ class EntryPoint {
         connection,
         error: request.error,
         extra,
+        impersonatedBy: request.context.token
+          ? request.context.token.impersonatedBy || null
+          : null,
         request: request.input,
         status: request.status
       });
@@ -368,7 +371,9 @@ class EntryPoint {
     if (request.context.token !== null) {
       user = request.context.token.userId === this.anonymousUserId
         ? '(anonymous)'
-        : request.context.token.userId;
+        : formatUser(
+          request.context.token.userId,
+          request.context.token.impersonatedBy);
     }
 
     // = apache combined
@@ -389,9 +394,10 @@ class EntryPoint {
           if (authHdr.toLowerCase().indexOf('bearer') === 0) {
             const
               b64Payload = authHdr.split('.')[1],
-              payload = Buffer.from(b64Payload, 'base64').toString('utf8');
+              payload = Buffer.from(b64Payload, 'base64').toString('utf8'),
+              { _id, impersonatedBy } = JSON.parse(payload);
 
-            user = JSON.parse(payload)._id;
+            user = formatUser(_id, impersonatedBy);
           }
           else {
             user = Buffer
@@ -442,9 +448,10 @@ class EntryPoint {
         try {
           const
             b64Payload = request.input.jwt.split('.')[1],
-            payload = Buffer.from(b64Payload, 'base64').toString('utf8');
+            payload = Buffer.from(b64Payload, 'base64').toString('utf8'),
+            { _id, impersonatedBy } = JSON.parse(payload);
 
-          user = JSON.parse(payload)._id;
+          user = formatUser(_id, impersonatedBy);
         }
         catch (err) {
           // do nothing: we don't know anything about the token, it may be
@@ -589,4 +596,13 @@ class EntryPoint {
   }
 }
 
+/**
+ * @param {string} userId
+ * @param {string} [impersonatedBy]
+ * @returns {string} access log user, e.g. "jdoe(impersonatedBy:admin)"
+ */
+function formatUser (userId, impersonatedBy) {
+  return impersonatedBy ? `${userId}(impersonatedBy:${impersonatedBy})` : userId;
+}
+
 module.exports = EntryPoint;
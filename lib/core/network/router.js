@@ -132,6 +132,17 @@ class Router {
       cb(request);
     });
 
+    // Public keys verifying authentication tokens, for third-party services
+    this.http.get('/.well-known/jwks.json', (request, cb) => {
+      request.setResult(this.kuzzle.jwtKeyring.getJwks(), {
+        headers: {'content-type': 'application/json'},
+        raw: true,
+        status: 200
+      });
+
+      cb(request);
+    });
+
     // Register API routes
     this.kuzzle.config.http.routes.forEach(route => {
       const verb = route.verb.toLowerCase();
@@ -24,6 +24,9 @@
 const Bluebird = require('bluebird');
 const { Request } = require('kuzzle-common-objects');
 const kerror = require('../../kerror');
+const koncordeToElasticsearch = require('../../util/koncordeToElasticsearch');
+const projectFields = require('../../util/projectFields');
+const { isPlainObject } = require('../../util/safeObject');
 const debug = require('../../util/debug')('kuzzle:realtime:hotelClerc');
 
 const realtimeError = kerror.wrap('core', 'realtime');
@@ -31,10 +34,24 @@ const realtimeError = kerror.wrap('core', 'realtime');
 const CHANNEL_ALLOWED_VALUES = ['all', 'in', 'out', 'none'];
 
 class Channel {
-  constructor (kuzzle, roomId, { scope='all', users='none', propagate=true } = {}) {
+  constructor (
+    kuzzle,
+    roomId,
+    {
+      scope='all',
+      users='none',
+      propagate=true,
+      fields=null,
+      changes=false,
+      throttle=0
+    } = {}
+  ) {
     this.scope = scope;
     this.users = users;
     this.cluster = propagate;
+    this.fields = Channel.normalizeFields(fields);
+    this.changes = changes;
+    this.throttle = throttle;
 
     if (! CHANNEL_ALLOWED_VALUES.includes(this.scope)) {
       throw realtimeError.get('invalid_scope');
@@ -44,8 +61,59 @@ class Channel {
       throw realtimeError.get('invalid_users');
     }
 
+    if (typeof this.changes !== 'boolean') {
+      throw kerror.get('api', 'assert', 'invalid_type', 'changes', 'boolean');
+    }
+
+    if (! Number.isInteger(this.throttle) || this.throttle < 0) {
+      throw realtimeError.get('invalid_throttle');
+    }
+
     this.name = `${roomId}-${kuzzle.constructor.hash(this)}`;
   }
+
+  /**
+   * Validates the "fields" subscription argument
+   *
+   * @param {Object} fields - {include: [paths], exclude: [paths]}
+   * @returns {Object|null} null if no projection is requested
+   * @throws {core.realtime.invalid_fields}
+   */
+  static normalizeFields (fields) {
+    if (fields === null || fields === undefined) {
+      return null;
+    }
+
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+      throw realtimeError.get('invalid_fields');
+    }
+
+    const normalized = {};
+
+    for (const key of Object.keys(fields)) {
+      if (key !== 'include' && key !== 'exclude') {
+        throw realtimeError.get('invalid_fields');
+      }
+    }
+
+    for (const key of ['exclude', 'include']) {
+      const paths = fields[key] || [];
+
+      if ( !Array.isArray(paths)
+        || paths.some(p => typeof p !== 'string' || p.length === 0)
+      ) {
+        throw realtimeError.get('invalid_fields');
+      }
+
+      normalized[key] = paths;
+    }
+
+    if (normalized.include.length === 0 && normalized.exclude.length === 0) {
+      return null;
+    }
+
+    return normalized;
+  }
 }
 
 class HotelClerk {
@@ -86,7 +154,18 @@ class HotelClerk {
      *
      *          // should propagate notification to the cluster
      *          // (used for plugin subscriptions)
-     *          cluster: true|false
+     *          cluster: true|false,
+     *
+     *          // documents fields sent in notifications, default: null
+     *          // (all fields)
+     *          fields: { include: [paths], exclude: [paths] }|null,
+     *
+     *          // list changes in update notifications, default: false
+     *          changes: true|false,
+     *
+     *          // minimum delay between two notifications about a same
+     *          // document, in milliseconds, default: 0 (no throttling)
+     *          throttle: <number>
      *        }
      *      },
      *      index: 'index',
@@ -107,6 +186,39 @@ class HotelClerk {
      *   Map.<customer ID, Map.<room Id, volatile data>>
      */
     this.customers = new Map();
+
+    /**
+     * Identifier of the user (kuid) behind each customer connection
+     *
+     * Map.<connection id, kuid>
+     */
+    this.customersUsers = new Map();
+
+    /**
+     * Number of rooms subscribed by each user, all connections included.
+     * Used with the profiles "subscriptionsPerUser" limit
+     *
+     * Map.<kuid, number>
+     */
+    this.usersSubscriptions = new Map();
+
+    /**
+     * Subscriptions allowed by the profiles limits, but not added yet.
+     * Counted with the added ones, so that concurrent subscriptions cannot
+     * exceed these limits
+     *
+     * Set.<{ connectionId, kuid }>
+     */
+    this.subscriptionReservations = new Set();
+
+    /**
+     * Rooms that lost their last subscriber because of a disconnection,
+     * kept alive for a while so that subscriptions can be resumed
+     * (see the "limits.subscriptionReplayTTL" configuration)
+     *
+     * Map.<room ID, timer>
+     */
+    this.lingeringRooms = new Map();
   }
 
   /**
@@ -147,7 +259,11 @@ class HotelClerk {
 
     Object.assign(diff, response.diff);
 
-    const subResponse = await this._subscribeToRoom(response.roomId, request);
+    const { snapshot, from, size } = request.input.args;
+    const subResponse = await this._subscribeToRoom(
+      response.roomId,
+      request,
+      snapshot ? { filters: request.input.body, from, size } : null);
 
     if (subResponse.diff && subResponse.cluster) {
       Object.assign(diff, subResponse.diff);
@@ -175,6 +291,54 @@ class HotelClerk {
     return {count: room.customers.size};
   }
 
+  /**
+   * Returns the users subscribed to a room, along with the volatile data
+   * they provided when subscribing.
+   * Only subscribers of that room can get its presence list.
+   *
+   * @param {Request} request
+   * @param {number} from - members list offset
+   * @param {number} size - members list maximum size
+   * @returns {Object} {members: [{kuid, volatile}], total}
+   */
+  getPresence (request, from, size) {
+    const roomId = request.input.body.roomId;
+    const room = this.rooms.get(roomId);
+
+    if (! room) {
+      throw realtimeError.get('room_not_found', roomId);
+    }
+
+    const connectionId = request.context.connection.id;
+    const customer = this.customers.get(connectionId);
+
+    if (! customer || ! customer.has(roomId)) {
+      throw realtimeError.get('not_subscribed', connectionId, roomId);
+    }
+
+    const members = [];
+    let i = 0;
+
+    for (const customerId of room.customers) {
+      if (i >= from + size) {
+        break;
+      }
+
+      if (i >= from) {
+        const volatile = this.customers.get(customerId).get(roomId);
+
+        members.push({
+          kuid: this.customersUsers.get(customerId) || null,
+          volatile: volatile === undefined ? null : volatile
+        });
+      }
+
+      i++;
+    }
+
+    return { members, total: room.customers.size };
+  }
+
   /**
    * Given an index, returns an array of collections on which some filters are registered
    * @param {string} index
@@ -298,7 +462,7 @@ class HotelClerk {
 
     for (const roomId of customer.keys()) {
       promises.push(
-        this._removeRoomForCustomer(requestContext, roomId)
+        this._removeRoomForCustomer(requestContext, roomId, true, true)
           .catch(err => this.kuzzle.log.error(err)));
     }
 
@@ -357,8 +521,9 @@ class HotelClerk {
    * @param {string} connectionId
    * @param {string} roomId
    * @param {object} volatile
+   * @param {string} [kuid] - identifier of the user behind the connection
    */
-  _addRoomForCustomer (connectionId, roomId, volatile) {
+  _addRoomForCustomer (connectionId, roomId, volatile, kuid = null) {
     debug('Add room %s for customer %s', roomId, connectionId);
 
     let customer = this.customers.get(connectionId);
@@ -368,10 +533,43 @@ class HotelClerk {
       this.customers.set(connectionId, customer);
     }
 
+    if (kuid !== null) {
+      this.customersUsers.set(connectionId, kuid);
+    }
+
+    if (! customer.has(roomId)) {
+      this._countUserSubscription(connectionId, 1);
+    }
+
+    this._stopLingering(roomId);
     this.rooms.get(roomId).customers.add(connectionId);
     customer.set(roomId, volatile);
   }
 
+  /**
+   * Updates the number of rooms subscribed by the user behind a connection
+   *
+   * @this HotelClerk
+   * @param {string} connectionId
+   * @param {number} delta
+   */
+  _countUserSubscription (connectionId, delta) {
+    const kuid = this.customersUsers.get(connectionId);
+
+    if (kuid === undefined) {
+      return;
+    }
+
+    const count = (this.usersSubscriptions.get(kuid) || 0) + delta;
+
+    if (count > 0) {
+      this.usersSubscriptions.set(kuid, count);
+    }
+    else {
+      this.usersSubscriptions.delete(kuid);
+    }
+  }
+
   /**
    * Create new room if needed
    *
@@ -505,8 +703,14 @@ class HotelClerk {
     for (const customerId of this.rooms.get(roomId).customers.values()) {
       const customer = this.customers.get(customerId);
 
-      if (customer) {
+      if (customer && customer.has(roomId)) {
+        this._countUserSubscription(customerId, -1);
         customer.delete(roomId);
+
+        if (customer.size === 0) {
+          this.customers.delete(customerId);
+          this.customersUsers.delete(customerId);
+        }
       }
     }
   }
@@ -528,10 +732,11 @@ class HotelClerk {
       return;
     }
 
+    this._stopLingering(roomId);
     this._removeRoomForAllCustomers(roomId);
     this.roomsCount--;
     this.rooms.delete(roomId);
-    this._removeRoomFromRealtimeEngine(roomId);
+    this._removeRoomFromRealtimeEngine(roomId, room);
   }
 
   /**
@@ -542,9 +747,17 @@ class HotelClerk {
    * @param {RequestContext} requestContext
    * @param {string} roomId
    * @param {Boolean} [notify]
+   * @param {Boolean} [linger] - keep the room alive for a while if it has no
+   *                             subscriber left, and if notifications replay
+   *                             is enabled
    * @return {Promise.<string>}
    */
-  async _removeRoomForCustomer (requestContext, roomId, notify = true) {
+  async _removeRoomForCustomer (
+    requestContext,
+    roomId,
+    notify = true,
+    linger = false
+  ) {
     const connectionId = requestContext.connection.id;
     const customer = this.customers.get(connectionId);
 
@@ -558,11 +771,14 @@ class HotelClerk {
       throw realtimeError.get('not_subscribed', connectionId, roomId);
     }
 
+    this._countUserSubscription(connectionId, -1);
+
     if (customer.size > 1) {
       customer.delete(roomId);
     }
     else {
       this.customers.delete(connectionId);
+      this.customersUsers.delete(connectionId);
     }
 
     const room = this.rooms.get(roomId);
@@ -576,16 +792,23 @@ class HotelClerk {
       this.kuzzle.entryPoint.leaveChannel(channel, connectionId);
     }
 
-    if (room.customers.size === 1) {
+    const keepAlive = linger
+      && this.kuzzle.config.limits.subscriptionReplayBufferSize > 0;
+
+    if (room.customers.size === 1 && !keepAlive) {
       this.roomsCount--;
       this.rooms.delete(roomId);
 
-      this._removeRoomFromRealtimeEngine(roomId);
+      this._removeRoomFromRealtimeEngine(roomId, room);
 
       room.customers = new Set();
     }
     else {
       room.customers.delete(connectionId);
+
+      if (room.customers.size === 0) {
+        this._linger(roomId);
+      }
     }
 
     // even if the room is deleted for this node, another one may need the notification
@@ -633,10 +856,59 @@ class HotelClerk {
    *
    * @this HotelClerk
    * @param {string} roomId
+   * @param {Object} room - removed room
    */
-  _removeRoomFromRealtimeEngine (roomId) {
+  _removeRoomFromRealtimeEngine (roomId, room) {
     this.kuzzle.emit('room:remove', roomId);
     this.kuzzle.koncorde.remove(roomId);
+    this.kuzzle.notifier.clearThrottling(Object.keys(room.channels));
+    this.kuzzle.notifier.releaseReplayBuffer(roomId)
+      .catch(error => this.kuzzle.log.error(error));
+  }
+
+  /**
+   * Keeps a room without subscribers alive during the configured replay TTL,
+   * so that its notifications are still buffered, and then removes it if
+   * no one subscribed to it in the meantime
+   *
+   * @this HotelClerk
+   * @param {string} roomId
+   */
+  _linger (roomId) {
+    debug('Room %s has no subscriber left, keeping it alive', roomId);
+
+    this._stopLingering(roomId);
+
+    const timer = setTimeout(
+      () => {
+        const room = this.rooms.get(roomId);
+
+        this.lingeringRooms.delete(roomId);
+
+        if (room && room.customers.size === 0) {
+          this.roomsCount--;
+          this.rooms.delete(roomId);
+          this._removeRoomFromRealtimeEngine(roomId, room);
+        }
+      },
+      this.kuzzle.config.limits.subscriptionReplayTTL * 1000);
+
+    this.lingeringRooms.set(roomId, timer);
+  }
+
+  /**
+   * Cancels the scheduled removal of a room without subscribers
+   *
+   * @this HotelClerk
+   * @param {string} roomId
+   */
+  _stopLingering (roomId) {
+    const timer = this.lingeringRooms.get(roomId);
+
+    if (timer !== undefined) {
+      clearTimeout(timer);
+      this.lingeringRooms.delete(roomId);
+    }
   }
 
   /**
@@ -645,15 +917,23 @@ class HotelClerk {
    * @this HotelClerk
    * @param {string} roomId
    * @param {Request} request
+   * @param {Object} [snapshotOptions] - if set, documents currently matching
+   *                                     the room filters are also returned
+   *                                     ({filters, from, size})
    * @returns {Promise.<Object>}
    */
-  async _subscribeToRoom (roomId, request) {
+  async _subscribeToRoom (roomId, request, snapshotOptions = null) {
     let changed = false;
     let notifyPromise;
-    const channel = new Channel(this.kuzzle, roomId, request.input.args);
-    const connectionId = request.context.connection.id;
-    const customer = this.customers.get(connectionId);
+    let captured = null;
+    let snapshot = null;
     const room = this.rooms.get(roomId);
+    const channel = new Channel(
+      this.kuzzle,
+      roomId,
+      await this._hideForbiddenFields(room, request));
+    const { resumeFrom = null } = request.input.args;
+    const connectionId = request.context.connection.id;
     const diff = {
       collection: room.collection,
       connectionId,
@@ -661,9 +941,47 @@ class HotelClerk {
       roomId
     };
 
+    let reservation = null;
+
+    if (! this._hasCustomerRoom(connectionId, roomId)) {
+      try {
+        reservation = await this._reserveSubscription(request);
+      }
+      catch (error) {
+        this._removeUnusedRoom(roomId);
+        throw error;
+      }
+    }
+
+    // changes occurring while the snapshot is taken are captured, and
+    // merged to it once the connection has joined the room channel:
+    // nothing is lost between the snapshot and the live notifications
+    if (snapshotOptions !== null) {
+      captured = this.kuzzle.notifier.capture(roomId);
+
+      try {
+        snapshot = await this._takeSnapshot(room, snapshotOptions);
+      }
+      catch (error) {
+        this.subscriptionReservations.delete(reservation);
+        this.kuzzle.notifier.releaseCapture(roomId, captured);
+        this._removeUnusedRoom(roomId);
+        throw error;
+      }
+    }
+
+    // the subscription is now counted with the added ones
+    this.subscriptionReservations.delete(reservation);
+
+    const customer = this.customers.get(connectionId);
+
     if ( !customer || !customer.has(roomId)) {
       changed = true;
-      this._addRoomForCustomer(connectionId, roomId, request.input.volatile);
+      this._addRoomForCustomer(
+        connectionId,
+        roomId,
+        request.input.volatile,
+        request.context.user ? request.context.user._id : null);
 
       notifyPromise = this.kuzzle.notifier.notifyUser(
         roomId,
@@ -675,8 +993,36 @@ class HotelClerk {
       notifyPromise = Bluebird.resolve();
     }
 
+    const data = {
+      channel: channel.name,
+      roomId
+    };
+
+    // missed notifications must be sent before live ones: the connection
+    // joins the channel only once they have been replayed
+    if (resumeFrom !== null) {
+      const replay = await this.kuzzle.notifier.replay(
+        roomId,
+        channel,
+        connectionId,
+        resumeFrom);
+
+      data.sequence = replay.sequence;
+      data.replay = { complete: replay.complete, count: replay.count };
+    }
+    else if (this.kuzzle.config.limits.subscriptionReplayBufferSize > 0) {
+      data.sequence = await this.kuzzle.notifier.getSequence(roomId);
+    }
+
     this.kuzzle.entryPoint.joinChannel(channel.name, connectionId);
 
+    if (snapshot !== null) {
+      this.kuzzle.notifier.releaseCapture(roomId, captured);
+      data.snapshot = mergeCapturedChanges(snapshot, captured);
+      data.snapshot.hits = data.snapshot.hits
+        .map(hit => projectFields(hit, channel.fields));
+    }
+
     if (! room.channels[channel.name]) {
       changed = true;
       room.channels[channel.name] = channel;
@@ -688,13 +1034,249 @@ class HotelClerk {
 
     return {
       cluster: channel.cluster,
-      data: {
-        channel: channel.name,
-        roomId
-      },
+      data,
       diff
     };
   }
+
+  /**
+   * Adds the document fields that the subscribing user may not read to the
+   * fields excluded from their notifications
+   *
+   * @this HotelClerk
+   * @param {Object} room
+   * @param {Request} request
+   * @returns {Promise.<Object>} channel options
+   * @throws {security.rights.forbidden} If the user joins a room while they
+   *                                     may not read some of its fields
+   */
+  async _hideForbiddenFields (room, request) {
+    const args = request.input.args;
+    const joining = request.input.resource.index !== room.index
+      || request.input.resource.collection !== room.collection;
+    // joining a room: rights are resolved on the room index and collection
+    const fieldsRequest = joining
+      ? new Request({
+        action: request.input.action,
+        collection: room.collection,
+        controller: request.input.controller,
+        index: room.index
+      }, request.context)
+      : request;
+    const { read } = await this.kuzzle.documentFilters.getForbiddenFields(
+      fieldsRequest);
+
+    // the filters of joined rooms cannot be checked against the unreadable
+    // fields: users with unreadable fields must subscribe instead
+    if (joining && read.length > 0) {
+      throw kerror.get(
+        'security',
+        'rights',
+        'forbidden',
+        request.input.controller,
+        request.input.action,
+        request.context.user ? request.context.user._id : null);
+    }
+    const fields = args.fields === undefined || args.fields === null
+      ? {}
+      : args.fields;
+
+    // invalid projections are reported by the channel
+    if ( read.length === 0
+      || !isPlainObject(fields)
+      || (fields.exclude !== undefined && !Array.isArray(fields.exclude))
+    ) {
+      return args;
+    }
+
+    return Object.assign({}, args, {
+      fields: Object.assign({}, fields, {
+        exclude: [].concat(fields.exclude || [], read)
+      })
+    });
+  }
+
+  /**
+   * @this HotelClerk
+   * @param {string} connectionId
+   * @param {string} roomId
+   * @returns {boolean}
+   */
+  _hasCustomerRoom (connectionId, roomId) {
+    const customer = this.customers.get(connectionId);
+
+    return customer !== undefined && customer.has(roomId);
+  }
+
+  /**
+   * Removes a room that ended up without subscribers, following a failed
+   * subscription
+   *
+   * @this HotelClerk
+   * @param {string} roomId
+   */
+  _removeUnusedRoom (roomId) {
+    const room = this.rooms.get(roomId);
+
+    if ( room !== undefined
+      && room.customers.size === 0
+      && !this.lingeringRooms.has(roomId)
+      && !this.kuzzle.notifier.captures.has(roomId)
+    ) {
+      this._removeRoomEverywhere(roomId);
+    }
+  }
+
+  /**
+   * Checks that a new subscription does not exceed the limits of the
+   * subscribing user profiles ("subscriptionsPerConnection" and
+   * "subscriptionsPerUser"), and reserves it until it is added, or until it
+   * fails.
+   * Limits are checked and the subscription reserved synchronously, so that
+   * concurrent subscriptions are checked one after the other
+   *
+   * @this HotelClerk
+   * @param {Request} request
+   * @returns {Promise.<Object|null>} reservation, to be deleted from
+   *                                  this.subscriptionReservations
+   * @throws {core.realtime.too_many_subscriptions}
+   */
+  async _reserveSubscription (request) {
+    const user = request.context.user;
+
+    // subscriptions made by plugins or by the embedded SDK
+    if (! user || ! user.profileIds) {
+      return null;
+    }
+
+    const profiles = await this.kuzzle.repositories.profile.loadProfiles(
+      user.profileIds);
+    const perConnection = getProfilesLimit(
+      profiles,
+      'subscriptionsPerConnection');
+    const perUser = getProfilesLimit(profiles, 'subscriptionsPerUser');
+    const connectionId = request.context.connection.id;
+    const customer = this.customers.get(connectionId);
+    let connectionCount = customer ? customer.size : 0;
+    let userCount = this.usersSubscriptions.get(user._id) || 0;
+
+    for (const reservation of this.subscriptionReservations) {
+      if (reservation.connectionId === connectionId) {
+        connectionCount++;
+      }
+
+      if (reservation.kuid === user._id) {
+        userCount++;
+      }
+    }
+
+    if (perConnection > 0 && connectionCount >= perConnection) {
+      throw realtimeError.get(
+        'too_many_subscriptions',
+        'connection',
+        perConnection);
+    }
+
+    if (perUser > 0 && userCount >= perUser) {
+      throw realtimeError.get('too_many_subscriptions', 'user', perUser);
+    }
+
+    const reservation = { connectionId, kuid: user._id };
+
+    this.subscriptionReservations.add(reservation);
+
+    return reservation;
+  }
+
+  /**
+   * Searches documents currently matching a room filters
+   *
+   * @this HotelClerk
+   * @param {Object} room
+   * @param {Object} options - {filters, from, size}
+   * @returns {Promise.<Object>} {hits, total}
+   */
+  async _takeSnapshot (room, { filters, from, size }) {
+    const query = koncordeToElasticsearch(filters);
+
+    // makes sure that the search sees documents written before the capture
+    // started
+    await this.kuzzle.storageEngine.public.refreshCollection(
+      room.index,
+      room.collection);
+
+    const result = await this.kuzzle.storageEngine.public.search(
+      room.index,
+      room.collection,
+      { query },
+      { from, size });
+
+    return {
+      hits: result.hits.map(hit => ({ _id: hit._id, _source: hit._source })),
+      total: result.total
+    };
+  }
+}
+
+/**
+ * Returns the most permissive limit of a list of profiles
+ *
+ * @param {Array.<Profile>} profiles
+ * @param {string} name - limit name
+ * @returns {number} 0 if unlimited
+ */
+function getProfilesLimit (profiles, name) {
+  let limit = -1;
+
+  for (const profile of profiles) {
+    const profileLimit = profile[name] || 0;
+
+    if (limit === 0 || profileLimit === 0) {
+      limit = 0;
+    }
+    else {
+      limit = Math.max(limit, profileLimit);
+    }
+  }
+
+  return Math.max(limit, 0);
+}
+
+/**
+ * Applies document changes captured while a snapshot was taken.
+ * Documents changed outside of the snapshot page are already counted in its
+ * total: only the created ones are added to it.
+ *
+ * @param {Object} snapshot - {hits, total}
+ * @param {Array.<Object>} captured - captured {action, scope, content} changes
+ * @returns {Object} updated snapshot
+ */
+function mergeCapturedChanges (snapshot, captured) {
+  for (const { action, scope, content } of captured) {
+    if (!content || !content._id) {
+      continue;
+    }
+
+    const idx = snapshot.hits.findIndex(hit => hit._id === content._id);
+
+    if (scope === 'in') {
+      const hit = { _id: content._id, _source: content._source };
+
+      if (idx !== -1) {
+        snapshot.hits[idx] = hit;
+      }
+      else if (action === 'create') {
+        snapshot.hits.push(hit);
+        snapshot.total++;
+      }
+    }
+    else if (idx !== -1) {
+      snapshot.hits.splice(idx, 1);
+      snapshot.total--;
+    }
+  }
+
+  return snapshot;
 }
 
 module.exports = HotelClerk;
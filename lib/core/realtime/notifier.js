@@ -29,6 +29,11 @@ const {
   ServerNotification,
   UserNotification,
 } = require('../../model/notification');
+const projectFields = require('../../util/projectFields');
+
+// notifications listing changes made to documents, for subscriptions with
+// the "changes" option
+const UPDATE_ACTIONS = ['update', 'mUpdate', 'updateByQuery'];
 
 /**
  * @class NotifierController
@@ -36,6 +41,21 @@ const {
 class NotifierController {
   constructor(kuzzle) {
     this.kuzzle = kuzzle;
+
+    /**
+     * Document notifications captured while subscriptions snapshots are
+     * being built
+     *
+     * Map.<room ID, Set.<Array.<{scope, content}>>>
+     */
+    this.captures = new Map();
+
+    /**
+     * Throttling windows of throttled channels, per document
+     *
+     * Map.<channel, Map.<document ID, {pending, timer}>>
+     */
+    this.throttled = new Map();
   }
 
   get cacheEngine () {
@@ -55,20 +75,31 @@ class NotifierController {
    * @param {string} scope - 'in' or 'out'
    * @param {string} action - Notification type
    * @param {object} content - Document or message
+   * @param {object} [previous] - Document content before an update, if
+   *                              known
    *
    * @returns {Promise}
    */
-  notifyDocument (rooms, request, scope, action, content) {
+  async notifyDocument (rooms, request, scope, action, content, previous = null) {
     if (rooms.length === 0) {
-      return Bluebird.resolve();
+      return;
     }
 
+    const sequences = await this._bufferNotification(
+      rooms,
+      request,
+      scope,
+      action,
+      content);
+
     this.kuzzle.emit('core:notify:document', {
       action,
       content,
+      previous,
       request: request.serialize(),
       rooms,
-      scope
+      scope,
+      sequences
     });
 
     return this._notifyDocument(
@@ -77,7 +108,7 @@ class NotifierController {
       scope,
       action,
       content,
-      { fromCluster: false });
+      { fromCluster: false, previous, sequences });
   }
 
   /**
@@ -226,9 +257,11 @@ class NotifierController {
    * @param {Request} request - object describing the original user request
    * @param {Array} documents - new documents
    * @param {boolean} cached - Documents may have been cached
+   * @param {Map} [previous] - Updated documents contents before the update,
+   *                           by document identifier
    * @returns {Promise}
    */
-  notifyDocumentMChanges (request, documents, cached) {
+  notifyDocumentMChanges (request, documents, cached, previous = null) {
     const
       prefix = getCachePrefix(request),
       controllerAction = request.input.action,
@@ -260,10 +293,16 @@ class NotifierController {
 
           if (rooms.length > 0) {
             promises.push(
-              this.notifyDocument(rooms, request, 'in', documentAction, {
-                _id: documents[i]._id,
-                _source: documents[i]._source
-              }));
+              this.notifyDocument(
+                rooms,
+                request,
+                'in',
+                documentAction,
+                {
+                  _id: documents[i]._id,
+                  _source: documents[i]._source
+                },
+                previous && previous.get(documents[i]._id) || null));
 
             promises.push(
               this._setCacheWithTTL(cacheIds[i], JSON.stringify(rooms)));
@@ -287,10 +326,12 @@ class NotifierController {
    *    - a document they listened to left their scope
    *
    * @param {Request} request
+   * @param {Object} updatedDocument
+   * @param {Object} [previous] - Document content before the update, if known
    *
    * @returns {Promise}
    */
-  async notifyDocumentUpdate (request, updatedDocument) {
+  async notifyDocumentUpdate (request, updatedDocument, previous = null) {
 
     const
       matchedRooms = this._test(
@@ -303,11 +344,17 @@ class NotifierController {
       .filter(_updatedFields => _updatedFields !== '_kuzzle_info');
 
     try {
-      await this.notifyDocument(matchedRooms, request, 'in', 'update', {
-        _id: updatedDocument._id,
-        _source: updatedDocument._source,
-        _updatedFields: updatedFields
-      });
+      await this.notifyDocument(
+        matchedRooms,
+        request,
+        'in',
+        'update',
+        {
+          _id: updatedDocument._id,
+          _source: updatedDocument._source,
+          _updatedFields: updatedFields
+        },
+        previous);
       const cachedRooms = await this.cacheEngine.get(cacheId);
       if (cachedRooms !== null) {
         const stopListening = _.difference(
@@ -371,6 +418,248 @@ class NotifierController {
     return Bluebird.all(promises);
   }
 
+  /**
+   * Starts capturing the document notifications of a room.
+   * Captured notifications are pushed to the returned array, until the
+   * capture is released.
+   *
+   * @param {string} roomId
+   * @returns {Array.<{scope: string, content: object}>}
+   */
+  capture (roomId) {
+    const captured = [];
+    let roomCaptures = this.captures.get(roomId);
+
+    if (roomCaptures === undefined) {
+      roomCaptures = new Set();
+      this.captures.set(roomId, roomCaptures);
+    }
+
+    roomCaptures.add(captured);
+
+    return captured;
+  }
+
+  /**
+   * Stops a notifications capture
+   *
+   * @param {string} roomId
+   * @param {Array} captured - capture returned by the "capture" method
+   */
+  releaseCapture (roomId, captured) {
+    const roomCaptures = this.captures.get(roomId);
+
+    if (roomCaptures === undefined) {
+      return;
+    }
+
+    roomCaptures.delete(captured);
+
+    if (roomCaptures.size === 0) {
+      this.captures.delete(roomId);
+    }
+  }
+
+  /**
+   * Returns the last sequence number assigned to a room notification
+   *
+   * @param {string} roomId
+   * @returns {Promise.<number|null>} null if notifications replay is disabled
+   */
+  async getSequence (roomId) {
+    if (this.kuzzle.config.limits.subscriptionReplayBufferSize === 0) {
+      return null;
+    }
+
+    const sequence = await this.cacheEngine.get(
+      getReplayPrefix(roomId) + 'sequence');
+
+    return sequence === null ? 0 : Number.parseInt(sequence);
+  }
+
+  /**
+   * Sends to a connection the document notifications of a room it missed
+   * since the provided sequence number, before it starts receiving live
+   * notifications again.
+   *
+   * The replay buffer is read until no new notification is found, so that no
+   * notification is lost between the replay and the moment the connection
+   * joins the room channel. Notifications may be sent twice though: clients
+   * should ignore notifications with an already received sequence number.
+   *
+   * @param {string} roomId
+   * @param {Channel} channel - channel on which notifications are replayed
+   * @param {string} connectionId
+   * @param {number} from - last sequence number received by the connection
+   * @returns {Promise.<Object>} number of replayed notifications, last
+   *                             sequence number, and whether every missed
+   *                             notification could be replayed
+   */
+  async replay (roomId, channel, connectionId, from) {
+    const sequence = await this.getSequence(roomId);
+    let notifications = await this._getBufferedNotifications(roomId, from);
+
+    // incomplete if the room sequence restarted, or if the buffer does not
+    // hold every missed notification anymore
+    const complete = from === sequence
+      || from < sequence
+        && notifications.length > 0
+        && notifications[0].sequence === from + 1;
+    const result = { complete, count: 0, sequence };
+    let last = from;
+
+    while (notifications.length > 0) {
+      for (const notification of notifications) {
+        last = notification.sequence;
+
+        if (channel.scope === 'all' || channel.scope === notification.scope) {
+          result.count++;
+          notification.result = projectFields(
+            notification.result,
+            channel.fields);
+
+          await this._dispatch(
+            'notify:document',
+            [channel.name],
+            notification,
+            connectionId);
+        }
+      }
+
+      notifications = await this._getBufferedNotifications(roomId, last);
+    }
+
+    result.sequence = Math.max(sequence, last > from ? last : 0);
+
+    return result;
+  }
+
+  /**
+   * Sets the sequence number of a room to expire once it has been removed,
+   * along with its notifications buffer.
+   * Sequence numbers are kept a while after their room is destroyed, so that
+   * subscriptions can still be resumed if the room is recreated.
+   *
+   * @param {string} roomId
+   * @returns {Promise}
+   */
+  async releaseReplayBuffer (roomId) {
+    const { subscriptionReplayBufferSize, subscriptionReplayTTL } =
+      this.kuzzle.config.limits;
+
+    if (subscriptionReplayBufferSize === 0) {
+      return;
+    }
+
+    await this.cacheEngine.expire(
+      getReplayPrefix(roomId) + 'sequence',
+      subscriptionReplayTTL);
+  }
+
+  /**
+   * Tells whether documents of a collection are watched by subscriptions
+   * with the "changes" option: updating these documents requires their
+   * previous content, to list the changes made to them
+   *
+   * @param {string} index
+   * @param {string} collection
+   * @returns {boolean}
+   */
+  tracksChanges (index, collection) {
+    for (const roomId of this.kuzzle.koncorde.getFilterIds(index, collection)) {
+      if (this._tracksChanges(roomId)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Tells whether a room has channels subscribed with the "changes" option
+   *
+   * @param {string} roomId
+   * @returns {boolean}
+   */
+  _tracksChanges (roomId) {
+    const room = this.kuzzle.hotelClerk.rooms.get(roomId);
+
+    return room !== undefined
+      && Object.values(room.channels).some(channel => channel.changes);
+  }
+
+  /**
+   * Assigns the next sequence number of each room to a document notification
+   * and stores that notification in the rooms replay buffers.
+   * Does nothing if notifications replay is disabled
+   * (limits.subscriptionReplayBufferSize set to 0)
+   *
+   * @param {Array} rooms - Subscribed rooms to notify
+   * @param {Request} request - Request at the origin of the notification
+   * @param {string} scope - 'in' or 'out'
+   * @param {string} action - Notification type
+   * @param {object} content - Document or message
+   *
+   * @returns {Promise.<Object|null>} sequence numbers, per room identifier
+   */
+  async _bufferNotification (rooms, request, scope, action, content) {
+    const { subscriptionReplayBufferSize, subscriptionReplayTTL } =
+      this.kuzzle.config.limits;
+
+    if (subscriptionReplayBufferSize === 0) {
+      return null;
+    }
+
+    const sequences = {};
+
+    await Bluebird.map(rooms, async roomId => {
+      const prefix = getReplayPrefix(roomId);
+      const sequence = await this.cacheEngine.incr(prefix + 'sequence');
+      const notification = new DocumentNotification(
+        request,
+        scope,
+        action,
+        content);
+
+      notification.sequence = sequence;
+      sequences[roomId] = sequence;
+
+      await Bluebird.all([
+        this.cacheEngine.persist(prefix + 'sequence'),
+        this.cacheEngine.lpush(
+          prefix + 'buffer',
+          JSON.stringify(notification)),
+        this.cacheEngine.ltrim(
+          prefix + 'buffer',
+          0,
+          subscriptionReplayBufferSize - 1),
+        this.cacheEngine.expire(prefix + 'buffer', subscriptionReplayTTL),
+      ]);
+    });
+
+    return sequences;
+  }
+
+  /**
+   * Returns the buffered notifications of a room, newer than the provided
+   * sequence number, in ascending order
+   *
+   * @param {string} roomId
+   * @param {number} from - sequence number
+   * @returns {Promise.<Array>}
+   */
+  async _getBufferedNotifications (roomId, from) {
+    const buffer = await this.cacheEngine.lrange(
+      getReplayPrefix(roomId) + 'buffer',
+      0,
+      -1);
+
+    return buffer
+      .map(notification => JSON.parse(notification))
+      .filter(notification => notification.sequence > from)
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
   /**
    * Trigger a notify global event and, if accepted by plugins,
    * dispatch the payload to subscribers
@@ -412,42 +701,237 @@ class NotifierController {
    * When this method is called from the cluster synchronization,
    * then only the channel having the "cluster: true" option are notified
    *
+   * Channels with a fields projection receive their own notification, with
+   * the document content restricted to these fields.
+   * Channels with the "changes" option also receive their own update
+   * notifications, listing the changes made to the document.
+   * Notifications sent to channels with the "throttle" option are
+   * coalesced.
+   *
    * @param {Array} rooms - Subscribed rooms to notify
    * @param {Request} request - Request at the origin of the notification
    * @param {string} scope - 'in' or 'out'
    * @param {string} action - Notification type
    * @param {object} content - Document or message
-   * @param {object} [options] - fromCluster (true)
+   * @param {object} [options] - fromCluster (true), previous (null),
+   *                             sequences (null)
    *
    * @returns {Promise}
    */
-  _notifyDocument (rooms, request, scope, action, content, { fromCluster=true } = {}) {
+  _notifyDocument (
+    rooms,
+    request,
+    scope,
+    action,
+    content,
+    { fromCluster=true, previous=null, sequences=null } = {}
+  ) {
     const channels = [];
+    const listChanges = UPDATE_ACTIONS.includes(action)
+      && scope === 'in'
+      && Boolean(content._source);
+    // notifications that cannot be shared with every channel:
+    // [channels, sequence number, fields projection, list changes, throttle]
+    const specifics = [];
+    // throttling applies to document notifications only
+    const throttleable = content._id !== undefined && content._id !== null;
 
     for (const room of rooms) {
+      const roomCaptures = this.captures.get(room);
+
+      if (roomCaptures !== undefined) {
+        for (const captured of roomCaptures) {
+          captured.push({ action, content, scope });
+        }
+      }
+
       const hotelClerkRoom = this.kuzzle.hotelClerk.rooms.get(room);
 
       if (hotelClerkRoom === undefined) {
         continue;
       }
 
+      // sequence numbers are room-specific: their notifications cannot be
+      // shared with other rooms
+      const sequence = sequences && sequences[room] ? sequences[room] : null;
+      const roomChannels = [];
+
       for (const [channelId, channel] of Object.entries(hotelClerkRoom.channels)) {
         const matchScope = channel.scope === 'all' || channel.scope === scope;
         const executeOnNode = fromCluster ? channel.cluster : true;
 
+        const throttle = throttleable && channel.throttle > 0
+          ? channel.throttle
+          : 0;
+
         if (matchScope && executeOnNode) {
-          channels.push(channelId);
+          const changes = listChanges && Boolean(channel.changes);
+
+          if (channel.fields || changes || throttle > 0) {
+            specifics.push(
+              [[channelId], sequence, channel.fields, changes, throttle]);
+          }
+          else {
+            roomChannels.push(channelId);
+          }
+        }
+        else if (executeOnNode && throttle > 0) {
+          // the document is not in this channel scope anymore: a pending
+          // notification would be outdated
+          this._discardThrottled(channelId, content._id);
         }
       }
+
+      if (sequence !== null && roomChannels.length > 0) {
+        specifics.push([roomChannels, sequence, null, false, 0]);
+      }
+      else {
+        channels.push(...roomChannels);
+      }
     }
 
-    if (channels.length === 0) {
+    const promises = [];
+
+    if (channels.length > 0) {
+      const notif = new DocumentNotification(request, scope, action, content);
+
+      promises.push(this._dispatch('notify:document', channels, notif));
+    }
+
+    for (const [
+      specificChannels,
+      sequence,
+      fields,
+      changes,
+      throttle
+    ] of specifics) {
+      let projected = projectFields(content, fields);
+
+      if (changes) {
+        projected = Object.assign({}, projected);
+
+        // previous content unknown: the document has not been notified to
+        // these subscriptions yet, or not recently enough
+        projected._changes = previous === null
+          ? null
+          : listDocumentChanges(
+            projectFields({ _source: previous }, fields)._source,
+            projected._source);
+      }
+
+      const notif = new DocumentNotification(
+        request,
+        scope,
+        action,
+        projected);
+
+      if (sequence !== null) {
+        notif.sequence = sequence;
+      }
+
+      if (throttle > 0) {
+        promises.push(this._throttle(specificChannels[0], throttle, notif));
+      }
+      else {
+        promises.push(
+          this._dispatch('notify:document', specificChannels, notif));
+      }
+    }
+
+    return Bluebird.all(promises);
+  }
+
+  /**
+   * Sends a document notification to a throttled channel: at most one
+   * notification per document is sent during a throttling window.
+   * Notifications received during a window are coalesced, and the latest
+   * one is sent when that window ends.
+   *
+   * @param {string} channel
+   * @param {number} delay - throttling window duration, in milliseconds
+   * @param {DocumentNotification} notification
+   * @returns {Promise}
+   */
+  _throttle (channel, delay, notification) {
+    const id = notification.result._id;
+    const windows = this.throttled.get(channel);
+    const throttling = windows && windows.get(id);
+
+    if (throttling !== undefined) {
+      throttling.pending = coalesceNotifications(throttling.pending, notification);
       return Bluebird.resolve();
     }
 
-    const notif = new DocumentNotification(request, scope, action, content);
+    this._openThrottlingWindow(channel, id, delay);
+
+    return this._dispatch('notify:document', [channel], notification);
+  }
+
+  /**
+   * @param {string} channel
+   * @param {string} id - document identifier
+   * @param {number} delay - throttling window duration, in milliseconds
+   */
+  _openThrottlingWindow (channel, id, delay) {
+    const throttling = { pending: null, timer: null };
+    let windows = this.throttled.get(channel);
+
+    if (windows === undefined) {
+      windows = new Map();
+      this.throttled.set(channel, windows);
+    }
+
+    throttling.timer = setTimeout(
+      () => {
+        windows.delete(id);
 
-    return this._dispatch('notify:document', channels, notif);
+        if (windows.size === 0) {
+          this.throttled.delete(channel);
+        }
+
+        if (throttling.pending !== null) {
+          this._openThrottlingWindow(channel, id, delay);
+          this._dispatch('notify:document', [channel], throttling.pending);
+        }
+      },
+      delay);
+
+    windows.set(id, throttling);
+  }
+
+  /**
+   * Discards the notification of a document pending on a throttled channel
+   *
+   * @param {string} channel
+   * @param {string} id - document identifier
+   */
+  _discardThrottled (channel, id) {
+    const windows = this.throttled.get(channel);
+    const throttling = windows && windows.get(id);
+
+    if (throttling !== undefined) {
+      throttling.pending = null;
+    }
+  }
+
+  /**
+   * Closes the throttling windows of removed channels, dropping their
+   * pending notifications
+   *
+   * @param {Array.<string>} channels
+   */
+  clearThrottling (channels) {
+    for (const channel of channels) {
+      const windows = this.throttled.get(channel);
+
+      if (windows !== undefined) {
+        for (const { timer } of windows.values()) {
+          clearTimeout(timer);
+        }
+
+        this.throttled.delete(channel);
+      }
+    }
   }
 
   /**
@@ -525,10 +1009,84 @@ class NotifierController {
   }
 }
 
+/**
+ * Lists fields whose values differ between two versions of a document
+ * content, along with their previous values
+ *
+ * @param {Object} previous
+ * @param {Object} current
+ * @param {string} [prefix] - parent field path
+ * @param {Array} [changes]
+ * @returns {Array.<Object>} [{path, previous}]
+ */
+function listDocumentChanges (previous, current, prefix = '', changes = []) {
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+  for (const field of fields) {
+    if (prefix === '' && field === '_kuzzle_info') {
+      continue;
+    }
+
+    const path = prefix + field;
+
+    if (_.isPlainObject(previous[field]) && _.isPlainObject(current[field])) {
+      listDocumentChanges(
+        previous[field],
+        current[field],
+        `${path}.`,
+        changes);
+    }
+    else if (!_.isEqual(previous[field], current[field])) {
+      changes.push({ path, previous: previous[field] });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Coalesces a document notification with the one already pending on a
+ * throttled channel: the latest document state prevails, but changes listed
+ * by both are merged, keeping the oldest previous values.
+ *
+ * @param {DocumentNotification|null} pending
+ * @param {DocumentNotification} notification
+ * @returns {DocumentNotification}
+ */
+function coalesceNotifications (pending, notification) {
+  if ( pending === null
+    || !Array.isArray(pending.result._changes)
+    || !Array.isArray(notification.result._changes)
+  ) {
+    return notification;
+  }
+
+  const changes = pending.result._changes.slice();
+  const paths = new Set(changes.map(change => change.path));
+
+  for (const change of notification.result._changes) {
+    if (!paths.has(change.path)) {
+      changes.push(change);
+    }
+  }
+
+  notification.result = Object.assign({}, notification.result, {
+    _changes: changes
+  });
+
+  return notification;
+}
+
 function getCachePrefix(request) {
   // use redis key hash tag
   // (see https://redis.io/topics/cluster-spec#keys-distribution-model)
   return `{notif/${request.input.resource.index}/${request.input.resource.collection}}/`;
 }
 
+function getReplayPrefix(roomId) {
+  // use redis key hash tag, so that a room sequence and its buffer are
+  // stored on the same cluster node
+  return `{replay/${roomId}}/`;
+}
+
 module.exports = NotifierController;
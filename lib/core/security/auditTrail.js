@@ -0,0 +1,490 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const ms = require('ms');
+const formatProcessing = require('../auth/formatProcessing');
+const ApiKey = require('../../model/storage/apiKey');
+const { getClientIp } = require('../../util/ipRange');
+const debug = require('../../util/debug')('kuzzle:security:auditTrail');
+
+// Internal index collection storing audit logs
+const COLLECTION = 'audit-logs';
+
+// Expired audit logs are looked for at most once per hour
+const MAX_PURGE_INTERVAL = 3600000;
+
+/**
+ * Audited targets: how to get their identifier and their state
+ *
+ *   - getId(request, result): target identifier
+ *   - load(kuzzle, request, id): fetches the target state before it changes
+ *   - serialize(result): target state after it changed, from the action
+ *     result. Targets without states (e.g. credentials) have no "serialize"
+ *     function, as their content must never be written to logs.
+ *   - type: recorded target type, if it differs from the target type name
+ *
+ * Actions of the "auth" controller target the user performing them.
+ */
+const targets = {
+  'api-key': {
+    getId: (request, result) => request.input.resource._id
+      || (result && result._id),
+    load: async (kuzzle, request, id) => {
+      const userId = request.input.controller === 'auth'
+        ? getTargetUserId(request)
+        : request.input.args.userId;
+
+      return hideApiKeySecrets((await ApiKey.load(userId, id)).serialize());
+    },
+    serialize: hideApiKeySecrets
+  },
+  credentials: {
+    getId: getTargetUserId
+  },
+  jwtKey: {
+    getId: (request, result) => result ? result.kid : null,
+    // key identifier, algorithm and creation date: no key material
+    serialize: result => result
+  },
+  lockout: {
+    getId: request => request.input.resource._id
+  },
+  mapping: {
+    // e.g. "updateProfileMapping" => "profiles"
+    getId: request => `${request.input.action
+      .replace(/^update(.*)Mapping$/, '$1')
+      .toLowerCase()}s`,
+    load: (kuzzle, request, id) => kuzzle.internalIndex.getMapping(id),
+    serialize: result => result
+  },
+  profile: securityTarget('profile', formatProcessing.serializeProfile),
+  profiles: deletedTargets('profile'),
+  role: securityTarget('role', formatProcessing.serializeRole),
+  roles: deletedTargets('role'),
+  // users, profiles and roles loaded at once: each of them is also recorded
+  // on its own, and their content may contain credentials
+  securities: {
+    getId: () => null
+  },
+  session: {
+    getId: (request, result) => {
+      if (isLogin(request)) {
+        return result && result._id ? result._id : null;
+      }
+
+      return request.context.user ? String(request.context.user._id) : null;
+    }
+  },
+  user: securityTarget('user', formatProcessing.serializeUser),
+  // impersonation tokens
+  userImpersonation: {
+    getId: request => request.input.resource._id
+  },
+  // single session revocations
+  userSession: {
+    getId: request => request.input.resource._id
+  },
+  // token revocations
+  userTokens: {
+    getId: request => request.input.resource._id
+  },
+  users: deletedTargets('user')
+};
+
+/**
+ * Audited API actions, with the type of their target
+ *
+ * The state of targets of "create*" actions is not fetched before they are
+ * executed, and the targets of "delete*" actions have no state afterwards.
+ */
+const auditedActions = {
+  admin: {
+    loadSecurities: 'securities',
+    rotateJwtKey: 'jwtKey'
+  },
+  auth: {
+    createApiKey: 'api-key',
+    createMyCredentials: 'credentials',
+    deleteApiKey: 'api-key',
+    deleteMyCredentials: 'credentials',
+    exchangeRefreshToken: 'session',
+    login: 'session',
+    logout: 'session',
+    revokeSession: 'userSession',
+    updateMyCredentials: 'credentials',
+    updateSelf: 'user'
+  },
+  security: {
+    createApiKey: 'api-key',
+    createCredentials: 'credentials',
+    createFirstAdmin: 'user',
+    createOrReplaceProfile: 'profile',
+    createOrReplaceRole: 'role',
+    createProfile: 'profile',
+    createRestrictedUser: 'user',
+    createRole: 'role',
+    createUser: 'user',
+    deleteApiKey: 'api-key',
+    deleteCredentials: 'credentials',
+    deleteProfile: 'profile',
+    deleteRole: 'role',
+    deleteUser: 'user',
+    disableUser: 'user',
+    enableUser: 'user',
+    impersonate: 'userImpersonation',
+    mDeleteProfiles: 'profiles',
+    mDeleteRoles: 'roles',
+    mDeleteUsers: 'users',
+    replaceUser: 'user',
+    revokeSession: 'userSession',
+    revokeTokens: 'userTokens',
+    unlockUser: 'lockout',
+    updateCredentials: 'credentials',
+    updateProfile: 'profile',
+    updateProfileMapping: 'mapping',
+    updateRole: 'role',
+    updateRoleMapping: 'mapping',
+    updateUser: 'user',
+    updateUserMapping: 'mapping'
+  }
+};
+
+/**
+ * Security audit trail: records the changes made to users, profiles, roles,
+ * credentials and API keys, and the authentication attempts, to an
+ * append-only collection of the internal index
+ *
+ * @class AuditTrail
+ * @param {Kuzzle} kuzzle
+ */
+class AuditTrail {
+  constructor (kuzzle) {
+    this.kuzzle = kuzzle;
+    this.config = kuzzle.config.security.auditTrail;
+    this.timer = null;
+  }
+
+  /**
+   * Starts purging expired audit logs
+   */
+  init () {
+    const retention = this.retention;
+
+    if (!this.config.enabled || retention === null) {
+      return;
+    }
+
+    this.timer = setInterval(
+      () => this.purge(),
+      Math.min(retention, MAX_PURGE_INTERVAL));
+
+    // do not prevent Kuzzle from shutting down
+    this.timer.unref();
+  }
+
+  /**
+   * @returns {number|null} audit logs retention, in milliseconds, or null
+   *                        if audit logs never expire
+   */
+  get retention () {
+    const retention = typeof this.config.retention === 'string'
+      ? ms(this.config.retention)
+      : this.config.retention;
+
+    return typeof retention === 'number' && retention > 0 ? retention : null;
+  }
+
+  /**
+   * Executes an API action, and records it to the audit trail if it needs
+   * to be audited
+   *
+   * @warning Critical code section: invoked for every API request
+   *
+   * @param {Request} request
+   * @param {Function} execute - executes the action, returns a promise
+   * @returns {Promise.<*>} action result
+   */
+  audit (request, execute) {
+    const { controller, action } = request.input;
+
+    if ( !this.config.enabled
+      || !auditedActions[controller]
+      || !auditedActions[controller][action]
+    ) {
+      return execute();
+    }
+
+    return this._audit(
+      request,
+      targets[auditedActions[controller][action]],
+      execute);
+  }
+
+  /**
+   * @param {Request} request
+   * @param {Object} target - audited target type
+   * @param {Function} execute
+   * @returns {Promise.<*>} action result
+   */
+  async _audit (request, target, execute) {
+    const { action } = request.input;
+    let before = null;
+    let result;
+
+    if (target.load && !action.startsWith('create')) {
+      before = await this._load(target, request);
+    }
+
+    try {
+      result = await execute();
+    }
+    catch (error) {
+      // failed login attempts are recorded, unlike failed changes
+      if (request.input.controller === 'auth' && isLogin(request)) {
+        await this.record(request, { error, type: 'session' });
+      }
+
+      throw error;
+    }
+
+    // intermediate step of a multi-step authentication strategy
+    if (action === 'login' && (!result || !result.jwt)) {
+      return result;
+    }
+
+    await this.record(request, {
+      after: target.serialize && !action.startsWith('delete')
+        ? target.serialize(result)
+        : null,
+      before,
+      id: target.getId(request, result),
+      type: target.type || auditedActions[request.input.controller][action]
+    });
+
+    return result;
+  }
+
+  /**
+   * Fetches the state of a target before it changes
+   *
+   * @param {Object} target - audited target type
+   * @param {Request} request
+   * @returns {Promise.<Object|null>}
+   */
+  async _load (target, request) {
+    const id = target.getId(request, null);
+
+    if (!id) {
+      return null;
+    }
+
+    try {
+      return await target.load(this.kuzzle, request, id);
+    }
+    catch (error) {
+      // the target does not exist yet, or the action will fail
+      return null;
+    }
+  }
+
+  /**
+   * Writes an audit log. Failing to write it does not make the audited
+   * action fail, as it has already been executed.
+   *
+   * @param {Request} request
+   * @param {Object} entry - { after, before, error, id, type }
+   * @returns {Promise}
+   */
+  async record (request, { after = null, before = null, error = null, id = null, type }) {
+    const connection = request.context.connection;
+    const token = request.context.token;
+    let actor = request.context.user ? String(request.context.user._id) : null;
+
+    // users logging in act on their own behalf
+    if (isLogin(request) && error === null) {
+      actor = id;
+    }
+
+    const log = {
+      action: request.input.action,
+      actor,
+      after,
+      before,
+      controller: request.input.controller,
+      error: error && {
+        id: error.id || null,
+        message: error.message,
+        status: error.status || 500
+      },
+      // the actor is impersonated by another user
+      impersonatedBy: token && token.impersonatedBy ? token.impersonatedBy : null,
+      ip: getClientIp(
+        connection.ips || [],
+        this.kuzzle.config.security.trustedProxies || []) || null,
+      protocol: connection.protocol || null,
+      status: error ? 'failure' : 'success',
+      target: {
+        id,
+        strategy: request.input.args.strategy || null,
+        type
+      },
+      timestamp: Date.now()
+    };
+
+    try {
+      await this.kuzzle.internalIndex.create(COLLECTION, null, log);
+    }
+    catch (e) {
+      this.kuzzle.log.error(`[SECURITY] Cannot write audit log for action "${log.controller}:${log.action}" (user "${actor}"): ${e.message}`);
+    }
+  }
+
+  /**
+   * Deletes expired audit logs
+   *
+   * @returns {Promise}
+   */
+  async purge () {
+    const retention = this.retention;
+
+    if (retention === null) {
+      return;
+    }
+
+    debug('Deleting audit logs older than %d ms', retention);
+
+    try {
+      await this.kuzzle.internalIndex.deleteByQuery(
+        COLLECTION,
+        { range: { timestamp: { lt: Date.now() - retention } } },
+        { fetch: false });
+    }
+    catch (error) {
+      this.kuzzle.log.error(`[SECURITY] Cannot delete expired audit logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Searches audit logs. Most recent logs come first, unless a sort order
+   * is specified.
+   *
+   * @param {Object} searchBody
+   * @param {Object} options - { from, scroll, size }
+   * @returns {Promise.<Object>} { hits, scrollId, total }
+   */
+  async search (searchBody, options) {
+    const body = Object.assign({ sort: [ { timestamp: 'desc' } ] }, searchBody);
+    const { hits, scrollId, total } = await this.kuzzle.internalIndex.search(
+      COLLECTION,
+      body,
+      options);
+
+    return { hits, scrollId, total };
+  }
+
+  /**
+   * @param {string} scrollId
+   * @param {string} [ttl]
+   * @returns {Promise.<Object>} { hits, scrollId, total }
+   */
+  async scroll (scrollId, ttl) {
+    const response = await this.kuzzle.internalIndex.scroll(scrollId, ttl);
+
+    return {
+      hits: response.hits,
+      scrollId: response.scrollId,
+      total: response.total
+    };
+  }
+}
+
+/**
+ * @param {Request} request
+ * @returns {boolean} true if the request opens a session
+ */
+function isLogin (request) {
+  return request.input.action === 'login'
+    || request.input.action === 'exchangeRefreshToken';
+}
+
+/**
+ * @param {Request} request
+ * @returns {string|null} identifier of the user targeted by an action
+ */
+function getTargetUserId (request) {
+  if (request.input.controller === 'auth') {
+    return request.context.user ? String(request.context.user._id) : null;
+  }
+
+  return request.input.resource._id || null;
+}
+
+/**
+ * @param {string} type - user, profile or role
+ * @param {Function} serialize
+ * @returns {Object} audited target type
+ */
+function securityTarget (type, serialize) {
+  return {
+    getId: (request, result) => getTargetUserId(request)
+      || (result && result._id),
+    load: async (kuzzle, request, id) => {
+      const document = await kuzzle.repositories[type].load(id);
+
+      return document ? serialize(document) : null;
+    },
+    serialize: result => result
+  };
+}
+
+/**
+ * @param {Object} apiKey - serialized API key
+ * @returns {Object} API key without its token and token fingerprint
+ */
+function hideApiKeySecrets (apiKey) {
+  if (!apiKey || !apiKey._source) {
+    return apiKey;
+  }
+
+  return {
+    _id: apiKey._id,
+    _source: _.omit(apiKey._source, ['token', 'fingerprint'])
+  };
+}
+
+/**
+ * @param {string} type - user, profile or role
+ * @returns {Object} audited target type of the deletions of several targets
+ *                   at once, identified by the list of the deleted ones. Each
+ *                   deletion is also recorded on its own, with the deleted
+ *                   target state
+ */
+function deletedTargets (type) {
+  return {
+    getId: (request, result) => result || null,
+    type
+  };
+}
+
+module.exports = AuditTrail;
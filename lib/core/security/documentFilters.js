@@ -0,0 +1,416 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const Koncorde = require('koncorde');
+const koncordeToElasticsearch = require('../../util/koncordeToElasticsearch');
+const projectFields = require('../../util/projectFields');
+const { has, isPlainObject } = require('../../util/safeObject');
+
+// Placeholder replaced by the user identifier in profile policies filters
+const KUID_PLACEHOLDER = '$kuid';
+
+// Query and filter keywords whose value is a field name, or a list of
+// field names
+const FIELD_KEYWORDS = ['default_field', 'exists', 'field', 'missing'];
+const FIELDS_KEYWORDS = ['docvalue_fields', 'fields', 'sort', 'stored_fields'];
+
+// Keywords executing scripts, which can read any field
+const SCRIPT_KEYWORDS = ['_script', 'script'];
+
+// Query string queries search all fields, unless told otherwise
+const QUERY_STRING_KEYWORDS = ['query_string', 'simple_query_string'];
+
+/**
+ * Document-level security: computes the Koncorde filters that the profile
+ * policies of a user apply to the documents they access, and the document
+ * fields their roles forbid to read or write, and enforces them
+ *
+ * @class DocumentFilters
+ * @param {Kuzzle} kuzzle
+ */
+class DocumentFilters {
+  constructor(kuzzle) {
+    /** @type {Kuzzle} */
+    this.kuzzle = kuzzle;
+
+    /**
+     * Filters are only stored in this instance for the duration of a test
+     *
+     * @type {Koncorde}
+     */
+    this.koncorde = new Koncorde();
+  }
+
+  /**
+   * Checks that a policy filter can be applied both to documents and to
+   * database queries
+   *
+   * @param {Object} filter - Koncorde filter
+   * @returns {Promise}
+   * @throws If the filter is invalid
+   */
+  async validate (filter) {
+    await this.koncorde.validate(filter);
+    koncordeToElasticsearch(filter);
+  }
+
+  /**
+   * Returns the filter restricting the documents targeted by a request,
+   * according to the profile policies allowing its action to its user.
+   *
+   * If one of these policies does not define a filter, the user is allowed
+   * to access all documents. Otherwise, documents must match at least one of
+   * the policies filters.
+   *
+   * @param {Request} request
+   * @returns {Promise.<Object|null>} Koncorde filter, or null if unrestricted
+   */
+  async get (request) {
+    const user = request.context.user;
+
+    if (!user || !Array.isArray(user.profileIds) || user.profileIds.length === 0) {
+      return null;
+    }
+
+    const profiles = await this.kuzzle.repositories.profile.loadProfiles(
+      user.profileIds);
+    const filters = [];
+
+    for (const profile of profiles) {
+      for (const filter of await profile.getDocumentFilters(request)) {
+        if (filter === null) {
+          return null;
+        }
+
+        filters.push(filter);
+      }
+    }
+
+    if (filters.length === 0) {
+      return null;
+    }
+
+    return bindFilter(
+      filters.length === 1 ? filters[0] : { or: filters },
+      user._id);
+  }
+
+  /**
+   * Returns the document fields that a request user may not read or write,
+   * according to the roles of the policies allowing its action.
+   *
+   * Like rights, restrictions are permissive: a field is only forbidden if
+   * all these roles forbid it.
+   *
+   * @param {Request} request
+   * @returns {Promise.<{read: Array.<string>, write: Array.<string>}>}
+   */
+  async getForbiddenFields (request) {
+    const user = request.context.user;
+    const forbidden = { read: null, write: null };
+
+    if (user && Array.isArray(user.profileIds) && user.profileIds.length > 0) {
+      const profiles = await this.kuzzle.repositories.profile.loadProfiles(
+        user.profileIds);
+
+      for (const profile of profiles) {
+        for (const fields of await profile.getForbiddenFields(request)) {
+          for (const key of ['read', 'write']) {
+            forbidden[key] = forbidden[key] === null
+              ? fields[key]
+              : forbidden[key].filter(path => fields[key].includes(path));
+          }
+        }
+      }
+    }
+
+    return {
+      read: forbidden.read || [],
+      write: forbidden.write || []
+    };
+  }
+
+  /**
+   * Removes unreadable fields from a document
+   *
+   * @param {Array.<string>} fields - unreadable fields
+   * @param {Object} document - { _id, _source }
+   * @returns {Object} document copy, or the document itself if unchanged
+   */
+  hideFields (fields, document) {
+    if (fields.length === 0) {
+      return document;
+    }
+
+    return projectFields(document, { exclude: fields, include: [] });
+  }
+
+  /**
+   * Returns the first unwritable field changed by a document content, if any.
+   * Setting a non-object value to one of its parents changes a field too.
+   *
+   * @param {Array.<string>} fields - unwritable fields
+   * @param {Object} content
+   * @returns {string|null}
+   */
+  findWrittenField (fields, content) {
+    return fields.find(field => writesField(content, field.split('.'))) || null;
+  }
+
+  /**
+   * Returns the first unreadable field referenced by an Elasticsearch search
+   * body (queries, sorts, aggregations) or by a Koncorde filter, if any:
+   * searching, sorting or filtering documents on a field discloses its
+   * values, even if the field itself is hidden from results
+   *
+   * @param {Array.<string>} fields - unreadable fields
+   * @param {*} definition - search body or filter
+   * @returns {string|null}
+   */
+  findReadField (fields, definition) {
+    if (fields.length === 0) {
+      return null;
+    }
+
+    return findReferencedField(fields, definition);
+  }
+
+  /**
+   * Restricts a database query to the documents matching a filter
+   *
+   * @param {Object|null} filter - Koncorde filter
+   * @param {Object} [query] - Elasticsearch query
+   * @returns {Object} Elasticsearch query
+   */
+  restrictQuery (filter, query) {
+    if (filter === null) {
+      return query;
+    }
+
+    return {
+      bool: {
+        filter: [ koncordeToElasticsearch(filter) ],
+        must: query || { match_all: {} }
+      }
+    };
+  }
+
+  /**
+   * Tests documents against a filter
+   *
+   * @param {Object|null} filter - Koncorde filter
+   * @param {Array.<Object>} documents - { _id, _source } objects
+   * @returns {Promise.<Array.<boolean>>} Matching status of each document
+   */
+  async test (filter, documents) {
+    if (filter === null) {
+      return documents.map(() => true);
+    }
+
+    const normalized = await this.koncorde.normalize(
+      'security',
+      'documents',
+      filter);
+
+    // storing, testing and removing the filter is synchronous: concurrent
+    // tests cannot remove a filter used by another one
+    const { id } = this.koncorde.store(normalized);
+
+    try {
+      return documents.map(document => this.koncorde
+        .test('security', 'documents', document._source || {}, document._id)
+        .includes(id));
+    }
+    finally {
+      this.koncorde.remove(id);
+    }
+  }
+}
+
+/**
+ * @param {*} content
+ * @param {Array.<string>} path - field path, split
+ * @returns {boolean}
+ */
+function writesField (content, path) {
+  if ( !isPlainObject(content)
+    || !has(content, path[0])
+    || content[path[0]] === undefined
+  ) {
+    return false;
+  }
+
+  if (path.length === 1 || !isPlainObject(content[path[0]])) {
+    return true;
+  }
+
+  return writesField(content[path[0]], path.slice(1));
+}
+
+/**
+ * @param {Array.<string>} fields - unreadable fields
+ * @param {*} definition - search body or filter, or a part of it
+ * @returns {string|null} first unreadable field referenced by the definition
+ */
+function findReferencedField (fields, definition) {
+  if (Array.isArray(definition)) {
+    for (const value of definition) {
+      const found = findReferencedField(fields, value);
+
+      if (found !== null) {
+        return found;
+      }
+    }
+
+    return null;
+  }
+
+  if (!isPlainObject(definition)) {
+    return null;
+  }
+
+  for (const [key, value] of Object.entries(definition)) {
+    const found = SCRIPT_KEYWORDS.includes(key)
+      ? findScriptField(fields, value)
+      : findNamedField(fields, [key, ...getFieldNames(key, value)])
+        || findReferencedField(fields, value);
+
+    if (found !== null) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @param {string} key - definition keyword
+ * @param {*} value - keyword value
+ * @returns {Array.<string>} field names given as values rather than as keys
+ */
+function getFieldNames (key, value) {
+  if (FIELD_KEYWORDS.includes(key) && typeof value === 'string') {
+    // Koncorde "exists" filters can test array values: 'field["value"]'
+    return [ value.replace(/\[.*$/, '') ];
+  }
+
+  if (FIELDS_KEYWORDS.includes(key)) {
+    return [].concat(value).filter(name => typeof name === 'string');
+  }
+
+  if (QUERY_STRING_KEYWORDS.includes(key) && isPlainObject(value)) {
+    const names = [];
+
+    if (value.fields === undefined && value.default_field === undefined) {
+      names.push('*');
+    }
+
+    // "field:value" and "_exists_:field" terms
+    if (typeof value.query === 'string') {
+      const regexp = /([\w.*]+):/g;
+      let match;
+
+      while ((match = regexp.exec(value.query)) !== null) {
+        names.push(match[1]);
+      }
+
+      for (const term of value.query.match(/_exists_:[\w.*]+/g) || []) {
+        names.push(term.slice('_exists_:'.length));
+      }
+    }
+
+    return names;
+  }
+
+  return [];
+}
+
+/**
+ * @param {Array.<string>} fields - unreadable fields
+ * @param {Array.<string>} names - referenced field names or wildcard patterns
+ * @returns {string|null} first unreadable field matching one of the names
+ */
+function findNamedField (fields, names) {
+  for (const name of names) {
+    const pattern = name.includes('*')
+      ? new RegExp(`^${_.escapeRegExp(name).replace(/\\\*/g, '.*')}$`)
+      : null;
+    const found = fields.find(field => pattern === null
+      ? name === field || name.startsWith(`${field}.`)
+      : field.split('.').some((part, i, path) => pattern.test(
+        path.slice(0, i + 1).join('.'))));
+
+    if (found !== undefined) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Scripts access fields by their names (e.g. "doc['field']"), possibly
+ * given as script parameters: they must not mention unreadable fields
+ *
+ * @param {Array.<string>} fields - unreadable fields
+ * @param {*} script - script definition, or inline script source
+ * @returns {string|null}
+ */
+function findScriptField (fields, script) {
+  const text = JSON.stringify(script);
+
+  return fields.find(field => new RegExp(`\\b${_.escapeRegExp(field)}\\b`)
+    .test(text)) || null;
+}
+
+/**
+ * Replaces placeholders in a filter with their values
+ *
+ * @param {*} filter
+ * @param {string} kuid
+ * @returns {*}
+ */
+function bindFilter (filter, kuid) {
+  if (filter === KUID_PLACEHOLDER) {
+    return kuid;
+  }
+
+  if (Array.isArray(filter)) {
+    return filter.map(value => bindFilter(value, kuid));
+  }
+
+  if (filter !== null && typeof filter === 'object') {
+    const bound = {};
+
+    for (const [key, value] of Object.entries(filter)) {
+      bound[key] = bindFilter(value, kuid);
+    }
+
+    return bound;
+  }
+
+  return filter;
+}
+
+module.exports = DocumentFilters;
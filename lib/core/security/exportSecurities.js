@@ -0,0 +1,131 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { Request } = require('kuzzle-common-objects');
+
+/**
+ * Exports roles, profiles and users, in the format expected by
+ * loadSecurities.
+ *
+ * Disabled users are exported with a "disabled" property, which
+ * loadSecurities applies. Exported credentials are the ones returned by the
+ * "getById" method of authentication strategies: secrets, such as password
+ * hashes, are never exported, and must be added before loading credentials.
+ *
+ * @param {Kuzzle} kuzzle
+ * @param {Object} options - { excludeUsers (false), includeCredentials (false) }
+ * @returns {Promise.<Object>} { roles, profiles, users }
+ */
+async function exportSecurities (
+  kuzzle,
+  { excludeUsers = false, includeCredentials = false } = {}
+) {
+  const securities = {
+    profiles: await _fetchAll(kuzzle, 'profiles'),
+    roles: await _fetchAll(kuzzle, 'roles')
+  };
+
+  if (excludeUsers) {
+    return securities;
+  }
+
+  securities.users = {};
+
+  const users = await _fetchAll(kuzzle, 'users');
+
+  for (const [_id, content] of Object.entries(users)) {
+    if (content.disabled !== true) {
+      delete content.disabled;
+    }
+
+    securities.users[_id] = { content };
+
+    if (includeCredentials) {
+      securities.users[_id].credentials = await _getCredentials(kuzzle, _id);
+    }
+  }
+
+  return securities;
+}
+
+/**
+ * Fetches all documents of an internal index collection, without their
+ * Kuzzle metadata
+ *
+ * @param {Kuzzle} kuzzle
+ * @param {string} collection
+ * @returns {Promise.<Object>} documents contents, by identifier
+ */
+async function _fetchAll (kuzzle, collection) {
+  const documents = {};
+  let response = await kuzzle.internalIndex.search(
+    collection,
+    {},
+    { scroll: '10s', size: kuzzle.config.limits.documentsFetchCount });
+  let fetched = 0;
+
+  for (;;) {
+    for (const { _id, _source } of response.hits) {
+      delete _source._kuzzle_info;
+      documents[_id] = _source;
+    }
+
+    fetched += response.hits.length;
+
+    if (response.hits.length === 0 || fetched >= response.total) {
+      return documents;
+    }
+
+    response = await kuzzle.internalIndex.scroll(response.scrollId, '10s');
+  }
+}
+
+/**
+ * @param {Kuzzle} kuzzle
+ * @param {string} userId
+ * @returns {Promise.<Object>} user credentials, by strategy
+ */
+async function _getCredentials (kuzzle, userId) {
+  const credentials = {};
+  const request = new Request({ _id: userId });
+
+  for (const strategy of kuzzle.pluginsManager.listStrategies()) {
+    if (!kuzzle.pluginsManager.hasStrategyMethod(strategy, 'getById')) {
+      continue;
+    }
+
+    const exists = kuzzle.pluginsManager.getStrategyMethod(strategy, 'exists');
+
+    if (await exists(request, userId, strategy)) {
+      const getById = kuzzle.pluginsManager.getStrategyMethod(
+        strategy,
+        'getById');
+
+      credentials[strategy] = await getById(request, userId, strategy);
+    }
+  }
+
+  return credentials;
+}
+
+module.exports = exportSecurities;
@@ -25,6 +25,7 @@ const RoleRepository = require('./roleRepository');
 const ProfileRepository = require('./profileRepository');
 const TokenRepository = require('./tokenRepository');
 const UserRepository = require('./userRepository');
+const exportSecurities = require('./exportSecurities');
 const loadSecurities = require('./loadSecurities');
 
 /**
@@ -48,6 +49,11 @@ class Repositories {
     this.token.init();
   }
 
+  // @todo Temporary: will be replaced by an ask event in the near future
+  exportSecurities (...args) {
+    return exportSecurities(this.kuzzle, ...args);
+  }
+
   // @todo Temporary: will be replaced by an ask event in the near future
   loadSecurities (...args) {
     return loadSecurities(this.kuzzle, ...args);
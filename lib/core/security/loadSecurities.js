@@ -25,22 +25,50 @@ const _ = require('lodash');
 const Bluebird = require('bluebird');
 const { Request } = require('kuzzle-common-objects');
 
-const { assertIsObject } = require('../../util/requestAssertions');
+const {
+  assertBodyAttributeType,
+  assertBodyHasAttribute,
+  assertIdStartsNotUnderscore,
+  assertIsObject
+} = require('../../util/requestAssertions');
 const kerror = require('../../kerror');
+const Profile = require('../../model/security/profile');
+const Role = require('../../model/security/role');
 
 /**
  * Load roles, profiles and users fixtures into Kuzzle
  *
+ * Users with a "disabled" content property set to true are disabled once
+ * created. Existing users are only overwritten if their content changes, or
+ * if credentials are provided for them.
+ *
+ * In dry run mode, nothing is written: roles and profiles are validated, and
+ * the changes that would be made are returned instead, for each collection:
+ *   { created: [ids], deleted: [ids], unchanged: [ids], updated: [ids] }
+ * Nothing is ever deleted: roles, profiles and users missing from the
+ * securities are left as they are, so "deleted" is always empty.
+ *
  * @param {object} securities
- * @returns {Promise}
+ * @param {object} options - { dryRun, force, onExistingUsers, user }
+ * @returns {Promise.<Object|undefined>} changes, in dry run mode
  */
 async function loadSecurities (
   kuzzle,
   securities = {},
-  { force, onExistingUsers='fail', user=null } = {}
+  { dryRun = false, force, onExistingUsers='fail', user=null } = {}
 ) {
   assertIsObject(securities);
 
+  if (dryRun) {
+    await _validateSecurities(kuzzle, securities, { force });
+
+    return {
+      profiles: await _diffSecurity(kuzzle, securities.profiles, 'profiles', Profile),
+      roles: await _diffSecurity(kuzzle, securities.roles, 'roles', Role),
+      users: await _diffUsers(kuzzle, securities.users, { onExistingUsers })
+    };
+  }
+
   await _createSecurity(
     kuzzle,
     'createOrReplaceRole',
@@ -60,7 +88,7 @@ async function loadSecurities (
     securities.users,
     { onExistingUsers, user });
 
-  await _createSecurity(kuzzle, 'createUser', usersToLoad, 'users', { user });
+  await _createUsers(kuzzle, usersToLoad, { user });
 }
 
 async function _createSecurity (
@@ -105,48 +133,152 @@ async function _getUsersToLoad (kuzzle, users, { onExistingUsers } = {}) {
     return users;
   }
 
-  const ids = Object.keys(users);
+  const { created, updated } = await _compareUsers(
+    kuzzle,
+    users,
+    { onExistingUsers });
 
-  const mGetUsers = new Request({
-    action: 'mGetUsers',
-    body: { ids },
-    controller: 'security'
-  });
+  if (updated.length > 0) {
+    const mDeleteUsers = new Request({
+      action: 'mDeleteUsers',
+      body: { ids: updated },
+      controller: 'security',
+      refresh: false
+    });
 
-  const { result } = await kuzzle.funnel.processRequest(mGetUsers);
+    await kuzzle.funnel.processRequest(mDeleteUsers);
+  }
 
-  const existingUserIds = result.hits.map(({ _id }) => _id);
+  return _.pickBy(
+    users,
+    (body, userId) => created.includes(userId) || updated.includes(userId));
+}
 
-  if (existingUserIds.length === 0) {
-    return users;
+/**
+ * Creates users, then disables the ones marked as disabled, as users
+ * cannot be created disabled
+ *
+ * @param {Kuzzle} kuzzle
+ * @param {object} users
+ * @param {object} options - { user }
+ * @returns {Promise}
+ */
+async function _createUsers (kuzzle, users, { user }) {
+  if (_.isEmpty(users)) {
+    return;
   }
 
-  if (onExistingUsers === 'fail') {
-    throw kerror.get('security', 'user', 'prevent_overwrite');
+  const disabledUserIds = [];
+  const usersToCreate = {};
+
+  for (const [_id, body] of Object.entries(users)) {
+    if (body.content && body.content.disabled !== undefined) {
+      if (body.content.disabled === true) {
+        disabledUserIds.push(_id);
+      }
+
+      usersToCreate[_id] = Object.assign({}, body, {
+        content: _.omit(body.content, 'disabled')
+      });
+    }
+    else {
+      usersToCreate[_id] = body;
+    }
   }
-  else if (onExistingUsers === 'skip') {
-    return Object.entries(users)
-      .reduce((memo, [userId, content]) => {
-        if (! existingUserIds.includes(userId)) {
-          memo[userId] = content;
-        }
 
-        return memo;
-      }, {});
+  await _createSecurity(kuzzle, 'createUser', usersToCreate, 'users', { user });
+
+  if (disabledUserIds.length === 0) {
+    return;
   }
-  else if (onExistingUsers === 'overwrite') {
-    const mDeleteUsers = new Request({
-      action: 'mDeleteUsers',
-      body: { ids: existingUserIds },
+
+  await Bluebird.map(disabledUserIds, _id => kuzzle.funnel.processRequest(
+    new Request({
+      _id,
+      action: 'disableUser',
       controller: 'security',
       refresh: false
-    });
+    }, { user })));
 
-    await kuzzle.funnel.processRequest(mDeleteUsers);
+  await kuzzle.storageEngine.internal.refreshCollection(
+    kuzzle.storageEngine.config.internalIndex.name,
+    'users');
+}
 
-    return users;
+/**
+ * Sorts users between the ones to create, the ones left unchanged, and
+ * the ones to overwrite. Credentials cannot be compared since secrets are
+ * not readable: existing users with credentials to load are overwritten.
+ *
+ * @param {Kuzzle} kuzzle
+ * @param {object} users
+ * @param {object} options - { onExistingUsers }
+ * @returns {Promise.<Object>} { created, unchanged, updated }
+ */
+async function _compareUsers (kuzzle, users, { onExistingUsers }) {
+  const diff = { created: [], unchanged: [], updated: [] };
+
+  assertIsObject(users);
+
+  const existing = await _getExistingUsers(kuzzle, users);
+
+  if (Object.keys(existing).length > 0) {
+    _assertCanLoadExistingUsers(onExistingUsers);
+  }
+
+  for (const [_id, body] of Object.entries(users)) {
+    assertIsObject(body);
+
+    if (!_.has(existing, _id)) {
+      diff.created.push(_id);
+    }
+    else if ( onExistingUsers === 'skip'
+      || ( _.isEmpty(body.credentials)
+        && _.isEqual(_normalizeUser(body.content), _normalizeUser(existing[_id])))
+    ) {
+      diff.unchanged.push(_id);
+    }
+    else {
+      diff.updated.push(_id);
+    }
   }
-  else {
+
+  return diff;
+}
+
+/**
+ * @param {Kuzzle} kuzzle
+ * @param {object} users
+ * @returns {Promise.<Object>} content of the users that already exist, by
+ *                             identifier
+ */
+async function _getExistingUsers (kuzzle, users) {
+  const mGetUsers = new Request({
+    action: 'mGetUsers',
+    body: { ids: Object.keys(users) },
+    controller: 'security'
+  });
+
+  const { result } = await kuzzle.funnel.processRequest(mGetUsers);
+  const existing = {};
+
+  for (const { _id, _source } of result.hits) {
+    existing[_id] = _source;
+  }
+
+  return existing;
+}
+
+/**
+ * @param {string} onExistingUsers
+ * @throws If existing users cannot be loaded with that option
+ */
+function _assertCanLoadExistingUsers (onExistingUsers) {
+  if (onExistingUsers === 'fail') {
+    throw kerror.get('security', 'user', 'prevent_overwrite');
+  }
+
+  if (onExistingUsers !== 'skip' && onExistingUsers !== 'overwrite') {
     throw kerror.get(
       'api',
       'assert',
@@ -156,4 +288,145 @@ async function _getUsersToLoad (kuzzle, users, { onExistingUsers } = {}) {
   }
 }
 
+/**
+ * Runs the same checks on roles and profiles as the security API actions
+ * loading them, without writing anything. Profiles may use the roles about
+ * to be loaded.
+ *
+ * @param {Kuzzle} kuzzle
+ * @param {object} securities
+ * @param {object} options - { force }
+ * @returns {Promise}
+ * @throws If a role or a profile is invalid
+ */
+async function _validateSecurities (kuzzle, { profiles, roles }, { force }) {
+  const { profile: profileRepository, role: roleRepository } = kuzzle.repositories;
+  const newRoles = _.isPlainObject(roles) ? Object.keys(roles) : [];
+
+  for (const [_id, body] of Object.entries(roles || {})) {
+    assertIsObject(body);
+
+    const role = await roleRepository.fromDTO(Object.assign({}, body, { _id }));
+
+    await roleRepository.validateRole(role, { force });
+  }
+
+  for (const [_id, body] of Object.entries(profiles || {})) {
+    assertIsObject(body);
+
+    // security:createOrReplaceProfile request checks
+    const request = new Request({ _id, body });
+
+    assertBodyHasAttribute(request, 'policies');
+    assertBodyAttributeType(request, 'policies', 'array');
+    assertIdStartsNotUnderscore(request);
+
+    const profile = await profileRepository.fromDTO(
+      Object.assign({}, body, { _id }),
+      { newRoles });
+
+    await profileRepository.validateProfile(profile, { newRoles });
+  }
+}
+
+/**
+ * Lists the roles or profiles that loadSecurities would create or update
+ *
+ * @param {Kuzzle} kuzzle
+ * @param {object} objects - definitions, by identifier
+ * @param {string} collection
+ * @param {Function} ObjectConstructor - Role or Profile
+ * @returns {Promise.<Object>} { created, deleted, unchanged, updated }
+ */
+async function _diffSecurity (kuzzle, objects, collection, ObjectConstructor) {
+  const diff = { created: [], deleted: [], unchanged: [], updated: [] };
+
+  if (!objects) {
+    return diff;
+  }
+
+  assertIsObject(objects);
+
+  const ids = Object.keys(objects);
+
+  if (ids.length === 0) {
+    return diff;
+  }
+
+  const { items } = await kuzzle.internalIndex.mGet(collection, ids);
+  const existing = {};
+
+  for (const { _id, _source } of items) {
+    existing[_id] = _source;
+  }
+
+  for (const [_id, body] of Object.entries(objects)) {
+    assertIsObject(body);
+
+    if (!existing[_id]) {
+      diff.created.push(_id);
+    }
+    else if (_.isEqual(
+      _normalize(ObjectConstructor, body),
+      _normalize(ObjectConstructor, existing[_id]))
+    ) {
+      diff.unchanged.push(_id);
+    }
+    else {
+      diff.updated.push(_id);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Lists the users that loadSecurities would create, skip or overwrite
+ *
+ * @param {Kuzzle} kuzzle
+ * @param {object} users
+ * @param {object} options - { onExistingUsers }
+ * @returns {Promise.<Object>} { created, deleted, unchanged, updated }
+ */
+async function _diffUsers (kuzzle, users, { onExistingUsers }) {
+  if (_.isEmpty(users)) {
+    return { created: [], deleted: [], unchanged: [], updated: [] };
+  }
+
+  const diff = await _compareUsers(kuzzle, users, { onExistingUsers });
+
+  return Object.assign({ deleted: [] }, diff);
+}
+
+/**
+ * @param {Function} ObjectConstructor - Role or Profile
+ * @param {object} definition
+ * @returns {object} definition with default values, without metadata
+ */
+function _normalize (ObjectConstructor, definition) {
+  const object = JSON.parse(JSON.stringify(
+    Object.assign(new ObjectConstructor(), definition)));
+
+  delete object._id;
+  delete object._kuzzle_info;
+  delete object.restrictedTo;
+
+  return object;
+}
+
+/**
+ * @param {object} content - user content
+ * @returns {object} user content without metadata, empty values and
+ *                   default status
+ */
+function _normalizeUser (content = {}) {
+  const user = _.omitBy(_.omit(content, ['_id', '_kuzzle_info']), _.isNil);
+
+  if (user.disabled !== true) {
+    delete user.disabled;
+  }
+
+  return user;
+}
+
 module.exports = loadSecurities;
@@ -241,6 +241,31 @@ class ProfileRepository extends Repository {
    * @returns {Promise<Profile>}
    **/
   async validateAndSaveProfile (profile, options) {
+    await this.validateProfile(profile);
+
+    this.kuzzle.emit('core:profileRepository:save', {
+      _id: profile._id,
+      policies: profile.policies
+    });
+
+    await this.persistToDatabase(profile, options);
+
+    const updatedProfile = await this.loadOneFromDatabase(profile._id);
+
+    this.profiles.set(profile._id, updatedProfile);
+    return updatedProfile;
+  }
+
+  /**
+   * Validates a Profile object without saving it
+   *
+   * @param {Profile} profile
+   * @param {object} [options] - newRoles ([]): identifiers of roles about
+   *                             to be created, which are not looked for
+   * @returns {Promise}
+   * @throws If the profile is invalid, or if one of its roles does not exist
+   */
+  async validateProfile (profile, { newRoles = [] } = {}) {
     if (!profile._id) {
       throw assertionError.get('missing_argument', 'profileId');
     }
@@ -248,7 +273,8 @@ class ProfileRepository extends Repository {
     const policiesRoles = profile.policies.map(p => p.roleId);
 
     try {
-      await this.kuzzle.repositories.role.loadRoles(policiesRoles);
+      await this.kuzzle.repositories.role.loadRoles(
+        policiesRoles.filter(roleId => !newRoles.includes(roleId)));
     }
     catch (nil) {
       throw kerror.get('security', 'profile', 'cannot_hydrate', profile._id);
@@ -261,25 +287,15 @@ class ProfileRepository extends Repository {
     ) {
       throw kerror.get('security', 'profile', 'missing_anonymous_role');
     }
-
-    this.kuzzle.emit('core:profileRepository:save', {
-      _id: profile._id,
-      policies: profile.policies
-    });
-
-    await this.persistToDatabase(profile, options);
-
-    const updatedProfile = await this.loadOneFromDatabase(profile._id);
-
-    this.profiles.set(profile._id, updatedProfile);
-    return updatedProfile;
   }
 
   /**
    * @param {object} dto
+   * @param {object} [options] - newRoles ([]): identifiers of roles about
+   *                             to be created, which are not loaded
    * @returns {Promise<Profile>}
    */
-  async fromDTO (dto) {
+  async fromDTO (dto, { newRoles = [] } = {}) {
     const profile = await super.fromDTO(dto);
 
     // force "default" role/policy if the profile does not have any role in it
@@ -292,7 +308,9 @@ class ProfileRepository extends Repository {
     }
 
     const
-      policiesRoles = profile.policies.map(p => p.roleId),
+      policiesRoles = profile.policies
+        .map(p => p.roleId)
+        .filter(roleId => !newRoles.includes(roleId)),
       roles = await this.kuzzle.repositories.role.loadRoles(policiesRoles);
 
     // Fail if not all roles are found
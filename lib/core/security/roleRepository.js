@@ -183,19 +183,13 @@ class RoleRepository extends Repository {
    * @returns Promise
    */
   async validateAndSaveRole (role, options = {}) {
-    await role.validateDefinition();
-
-    if (role._id === 'anonymous' && !role.canLogIn()) {
-      throw kerror.get('security', 'role', 'login_required');
-    }
+    await this.validateRole(role, options);
 
     this.kuzzle.emit('core:roleRepository:save', {
       _id: role._id,
       controllers: role.controllers
     });
 
-    this.checkRoleNativeRights(role);
-    this.checkRolePluginsRights(role, options);
     await this.persistToDatabase(role, options);
 
     const updatedRole = await this.loadOneFromDatabase(role._id);
@@ -204,6 +198,26 @@ class RoleRepository extends Repository {
     return updatedRole;
   }
 
+  /**
+   * Validates a Role object without saving it
+   *
+   * @param {Role} role
+   * @param {object} [options] - force (false): accept rights on unknown
+   *                             plugin controllers and actions
+   * @returns {Promise}
+   * @throws If the role is invalid
+   */
+  async validateRole (role, options = {}) {
+    await role.validateDefinition();
+
+    if (role._id === 'anonymous' && !role.canLogIn()) {
+      throw kerror.get('security', 'role', 'login_required');
+    }
+
+    this.checkRoleNativeRights(role);
+    this.checkRolePluginsRights(role, options);
+  }
+
   /**
    * Given a Role object, checks if its controllers and actions exist.
    *
@@ -22,6 +22,7 @@
 'use strict';
 
 const _ = require('lodash');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const ms = require('ms');
 const Bluebird = require('bluebird');
@@ -70,7 +71,10 @@ class TokenRepository extends Repository {
   /**
    * @param {User} user
    * @param {String} connectionId
-   * @param {Object} options - { algorithm, expiresIn, bypassMaxTTL (false) }
+   * @param {Object} options - { expiresIn, bypassMaxTTL (false),
+   *                             apiKey (false), impersonatedBy (null),
+   *                             ip (null), protocol (null),
+   *                             restriction (null) }
    *
    * @returns {Object} { _id, jwt, userId, ttl, expiresAt }
    */
@@ -78,9 +82,13 @@ class TokenRepository extends Repository {
     user,
     connectionId,
     {
-      algorithm = this.kuzzle.config.security.jwt.algorithm,
       expiresIn = this.kuzzle.config.security.jwt.expiresIn,
-      bypassMaxTTL = false
+      bypassMaxTTL = false,
+      apiKey = false,
+      impersonatedBy = null,
+      ip = null,
+      protocol = null,
+      restriction = null
     } = {}
   ) {
     if (!user || user._id === null) {
@@ -91,7 +99,7 @@ class TokenRepository extends Repository {
       return securityError.reject('unknown_connection');
     }
 
-    const parsedExpiresIn = parseTimespan(expiresIn);
+    let parsedExpiresIn = parseTimespan(expiresIn);
 
     if ( ! bypassMaxTTL
       && this.kuzzle.config.security.jwt.maxTTL > 0
@@ -101,9 +109,18 @@ class TokenRepository extends Repository {
       return securityError.reject('ttl_exceeded');
     }
 
-    const signOptions = {
-      algorithm
-    };
+    // authentication tokens do not outlive the account they are issued for
+    // (API keys are rejected by verifyToken instead, so that they work again
+    // if the account expiration date is postponed)
+    if (!apiKey && typeof user.expiresAt === 'number' && parsedExpiresIn !== 0) {
+      const accountTTL = Math.max(user.expiresAt - Date.now(), 1000);
+
+      if (parsedExpiresIn === -1 || parsedExpiresIn > accountTTL) {
+        parsedExpiresIn = accountTTL;
+      }
+    }
+
+    const signOptions = {};
 
     // error parsing expiresIn, let jwt.sign handle the incorrect value
     if (parsedExpiresIn === 0) {
@@ -114,18 +131,25 @@ class TokenRepository extends Repository {
     }
     // -1 mean infite duration, so we don't pass the expiresIn option to jwt.sign
 
+    // impersonation tokens tell who is impersonating their user, to
+    // services verifying them too
+    const payload = impersonatedBy === null
+      ? { _id: user._id }
+      : { _id: user._id, impersonatedBy };
+
     let encodedToken;
     try {
-      encodedToken = jwt.sign(
-        { _id: user._id },
-        this.kuzzle.config.security.jwt.secret,
-        signOptions);
+      encodedToken = this.kuzzle.jwtKeyring.sign(payload, signOptions);
     }
     catch (err) {
       return securityError.rejectFrom(err, 'generation_failed', err.message);
     }
 
-    return this.persistForUser(encodedToken, user._id, parsedExpiresIn);
+    return this.persistForUser(
+      encodedToken,
+      user._id,
+      parsedExpiresIn,
+      { apiKey, impersonatedBy, ip, protocol, restriction });
   }
 
   /**
@@ -134,17 +158,38 @@ class TokenRepository extends Repository {
    * @param {String} encodedToken - Encoded token
    * @param {String} userId - User ID
    * @param {Number} ttl - TTL in ms (-1 for infinite duration)
+   * @param {Object} options - apiKey (false), createdAt (now),
+   *                           impersonatedBy (null), ip (null),
+   *                           protocol (null), restriction (null)
    *
    * @returns {Promise}
    */
-  async persistForUser (encodedToken, userId, ttl) {
+  async persistForUser (
+    encodedToken,
+    userId,
+    ttl,
+    {
+      apiKey = false,
+      createdAt = Date.now(),
+      impersonatedBy = null,
+      ip = null,
+      protocol = null,
+      restriction = null
+    } = {}
+  ) {
     const
       redisTTL = ttl !== -1 ? ttl / 1000 : false,
       expiresAt = ttl !== -1 ? Date.now() + ttl : -1,
       token = new Token({
         _id: `${userId}#${encodedToken}`,
+        apiKey,
+        createdAt,
         expiresAt,
+        impersonatedBy,
+        ip,
         jwt: encodedToken,
+        protocol,
+        restriction,
         ttl,
         userId
       });
@@ -162,15 +207,22 @@ class TokenRepository extends Repository {
     }
   }
 
-  verifyToken(token) {
+  /**
+   * Verifies an authentication token, with the keyring key it was signed
+   * with
+   *
+   * @param {string|null} token
+   * @returns {Promise.<Token>}
+   */
+  async verifyToken (token) {
     if (token === null) {
-      return Bluebird.resolve(this.anonymous());
+      return this.anonymous();
     }
 
     let decoded = null;
 
     try {
-      decoded = jwt.verify(token, this.kuzzle.config.security.jwt.secret);
+      decoded = await this.kuzzle.jwtKeyring.verify(token);
 
       // probably forged token => throw without providing any information
       if (!decoded._id) {
@@ -179,31 +231,67 @@ class TokenRepository extends Repository {
     }
     catch (err) {
       if (err instanceof jwt.TokenExpiredError) {
-        return securityError.reject('expired');
+        throw securityError.get('expired');
       }
 
       if (err instanceof jwt.JsonWebTokenError) {
-        return securityError.reject('invalid');
+        throw securityError.get('invalid');
       }
 
-      return securityError.rejectFrom(err, 'verification_error', err.message);
+      throw securityError.getFrom(err, 'verification_error', err.message);
     }
 
-    return this.loadForUser(decoded._id, token)
-      .then(userToken => {
-        if (userToken === null) {
-          throw securityError.get('invalid');
-        }
+    let userToken;
 
-        return userToken;
-      })
-      .catch(err => {
-        if (err instanceof UnauthorizedError) {
-          throw err;
-        }
+    try {
+      userToken = await this.loadForUser(decoded._id, token);
+    }
+    catch (err) {
+      if (err instanceof UnauthorizedError) {
+        throw err;
+      }
 
-        throw securityError.getFrom(err, 'verification_error', err.message);
-      });
+      throw securityError.getFrom(err, 'verification_error', err.message);
+    }
+
+    if (userToken === null) {
+      throw securityError.get('invalid');
+    }
+
+    // tokens of disabled or expired accounts are rejected, and so are
+    // impersonation tokens issued by such accounts
+    await this._assertUserIsActive(userToken.userId);
+
+    if (userToken.impersonatedBy) {
+      await this._assertUserIsActive(userToken.impersonatedBy);
+    }
+
+    return userToken;
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise}
+   * @throws {UnauthorizedError} If the user account is disabled or expired
+   */
+  async _assertUserIsActive (userId) {
+    let user;
+
+    try {
+      user = await this.kuzzle.repositories.user.load(userId);
+    }
+    catch (err) {
+      // deleted users have no token left
+      if (err.id === 'services.storage.not_found') {
+        return;
+      }
+
+      throw securityError.getFrom(err, 'verification_error', err.message);
+    }
+
+    if (user) {
+      user.assertIsActive();
+    }
   }
 
   loadForUser (userId, encodedToken) {
@@ -239,6 +327,91 @@ class TokenRepository extends Repository {
    * @return {Promise}
    */
   deleteByUserId(userId) {
+    return this._getUserTokenIds(userId)
+      .then(ids => Bluebird.map(ids, token => this.load(token).then(cacheToken => {
+        if (cacheToken !== null) {
+          return this.expire(cacheToken);
+        }
+
+        return null;
+      })))
+      .then(() => this.kuzzle.refreshTokens.revokeUser(userId));
+  }
+
+  /**
+   * Returns the identifier of the session opened by an authentication token
+   *
+   * @param {string} encodedToken
+   * @returns {string} token fingerprint
+   */
+  getSessionId (encodedToken) {
+    return fingerprint(encodedToken);
+  }
+
+  /**
+   * Lists the sessions of a user, i.e. its authentication tokens, API keys
+   * excluded. Sessions are identified by the fingerprint of their token, so
+   * that listing them does not disclose tokens.
+   *
+   * @param {string} userId
+   * @param {Token} [currentToken] - token of the requesting user, flagged as
+   *                                 the "current" session
+   * @returns {Promise.<Array.<Object>>}
+   */
+  async listSessions (userId, currentToken = null) {
+    const tokens = await this._loadSessionTokens(userId);
+
+    return tokens
+      .map(token => ({
+        _id: this.getSessionId(token.jwt),
+        connections: this.kuzzle.tokenManager.getConnections(token),
+        createdAt: token.createdAt,
+        current: currentToken !== null && currentToken._id === token._id,
+        expiresAt: token.expiresAt,
+        impersonatedBy: token.impersonatedBy,
+        ip: token.ip,
+        protocol: token.protocol
+      }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Revokes one session of a user, without expiring its other tokens. The
+   * refresh tokens issued along with the session are revoked too.
+   *
+   * @param {string} userId
+   * @param {string} sessionId - token fingerprint
+   * @returns {Promise}
+   * @throws {NotFoundError} If the user has no such session
+   */
+  async revokeSession (userId, sessionId) {
+    const tokens = await this._loadSessionTokens(userId);
+    const token = tokens.find(t => this.getSessionId(t.jwt) === sessionId);
+
+    if (!token) {
+      throw securityError.get('session_not_found', sessionId, userId);
+    }
+
+    await this.expire(token);
+    await this.kuzzle.refreshTokens.revokeSession(userId, sessionId);
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise.<Array.<Token>>} user tokens, API keys tokens excluded
+   */
+  async _loadSessionTokens (userId) {
+    const ids = await this._getUserTokenIds(userId);
+    const tokens = await Bluebird.map(ids, id => this.load(id));
+
+    return tokens.filter(token => token !== null && !token.apiKey);
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise.<Array.<string>>} identifiers of the user tokens
+   */
+  _getUserTokenIds (userId) {
     const
       emptyKeyLength = super.getCacheKey('').length,
       userKey = super.getCacheKey(`${userId}#*`);
@@ -262,19 +435,11 @@ class TokenRepository extends Repository {
          This test is possible because '#' is not a valid
          JWT character
          */
-        const ids = keys
+        return keys
           .map(key => key.indexOf('#', userKey.length - 1) === -1
             ? key.slice(emptyKeyLength)
             : null)
           .filter(key => key !== null);
-
-        return Bluebird.map(ids, token => this.load(token).then(cacheToken => {
-          if (cacheToken !== null) {
-            return this.expire(cacheToken);
-          }
-
-          return null;
-        }));
       });
   }
 
@@ -305,6 +470,14 @@ class TokenRepository extends Repository {
 
 module.exports = TokenRepository;
 
+/**
+ * @param {string} encodedToken
+ * @returns {string} token fingerprint
+ */
+function fingerprint (encodedToken) {
+  return crypto.createHash('sha256').update(encodedToken).digest('hex');
+}
+
 /**
  * Returns a duration in milliseconds
  *  - returns 0 if the duration is invalid
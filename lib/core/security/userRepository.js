@@ -89,6 +89,19 @@ class UserRepository extends Repository {
         return this.persistToDatabase(user, databaseOptions);
       })
       .then(() => this.persistToCache(user, cacheOptions))
+      .then(() => {
+        // real-time connections of inactive accounts cannot keep their
+        // subscriptions
+        if (!user.isActive()) {
+          return this.kuzzle.tokenManager.expireUser(
+            user._id,
+            user.disabled === true ? 'User Account Disabled' : 'User Account Expired');
+        }
+
+        this.kuzzle.tokenManager.setUserExpiry(
+          user._id,
+          typeof user.expiresAt === 'number' ? user.expiresAt : null);
+      })
       .then(() => user);
   }
 
@@ -25,7 +25,6 @@ const debug = require('../../../util/debug')('kuzzle:bootstrap:internalIndex');
 const Bluebird = require('bluebird');
 const SafeBootstrap = require('./safeBootstrap');
 const ApiKey = require('../../../model/storage/apiKey');
-const crypto = require('crypto');
 const kerror = require('../../../kerror');
 
 class InternalIndexBootstrap extends SafeBootstrap {
@@ -40,7 +39,6 @@ class InternalIndexBootstrap extends SafeBootstrap {
 
     // IDs for config documents
     this._DATAMODEL_VERSION_ID = 'internalIndex.dataModelVersion';
-    this._JWT_SECRET_ID = 'security.jwt.secret';
 
     this.initialSecurities = {
       profiles: {
@@ -97,8 +95,6 @@ class InternalIndexBootstrap extends SafeBootstrap {
       this._kuzzle.storageEngine.config.internalIndex.collections);
 
     await super.startOrWait();
-
-    this._kuzzle.config.security.jwt.secret = await this._getJWTSecret();
   }
 
   /**
@@ -111,9 +107,6 @@ class InternalIndexBootstrap extends SafeBootstrap {
     debug('Bootstrapping document validation structure');
     await this.createInitialValidations();
 
-    debug('Bootstrapping JWT secret');
-    await this._persistJWTSecret();
-
     debug('Loading API keys into Redis');
     await this._loadApiKeys();
 
@@ -176,38 +169,6 @@ class InternalIndexBootstrap extends SafeBootstrap {
     return Bluebird.all(promises);
   }
 
-  async _getJWTSecret () {
-    if (this._kuzzle.config.security.jwt.secret) {
-      return this._kuzzle.config.security.jwt.secret;
-    }
-
-    const response = await this._indexStorage.get('config', this._JWT_SECRET_ID);
-
-    return response._source.seed;
-  }
-
-  async _persistJWTSecret () {
-    let seed;
-
-    if (this._kuzzle.config.security.jwt.secret) {
-      seed = this._kuzzle.config.security.jwt.secret;
-    }
-    else {
-      seed = crypto.randomBytes(512).toString('hex');
-    }
-
-    try {
-      await this._indexStorage.create('config', this._JWT_SECRET_ID, { seed });
-    }
-    catch (e) {
-      if (e.id !== 'services.storage.document_already_exists') {
-        throw e;
-      }
-
-      // ignore: the secret already exists
-    }
-  }
-
   /**
    * Loads authentication token from API key into Redis
    *
@@ -221,7 +182,8 @@ class InternalIndexBootstrap extends SafeBootstrap {
         promises.push(this._kuzzle.repositories.token.persistForUser(
           _source.token,
           _source.userId,
-          _source.ttl));
+          _source.ttl,
+          { apiKey: true, restriction: _source.restriction || null }));
       }
     });
 
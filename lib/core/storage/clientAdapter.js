@@ -24,6 +24,106 @@
 const { assertIsObject } = require('../../util/requestAssertions');
 const kerror = require('../../kerror').wrap('services', 'storage');
 
+/**
+ * Bulk import actions replacing or deleting existing documents
+ */
+const IMPORT_WRITES = ['delete', 'index', 'update'];
+
+/**
+ * @param {Array.<Object>} items - bulk import body or result items
+ * @returns {Array.<String>} identifiers of the documents replaced or deleted
+ *                           by these items (payloads are ignored)
+ */
+function getImportIds (items) {
+  const ids = [];
+
+  for (const item of items) {
+    const action = Object.keys(item)[0];
+
+    if (IMPORT_WRITES.includes(action) && item[action]._id) {
+      ids.push(item[action]._id);
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Document writes replacing or deleting existing documents, and how to get
+ * the identifiers of these documents from the method first argument
+ * (following the index and collection) and from the method result:
+ *   - getIds(arg): identifiers of the documents to write. "byQuery" methods
+ *     have none: the documents to write are fetched using their query
+ *   - getWritten(arg, result): identifiers of the written documents
+ */
+const HISTORY_WRITES = {
+  createOrReplace: {
+    getIds: id => [id],
+    getWritten: id => [id]
+  },
+  delete: {
+    getIds: id => [id],
+    getWritten: id => [id]
+  },
+  deleteByQuery: {
+    getWritten: (query, { documents }) => documents.map(({ _id }) => _id)
+  },
+  import: {
+    getIds: documents => getImportIds(documents),
+    getWritten: (documents, { items }) => getImportIds(items)
+  },
+  mCreateOrReplace: {
+    getIds: documents => documents.map(({ _id }) => _id),
+    getWritten: (documents, { items }) => items.map(({ _id }) => _id)
+  },
+  mDelete: {
+    getIds: ids => ids,
+    getWritten: (ids, { documents }) => documents.map(({ _id }) => _id)
+  },
+  mReplace: {
+    getIds: documents => documents.map(({ _id }) => _id),
+    getWritten: (documents, { items }) => items.map(({ _id }) => _id)
+  },
+  mUpdate: {
+    getIds: documents => documents.map(({ _id }) => _id),
+    getWritten: (documents, { items }) => items.map(({ _id }) => _id)
+  },
+  replace: {
+    getIds: id => [id],
+    getWritten: id => [id]
+  },
+  update: {
+    getIds: id => [id],
+    getWritten: id => [id]
+  },
+  updateByQuery: {
+    getWritten: (query, { successes }) => successes.map(({ _id }) => _id)
+  }
+};
+
+/**
+ * Methods executed by the trash bin instead of the storage client, on the
+ * collections soft delete is enabled on
+ */
+const SOFT_DELETE_METHODS = new Set([
+  'count',
+  'createOrReplace',
+  'delete',
+  'deleteByQuery',
+  'exists',
+  'get',
+  'import',
+  'mCreateOrReplace',
+  'mDelete',
+  'mGet',
+  'mReplace',
+  'mUpdate',
+  'replace',
+  'search',
+  'update',
+  'updateByQuery'
+]);
+
 /**
  * Storage client adapter to perform validation on index/collection existence
  * and to maintain the index/collection cache.
@@ -32,10 +132,17 @@ class ClientAdapter {
   /**
    * @param {Elasticsearch} storageClient
    * @param {IndexCache} indexCache
+   * @param {DocumentHistory} [history] - stores previous versions of
+   *                                      documents, in the collections it is
+   *                                      enabled on
+   * @param {SoftDelete} [softDelete] - trash bin of the collections soft
+   *                                    delete is enabled on
    */
-  constructor (storageClient, indexCache) {
+  constructor (storageClient, indexCache, history = null, softDelete = null) {
     this._client = storageClient;
     this._indexCache = indexCache;
+    this._history = history;
+    this._softDelete = softDelete;
 
     // Methods that needs to assert index and collection existence
     this._assertIndexAndCollectionMethods = [
@@ -55,6 +162,7 @@ class ClientAdapter {
       'mGet',
       'mReplace',
       'mUpdate',
+      'migrateCollection',
       'refreshCollection',
       'replace',
       'search',
@@ -67,6 +175,7 @@ class ClientAdapter {
 
     // Methods directly bound to the storageClient
     this._rawMethods = [
+      'checkMappings',
       'info',
       'init',
       'isCollectionNameValid',
@@ -97,12 +206,35 @@ class ClientAdapter {
       this[method] = (index, collection, ...args) => {
         this._assertIndexAndCollectionExists(index, collection);
 
-        return this._client[method](index, collection, ...args);
+        return this._getExecutor(method, index, collection)[method](
+          index,
+          collection,
+          ...args);
       };
     }
     for (const method of this._rawMethods) {
       this[method] = (...args) => this._client[method](...args);
     }
+
+    if (this._softDelete) {
+      for (const method of ['getDeleted', 'restore', 'searchDeleted']) {
+        this[method] = (index, collection, ...args) => {
+          this._assertIndexAndCollectionExists(index, collection);
+
+          return this._softDelete[method](index, collection, ...args);
+        };
+      }
+    }
+
+    if (this._history) {
+      for (const method of Object.keys(HISTORY_WRITES)) {
+        this[method] = (index, collection, ...args) => this._writeWithHistory(
+          method,
+          index,
+          collection,
+          args);
+      }
+    }
   }
 
   async createIndex (index) {
@@ -128,6 +260,10 @@ class ClientAdapter {
 
     this._indexCache.remove({ index, scope: this._client.scope });
 
+    if (this._history) {
+      await this._history.deleteIndexes([index]);
+    }
+
     return response;
   }
 
@@ -142,6 +278,10 @@ class ClientAdapter {
       this._indexCache.remove({ index, scope: this._client.scope });
     }
 
+    if (this._history) {
+      await this._history.deleteIndexes(indexes);
+    }
+
     return response;
   }
 
@@ -152,6 +292,10 @@ class ClientAdapter {
 
     this._indexCache.remove({ collection, index, scope: this._client.scope });
 
+    if (this._history) {
+      await this._history.deleteCollection(index, collection);
+    }
+
     return response;
   }
 
@@ -245,6 +389,106 @@ class ClientAdapter {
     }
   }
 
+  /**
+   * Executes a document write, and stores the previous versions of the
+   * written documents if history is enabled on the collection
+   *
+   * @param {String} method - storage client method
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array} args - method arguments following the index and collection
+   * @returns {Promise.<*>} method result
+   */
+  async _writeWithHistory (method, index, collection, args) {
+    this._assertIndexAndCollectionExists(index, collection);
+
+    const executor = this._getExecutor(method, index, collection);
+
+    if (!this._history.isEnabled(index, collection)) {
+      return executor[method](index, collection, ...args);
+    }
+
+    const { getIds, getWritten } = HISTORY_WRITES[method];
+    const previous = getIds
+      ? await this._getDocuments(index, collection, getIds(args[0]))
+      : await this._searchDocuments(index, collection, args[0]);
+
+    const result = await executor[method](index, collection, ...args);
+    const written = new Set(getWritten(args[0], result));
+
+    await this._history.record(
+      index,
+      collection,
+      previous.filter(({ _id }) => written.has(_id)),
+      method);
+
+    return result;
+  }
+
+  /**
+   * @param {String} method - storage client method
+   * @param {String} index
+   * @param {String} collection
+   * @returns {Elasticsearch|SoftDelete} object executing the method
+   */
+  _getExecutor (method, index, collection) {
+    if ( this._softDelete
+      && SOFT_DELETE_METHODS.has(method)
+      && this._softDelete.isEnabled(index, collection)
+    ) {
+      return this._softDelete;
+    }
+
+    return this._client;
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<String>} ids
+   * @returns {Promise.<Array>} existing documents: [{ _id, _source }]
+   */
+  async _getDocuments (index, collection, ids) {
+    const { items } = await this._client.mGet(
+      index,
+      collection,
+      ids.filter(id => typeof id === 'string'));
+
+    return items;
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Object} query
+   * @returns {Promise.<Array>} documents matching the query: [{ _id, _source }]
+   * @throws {write_limit_exceeded} If the query matches more documents than
+   *                                can be written at once
+   */
+  async _searchDocuments (index, collection, query) {
+    // the write would fail anyway: do not load the matched documents first
+    const count = await this._client.count(index, collection, { query });
+
+    if (count > this._history.writeLimit) {
+      throw kerror.get('write_limit_exceeded');
+    }
+
+    const documents = [];
+
+    await this._client.batchExecute(
+      index,
+      collection,
+      query,
+      hits => {
+        for (const { _id, _source } of hits) {
+          documents.push({ _id, _source });
+        }
+      },
+      { size: 1000 });
+
+    return documents;
+  }
+
   _assertIndexAndCollectionExists (index, collection) {
     this._assertIndexExists(index);
 
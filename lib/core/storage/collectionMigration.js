@@ -0,0 +1,229 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const kerror = require('../../kerror').wrap('services', 'storage');
+const debug = require('../../util/debug')('kuzzle:storage:collectionMigration');
+
+// Migration statuses are saved, and migration locks extended, every second
+const REFRESH_INTERVAL = 1000;
+
+// Migration locks expire if the node migrating a collection stops extending
+// them (e.g. if it crashed)
+const LOCK_TTL = 60000;
+
+// Migration statuses are kept for a day after migrations end
+const STATUS_TTL = 86400000;
+
+/**
+ * Migrates collections to new mappings and settings, in the background and
+ * without downtime (see the storage client "migrateCollection" method), and
+ * keeps track of their progress.
+ *
+ * A collection can only be migrated by one node of a cluster at a time.
+ * Migration statuses are stored in the internal cache, shared by all nodes.
+ *
+ * @class CollectionMigration
+ * @param {Kuzzle} kuzzle
+ */
+class CollectionMigration {
+  constructor (kuzzle) {
+    this.kuzzle = kuzzle;
+  }
+
+  get cache () {
+    return this.kuzzle.cacheEngine.internal;
+  }
+
+  get storage () {
+    return this.kuzzle.storageEngine.public;
+  }
+
+  /**
+   * Starts migrating a collection. The returned promise resolves once the
+   * migration has started.
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {Object} config - mappings, settings, script
+   * @returns {Promise.<Object>} migration status
+   * @throws {BadRequestError} If the new mappings are invalid
+   * @throws {PreconditionError} If the collection does not exist, or if it is
+   *                             already being migrated
+   */
+  async start (index, collection, config) {
+    // the migration goes on in the background: invalid requests must be
+    // rejected before it starts
+    if (!await this.storage.collectionExists(index, collection)) {
+      throw kerror.get('unknown_collection', index, collection);
+    }
+
+    this.storage.checkMappings(config.mappings);
+
+    const locked = await this.cache.set(
+      lockKey(index, collection),
+      '1',
+      'PX',
+      LOCK_TTL,
+      'NX');
+
+    if (!locked) {
+      throw kerror.get('migration_in_progress', index, collection);
+    }
+
+    const status = {
+      collection,
+      endedAt: null,
+      error: null,
+      index,
+      processed: 0,
+      startedAt: Date.now(),
+      status: 'running',
+      step: 'copy',
+      total: 0
+    };
+
+    await this._save(status);
+
+    const migrated = this.storage.migrateCollection(
+      index,
+      collection,
+      config,
+      { onProgress: progress => Object.assign(status, progress) });
+
+    debug('Migrating collection "%s":"%s"', index, collection);
+
+    // the migration goes on in the background
+    this._complete(status, migrated);
+
+    return Object.assign({}, status);
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @returns {Promise.<Object>} status of the current or last migration of
+   *                             a collection
+   * @throws {NotFoundError} If the collection has not been migrated recently
+   */
+  async getStatus (index, collection) {
+    const status = await this.cache.get(statusKey(index, collection));
+
+    if (!status) {
+      throw kerror.get('migration_not_found', index, collection);
+    }
+
+    return JSON.parse(status);
+  }
+
+  /**
+   * Waits for the end of a migration, saving its status meanwhile
+   *
+   * @param {Object} status - migration status, updated as it progresses
+   * @param {Promise} migrated - resolves once the migration is complete
+   * @returns {Promise}
+   */
+  async _complete (status, migrated) {
+    const { collection, index } = status;
+    const timer = setInterval(
+      () => this._save(status).catch(error => this._logSaveError(status, error)),
+      REFRESH_INTERVAL);
+
+    // do not prevent Kuzzle from shutting down
+    timer.unref();
+
+    try {
+      await migrated;
+
+      status.status = 'done';
+      this.kuzzle.log.info(`Collection "${index}":"${collection}" migrated`);
+    }
+    catch (error) {
+      status.error = { id: error.id || null, message: error.message };
+      status.status = 'failed';
+      this.kuzzle.log.error(`Cannot migrate collection "${index}":"${collection}": ${error.message}`);
+    }
+    finally {
+      clearInterval(timer);
+    }
+
+    status.endedAt = Date.now();
+
+    try {
+      await this.cache.set(
+        statusKey(index, collection),
+        JSON.stringify(status),
+        'PX',
+        STATUS_TTL);
+      await this.cache.del(lockKey(index, collection));
+    }
+    catch (error) {
+      this._logSaveError(status, error);
+    }
+  }
+
+  /**
+   * Saves the status of a running migration, and extends its lock
+   *
+   * @param {Object} status
+   * @returns {Promise}
+   */
+  async _save (status) {
+    const { collection, index } = status;
+
+    await this.cache.set(
+      statusKey(index, collection),
+      JSON.stringify(status),
+      'PX',
+      LOCK_TTL);
+    await this.cache.pexpire(lockKey(index, collection), LOCK_TTL);
+  }
+
+  /**
+   * @param {Object} status
+   * @param {Error} error
+   */
+  _logSaveError (status, error) {
+    this.kuzzle.log.error(`Cannot save the migration status of collection "${status.index}":"${status.collection}": ${error.message}`);
+  }
+}
+
+/**
+ * @param {String} index
+ * @param {String} collection
+ * @returns {String} cache key locking the migration of a collection
+ */
+function lockKey (index, collection) {
+  return `collectionMigration/${index}/${collection}/lock`;
+}
+
+/**
+ * @param {String} index
+ * @param {String} collection
+ * @returns {String} cache key storing the migration status of a collection
+ */
+function statusKey (index, collection) {
+  return `collectionMigration/${index}/${collection}`;
+}
+
+module.exports = CollectionMigration;
@@ -0,0 +1,232 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const ms = require('ms');
+const { Request } = require('kuzzle-common-objects');
+const debug = require('../../util/debug')('kuzzle:storage:documentExpiry');
+
+// Cache key locking expired documents deletion, so that only one node of a
+// cluster deletes them at a time
+const LOCK = 'documentExpiry/lock';
+
+// The lock is released once expired documents are deleted, and extended
+// before each batch of deletions. It expires if the node deleting
+// documents stops extending it (e.g. if it crashed)
+const LOCK_TTL = 60000;
+
+// Mapping of the expiration date, for collections created before documents
+// could expire
+const EXPIRY_MAPPING = {
+  properties: {
+    _kuzzle_info: {
+      properties: {
+        expiresAt: { type: 'date' }
+      }
+    }
+  }
+};
+
+/**
+ * Deletes the documents whose expiration date (stored in the "expiresAt"
+ * metadata, see the "ttl" and "expiresAt" arguments of the document
+ * controller create, createOrReplace and update actions) has passed.
+ *
+ * Expired documents are deleted periodically, in batches, like documents
+ * deleted with the document:mDelete API action: subscribers are notified,
+ * and the document history and soft delete settings of their collection
+ * apply.
+ *
+ * @class DocumentExpiry
+ * @param {Kuzzle} kuzzle
+ */
+class DocumentExpiry {
+  constructor (kuzzle) {
+    this.kuzzle = kuzzle;
+    this.timer = null;
+
+    // collections whose mapping include the expiration date
+    this._mapped = new Set();
+  }
+
+  get config () {
+    return this.kuzzle.config.services.storageEngine.documentExpiry;
+  }
+
+  get storage () {
+    return this.kuzzle.storageEngine.public;
+  }
+
+  /**
+   * @returns {number|null} interval between two deletions of expired
+   *                        documents, in milliseconds, or null if they are
+   *                        never deleted
+   */
+  get interval () {
+    const interval = typeof this.config.interval === 'string'
+      ? ms(this.config.interval)
+      : this.config.interval;
+
+    return typeof interval === 'number' && interval > 0 ? interval : null;
+  }
+
+  /**
+   * Starts deleting expired documents
+   */
+  init () {
+    const interval = this.interval;
+
+    if (interval === null) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.reap(), interval);
+
+    // do not prevent Kuzzle from shutting down
+    this.timer.unref();
+  }
+
+  /**
+   * Adds the expiration date to a collection mapping, if it has not been
+   * added yet: collections created by previous versions do not have it
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @returns {Promise}
+   */
+  async mapCollection (index, collection) {
+    const key = `${index}/${collection}`;
+
+    if (this._mapped.has(key)) {
+      return;
+    }
+
+    await this.storage.updateMapping(index, collection, EXPIRY_MAPPING);
+
+    this._mapped.add(key);
+  }
+
+  /**
+   * Deletes the expired documents of all collections, unless another node
+   * is already doing it. Errors are logged, as deletions run in the
+   * background.
+   *
+   * @returns {Promise}
+   */
+  async reap () {
+    if (this.interval === null) {
+      return;
+    }
+
+    const cache = this.kuzzle.cacheEngine.internal;
+
+    try {
+      const locked = await cache.set(LOCK, '1', 'PX', LOCK_TTL, 'NX');
+
+      if (!locked) {
+        debug('Expired documents are already being deleted');
+        return;
+      }
+
+      try {
+        await this._reapAll();
+      }
+      finally {
+        await cache.del(LOCK);
+      }
+    }
+    catch (error) {
+      this.kuzzle.log.error(`Cannot delete expired documents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes the expired documents of all collections
+   *
+   * @returns {Promise}
+   */
+  async _reapAll () {
+    for (const index of await this.storage.listIndexes()) {
+      for (const collection of await this.storage.listCollections(index)) {
+        try {
+          await this._reapCollection(index, collection);
+        }
+        catch (error) {
+          this.kuzzle.log.error(`Cannot delete the expired documents of collection "${index}":"${collection}": ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Deletes the expired documents of a collection, in batches, extending
+   * the lock before each batch
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @returns {Promise}
+   */
+  async _reapCollection (index, collection) {
+    const request = new Request({
+      action: 'mDelete',
+      collection,
+      controller: 'document',
+      index
+    });
+    const size = this.config.batchSize;
+    let deleted;
+    let hits;
+
+    do {
+      await this.kuzzle.cacheEngine.internal.pexpire(LOCK, LOCK_TTL);
+
+      ({ hits } = await this.storage.search(
+        index,
+        collection,
+        {
+          query: { range: { '_kuzzle_info.expiresAt': { lte: Date.now() } } }
+        },
+        { size }));
+
+      if (hits.length === 0) {
+        return;
+      }
+
+      debug('Deleting %d expired documents of "%s":"%s"', hits.length, index, collection);
+
+      const { documents } = await this.storage.mDelete(
+        index,
+        collection,
+        hits.map(({ _id }) => _id),
+        { refresh: 'wait_for' });
+
+      await this.kuzzle.notifier.notifyDocumentMDelete(request, documents);
+
+      deleted = documents.length;
+    }
+    // stops if documents cannot be deleted, instead of looping on them
+    while (hits.length === size && deleted === hits.length);
+  }
+}
+
+module.exports = DocumentExpiry;
@@ -0,0 +1,259 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const kerror = require('../../kerror').wrap('services', 'storage');
+
+// Internal index collection storing previous versions of documents
+const COLLECTION = 'document-history';
+
+/**
+ * Revision history of documents, for the collections it is enabled on
+ * (see the "services.storageEngine.history.collections" configuration).
+ *
+ * Each time a document of such a collection is replaced, updated or deleted,
+ * its previous version is stored in the internal index, along with the kuid
+ * of its author. Previous versions can then be listed and restored.
+ *
+ * @class DocumentHistory
+ * @param {Kuzzle} kuzzle
+ */
+class DocumentHistory {
+  constructor (kuzzle) {
+    this.kuzzle = kuzzle;
+  }
+
+  get config () {
+    return this.kuzzle.config.services.storageEngine.history;
+  }
+
+  /**
+   * Maximum number of documents written by a single request, and thus of
+   * previous versions stored at once
+   *
+   * @returns {Number}
+   */
+  get writeLimit () {
+    return this.kuzzle.config.limits.documentsWriteCount;
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @returns {boolean} true if history is enabled on the collection
+   */
+  isEnabled (index, collection) {
+    const collections = this.config.collections[index];
+
+    return Array.isArray(collections) && collections.includes(collection);
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @throws {PreconditionError} If history is not enabled on the collection
+   */
+  assertEnabled (index, collection) {
+    if (!this.isEnabled(index, collection)) {
+      throw kerror.get('history_disabled', index, collection);
+    }
+  }
+
+  /**
+   * Stores previous versions of documents. Failing to store them does not
+   * make the write fail, as documents have already been written.
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<Object>} documents - previous versions: [{ _id, _source }]
+   * @param {String} action - storage method that replaced them
+   * @returns {Promise}
+   */
+  async record (index, collection, documents, action) {
+    if (documents.length === 0) {
+      return;
+    }
+
+    const timestamp = Date.now();
+    const revisions = documents.map(({ _id, _source }) => {
+      const info = _source._kuzzle_info || {};
+
+      return {
+        body: {
+          action,
+          author: info.updater || info.author || null,
+          collection,
+          document: _source,
+          documentId: _id,
+          index,
+          timestamp
+        }
+      };
+    });
+
+    try {
+      const { errors } = await this.kuzzle.internalIndex.mCreate(
+        COLLECTION,
+        revisions);
+
+      if (errors.length > 0) {
+        throw new Error(errors.map(({ reason }) => reason).join(', '));
+      }
+    }
+    catch (error) {
+      this.kuzzle.log.error(`Cannot store the previous version of documents of collection "${index}":"${collection}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the previous versions of a document, most recent first
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id - document identifier
+   * @param {Object} options - from (0), size (10)
+   * @returns {Promise.<Object>} { hits, total }
+   */
+  async search (index, collection, id, { from = 0, size = 10 } = {}) {
+    const { hits, total } = await this.kuzzle.internalIndex.search(
+      COLLECTION,
+      {
+        query: {
+          bool: {
+            filter: [
+              { term: { index } },
+              { term: { collection } },
+              { term: { documentId: id } }
+            ]
+          }
+        },
+        sort: [ { timestamp: 'desc' } ]
+      },
+      { from, size });
+
+    return { hits: hits.map(formatRevision), total };
+  }
+
+  /**
+   * Gets a previous version of a document
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id - document identifier
+   * @param {String} revisionId
+   * @returns {Promise.<Object>} { _id, action, author, document, timestamp }
+   * @throws {NotFoundError} If the document has no such revision
+   */
+  async get (index, collection, id, revisionId) {
+    let revision;
+
+    try {
+      revision = await this.kuzzle.internalIndex.get(COLLECTION, revisionId);
+    }
+    catch (error) {
+      if (error.id !== 'services.storage.not_found') {
+        throw error;
+      }
+    }
+
+    if ( !revision
+      || revision._source.index !== index
+      || revision._source.collection !== collection
+      || revision._source.documentId !== id
+    ) {
+      throw kerror.get('revision_not_found', revisionId, id, index, collection);
+    }
+
+    return formatRevision(revision);
+  }
+
+  /**
+   * Deletes the history of the documents of a collection
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @returns {Promise}
+   */
+  async deleteCollection (index, collection) {
+    if (!this.isEnabled(index, collection)) {
+      return;
+    }
+
+    await this._delete(
+      { bool: { filter: [ { term: { index } }, { term: { collection } } ] } },
+      `collection "${index}":"${collection}"`);
+  }
+
+  /**
+   * Deletes the history of the documents of indexes
+   *
+   * @param {Array.<String>} indexes
+   * @returns {Promise}
+   */
+  async deleteIndexes (indexes) {
+    const enabled = indexes.filter(index => this.config.collections[index]);
+
+    if (enabled.length === 0) {
+      return;
+    }
+
+    await this._delete(
+      { terms: { index: enabled } },
+      `indexes "${enabled.join('", "')}"`);
+  }
+
+  /**
+   * @param {Object} query
+   * @param {String} description - deleted history, for error messages
+   * @returns {Promise}
+   */
+  async _delete (query, description) {
+    try {
+      await this.kuzzle.internalIndex.deleteByQuery(
+        COLLECTION,
+        query,
+        { fetch: false });
+    }
+    catch (error) {
+      this.kuzzle.log.error(`Cannot delete the documents history of ${description}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * @param {Object} revision - stored revision: { _id, _source }
+ * @returns {Object} { _id, action, author, document: { _id, _source }, timestamp }
+ */
+function formatRevision ({ _id, _source }) {
+  return {
+    _id,
+    action: _source.action,
+    author: _source.author,
+    document: {
+      _id: _source.documentId,
+      _source: _source.document
+    },
+    timestamp: _source.timestamp
+  };
+}
+
+module.exports = DocumentHistory;
@@ -54,6 +54,7 @@ class IndexStorage {
       'exists',
       'get',
       'getMapping',
+      'mCreate',
       'mGet',
       'refreshCollection',
       'replace',
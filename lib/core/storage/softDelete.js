@@ -0,0 +1,788 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const ms = require('ms');
+const kerror = require('../../kerror').wrap('services', 'storage');
+const debug = require('../../util/debug')('kuzzle:storage:softDelete');
+
+// Deleted documents are looked for at most once per hour
+const MAX_PURGE_INTERVAL = 3600000;
+
+// Metadata field flagging deleted documents
+const DELETED_AT = '_kuzzle_info.deletedAt';
+
+// Bulk import actions, followed by a payload except for "delete"
+const BULK_ACTIONS = ['index', 'create', 'update', 'delete'];
+
+// Errors of multi-document writes rejected because of deleted documents
+const NOT_FOUND = { reason: 'document not found', status: 404 };
+const IN_TRASH = { reason: 'document in the trash bin', status: 412 };
+
+// Mapping of the deletion metadata, for collections created before soft
+// delete was enabled on them
+const DELETION_MAPPING = {
+  properties: {
+    _kuzzle_info: {
+      properties: {
+        deletedAt: { type: 'date' },
+        deleter: { type: 'keyword' }
+      }
+    }
+  }
+};
+
+/**
+ * Trash bin of documents, for the collections it is enabled on
+ * (see the "services.storageEngine.softDelete.collections" configuration).
+ *
+ * Documents deleted from such a collection are not removed: they are flagged
+ * as deleted, with the kuid of their deleter and the deletion date stored in
+ * their metadata, and hidden from reads and writes until they are either
+ * restored or purged, once the configured purge delay has elapsed.
+ *
+ * This class exposes the storage client methods that soft delete changes,
+ * with the same signatures.
+ *
+ * @class SoftDelete
+ * @param {Kuzzle} kuzzle
+ * @param {Elasticsearch} client - public storage client
+ * @param {Object} indexCache
+ */
+class SoftDelete {
+  constructor (kuzzle, client, indexCache) {
+    this.kuzzle = kuzzle;
+    this._client = client;
+    this._indexCache = indexCache;
+    this.timer = null;
+  }
+
+  get config () {
+    return this.kuzzle.config.services.storageEngine.softDelete;
+  }
+
+  /**
+   * @returns {number|null} time during which deleted documents are kept, in
+   *                        milliseconds, or null if they are never purged
+   */
+  get purgeDelay () {
+    const delay = typeof this.config.purgeDelay === 'string'
+      ? ms(this.config.purgeDelay)
+      : this.config.purgeDelay;
+
+    return typeof delay === 'number' && delay > 0 ? delay : null;
+  }
+
+  /**
+   * Adds the deletion metadata to the mappings of existing collections, and
+   * starts purging deleted documents
+   *
+   * @returns {Promise}
+   */
+  async init () {
+    for (const { index, collection } of this._listCollections()) {
+      await this._client.updateMapping(index, collection, DELETION_MAPPING);
+    }
+
+    const delay = this.purgeDelay;
+
+    if (delay === null) {
+      return;
+    }
+
+    this.timer = setInterval(
+      () => this.purge(),
+      Math.min(delay, MAX_PURGE_INTERVAL));
+
+    // do not prevent Kuzzle from shutting down
+    this.timer.unref();
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @returns {boolean} true if soft delete is enabled on the collection
+   */
+  isEnabled (index, collection) {
+    const collections = this.config.collections[index];
+
+    return Array.isArray(collections) && collections.includes(collection);
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @throws {PreconditionError} If soft delete is not enabled on the
+   *                             collection
+   */
+  assertEnabled (index, collection) {
+    if (!this.isEnabled(index, collection)) {
+      throw kerror.get('soft_delete_disabled', index, collection);
+    }
+  }
+
+  /**
+   * Permanently deletes the documents deleted for longer than the purge
+   * delay
+   *
+   * @returns {Promise}
+   */
+  async purge () {
+    const delay = this.purgeDelay;
+
+    if (delay === null) {
+      return;
+    }
+
+    for (const { index, collection } of this._listCollections()) {
+      debug('Purging documents of "%s":"%s" deleted for more than %d ms', index, collection, delay);
+
+      try {
+        await this._client.deleteByQuery(
+          index,
+          collection,
+          { range: { [DELETED_AT]: { lt: Date.now() - delay } } },
+          { fetch: false });
+      }
+      catch (error) {
+        this.kuzzle.log.error(`Cannot purge the deleted documents of collection "${index}":"${collection}": ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @returns {Promise.<Object>} { _id, _version, _source }
+   * @throws {NotFoundError} If the document does not exist or is deleted
+   */
+  async get (index, collection, id) {
+    const document = await this._client.get(index, collection, id);
+
+    if (isDeleted(document)) {
+      throw kerror.get('not_found', id, index, collection);
+    }
+
+    return document;
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<String>} ids
+   * @returns {Promise.<Object>} { items, errors }: deleted documents are
+   *                             listed as errors, like missing ones
+   */
+  async mGet (index, collection, ids) {
+    const { errors, items } = await this._client.mGet(index, collection, ids);
+
+    return {
+      errors: errors.concat(items.filter(isDeleted).map(({ _id }) => _id)),
+      items: items.filter(item => !isDeleted(item))
+    };
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @returns {Promise.<boolean>}
+   */
+  async exists (index, collection, id) {
+    try {
+      await this.get(index, collection, id);
+    }
+    catch (error) {
+      if (error.id === 'services.storage.not_found') {
+        return false;
+      }
+
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Object} searchBody
+   * @param {Object} options - from, size, scroll
+   * @returns {Promise.<Object>} { scrollId, hits, aggregations, total }
+   */
+  search (index, collection, searchBody = {}, options) {
+    return this._client.search(
+      index,
+      collection,
+      Object.assign({}, searchBody, { query: hideDeleted(searchBody.query) }),
+      options);
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Object} searchBody
+   * @returns {Promise.<Number>}
+   */
+  count (index, collection, searchBody = {}) {
+    return this._client.count(
+      index,
+      collection,
+      Object.assign({}, searchBody, { query: hideDeleted(searchBody.query) }));
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @param {Object} content
+   * @param {Object} options - same as the storage client ones
+   * @returns {Promise.<Object>} { _id, _version, _source }
+   */
+  async update (index, collection, id, content, options) {
+    await this.get(index, collection, id);
+
+    return this._client.update(index, collection, id, content, options);
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @param {Object} content
+   * @param {Object} options - same as the storage client ones
+   * @returns {Promise.<Object>} { _id, _version, _source }
+   */
+  async replace (index, collection, id, content, options) {
+    await this.get(index, collection, id);
+
+    return this._client.replace(index, collection, id, content, options);
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<Object>} documents
+   * @param {Object} options - same as the storage client ones
+   * @returns {Promise.<Object>} { items, errors }
+   */
+  mUpdate (index, collection, documents, options) {
+    return this._mWrite(
+      'mUpdate',
+      index,
+      collection,
+      documents,
+      options,
+      NOT_FOUND);
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<Object>} documents
+   * @param {Object} options - same as the storage client ones
+   * @returns {Promise.<Object>} { items, errors }
+   */
+  mReplace (index, collection, documents, options) {
+    return this._mWrite(
+      'mReplace',
+      index,
+      collection,
+      documents,
+      options,
+      NOT_FOUND);
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @param {Object} content
+   * @param {Object} options - same as the storage client ones
+   * @returns {Promise.<Object>} { _id, _version, _source, created }
+   * @throws {PreconditionError} If the document is in the trash bin
+   */
+  async createOrReplace (index, collection, id, content, options) {
+    const deleted = await this._listDeleted(index, collection, [id]);
+
+    if (deleted.has(id)) {
+      throw kerror.get('in_trash', id, index, collection);
+    }
+
+    return this._client.createOrReplace(index, collection, id, content, options);
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<Object>} documents
+   * @param {Object} options - same as the storage client ones
+   * @returns {Promise.<Object>} { items, errors }
+   */
+  mCreateOrReplace (index, collection, documents, options) {
+    return this._mWrite(
+      'mCreateOrReplace',
+      index,
+      collection,
+      documents,
+      options,
+      IN_TRASH);
+  }
+
+  /**
+   * Bulk import, without the actions targeting documents in the trash bin:
+   * these are listed as errors
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<Object>} documents - bulk actions and their payloads
+   * @param {Object} options - same as the storage client ones
+   * @returns {Promise.<Object>} { items, errors }
+   */
+  async import (index, collection, documents, options) {
+    const deleted = await this._listDeleted(
+      index,
+      collection,
+      documents
+        .filter(item => BULK_ACTIONS.includes(Object.keys(item)[0]))
+        .map(item => item[Object.keys(item)[0]]._id));
+
+    if (deleted.size === 0) {
+      return this._client.import(index, collection, documents, options);
+    }
+
+    const errors = [];
+    const kept = [];
+    let skipped = false;
+
+    for (const item of documents) {
+      const action = Object.keys(item)[0];
+
+      // payloads follow their action, and are skipped with it
+      if (BULK_ACTIONS.includes(action)) {
+        const { _id } = item[action];
+
+        skipped = deleted.has(_id);
+
+        if (skipped) {
+          errors.push({
+            [action]: {
+              _id,
+              error: { reason: IN_TRASH.reason, type: 'in_trash' },
+              status: IN_TRASH.status
+            }
+          });
+        }
+      }
+
+      if (!skipped) {
+        kept.push(item);
+      }
+    }
+
+    if (kept.length === 0) {
+      return { errors, items: [] };
+    }
+
+    const result = await this._client.import(index, collection, kept, options);
+
+    return {
+      errors: result.errors.concat(errors),
+      items: result.items
+    };
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Object} query
+   * @param {Object} changes
+   * @param {Object} options - same as the storage client ones
+   * @returns {Promise.<Object>} { successes, errors }
+   */
+  updateByQuery (index, collection, query, changes, options) {
+    return this._client.updateByQuery(
+      index,
+      collection,
+      hideDeleted(query),
+      changes,
+      options);
+  }
+
+  /**
+   * Moves a document to the trash bin
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @param {Object} options - refresh (undefined), ifVersion (null),
+   *                           userId (null)
+   * @returns {Promise}
+   * @throws {NotFoundError} If the document does not exist or is deleted
+   */
+  async delete (index, collection, id, { refresh, ifVersion = null, userId = null } = {}) {
+    await this.get(index, collection, id);
+
+    await this._writeMetadata(
+      index,
+      collection,
+      id,
+      deletionInfo(userId),
+      { ifVersion, refresh });
+
+    return null;
+  }
+
+  /**
+   * Moves documents to the trash bin
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<String>} ids
+   * @param {Object} options - refresh (undefined), ifVersions ({}),
+   *                           userId (null)
+   * @returns {Promise.<Object>} { documents, errors }
+   */
+  async mDelete (index, collection, ids, { refresh, ifVersions = {}, userId = null } = {}) {
+    const { items } = await this.mGet(
+      index,
+      collection,
+      ids.filter(id => typeof id === 'string'));
+    const found = new Set(items.map(({ _id }) => _id));
+    const info = deletionInfo(userId);
+    const documents = [];
+    const errors = [];
+
+    for (const _id of ids) {
+      if (typeof _id !== 'string') {
+        errors.push({ _id, reason: 'document _id must be a string', status: 400 });
+      }
+      else if (!found.has(_id)) {
+        errors.push({ _id, reason: 'document not found', status: 404 });
+      }
+      else {
+        documents.push(Object.assign(
+          { _id, body: info },
+          ifVersions[_id] === undefined ? {} : { ifVersion: ifVersions[_id] }));
+      }
+    }
+
+    const result = await this._client.mUpdate(
+      index,
+      collection,
+      documents,
+      { refresh });
+
+    return {
+      documents: result.items.map(({ _id, _source }) => ({ _id, _source })),
+      errors: errors.concat(result.errors.map(({ document, ...error }) => ({
+        _id: document._id,
+        ...error
+      })))
+    };
+  }
+
+  /**
+   * Moves the documents matching a query to the trash bin
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {Object} query
+   * @param {Object} options - refresh (undefined), size (1000),
+   *                           userId (null)
+   * @returns {Promise.<Object>} { documents, total, deleted, failures }
+   */
+  async deleteByQuery (index, collection, query, { refresh, size, userId = null } = {}) {
+    const { errors, successes } = await this._client.updateByQuery(
+      index,
+      collection,
+      hideDeleted(query),
+      deletionInfo(userId),
+      { refresh, size });
+
+    return {
+      deleted: successes.length,
+      documents: successes.map(({ _id, _source }) => ({ _id, _source })),
+      failures: errors.map(({ document, reason }) => ({ _id: document._id, reason })),
+      total: successes.length + errors.length
+    };
+  }
+
+  /**
+   * Gets a document from the trash bin
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @returns {Promise.<Object>} { _id, _version, _source }
+   * @throws {PreconditionError} If soft delete is not enabled on the
+   *                             collection
+   * @throws {NotFoundError} If the document is not in the trash bin
+   */
+  async getDeleted (index, collection, id) {
+    this.assertEnabled(index, collection);
+
+    let document = null;
+
+    try {
+      document = await this._client.get(index, collection, id);
+    }
+    catch (error) {
+      if (error.id !== 'services.storage.not_found') {
+        throw error;
+      }
+    }
+
+    if (document === null || !isDeleted(document)) {
+      throw kerror.get('not_in_trash', id, index, collection);
+    }
+
+    return document;
+  }
+
+  /**
+   * Searches the trash bin
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {Object} searchBody
+   * @param {Object} options - from, size, scroll
+   * @returns {Promise.<Object>} { scrollId, hits, aggregations, total }
+   * @throws {PreconditionError} If soft delete is not enabled on the
+   *                             collection
+   */
+  searchDeleted (index, collection, searchBody = {}, options) {
+    this.assertEnabled(index, collection);
+
+    return this._client.search(
+      index,
+      collection,
+      Object.assign({}, searchBody, {
+        query: {
+          bool: {
+            filter: { exists: { field: DELETED_AT } },
+            must: searchBody.query || { match_all: {} }
+          }
+        }
+      }),
+      options);
+  }
+
+  /**
+   * Takes a document out of the trash bin
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @param {Object} options - refresh (undefined), userId (null)
+   * @returns {Promise.<Object>} { _id, _version, _source }
+   * @throws {PreconditionError} If soft delete is not enabled on the
+   *                             collection
+   * @throws {NotFoundError} If the document is not in the trash bin
+   */
+  async restore (index, collection, id, { refresh, userId = null } = {}) {
+    const document = await this.getDeleted(index, collection, id);
+
+    try {
+      return await this._writeMetadata(
+        index,
+        collection,
+        id,
+        {
+          _kuzzle_info: {
+            deletedAt: null,
+            deleter: null,
+            updatedAt: Date.now(),
+            updater: userId ? String(userId) : null
+          }
+        },
+        { ifVersion: document._version, refresh });
+    }
+    catch (error) {
+      // deleted or restored concurrently
+      if (error.id === 'services.storage.version_conflict') {
+        throw kerror.get('not_in_trash', id, index, collection);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Multi-document writes on documents that must not be deleted
+   *
+   * @param {String} method - mUpdate, mReplace or mCreateOrReplace
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array.<Object>} documents
+   * @param {Object} options
+   * @param {Object} rejection - { reason, status } error of the deleted
+   *                             documents
+   * @returns {Promise.<Object>} { items, errors }
+   */
+  async _mWrite (method, index, collection, documents, options, { reason, status }) {
+    const deleted = await this._listDeleted(
+      index,
+      collection,
+      documents.map(({ _id }) => _id));
+
+    if (deleted.size === 0) {
+      return this._client[method](index, collection, documents, options);
+    }
+
+    const result = await this._client[method](
+      index,
+      collection,
+      documents.filter(({ _id }) => !deleted.has(_id)),
+      options);
+
+    return {
+      errors: result.errors.concat(documents
+        .filter(({ _id }) => deleted.has(_id))
+        .map(({ _id, body }) => ({
+          document: { _id, body },
+          reason,
+          status
+        }))),
+      items: result.items
+    };
+  }
+
+  /**
+   * @param {String} index
+   * @param {String} collection
+   * @param {Array} ids - identifiers, ignored unless they are strings
+   * @returns {Promise.<Set.<String>>} identifiers of the documents in the
+   *                                   trash bin
+   */
+  async _listDeleted (index, collection, ids) {
+    const { items } = await this._client.mGet(
+      index,
+      collection,
+      ids.filter(id => typeof id === 'string'));
+
+    return new Set(items.filter(isDeleted).map(({ _id }) => _id));
+  }
+
+  /**
+   * Changes the metadata of a document. The storage client "update" method
+   * cannot be used, as it overwrites them.
+   *
+   * @param {String} index
+   * @param {String} collection
+   * @param {String} id
+   * @param {Object} changes - { _kuzzle_info }
+   * @param {Object} options - ifVersion (null), refresh (undefined)
+   * @returns {Promise.<Object>} { _id, _version, _source }
+   */
+  async _writeMetadata (index, collection, id, changes, { ifVersion = null, refresh }) {
+    const document = { _id: id, body: changes };
+
+    if (ifVersion !== null) {
+      document.ifVersion = ifVersion;
+    }
+
+    const { errors, items } = await this._client.mUpdate(
+      index,
+      collection,
+      [document],
+      { refresh });
+
+    if (errors.length === 0) {
+      const { _source, _version } = items[0];
+
+      return { _id: id, _source, _version };
+    }
+
+    const { reason, status } = errors[0];
+
+    if (status === 404) {
+      throw kerror.get('not_found', id, index, collection);
+    }
+
+    if (status === 412) {
+      const { _version } = await this._client.get(index, collection, id);
+
+      throw kerror.get('version_conflict', id, index, collection, ifVersion, _version);
+    }
+
+    throw kerror.get('unexpected_error', reason);
+  }
+
+  /**
+   * @returns {Array.<Object>} existing collections soft delete is enabled
+   *                           on: [{ index, collection }]
+   */
+  _listCollections () {
+    const collections = [];
+
+    for (const [index, names] of Object.entries(this.config.collections)) {
+      for (const collection of names) {
+        if (this._indexCache.exists({ collection, index })) {
+          collections.push({ collection, index });
+        }
+      }
+    }
+
+    return collections;
+  }
+}
+
+/**
+ * @param {Object} document - { _source }
+ * @returns {boolean} true if the document is in the trash bin
+ */
+function isDeleted (document) {
+  const info = document._source && document._source._kuzzle_info;
+
+  return Boolean(info && info.deletedAt);
+}
+
+/**
+ * @param {String|null} userId - deleter kuid
+ * @returns {Object} changes moving documents to the trash bin
+ */
+function deletionInfo (userId) {
+  return {
+    _kuzzle_info: {
+      deletedAt: Date.now(),
+      deleter: userId ? String(userId) : null
+    }
+  };
+}
+
+/**
+ * @param {Object} [query]
+ * @returns {Object} query excluding deleted documents
+ */
+function hideDeleted (query) {
+  return {
+    bool: {
+      must: query || { match_all: {} },
+      must_not: { exists: { field: DELETED_AT } }
+    }
+  };
+}
+
+module.exports = SoftDelete;
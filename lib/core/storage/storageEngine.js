@@ -24,6 +24,8 @@
 const Elasticsearch = require('../../service/storage/elasticsearch');
 const kerror = require('../../kerror').wrap('services', 'storage');
 const ClientAdapter = require('./clientAdapter');
+const DocumentHistory = require('./documentHistory');
+const SoftDelete = require('./softDelete');
 const BaseModel = require('../../model/storage/baseModel');
 const Bluebird = require('bluebird');
 
@@ -51,10 +53,18 @@ class StorageEngine {
       remove: (...args) => this._remove(...args)
     };
 
+    this._history = new DocumentHistory(kuzzle);
+
+    const publicStorage = new Elasticsearch(this._kuzzle, this.config, 'public');
+
+    this._softDelete = new SoftDelete(kuzzle, publicStorage, this.indexCache);
+
     // Storage client for public indexes only
     this._publicClient = new ClientAdapter(
-      new Elasticsearch(this._kuzzle, this.config, 'public'),
-      this.indexCache);
+      publicStorage,
+      this.indexCache,
+      this._history,
+      this._softDelete);
 
     // Storage client for internal indexes only
     this._internalClient = new ClientAdapter(
@@ -66,6 +76,14 @@ class StorageEngine {
     return this._indexCache;
   }
 
+  get history () {
+    return this._history;
+  }
+
+  get softDelete () {
+    return this._softDelete;
+  }
+
   get public () {
     return this._publicClient;
   }
@@ -93,6 +111,8 @@ class StorageEngine {
 
     await this._populateIndexCache();
 
+    await this._softDelete.init();
+
     BaseModel.init(this._kuzzle);
   }
 
@@ -35,14 +35,21 @@ const Notifier = require('../core/realtime/notifier');
 const PassportWrapper = require('../core/auth/passportWrapper');
 const PluginsManager = require('../core/plugin/manager');
 const Repositories = require('../core/security');
+const DocumentFilters = require('../core/security/documentFilters');
+const AuditTrail = require('../core/security/auditTrail');
 const Router = require('../core/network/router');
 const Statistics = require('../core/statistics');
 const TokenManager = require('../core/auth/tokenManager');
+const LoginLockout = require('../core/auth/loginLockout');
+const JwtKeyring = require('../core/auth/jwtKeyring');
+const RefreshTokens = require('../core/auth/refreshTokens');
 const Validation = require('../core/validation');
 const InternalIndexBootstrap = require('../core/storage/bootstrap/internalIndexBootstrap');
 const IndexStorage = require('../core/storage/indexStorage');
 const CacheEngine = require('../core/cache/cacheEngine');
 const StorageEngine = require('../core/storage/storageEngine');
+const DocumentExpiry = require('../core/storage/documentExpiry');
+const CollectionMigration = require('../core/storage/collectionMigration');
 const Logger = require('./log');
 const signal = require('./signal');
 const vault = require('./vault');
@@ -86,6 +93,15 @@ class Kuzzle extends KuzzleEventEmitter {
 
     this.passport = new PassportWrapper();
 
+    // Locks accounts after repeated failed login attempts
+    this.loginLockout = new LoginLockout(this);
+
+    // Keys signing and verifying authentication tokens
+    this.jwtKeyring = new JwtKeyring(this);
+
+    // Long-lived refresh tokens, exchangeable for authentication tokens
+    this.refreshTokens = new RefreshTokens(this);
+
     // The funnel dispatches messages to API controllers
     this.funnel = new Funnel(this);
 
@@ -107,6 +123,18 @@ class Kuzzle extends KuzzleEventEmitter {
     // Validation core component
     this.validation = new Validation(this);
 
+    // Document-level security core component
+    this.documentFilters = new DocumentFilters(this);
+
+    // Security audit trail core component
+    this.auditTrail = new AuditTrail(this);
+
+    // Deletes expired documents
+    this.documentExpiry = new DocumentExpiry(this);
+
+    // Migrates collections to new mappings
+    this.collectionMigration = new CollectionMigration(this);
+
     // Dump generator
     this.dumpGenerator = new DumpGenerator(this);
 
@@ -145,6 +173,8 @@ class Kuzzle extends KuzzleEventEmitter {
 
       this.vault = vault.load(params.vaultKey, params.secretsFile);
 
+      await this.jwtKeyring.init();
+
       await this.validation.init();
       await this.repositories.init();
       await this.funnel.init();
@@ -165,6 +195,9 @@ class Kuzzle extends KuzzleEventEmitter {
       this.log.info('[✔] Default rights loaded');
       this.router.init();
       this.statistics.init();
+      this.auditTrail.init();
+      this.refreshTokens.init();
+      this.documentExpiry.init();
 
       await this.validation.curateSpecification();
 
@@ -38,6 +38,8 @@ class Profile {
     this._id = null;
     this.policies = [];
     this.rateLimit = 0;
+    this.subscriptionsPerConnection = 0;
+    this.subscriptionsPerUser = 0;
   }
 
   /**
@@ -52,7 +54,7 @@ class Profile {
 
     return Bluebird.all(this.policies.map(async policy => {
       const role = await this[_kuzzle].repositories.role.load(policy.roleId);
-      return {restrictedTo: policy.restrictedTo, role};
+      return {filter: policy.filter, restrictedTo: policy.restrictedTo, role};
     }));
   }
 
@@ -68,11 +70,98 @@ class Profile {
 
     const policies = await this.getPolicies();
 
-    const results = await Bluebird.map(
-      policies,
-      policy => policy.role.isActionAllowed(request, policy.restrictedTo));
+    return policies.some(
+      policy => policy.role.isActionAllowed(request, policy.restrictedTo))
+      && !policies.some(
+        policy => policy.role.isActionDenied(request, policy.restrictedTo));
+  }
+
+  /**
+   * Tells whether one of the profile roles explicitly denies an action
+   *
+   * @param {Request} request
+   * @return {Promise<boolean>}
+   */
+  async isActionDenied(request) {
+    if (this.policies === undefined || this.policies.length === 0) {
+      return false;
+    }
+
+    const policies = await this.getPolicies();
+
+    return policies.some(
+      policy => policy.role.isActionDenied(request, policy.restrictedTo));
+  }
+
+  /**
+   * Explains the decision of each profile policy about a request action.
+   * The profile decision is "forbidden" if a policy explicitly denies the
+   * action, "allowed" if a policy allows it, and "denied" otherwise.
+   *
+   * @param {Request} request
+   * @returns {Promise.<Object>} { _id, decision, policies }
+   */
+  async explainAction(request) {
+    const policies = this.policies === undefined || this.policies.length === 0
+      ? []
+      : await this.getPolicies();
+
+    const explanations = policies.map(policy => Object.assign(
+      {
+        restrictedTo: policy.restrictedTo || [],
+        roleId: policy.role._id
+      },
+      policy.role.explainAction(request, policy.restrictedTo)));
+
+    let decision = 'denied';
+
+    if (explanations.some(explanation => explanation.effect === 'deny')) {
+      decision = 'forbidden';
+    }
+    else if (explanations.some(explanation => explanation.effect === 'allow')) {
+      decision = 'allowed';
+    }
+
+    return { _id: this._id, decision, policies: explanations };
+  }
+
+  /**
+   * Returns the document filters of the policies allowing a request.
+   * Policies without a filter are returned as a null filter.
+   *
+   * @param {Request} request
+   * @returns {Promise.<Array.<Object|null>>}
+   */
+  async getDocumentFilters(request) {
+    if (this.policies === undefined || this.policies.length === 0) {
+      return [];
+    }
+
+    const policies = await this.getPolicies();
+
+    return policies
+      .filter(policy => policy.role.isActionAllowed(request, policy.restrictedTo))
+      .map(policy => policy.filter || null);
+  }
+
+  /**
+   * Returns the document fields that the roles of the policies allowing a
+   * request forbid to read or write
+   *
+   * @param {Request} request
+   * @returns {Promise.<Array.<Object>>} list of { read, write } objects
+   */
+  async getForbiddenFields(request) {
+    if (this.policies === undefined || this.policies.length === 0) {
+      return [];
+    }
+
+    const { index, collection } = request.input.resource;
+    const policies = await this.getPolicies();
 
-    return results.includes(true);
+    return policies
+      .filter(policy => policy.role.isActionAllowed(request, policy.restrictedTo))
+      .map(policy => policy.role.getForbiddenFields(index, collection));
   }
 
   /**
@@ -82,6 +171,7 @@ class Profile {
    */
   async validateDefinition() {
     this.validateRateLimit();
+    this.validateSubscriptionLimits();
 
     if (!this.policies) {
       throw assertionError.get('missing_argument', 'policies');
@@ -102,86 +192,97 @@ class Profile {
       }
 
       for (const member of Object.keys(policy)) {
-        if (member !== 'roleId' && member !== 'restrictedTo') {
+        if (!['filter', 'restrictedTo', 'roleId'].includes(member)) {
           throw assertionError.get(
             'unexpected_argument',
             `policies[${i}].${member}`,
-            '"roleId", "restrictedTo"');
+            '"roleId", "restrictedTo", "filter"');
         }
       }
 
+      if (policy.filter !== undefined && policy.filter !== null) {
+        await this.validatePolicyFilter(policy.filter, `policies[${i}].filter`);
+      }
+
       if (policy.restrictedTo) {
-        if (!Array.isArray(policy.restrictedTo)) {
-          throw assertionError.get(
-            'invalid_type',
-            `policies[${i}].restrictedTo`,
-            'object[]');
-        }
+        Profile.validateRestrictedTo(
+          policy.restrictedTo,
+          `policies[${i}].restrictedTo`,
+          this[_kuzzle].storageEngine.internal);
+      }
 
-        let j = 0;
-        for (const restriction of policy.restrictedTo) {
-          if (!isPlainObject(restriction)) {
-            throw assertionError.get(
-              'invalid_type',
-              `policies[${i}].restrictedTo[${restriction}]`,
-              'object');
-          }
+      i++;
+    }
 
-          if (restriction.index === null || restriction.index === undefined) {
-            throw assertionError.get(
-              'missing_argument',
-              `policies[${i}].restrictedTo[${j}].index`);
-          }
+    return true;
+  }
 
-          if (!this[_kuzzle].storageEngine.internal.isIndexNameValid(restriction.index)) {
-            throw kerror.get(
-              'services',
-              'storage',
-              'invalid_index_name',
-              restriction.index);
-          }
+  /**
+   * Verifies that a list of index and collections restrictions is correct:
+   *   [ { index, collections: [collection, ...] }, ... ]
+   *
+   * @param {Array} restrictedTo
+   * @param {string} name - restrictions path, used in error messages
+   * @param {Object} storage - storage engine validating index and collection
+   *                           names
+   * @throws If the restrictions are invalid
+   */
+  static validateRestrictedTo (restrictedTo, name, storage) {
+    if (!Array.isArray(restrictedTo)) {
+      throw assertionError.get('invalid_type', name, 'object[]');
+    }
 
-          if ( restriction.collections !== undefined
-            && restriction.collections !== null
-          ) {
-            if (!Array.isArray(restriction.collections)) {
-              throw assertionError.get(
-                'invalid_type',
-                `policies[${i}].restrictedTo[${j}].collections`,
-                'string[]');
-            }
+    let j = 0;
+    for (const restriction of restrictedTo) {
+      if (!isPlainObject(restriction)) {
+        throw assertionError.get('invalid_type', `${name}[${j}]`, 'object');
+      }
 
-            const invalid = restriction.collections.find(c => {
-              return !this[_kuzzle].storageEngine.internal
-                .isCollectionNameValid(c);
-            });
-
-            if (invalid) {
-              throw kerror.get(
-                'services',
-                'storage',
-                'invalid_collection_name',
-                invalid);
-            }
-          }
+      if (restriction.index === null || restriction.index === undefined) {
+        throw assertionError.get('missing_argument', `${name}[${j}].index`);
+      }
 
-          for (const member of Object.keys(restriction)) {
-            if (member !== 'index' && member !== 'collections') {
-              throw assertionError.get(
-                'unexpected_argument',
-                `policies[${i}].restrictedTo[${j}].${member}`,
-                '"index", "collections"');
-            }
-          }
+      if (!storage.isIndexNameValid(restriction.index)) {
+        throw kerror.get(
+          'services',
+          'storage',
+          'invalid_index_name',
+          restriction.index);
+      }
+
+      if ( restriction.collections !== undefined
+        && restriction.collections !== null
+      ) {
+        if (!Array.isArray(restriction.collections)) {
+          throw assertionError.get(
+            'invalid_type',
+            `${name}[${j}].collections`,
+            'string[]');
+        }
 
-          j++;
+        const invalid = restriction.collections.find(
+          c => !storage.isCollectionNameValid(c));
+
+        if (invalid) {
+          throw kerror.get(
+            'services',
+            'storage',
+            'invalid_collection_name',
+            invalid);
         }
       }
 
-      i++;
-    }
+      for (const member of Object.keys(restriction)) {
+        if (member !== 'index' && member !== 'collections') {
+          throw assertionError.get(
+            'unexpected_argument',
+            `${name}[${j}].${member}`,
+            '"index", "collections"');
+        }
+      }
 
-    return true;
+      j++;
+    }
   }
 
   /**
@@ -237,23 +338,59 @@ class Profile {
       });
   }
 
+  /**
+   * @param {Object} filter - Koncorde filter
+   * @param {string} name - filter path, used in error messages
+   * @returns {Promise}
+   */
+  async validatePolicyFilter (filter, name) {
+    if (!isPlainObject(filter)) {
+      throw assertionError.get('invalid_type', name, 'object');
+    }
+
+    try {
+      await this[_kuzzle].documentFilters.validate(filter);
+    }
+    catch (error) {
+      throw kerror.getFrom(
+        error,
+        'security',
+        'profile',
+        'invalid_filter',
+        name,
+        error.message);
+    }
+  }
+
   static _hash () {
     return false;
   }
 
   validateRateLimit () {
-    if (this.rateLimit === null || this.rateLimit === undefined) {
-      this.rateLimit = 0;
+    this._validateLimit('rateLimit');
+  }
+
+  validateSubscriptionLimits () {
+    this._validateLimit('subscriptionsPerConnection');
+    this._validateLimit('subscriptionsPerUser');
+  }
+
+  /**
+   * Validates a profile limit: a positive integer, or zero for no limit
+   *
+   * @param {string} name - limit property name
+   */
+  _validateLimit (name) {
+    if (this[name] === null || this[name] === undefined) {
+      this[name] = 0;
     }
 
-    if ( typeof this.rateLimit !== 'number'
-      || !Number.isInteger(this.rateLimit)
-    ) {
-      throw assertionError.get('invalid_type', 'rateLimit', 'integer');
+    if (typeof this[name] !== 'number' || !Number.isInteger(this[name])) {
+      throw assertionError.get('invalid_type', name, 'integer');
     }
 
-    if (this.rateLimit < 0) {
-      throw assertionError.get('invalid_argument', 'rateLimit', 'positive integer, or zero');
+    if (this[name] < 0) {
+      throw assertionError.get('invalid_argument', name, 'positive integer, or zero');
     }
   }
 }
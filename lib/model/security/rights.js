@@ -21,8 +21,73 @@
 
 'use strict';
 
-function isAllowed (obj) {
-  return obj && (obj.value === 'allowed' || obj.value === true);
+const { isPlainObject } = require('../../util/safeObject');
+
+// Merged rights keep track of how an action is allowed or denied, since
+// explicit deny rules take precedence over allowing ones
+const _state = Symbol('state');
+
+const NONE = 0;
+const CONDITIONAL = 1;
+const ALWAYS = 2;
+
+/**
+ * @param {Object} obj - rights object
+ * @returns {Object} { allow, deny }
+ */
+function getState (obj) {
+  if (!obj) {
+    return { allow: NONE, deny: NONE };
+  }
+
+  if (obj[_state]) {
+    return obj[_state];
+  }
+
+  const value = obj.value;
+
+  if (value === true || value === 'allowed') {
+    return { allow: ALWAYS, deny: NONE };
+  }
+
+  if (value === 'conditional') {
+    return { allow: CONDITIONAL, deny: NONE };
+  }
+
+  if (value === 'forbidden') {
+    return { allow: NONE, deny: ALWAYS };
+  }
+
+  // action rule objects: { effect, conditions }
+  if (isPlainObject(value) && ['allow', 'deny'].includes(value.effect)) {
+    const level = value.conditions ? CONDITIONAL : ALWAYS;
+
+    return value.effect === 'allow'
+      ? { allow: level, deny: NONE }
+      : { allow: NONE, deny: level };
+  }
+
+  return { allow: NONE, deny: NONE };
+}
+
+/**
+ * @param {Object} state - { allow, deny }
+ * @returns {string}
+ */
+function getValue ({ allow, deny }) {
+  if (deny === ALWAYS) {
+    return 'forbidden';
+  }
+
+  if (allow === NONE) {
+    return 'denied';
+  }
+
+  if (allow === CONDITIONAL || deny === CONDITIONAL) {
+    return 'conditional';
+  }
+
+  return 'allowed';
 }
 
 /**
@@ -33,7 +98,15 @@ function isAllowed (obj) {
  * @return {Object} the merged policies rights
  */
 function merge (prev, cur) {
-  cur.value = isAllowed(cur) || isAllowed(prev) ? 'allowed' : 'denied';
+  const prevState = getState(prev);
+  const curState = getState(cur);
+  const state = {
+    allow: Math.max(prevState.allow, curState.allow),
+    deny: Math.max(prevState.deny, curState.deny)
+  };
+
+  cur[_state] = state;
+  cur.value = getValue(state);
 
   return cur;
 }
@@ -24,10 +24,14 @@
 const { isNil } = require('lodash');
 const kerror = require('../../kerror');
 const { has, isPlainObject } = require('../../util/safeObject');
+const ipRange = require('../../util/ipRange');
 
 const _kuzzle = Symbol.for('_kuzzle');
 const assertionError = kerror.wrap('api', 'assert');
 
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_REGEXP = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
 /**
  * @class Role
  */
@@ -42,17 +46,67 @@ class Role {
    * @return {boolean}
    */
   isActionAllowed (request, restrictedTo = []) {
+    const rule = this.getActionRule(request);
+
+    if (rule === true) {
+      return checkRestrictions(request, restrictedTo);
+    }
+
+    return isPlainObject(rule)
+      && rule.effect === 'allow'
+      && this.checkConditions(request, rule.conditions)
+      && checkRestrictions(request, restrictedTo);
+  }
+
+  /**
+   * Tells whether this role explicitly denies an action. Explicit denials
+   * take precedence over the rights granted by any other role.
+   *
+   * @param {Request} request
+   * @param {Array} restrictedTo
+   * @return {boolean}
+   */
+  isActionDenied (request, restrictedTo = []) {
+    const rule = this.getActionRule(request);
+
+    return isPlainObject(rule)
+      && rule.effect === 'deny'
+      && this.checkConditions(request, rule.conditions)
+      && checkRestrictions(request, restrictedTo);
+  }
+
+  /**
+   * Returns the rule applying to a request action: action rules take
+   * precedence over wildcard ones
+   *
+   * @param {Request} request
+   * @returns {boolean|Object|null} boolean, { effect, conditions } rule
+   *                                object, or null if no rule applies
+   */
+  getActionRule (request) {
+    const match = this.matchActionRule(request);
+
+    return match === null ? null : match.value;
+  }
+
+  /**
+   * Returns the rule applying to a request action, with the controller and
+   * action entries defining it (which may be "*" wildcards)
+   *
+   * @param {Request} request
+   * @returns {Object|null} { action, controller, value }, or null if no rule
+   *                        applies
+   */
+  matchActionRule (request) {
     if (!this[_kuzzle]) {
       throw kerror.get('security', 'role', 'uninitialized', this._id);
     }
 
     if (isNil(this.controllers)) {
-      return false;
+      return null;
     }
 
-    let
-      controllerRights,
-      actionRights;
+    let controller;
 
     // @deprecated - the "memoryStorage" alias should be removed in the next
     // major version
@@ -60,37 +114,145 @@ class Role {
     if ((request.input.controller === 'ms' || request.input.controller === 'memoryStorage')
       && (this.controllers.ms || this.controllers.memoryStorage)
     ) {
-      controllerRights = this.controllers.ms || this.controllers.memoryStorage;
+      controller = this.controllers.ms ? 'ms' : 'memoryStorage';
     }
     else if (has(this.controllers, request.input.controller)) {
-      controllerRights = this.controllers[request.input.controller];
+      controller = request.input.controller;
     }
     else if (this.controllers['*'] !== undefined) {
-      controllerRights = this.controllers['*'];
+      controller = '*';
     }
     else {
-      return false;
+      return null;
     }
 
-    if (controllerRights.actions === undefined) {
-      return false;
+    const actions = this.controllers[controller].actions;
+
+    if (actions === undefined) {
+      return null;
     }
 
-    if (has(controllerRights.actions, request.input.action)) {
-      actionRights = controllerRights.actions[request.input.action];
+    if (has(actions, request.input.action)) {
+      return {
+        action: request.input.action,
+        controller,
+        value: actions[request.input.action]
+      };
     }
-    else if (controllerRights.actions['*'] !== undefined) {
-      actionRights = controllerRights.actions['*'];
+
+    if (actions['*'] !== undefined) {
+      return { action: '*', controller, value: actions['*'] };
     }
-    else {
+
+    return null;
+  }
+
+  /**
+   * Explains the decision of this role about a request action: the rule
+   * applying to it, whether the rule conditions are met, and the
+   * "restrictedTo" entry of the policy matching the request
+   *
+   * @param {Request} request
+   * @param {Array} restrictedTo
+   * @returns {Object} { conditions, effect, restricted, restriction, rule }
+   */
+  explainAction (request, restrictedTo = []) {
+    const rule = this.matchActionRule(request);
+    const restriction = matchRestriction(request, restrictedTo);
+    const explanation = {
+      // null if the rule has no condition
+      conditions: null,
+      // "allow", "deny", or null if the role neither allows nor denies
+      effect: null,
+      // true if the policy restrictions exclude the request
+      restricted: restriction === undefined,
+      restriction: restriction || null,
+      rule
+    };
+
+    if (rule === null || rule.value === false) {
+      return explanation;
+    }
+
+    if (rule.value === true) {
+      explanation.effect = explanation.restricted ? null : 'allow';
+      return explanation;
+    }
+
+    if (!isNil(rule.value.conditions)) {
+      explanation.conditions = this.checkConditions(
+        request,
+        rule.value.conditions);
+    }
+
+    if (explanation.conditions !== false && !explanation.restricted) {
+      explanation.effect = rule.value.effect;
+    }
+
+    return explanation;
+  }
+
+  /**
+   * Checks that a request meets all the conditions of an action rule
+   *
+   * @param {Request} request
+   * @param {Object} [conditions] - { ips, protocols, timeWindows }
+   * @returns {boolean}
+   */
+  checkConditions (request, conditions) {
+    if (isNil(conditions)) {
+      return true;
+    }
+
+    const connection = request.context.connection;
+
+    if ( conditions.ips
+      && !ipRange.includes(
+        conditions.ips,
+        ipRange.getClientIp(
+          connection.ips || [],
+          this[_kuzzle].config.security.trustedProxies || []))
+    ) {
       return false;
     }
 
-    if (typeof actionRights !== 'boolean' || !actionRights) {
+    if ( conditions.protocols
+      && !conditions.protocols.includes(connection.protocol)
+    ) {
       return false;
     }
 
-    return checkRestrictions(request, restrictedTo);
+    if (conditions.timeWindows) {
+      const now = new Date();
+
+      return conditions.timeWindows.some(window => isInTimeWindow(window, now));
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns the document fields this role may not read or write in a
+   * collection
+   *
+   * @param {string} index
+   * @param {string} collection
+   * @returns {{read: Array.<string>, write: Array.<string>}}
+   */
+  getForbiddenFields (index, collection) {
+    let fields = {};
+
+    if ( isPlainObject(this.forbiddenFields)
+      && has(this.forbiddenFields, index)
+      && has(this.forbiddenFields[index], collection)
+    ) {
+      fields = this.forbiddenFields[index][collection];
+    }
+
+    return {
+      read: fields.read || [],
+      write: fields.write || []
+    };
   }
 
   /**
@@ -112,6 +274,54 @@ class Role {
     Object
       .entries(this.controllers)
       .forEach(entry => this.validateControllerRights(...entry));
+
+    if (!isNil(this.forbiddenFields)) {
+      this.validateForbiddenFields();
+    }
+  }
+
+  /**
+   * Verifies that the forbidden fields definition is correct:
+   *   { <index>: { <collection>: { read: [paths], write: [paths] } } }
+   *
+   * @throws If the definition is invalid
+   */
+  validateForbiddenFields () {
+    if (!isPlainObject(this.forbiddenFields)) {
+      throw assertionError.get('invalid_type', 'forbiddenFields', 'object');
+    }
+
+    for (const [index, collections] of Object.entries(this.forbiddenFields)) {
+      if (!isPlainObject(collections)) {
+        throw assertionError.get(
+          'invalid_type',
+          `forbiddenFields.${index}`,
+          'object');
+      }
+
+      for (const [collection, fields] of Object.entries(collections)) {
+        const name = `forbiddenFields.${index}.${collection}`;
+
+        if (!isPlainObject(fields)) {
+          throw assertionError.get('invalid_type', name, 'object');
+        }
+
+        for (const [key, paths] of Object.entries(fields)) {
+          if (key !== 'read' && key !== 'write') {
+            throw assertionError.get(
+              'unexpected_argument',
+              `${name}.${key}`,
+              '"read", "write"');
+          }
+
+          if ( !Array.isArray(paths)
+            || paths.some(p => typeof p !== 'string' || p.length === 0)
+          ) {
+            throw assertionError.get('invalid_type', `${name}.${key}`, 'string[]');
+          }
+        }
+      }
+    }
   }
 
   /**
@@ -142,10 +352,87 @@ class Role {
     }
 
     for (const [actionName, action] of Object.entries(controller.actions)) {
-      if (typeof action !== 'boolean') {
-        throw assertionError.get('invalid_type', `${name}.actions.${actionName}`, 'boolean');
+      if (isPlainObject(action)) {
+        this.validateActionRule(`${name}.actions.${actionName}`, action);
+      }
+      else if (typeof action !== 'boolean') {
+        throw assertionError.get(
+          'invalid_type',
+          `${name}.actions.${actionName}`,
+          'boolean, object');
+      }
+    }
+  }
+
+  /**
+   * Verifies that an action rule object is correct:
+   *   { effect: "allow"|"deny", conditions: { ips, protocols, timeWindows } }
+   *
+   * @param {string} name - action rule path, used in error messages
+   * @param {Object} rule
+   * @throws If the rule is invalid
+   */
+  validateActionRule (name, rule) {
+    assertMembers(name, rule, ['effect', 'conditions']);
+
+    if (rule.effect !== 'allow' && rule.effect !== 'deny') {
+      throw assertionError.get(
+        'invalid_argument',
+        `${name}.effect`,
+        '"allow", "deny"');
+    }
+
+    if (isNil(rule.conditions)) {
+      return;
+    }
+
+    const conditions = rule.conditions;
+
+    if (!isPlainObject(conditions)) {
+      throw assertionError.get('invalid_type', `${name}.conditions`, 'object');
+    }
+
+    assertMembers(
+      `${name}.conditions`,
+      conditions,
+      ['ips', 'protocols', 'timeWindows']);
+
+    for (const [key, values] of Object.entries(conditions)) {
+      if (!Array.isArray(values) || values.length === 0) {
+        throw assertionError.get(
+          'invalid_type',
+          `${name}.conditions.${key}`,
+          key === 'timeWindows' ? 'object[]' : 'string[]');
       }
     }
+
+    if (conditions.ips) {
+      conditions.ips.forEach((ip, i) => {
+        if (!ipRange.isValid(ip)) {
+          throw assertionError.get(
+            'invalid_argument',
+            `${name}.conditions.ips[${i}]`,
+            'IP address or CIDR range');
+        }
+      });
+    }
+
+    if (conditions.protocols) {
+      conditions.protocols.forEach((protocol, i) => {
+        if (typeof protocol !== 'string' || protocol.length === 0) {
+          throw assertionError.get(
+            'invalid_type',
+            `${name}.conditions.protocols[${i}]`,
+            'string');
+        }
+      });
+    }
+
+    if (conditions.timeWindows) {
+      conditions.timeWindows.forEach((window, i) => validateTimeWindow(
+        `${name}.conditions.timeWindows[${i}]`,
+        window));
+    }
   }
 
   /**
@@ -161,7 +448,7 @@ class Role {
         for (const actionKey of ['login', '*']) {
           const action = controller.actions[actionKey];
 
-          if (typeof action === 'boolean' && action) {
+          if (action === true || (isPlainObject(action) && action.effect === 'allow')) {
             return true;
           }
         }
@@ -172,6 +459,123 @@ class Role {
   }
 }
 
+/**
+ * @param {string} name - object path, used in error messages
+ * @param {Object} object
+ * @param {Array.<string>} members - accepted members
+ * @throws If the object holds an unexpected member
+ */
+function assertMembers (name, object, members) {
+  for (const member of Object.keys(object)) {
+    if (!members.includes(member)) {
+      throw assertionError.get(
+        'unexpected_argument',
+        `${name}.${member}`,
+        members.map(m => `"${m}"`).join(', '));
+    }
+  }
+}
+
+/**
+ * Verifies that a time window is correct:
+ *   { days: ["mon", ...], from: "HH:mm", to: "HH:mm", timezone: "Europe/Paris" }
+ *
+ * @param {string} name - time window path, used in error messages
+ * @param {Object} window
+ * @throws If the time window is invalid
+ */
+function validateTimeWindow (name, window) {
+  if (!isPlainObject(window)) {
+    throw assertionError.get('invalid_type', name, 'object');
+  }
+
+  assertMembers(name, window, ['days', 'from', 'timezone', 'to']);
+
+  for (const key of ['from', 'to']) {
+    if (isNil(window[key])) {
+      throw assertionError.get('missing_argument', `${name}.${key}`);
+    }
+
+    if (typeof window[key] !== 'string' || !TIME_REGEXP.test(window[key])) {
+      throw assertionError.get('invalid_argument', `${name}.${key}`, '"HH:mm"');
+    }
+  }
+
+  if ( !isNil(window.days)
+    && ( !Array.isArray(window.days)
+      || window.days.length === 0
+      || window.days.some(day => !DAYS.includes(day)))
+  ) {
+    throw assertionError.get(
+      'invalid_argument',
+      `${name}.days`,
+      DAYS.map(day => `"${day}"`).join(', '));
+  }
+
+  if (!isNil(window.timezone)) {
+    try {
+      getDateFormat(window.timezone);
+    }
+    catch (error) {
+      throw assertionError.get(
+        'invalid_argument',
+        `${name}.timezone`,
+        'IANA time zone name');
+    }
+  }
+}
+
+/**
+ * @param {string} timezone
+ * @returns {Intl.DateTimeFormat}
+ * @throws {RangeError} If the time zone is unknown
+ */
+function getDateFormat (timezone) {
+  return new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    hour12: false,
+    minute: 'numeric',
+    timeZone: timezone,
+    weekday: 'short'
+  });
+}
+
+/**
+ * Time windows ending before they start span midnight (e.g. 22:00 to 06:00).
+ * Days are those of the tested date, in the time window time zone.
+ *
+ * @param {Object} window - { days, from, to, timezone }
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isInTimeWindow (window, date) {
+  const parts = {};
+
+  for (const { type, value } of getDateFormat(window.timezone || 'UTC')
+    .formatToParts(date)
+  ) {
+    parts[type] = value;
+  }
+
+  const day = parts.weekday.toLowerCase();
+  const minutes = (Number(parts.hour) % 24) * 60 + Number(parts.minute);
+  const toMinutes = time => {
+    const [, hours, mins] = time.match(TIME_REGEXP);
+
+    return Number(hours) * 60 + Number(mins);
+  };
+  const from = toMinutes(window.from);
+  const to = toMinutes(window.to);
+
+  if (window.days && !window.days.includes(day)) {
+    return false;
+  }
+
+  return from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+}
+
 /**
  * @param {Request} request
  * @param {object} restriction a restriction object on an index
@@ -197,6 +601,24 @@ function checkIndexRestriction(request, restriction) {
   return restriction.collections.indexOf(request.input.resource.collection) > -1;
 }
 
+/**
+ * Returns the restriction matching a request
+ *
+ * @param {Request} request
+ * @param {Array} restrictedTo
+ * @returns {Object|null|undefined} matching restriction, null if there is no
+ *                                  applicable restriction, or undefined if
+ *                                  no restriction matches
+ */
+function matchRestriction(request, restrictedTo) {
+  if (restrictedTo.length === 0 || !request.input.resource.index) {
+    return null;
+  }
+
+  return restrictedTo
+    .find(restriction => checkIndexRestriction(request, restriction));
+}
+
 /**
  * @param {Request} request
  * @param {Array} restrictedTo
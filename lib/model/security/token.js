@@ -33,6 +33,15 @@ class Token {
     this.connectionId = data.connectionId || null;
     this.jwt = data.jwt || null;
     this.refreshed = Boolean(data.refreshed);
+    // scoped API keys: { controllers, restrictedTo }
+    this.restriction = data.restriction || null;
+    // impersonation tokens: id of the impersonating user
+    this.impersonatedBy = data.impersonatedBy || null;
+    // session information
+    this.apiKey = Boolean(data.apiKey);
+    this.createdAt = data.createdAt || null;
+    this.ip = data.ip || null;
+    this.protocol = data.protocol || null;
   }
 }
 
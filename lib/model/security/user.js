@@ -63,6 +63,36 @@ class User {
       });
   }
 
+  /**
+   * User accounts are inactive if they have been disabled, or if they have
+   * reached their optional expiration date ("expiresAt" timestamp)
+   *
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.disabled !== true && !this.isExpired();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isExpired() {
+    return typeof this.expiresAt === 'number' && this.expiresAt <= Date.now();
+  }
+
+  /**
+   * @throws {UnauthorizedError} If the user account is disabled or expired
+   */
+  assertIsActive() {
+    if (this.disabled === true) {
+      throw kerror.get('security', 'user', 'disabled', this._id);
+    }
+
+    if (this.isExpired()) {
+      throw kerror.get('security', 'user', 'expired', this._id);
+    }
+  }
+
   /**
    * @param {Request} request
    * @returns {Promise.<boolean>}
@@ -72,11 +102,14 @@ class User {
       return Bluebird.resolve(false);
     }
 
+    // explicit denials take precedence over the rights of all profiles
     return this.getProfiles()
-      .then(profiles => Bluebird.map(
-        profiles,
-        profile => profile.isActionAllowed(request)))
-      .then(results => results.includes(true));
+      .then(profiles => Bluebird.all([
+        Bluebird.map(profiles, profile => profile.isActionAllowed(request)),
+        Bluebird.map(profiles, profile => profile.isActionDenied(request))
+      ]))
+      .then(([allowed, denied]) => allowed.includes(true)
+        && !denied.includes(true));
   }
 }
 
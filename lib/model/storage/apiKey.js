@@ -24,7 +24,11 @@
 const debug = require('../../util/debug')('models:storage:apiKey');
 const kerror = require('../../kerror');
 const BaseModel = require('./baseModel');
+const Profile = require('../security/profile');
 const crypto = require('crypto');
+const { isPlainObject } = require('../../util/safeObject');
+
+const assertionError = kerror.wrap('api', 'assert');
 
 function sha256 (string) {
   return crypto.createHash('sha256').update(string).digest('hex');
@@ -71,7 +75,15 @@ class ApiKey extends BaseModel {
    * @override
    */
   static get fields () {
-    return ['userId', 'description', 'expiresAt', 'ttl', 'token', 'fingerprint'];
+    return [
+      'userId',
+      'description',
+      'expiresAt',
+      'ttl',
+      'token',
+      'fingerprint',
+      'restriction'
+    ];
   }
 
   /**
@@ -81,7 +93,8 @@ class ApiKey extends BaseModel {
    * @param {String} connectionId
    * @param {String} expiresIn - API key expiration date in ms format
    * @param {String} description
-   * @param {Object} options - creatorId (null), apiKeyId (null), refresh (null)
+   * @param {Object} options - creatorId (null), apiKeyId (null), refresh (null),
+   *                            restriction (null)
    *
    * @returns {ApiKey}
    */
@@ -90,17 +103,22 @@ class ApiKey extends BaseModel {
     connectionId,
     expiresIn,
     description,
-    { creatorId=null, apiKeyId=null, refresh } = {}
+    { creatorId=null, apiKeyId=null, refresh, restriction=null } = {}
   ) {
+    if (restriction !== null) {
+      await ApiKey.validateRestriction(restriction);
+    }
+
     const token = await BaseModel.kuzzle.repositories.token.generateToken(
       user,
       connectionId,
-      { bypassMaxTTL: true, expiresIn });
+      { apiKey: true, bypassMaxTTL: true, expiresIn, restriction });
     const apiKey = new ApiKey(
       {
         description,
         expiresAt: token.expiresAt,
         fingerprint: sha256(token.jwt),
+        restriction,
         token: token.jwt,
         ttl: token.ttl,
         userId: user._id
@@ -112,6 +130,48 @@ class ApiKey extends BaseModel {
     return apiKey;
   }
 
+  /**
+   * Verifies that an API key restriction is correct:
+   *   { controllers: <role controllers>, restrictedTo: <policy restrictedTo> }
+   *
+   * API keys with a restriction only grant the rights of their owner that
+   * are also granted by their restriction.
+   *
+   * @param {Object} restriction
+   * @returns {Promise}
+   * @throws If the restriction is invalid
+   */
+  static async validateRestriction (restriction) {
+    if (!isPlainObject(restriction)) {
+      throw assertionError.get('invalid_type', 'restriction', 'object');
+    }
+
+    for (const member of Object.keys(restriction)) {
+      if (member !== 'controllers' && member !== 'restrictedTo') {
+        throw assertionError.get(
+          'unexpected_argument',
+          `restriction.${member}`,
+          '"controllers", "restrictedTo"');
+      }
+    }
+
+    const { role } = BaseModel.kuzzle.repositories;
+    const restrictionRole = await role.fromDTO({
+      _id: 'restriction',
+      controllers: restriction.controllers
+    });
+
+    await restrictionRole.validateDefinition();
+    role.checkRoleNativeRights(restrictionRole);
+
+    if (restriction.restrictedTo !== undefined && restriction.restrictedTo !== null) {
+      Profile.validateRestrictedTo(
+        restriction.restrictedTo,
+        'restriction.restrictedTo',
+        BaseModel.kuzzle.storageEngine.internal);
+    }
+  }
+
   /**
    * Loads an user API key from the database
    *
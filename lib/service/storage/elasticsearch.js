@@ -48,6 +48,14 @@ const PUBLIC_PREFIX = '&';
 const NAME_SEPARATOR = '.';
 const FORBIDDEN_CHARS = `\\/*?"<>| \t\r\n,#:${NAME_SEPARATOR}${PUBLIC_PREFIX}${INTERNAL_PREFIX}`;
 
+// Collection migrations (see migrateCollection)
+const MIGRATION_CATCH_UP_PASSES = 5;
+const MIGRATION_POLL_INTERVAL = 1000;
+const MIGRATION_SWAP_ATTEMPTS = 3;
+
+// Error id of the documents rejected by multi-documents conditional writes
+const VERSION_CONFLICT = 'services.storage.version_conflict';
+
 /**
  * @param {Kuzzle} kuzzle kuzzle instance
  * @param {Object} config Service configuration
@@ -368,7 +376,7 @@ class ElasticSearch extends Service {
    */
   async mGet (index, collection, ids) {
     if (ids.length === 0) {
-      return { errors: [], item: [] };
+      return { errors: [], items: [] };
     }
 
     const
@@ -441,7 +449,7 @@ class ElasticSearch extends Service {
    * @param {String} index - Index name
    * @param {String} collection - Collection name
    * @param {Object} content - Document content
-   * @param {Object} options - id (undefined), refresh (undefined), userId (null)
+   * @param {Object} options - id (undefined), refresh (undefined), userId (null), impersonatedBy (null), expiresAt (null)
    *
    * @returns {Promise.<Object>} { _id, _version, _source }
    */
@@ -449,7 +457,7 @@ class ElasticSearch extends Service {
     index,
     collection,
     content,
-    { id, refresh, userId=null } = {})
+    { id, refresh, userId=null, impersonatedBy=null, expiresAt=null } = {})
   {
     assertIsObject(content);
 
@@ -468,9 +476,11 @@ class ElasticSearch extends Service {
     esRequest.body._kuzzle_info = {
       author: getUserId(userId),
       createdAt: Date.now(),
+      impersonatedBy: getUserId(impersonatedBy),
       updatedAt: null,
       updater: null
     };
+    setExpiry(esRequest.body._kuzzle_info, expiresAt);
 
     debug('Create document: %o', esRequest);
 
@@ -495,7 +505,7 @@ class ElasticSearch extends Service {
    * @param {String} collection - Collection name
    * @param {String} id - Document id
    * @param {Object} content - Document content
-   * @param {Object} options - refresh (undefined), userId (null), injectKuzzleMeta (true)
+   * @param {Object} options - refresh (undefined), userId (null), impersonatedBy (null), injectKuzzleMeta (true), expiresAt (null)
    *
    * @returns {Promise.<Object>} { _id, _version, _source, created }
    */
@@ -504,7 +514,7 @@ class ElasticSearch extends Service {
     collection,
     id,
     content,
-    { refresh, userId=null, injectKuzzleMeta=true } = {})
+    { refresh, userId=null, impersonatedBy=null, injectKuzzleMeta=true, expiresAt=null } = {})
   {
     const esRequest = {
       body: content,
@@ -521,9 +531,14 @@ class ElasticSearch extends Service {
       esRequest.body._kuzzle_info = {
         author: getUserId(userId),
         createdAt: Date.now(),
+        impersonatedBy: getUserId(impersonatedBy),
         updatedAt: Date.now(),
         updater: getUserId(userId)
       };
+      setExpiry(esRequest.body._kuzzle_info, expiresAt);
+    }
+    else if (impersonatedBy !== null) {
+      setImpersonator(esRequest.body, impersonatedBy);
     }
 
     debug('Create or replace document: %o', esRequest);
@@ -545,7 +560,7 @@ class ElasticSearch extends Service {
    * @param {String} collection - Collection name
    * @param {String} id - Document id
    * @param {Object} content - Updated content
-   * @param {Object} options - refresh (undefined), userId (null), retryOnConflict (0)
+   * @param {Object} options - refresh (undefined), userId (null), impersonatedBy (null), retryOnConflict (0), ifVersion (null), expiresAt (null: unchanged)
    *
    * @returns {Promise.<Object>} { _id, _version }
    */
@@ -554,7 +569,7 @@ class ElasticSearch extends Service {
     collection,
     id,
     content,
-    { refresh, userId=null, retryOnConflict } = {})
+    { refresh, userId=null, impersonatedBy=null, retryOnConflict, ifVersion=null, expiresAt=null } = {})
   {
     const esRequest = {
       _source: true,
@@ -562,7 +577,10 @@ class ElasticSearch extends Service {
       id,
       index: this._getESIndex(index, collection),
       refresh,
-      retryOnConflict: retryOnConflict || this._config.defaults.onUpdateConflictRetries
+      // conditional updates must fail instead of being retried on conflict
+      retryOnConflict: ifVersion === null
+        ? retryOnConflict || this._config.defaults.onUpdateConflictRetries
+        : undefined
     };
 
     assertNoRouting(esRequest);
@@ -570,19 +588,22 @@ class ElasticSearch extends Service {
 
     // Add metadata
     esRequest.body.doc._kuzzle_info = {
+      impersonatedBy: getUserId(impersonatedBy),
       updatedAt: Date.now(),
       updater: getUserId(userId)
     };
+    setExpiry(esRequest.body.doc._kuzzle_info, expiresAt);
 
     debug('Update document: %o', esRequest);
 
-    return this._client.update(esRequest)
+    return this._addWriteCondition(esRequest, index, collection, ifVersion)
+      .then(() => this._client.update(esRequest))
       .then(({ body }) => ({
         _id: body._id,
         _source: body.get._source,
         _version: body._version
       }))
-      .catch(error => this._esWrapper.reject(error));
+      .catch(error => this._rejectWrite(error, esRequest, ifVersion));
   }
 
   /**
@@ -592,7 +613,7 @@ class ElasticSearch extends Service {
    * @param {String} collection - Collection name
    * @param {String} id - Document id
    * @param {Object} content - Document content
-   * @param {Object} options - refresh (undefined), userId (null)
+   * @param {Object} options - refresh (undefined), userId (null), impersonatedBy (null), ifVersion (null), expiresAt (null: unchanged)
    *
    * @returns {Promise.<Object>} { _id, _version, _source }
    */
@@ -601,7 +622,7 @@ class ElasticSearch extends Service {
     collection,
     id,
     content,
-    { refresh, userId=null } = {})
+    { refresh, userId=null, impersonatedBy=null, ifVersion=null, expiresAt=null } = {})
   {
     const
       esIndex = this._getESIndex(index, collection),
@@ -619,16 +640,30 @@ class ElasticSearch extends Service {
     esRequest.body._kuzzle_info = {
       author: getUserId(userId),
       createdAt: Date.now(),
+      impersonatedBy: getUserId(impersonatedBy),
       updatedAt: Date.now(),
       updater: getUserId(userId)
     };
 
-    return this._client.exists({ id, index: esIndex })
+    // the write condition makes sure that the document exists
+    const check = ifVersion === null
+      ? this._client.exists({ id, index: esIndex })
+      : this._addWriteCondition(esRequest, index, collection, ifVersion)
+        .then(() => ({ body: true }));
+
+    return check
       .then(({ body: exists }) => {
         if (! exists) {
           throw kerror.get('not_found', id, index, collection);
         }
 
+        return expiresAt === null
+          ? this._getExpiresAt(esIndex, id)
+          : expiresAt;
+      })
+      .then(expiry => {
+        setExpiry(esRequest.body._kuzzle_info, expiry);
+
         debug('Replace document: %o', esRequest);
         return this._client.index(esRequest);
       })
@@ -637,7 +672,7 @@ class ElasticSearch extends Service {
         _source: esRequest.body,
         _version: body._version
       }))
-      .catch(error => this._esWrapper.reject(error));
+      .catch(error => this._rejectWrite(error, esRequest, ifVersion));
   }
 
   /**
@@ -646,7 +681,7 @@ class ElasticSearch extends Service {
    * @param {String} index - Index name
    * @param {String} collection - Collection name
    * @param {String} id - Document id
-   * @param {Object} options - refresh (undefined)
+   * @param {Object} options - refresh (undefined), ifVersion (null)
    *
    * @returns {Promise}
    */
@@ -654,7 +689,7 @@ class ElasticSearch extends Service {
     index,
     collection,
     id,
-    { refresh } = {})
+    { refresh, ifVersion=null } = {})
   {
     const esRequest = {
       id,
@@ -665,9 +700,10 @@ class ElasticSearch extends Service {
     assertWellFormedRefresh(esRequest);
 
     debug('Delete document: %o', esRequest);
-    return this._client.delete(esRequest)
+    return this._addWriteCondition(esRequest, index, collection, ifVersion)
+      .then(() => this._client.delete(esRequest))
       .then(() => null)
-      .catch(error => this._esWrapper.reject(error));
+      .catch(error => this._rejectWrite(error, esRequest, ifVersion));
   }
 
   /**
@@ -678,11 +714,13 @@ class ElasticSearch extends Service {
    *  - size: size of the batch to retrieve documents (no-op if fetch=false)
    *  - refresh: refresh option for ES
    *  - fetch: if true, will fetch the documents before delete them
+   *  - conflicts: set to "proceed" to skip documents changed during the
+   *    deletion, instead of aborting it
    *
    * @param {String} index - Index name
    * @param {String} collection - Collection name
    * @param {Object} query - Query to match documents
-   * @param {Object} options - size (undefined), refresh (undefined), fetch (true)
+   * @param {Object} options - size (undefined), refresh (undefined), fetch (true), conflicts (undefined)
    *
    * @returns {Promise.<Object>} { documents, total, deleted, failures: [ _shardId, reason ] }
    */
@@ -690,7 +728,7 @@ class ElasticSearch extends Service {
     index,
     collection,
     query,
-    { refresh, size = 1000, fetch=true } = {})
+    { refresh, size = 1000, fetch=true, conflicts } = {})
   {
     const esRequest = {
       body: this._sanitizeSearchBody({ query }),
@@ -714,6 +752,10 @@ class ElasticSearch extends Service {
 
       esRequest.refresh = refresh === 'wait_for' ? true : refresh;
 
+      if (conflicts !== undefined) {
+        esRequest.conflicts = conflicts;
+      }
+
       const { body } = await this._client.deleteByQuery(esRequest);
 
       return {
@@ -736,16 +778,16 @@ class ElasticSearch extends Service {
   * @param {String} collection - Collection name
   * @param {Object} query - Query to match documents
   * @param {Object} changes - Changes wanted on documents
-  * @param {Object} options - refresh (undefined), size (undefined)
+  * @param {Object} options - refresh (undefined), size (undefined), userId (null), impersonatedBy (null)
   *
-  * @returns {Promise.<Object>} { successes: [_id, _source, _status], errors: [ document, status, reason ] }
+  * @returns {Promise.<Object>} { successes: [_id, _source, _status], errors: [ document, status, reason ], previous: Map(_id => _source) }
   */
   async updateByQuery(
     index,
     collection,
     query,
     changes,
-    { refresh, size = 1000 } = {})
+    { refresh, size = 1000, userId = null, impersonatedBy = null } = {})
   {
 
     try {
@@ -757,10 +799,13 @@ class ElasticSearch extends Service {
       };
 
       const documents = await this._getAllDocumentsFromQuery(esRequest);
+      // documents contents before the update
+      const previous = new Map();
 
       for (let i = 0; i < documents.length; i++) {
         const document = documents[i];
 
+        previous.set(document._id, document._source);
         document._source = undefined;
         document.body = changes;
       }
@@ -771,10 +816,11 @@ class ElasticSearch extends Service {
         index,
         collection,
         documents,
-        { refresh });
+        { impersonatedBy, refresh, userId });
 
       return {
         errors,
+        previous,
         successes: items
       };
     }
@@ -940,13 +986,7 @@ class ElasticSearch extends Service {
 
     this._checkMappings(mappings);
 
-    esRequest.body.mappings = {
-      _meta: mappings._meta || this._config.commonMapping._meta,
-      dynamic: mappings.dynamic || this._config.commonMapping.dynamic,
-      properties: _.merge(
-        mappings.properties,
-        this._config.commonMapping.properties)
-    };
+    esRequest.body.mappings = this._withCommonMapping(mappings);
 
     try {
       await this._client.indices.create(esRequest);
@@ -984,13 +1024,16 @@ class ElasticSearch extends Service {
 
     return this._client.indices.getMapping(esRequest)
       .then(({ body }) => {
+        // keyed by the physical index name, which differs for migrated
+        // collections
+        const { mappings } = Object.values(body)[0];
         const properties = includeKuzzleMeta
-          ? body[esIndex].mappings.properties
-          : _.omit(body[esIndex].mappings.properties, '_kuzzle_info');
+          ? mappings.properties
+          : _.omit(mappings.properties, '_kuzzle_info');
 
         return {
-          _meta: body[esIndex].mappings._meta,
-          dynamic: body[esIndex].mappings.dynamic,
+          _meta: mappings._meta,
+          dynamic: mappings.dynamic,
           properties
         };
       })
@@ -1018,7 +1061,7 @@ class ElasticSearch extends Service {
     let esIndexSettings;
     try {
       const response = await this._client.indices.getSettings(esRequest);
-      esIndexSettings = response.body[esRequest.index].settings;
+      esIndexSettings = Object.values(response.body)[0].settings;
     }
     catch (error) {
       throw this._esWrapper.formatESError(error);
@@ -1172,20 +1215,184 @@ class ElasticSearch extends Service {
       .then(collectionMappings => {
         mappings = collectionMappings;
 
-        return this._client.indices.delete(esRequest);
+        return this._getCollectionIndexes(index, collection);
       })
+      .then(esIndexes => this._client.indices.delete({ index: esIndexes }))
       .then(() => this._client.indices.create({ ...esRequest, body: { mappings } }))
       .then(() => null)
       .catch(error => this._esWrapper.reject(error));
   }
 
+  /**
+   * Migrates a collection to new mappings and settings, without downtime.
+   *
+   * Documents are copied to a new Elasticsearch index, optionally through a
+   * transform script, while they keep being read and written in the current
+   * one. Documents written during the copy, found using their sequence
+   * numbers, are then copied again, and the collection is swapped to the new
+   * index, which the collection name becomes an alias of. Writes are only
+   * rejected during the swap, while the last written documents are copied.
+   *
+   * Only one migration of a collection must run at a time: the new indexes
+   * of interrupted migrations are deleted, and writes are unblocked.
+   *
+   * @param {String} index - Index name
+   * @param {String} collection - Collection name
+   * @param {Object} config - mappings ({}), settings ({}), script (null)
+   * @param {Object} options - onProgress (progress callback, invoked with
+   *                           { processed, step, total })
+   *
+   * @returns {Promise}
+   */
+  async migrateCollection (
+    index,
+    collection,
+    { mappings={}, settings={}, script=null } = {},
+    { onProgress=() => {} } = {})
+  {
+    this._checkMappings(mappings);
+
+    const alias = this._getESIndex(index, collection);
+    const migration = {
+      collection,
+      index,
+      script,
+      source: null,
+      target: `${alias}${NAME_SEPARATOR}${Date.now()}`
+    };
+    let blocked = false;
+
+    try {
+      migration.source = await this._getAliasedIndex(alias);
+
+      const leftovers = (await this._getCollectionIndexes(index, collection))
+        .filter(esIndex => esIndex !== migration.source);
+
+      if (leftovers.length > 0) {
+        // the node running the interrupted migration may have stopped while
+        // writes were blocked
+        await this._client.indices.putSettings({
+          body: { 'index.blocks.write': null },
+          index: migration.source
+        });
+        await this._client.indices.delete({ index: leftovers });
+      }
+
+      const { body } = await this._client.indices.getSettings({
+        index: migration.source
+      });
+      const sourceSettings = _.pick(
+        body[migration.source].settings.index,
+        ['analysis', 'number_of_replicas', 'number_of_shards']);
+
+      await this._client.indices.create({
+        body: {
+          mappings: this._withCommonMapping(mappings),
+          settings: {
+            index: _.merge(
+              sourceSettings,
+              settings.index,
+              _.omit(settings, 'index'))
+          }
+        },
+        index: migration.target
+      });
+
+      // documents written after a checkpoint have greater sequence numbers
+      let checkpoint = await this._getCheckpoint(migration.source);
+
+      await this._reindex(migration, {
+        onProgress: progress => onProgress({ step: 'copy', ...progress })
+      });
+
+      for (let pass = 0; pass < MIGRATION_CATCH_UP_PASSES; pass++) {
+        const passCheckpoint = await this._getCheckpoint(migration.source);
+        const { total } = await this._reindex(migration, {
+          onProgress: progress => onProgress({ step: 'catchUp', ...progress }),
+          query: writtenSince(checkpoint)
+        });
+
+        checkpoint = passCheckpoint;
+
+        if (total === 0) {
+          break;
+        }
+      }
+
+      for (let attempt = 1; !blocked; attempt++) {
+        // documents deleted or recreated during the copy
+        await this._reconcile(migration);
+
+        // documents written during the reconciliation
+        const reconciled = await this._getCheckpoint(migration.source);
+
+        await this._reconcile(migration, checkpoint);
+        checkpoint = reconciled;
+
+        onProgress({ processed: 0, step: 'swap', total: 0 });
+
+        await this._client.indices.putSettings({
+          body: { 'index.blocks.write': true },
+          index: migration.source
+        });
+        blocked = true;
+
+        const blockedCheckpoint = await this._getCheckpoint(migration.source);
+
+        // only the last written documents are compared to their copies, to
+        // keep writes blocked for a short time
+        await this._reconcile(migration, checkpoint);
+        await this._client.indices.refresh({ index: migration.source });
+
+        const [ sourceCount, targetCount ] = await Bluebird.all(
+          [ migration.source, migration.target ].map(
+            esIndex => this._client.count({ index: esIndex })));
+
+        // copies left: documents deleted since their last reconciliation,
+        // which are only found by comparing all copies, with writes allowed
+        if (sourceCount.body.count !== targetCount.body.count) {
+          if (attempt === MIGRATION_SWAP_ATTEMPTS) {
+            throw kerror.get(
+              'migration_failed',
+              index,
+              collection,
+              'too many documents deleted during the migration');
+          }
+
+          await this._client.indices.putSettings({
+            body: { 'index.blocks.write': null },
+            index: migration.source
+          });
+          blocked = false;
+          checkpoint = blockedCheckpoint;
+        }
+      }
+
+      await this._client.indices.updateAliases({
+        body: {
+          actions: [
+            { remove_index: { index: migration.source } },
+            { add: { alias, index: migration.target } }
+          ]
+        }
+      });
+    }
+    catch (error) {
+      await this._abortMigration(migration, blocked);
+
+      throw this._esWrapper.formatESError(error);
+    }
+
+    return null;
+  }
+
   /**
    * Runs several action and document
    *
    * @param {String} index - Index name
    * @param {String} collection - Collection name
    * @param {Array.<Object>} documents - Documents to import
-   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null)
+   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null), impersonatedBy (null)
    *
    * @returns {Promise.<Object>} { items, errors }
    */
@@ -1193,7 +1400,7 @@ class ElasticSearch extends Service {
     index,
     collection,
     documents,
-    { refresh, timeout, userId=null } = {})
+    { refresh, timeout, userId=null, impersonatedBy=null } = {})
   {
     const
       esIndex = this._getESIndex(index, collection),
@@ -1208,10 +1415,12 @@ class ElasticSearch extends Service {
         created: {
           author: getUserId(userId),
           createdAt: dateNow,
+          impersonatedBy: getUserId(impersonatedBy),
           updatedAt: null,
           updater: null
         },
         updated: {
+          impersonatedBy: getUserId(impersonatedBy),
           updatedAt: dateNow,
           updater: getUserId(userId)
         }
@@ -1373,7 +1582,10 @@ class ElasticSearch extends Service {
         const aliases = [];
 
         for (const { alias, index: esIndex } of body) {
-          if (esIndex[0] === this._indexPrefix) {
+          // migrated collections are aliases of their physical index
+          if ( esIndex[0] === this._indexPrefix
+            && !esIndex.startsWith(`${alias}${NAME_SEPARATOR}`)
+          ) {
             aliases.push({
               collection: this._extractCollection(esIndex),
               index: this._extractIndex(esIndex),
@@ -1396,11 +1608,8 @@ class ElasticSearch extends Service {
    * @returns {Promise}
    */
   deleteCollection (index, collection) {
-    const esRequest = {
-      index: this._getESIndex(index, collection)
-    };
-
-    return this._client.indices.delete(esRequest)
+    return this._getCollectionIndexes(index, collection)
+      .then(esIndexes => this._client.indices.delete({ index: esIndexes }))
       .then(() => null)
       .catch(error => this._esWrapper.reject(error));
   }
@@ -1534,7 +1743,7 @@ class ElasticSearch extends Service {
    * @param {String} index - Index name
    * @param {String} collection - Collection name
    * @param {Array.<Object>} documents - Documents
-   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null)
+   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null), impersonatedBy (null)
    *
    * @return {Promise.<Object>} { items, errors }
    */
@@ -1542,7 +1751,7 @@ class ElasticSearch extends Service {
     index,
     collection,
     documents,
-    { refresh, timeout, userId=null } = {})
+    { refresh, timeout, userId=null, impersonatedBy=null } = {})
   {
     const
       esIndex = this._getESIndex(index, collection),
@@ -1550,6 +1759,7 @@ class ElasticSearch extends Service {
         _kuzzle_info: {
           author: getUserId(userId),
           createdAt: Date.now(),
+          impersonatedBy: getUserId(impersonatedBy),
           updatedAt: null,
           updater: null
         }
@@ -1629,7 +1839,7 @@ class ElasticSearch extends Service {
    * @param {String} index - Index name
    * @param {String} collection - Collection name
    * @param {Array.<Object>} documents - Documents
-   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null), injectKuzzleMeta (false)
+   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null), impersonatedBy (null), injectKuzzleMeta (false)
    *
    * @return {Promise.<Object>} { items, errors }
    */
@@ -1637,7 +1847,7 @@ class ElasticSearch extends Service {
     index,
     collection,
     documents,
-    { refresh, timeout, userId=null, injectKuzzleMeta=true } = {})
+    { refresh, timeout, userId=null, impersonatedBy=null, injectKuzzleMeta=true } = {})
   {
     let kuzzleMeta = {};
 
@@ -1646,6 +1856,7 @@ class ElasticSearch extends Service {
         _kuzzle_info: {
           author: getUserId(userId),
           createdAt: Date.now(),
+          impersonatedBy: getUserId(impersonatedBy),
           updatedAt: null,
           updater: null
         }
@@ -1663,7 +1874,8 @@ class ElasticSearch extends Service {
       {
         rejected,
         extractedDocuments
-      } = this._extractMDocuments(documents, kuzzleMeta);
+      } = this._extractMDocuments(documents, kuzzleMeta),
+      rawImpersonation = !injectKuzzleMeta && impersonatedBy !== null;
 
     esRequest.body = [];
 
@@ -1673,6 +1885,10 @@ class ElasticSearch extends Service {
      * request can contain more than 10K elements
      */
     for (let i = 0; i < extractedDocuments.length; i++) {
+      if (rawImpersonation) {
+        setImpersonator(extractedDocuments[i]._source, impersonatedBy);
+      }
+
       esRequest.body.push({
         index: {
           _id: extractedDocuments[i]._id,
@@ -1691,10 +1907,13 @@ class ElasticSearch extends Service {
    * Replacements are rejected if targeted documents do not exist
    * (like with the normal "update" method)
    *
+   * Documents with an "ifVersion" property are only updated if their
+   * current version matches it.
+   *
    * @param {String} index - Index name
    * @param {String} collection - Collection name
    * @param {Array.<Object>} documents - Documents
-   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null)
+   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null), impersonatedBy (null)
    *
    * @return {Promise.<Object>} { items, errors }
    */
@@ -1702,7 +1921,7 @@ class ElasticSearch extends Service {
     index,
     collection,
     documents,
-    { refresh, timeout, userId=null } = {})
+    { refresh, timeout, userId=null, impersonatedBy=null } = {})
   {
     const
       esIndex = this._getESIndex(index, collection),
@@ -1715,6 +1934,7 @@ class ElasticSearch extends Service {
       },
       kuzzleMeta = {
         _kuzzle_info: {
+          impersonatedBy: getUserId(impersonatedBy),
           updatedAt: Date.now(),
           updater: getUserId(userId)
         }
@@ -1722,7 +1942,12 @@ class ElasticSearch extends Service {
       {
         rejected,
         extractedDocuments
-      } = this._extractMDocuments(documents, kuzzleMeta);
+      } = this._extractMDocuments(documents, kuzzleMeta),
+      versions = await this._mGetVersions(
+        esIndex,
+        extractedDocuments
+          .filter(doc => doc.ifVersion !== undefined && typeof doc._id === 'string')
+          .map(doc => doc._id));
 
     /**
      * @warning Critical code section
@@ -1730,14 +1955,36 @@ class ElasticSearch extends Service {
      * request can contain more than 10K elements
      */
     for (let i = 0; i < extractedDocuments.length; i++) {
-      const extractedDocument = extractedDocuments[i];
+      const
+        extractedDocument = extractedDocuments[i],
+        conflict = typeof extractedDocument._id === 'string'
+          ? getVersionConflict(
+            extractedDocument,
+            versions.get(extractedDocument._id))
+          : null;
+
+      if (conflict !== null) {
+        extractedDocument._source._kuzzle_info = undefined;
 
-      if (typeof extractedDocument._id === 'string') {
+        rejected.push(Object.assign(
+          {
+            document: {
+              _id: extractedDocument._id,
+              body: extractedDocument._source
+            }
+          },
+          conflict));
+      }
+      else if (typeof extractedDocument._id === 'string') {
         esRequest.body.push({
-          update: {
-            _id: extractedDocument._id,
-            _index: esIndex
-          }
+          update: Object.assign(
+            {
+              _id: extractedDocument._id,
+              _index: esIndex
+            },
+            getWriteCondition(
+              extractedDocument,
+              versions.get(extractedDocument._id)))
         });
 
         // _source: true => makes ES return the updated document source in the
@@ -1784,10 +2031,13 @@ class ElasticSearch extends Service {
    * Replacements are rejected if targeted documents do not exist
    * (like with the normal "replace" method)
    *
+   * Documents with an "ifVersion" property are only replaced if their
+   * current version matches it. Replaced documents keep their expiration date.
+   *
    * @param {String} index - Index name
    * @param {String} collection - Collection name
    * @param {Array.<Object>} documents - Documents
-   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null)
+   * @param {Object} options - timeout (undefined), refresh (undefined), userId (null), impersonatedBy (null)
    *
    * @return {Promise.<Object>} { items, errors }
    */
@@ -1795,7 +2045,7 @@ class ElasticSearch extends Service {
     index,
     collection,
     documents,
-    { refresh, timeout, userId=null } = {})
+    { refresh, timeout, userId=null, impersonatedBy=null } = {})
   {
     const
       esIndex = this._getESIndex(index, collection),
@@ -1803,6 +2053,7 @@ class ElasticSearch extends Service {
         _kuzzle_info: {
           author: getUserId(userId),
           createdAt: Date.now(),
+          impersonatedBy: getUserId(impersonatedBy),
           updatedAt: null,
           updater: null
         }
@@ -1820,6 +2071,10 @@ class ElasticSearch extends Service {
       return { errors: rejected, items: [] };
     }
 
+    for (let i = 0; i < documentsToGet.length; i++) {
+      documentsToGet[i]._source = '_kuzzle_info.expiresAt';
+    }
+
     const {body} = await this._client.mget({
       body: { docs: documentsToGet },
       index: esIndex
@@ -1843,12 +2098,30 @@ class ElasticSearch extends Service {
       const document = extractedDocuments[i];
 
       // Documents are retrieved in the same order than we got them from user
-      if (existingDocuments[i] && existingDocuments[i].found) {
+      const existing = existingDocuments[i] && existingDocuments[i].found
+        ? existingDocuments[i]
+        : undefined;
+      const conflict = existing
+        ? getVersionConflict(document, existing)
+        : { reason: 'document not found', status: 404 };
+
+      if (conflict === null) {
+        const expiresAt = _.get(existing, '_source._kuzzle_info.expiresAt');
+
+        if (expiresAt !== undefined) {
+          document._source._kuzzle_info = Object.assign(
+            {},
+            document._source._kuzzle_info,
+            { expiresAt });
+        }
+
         esRequest.body.push({
-          index: {
-            _id: document._id,
-            _index: esIndex
-          }
+          index: Object.assign(
+            {
+              _id: document._id,
+              _index: esIndex
+            },
+            getWriteCondition(document, existing))
         });
         esRequest.body.push(document._source);
 
@@ -1857,14 +2130,14 @@ class ElasticSearch extends Service {
       else {
         document._source._kuzzle_info = undefined;
 
-        rejected.push({
-          document: {
-            _id: document._id,
-            body: document._source
+        rejected.push(Object.assign(
+          {
+            document: {
+              _id: document._id,
+              body: document._source
+            }
           },
-          reason: 'document not found',
-          status: 404
-        });
+          conflict));
       }
     }
     /* end critical code section */
@@ -1878,7 +2151,9 @@ class ElasticSearch extends Service {
    * @param {String} index - Index name
    * @param {String} collection - Collection name
    * @param {Array.<String>} documents - Documents IDs
-   * @param {Object} options - timeout (undefined), refresh (undefined)
+   * @param {Object} options - timeout (undefined), refresh (undefined),
+   *                           ifVersions ({}: expected versions of the
+   *                           documents to delete only if they match, by ID)
    *
    * @return {Promise.<Object>} { documents, errors }
    */
@@ -1886,10 +2161,13 @@ class ElasticSearch extends Service {
     index,
     collection,
     ids,
-    { refresh, timeout } = {})
+    { refresh, timeout, ifVersions = {} } = {})
   {
     const
+      esIndex = this._getESIndex(index, collection),
+      expectedVersions = new Map(Object.entries(ifVersions)),
       query = { ids: { values: [] } },
+      conditional = [],
       validIds = [],
       partialErrors = [];
 
@@ -1915,7 +2193,11 @@ class ElasticSearch extends Service {
     /* end critical code section */
     await this.refreshCollection(index, collection);
 
-    const {items} = await this.mGet(index, collection, validIds);
+    const
+      {items} = await this.mGet(index, collection, validIds),
+      versions = await this._mGetVersions(
+        esIndex,
+        validIds.filter(id => expectedVersions.has(id)));
 
     let idx = 0;
 
@@ -1930,7 +2212,24 @@ class ElasticSearch extends Service {
         item = items[idx];
 
       if (item && item._id === validId) {
-        query.ids.values.push(validId);
+        const
+          document = {
+            _id: validId,
+            _source: item._source,
+            ifVersion: expectedVersions.get(validId)
+          },
+          conflict = getVersionConflict(document, versions.get(validId));
+
+        if (conflict !== null) {
+          partialErrors.push(Object.assign({ _id: validId }, conflict));
+        }
+        else if (document.ifVersion !== undefined) {
+          conditional.push(document);
+        }
+        else {
+          query.ids.values.push(validId);
+        }
+
         idx++;
       }
       else {
@@ -1945,13 +2244,37 @@ class ElasticSearch extends Service {
 
     // @todo duplicated query to get documents body, mGet here and search in
     // deleteByQuery
-    const { documents } = await this.deleteByQuery(
-      index,
-      collection,
-      query,
-      { refresh, timeout });
+    const { documents } = query.ids.values.length > 0
+      ? await this.deleteByQuery(index, collection, query, { refresh, timeout })
+      : { documents: [] };
 
-    return { documents, errors: partialErrors };
+    if (conditional.length === 0) {
+      return { documents, errors: partialErrors };
+    }
+
+    // deletions by query cannot be conditional
+    const
+      esRequest = { body: [], refresh, timeout },
+      deletion = await this._mExecute(
+        esRequest,
+        conditional.map(document => {
+          esRequest.body.push({
+            delete: Object.assign(
+              { _id: document._id, _index: esIndex },
+              getWriteCondition(document, versions.get(document._id)))
+          });
+
+          return document;
+        }),
+        []);
+
+    return {
+      documents: documents.concat(deletion.items.map(({ _id, _source }) => ({ _id, _source }))),
+      errors: partialErrors.concat(deletion.errors.map(({ document, ...error }) => ({
+        _id: document._id,
+        ...error
+      })))
+    };
   }
 
   /**
@@ -1977,8 +2300,10 @@ class ElasticSearch extends Service {
       : Bluebird.resolve({ body: { items: [] } });
 
     return promise
-      .then(({ body }) => {
-        const successes = [];
+      .then(async ({ body }) => {
+        const
+          successes = [],
+          conflicts = [];
 
         /**
          * @warning Critical code section
@@ -2001,6 +2326,18 @@ class ElasticSearch extends Service {
                 status: result.status
               });
             }
+            else if (result.status === 409 && documents[i].ifVersion !== undefined) {
+              const conflict = {
+                _version: null,
+                document: documents[i],
+                id: VERSION_CONFLICT,
+                reason: `document has been modified: expected version ${documents[i].ifVersion}`,
+                status: 412
+              };
+
+              conflicts.push({ conflict, esIndex: result._index });
+              partialErrors.push(conflict);
+            }
             else {
               partialErrors.push({
                 document: documents[i],
@@ -2022,6 +2359,22 @@ class ElasticSearch extends Service {
         }
         /* end critical code section */
 
+        // documents modified after their version has been checked
+        if (conflicts.length > 0) {
+          const versions = await this._mGetVersions(
+            conflicts[0].esIndex,
+            conflicts.map(({ conflict }) => conflict.document._id));
+
+          for (const { conflict } of conflicts) {
+            const current = versions.get(conflict.document._id);
+
+            if (current) {
+              conflict._version = current._version;
+              conflict.reason += `, current version is ${current._version}`;
+            }
+          }
+        }
+
         return {
           errors: partialErrors, // @todo rename items to documents
           items: successes
@@ -2030,6 +2383,148 @@ class ElasticSearch extends Service {
       .catch(err => this._esWrapper.reject(err));
   }
 
+  /**
+   * Makes a document write fail if the document has been modified since the
+   * provided version.
+   *
+   * Versions are checked before writing, and Elasticsearch makes the write
+   * fail if the document is modified in between, using the sequence number
+   * and primary term of the checked version.
+   *
+   * @param {Object} esRequest - Elasticsearch write request
+   * @param {String} index - Index name
+   * @param {String} collection - Collection name
+   * @param {Number|null} ifVersion - Expected document version (null: the
+   *                                  write is unconditional)
+   *
+   * @returns {Promise}
+   * @throws {PreconditionError} If the document version differs
+   * @throws {NotFoundError} If the document does not exist
+   */
+  async _addWriteCondition (esRequest, index, collection, ifVersion) {
+    if (ifVersion === null) {
+      return;
+    }
+
+    const { body } = await this._client.get({
+      _source: false,
+      id: esRequest.id,
+      index: esRequest.index
+    });
+
+    if (body._version !== ifVersion) {
+      throw kerror.get(
+        'version_conflict',
+        esRequest.id,
+        index,
+        collection,
+        ifVersion,
+        body._version);
+    }
+
+    esRequest.if_primary_term = body._primary_term;
+    esRequest.if_seq_no = body._seq_no;
+  }
+
+  /**
+   * Gets the expiration date of a document, so that replacing it keeps it
+   *
+   * @param {String} esIndex - Elasticsearch index name
+   * @param {String} id - Document id
+   *
+   * @returns {Promise.<Number|null>}
+   */
+  async _getExpiresAt (esIndex, id) {
+    const { body } = await this._client.get({
+      _source_includes: '_kuzzle_info.expiresAt',
+      id,
+      index: esIndex
+    });
+
+    return _.get(body, '_source._kuzzle_info.expiresAt', null);
+  }
+
+  /**
+   * Rejects a failed document write. Conditional writes failing because of
+   * a concurrent change of the document are rejected with a version
+   * conflict error, reporting the current document version.
+   *
+   * @param {Error} error
+   * @param {Object} esRequest - Elasticsearch write request
+   * @param {Number|null} ifVersion - Expected document version
+   *
+   * @returns {Promise}
+   */
+  async _rejectWrite (error, esRequest, ifVersion) {
+    if ( ifVersion === null
+      || !error.meta
+      || error.meta.statusCode !== 409
+    ) {
+      return this._esWrapper.reject(error);
+    }
+
+    let body;
+
+    try {
+      ({ body } = await this._client.get({
+        _source: false,
+        id: esRequest.id,
+        index: esRequest.index
+      }));
+    }
+    catch (e) {
+      // the document has been deleted in the meantime
+      return this._esWrapper.reject(e);
+    }
+
+    throw kerror.get(
+      'version_conflict',
+      esRequest.id,
+      this._extractIndex(esRequest.index),
+      this._extractCollection(esRequest.index),
+      ifVersion,
+      body._version);
+  }
+
+  /**
+   * Fetches the current versions of documents, and the sequence numbers and
+   * primary terms used to make writes conditional
+   * (see getVersionConflict and getWriteCondition)
+   *
+   * @param {String} esIndex - Elasticsearch index
+   * @param {Array.<String>} ids - Document IDs
+   *
+   * @returns {Promise.<Map>} Document ID => { _primary_term, _seq_no, _version }
+   *                          (existing documents only)
+   */
+  async _mGetVersions (esIndex, ids) {
+    const versions = new Map();
+
+    if (ids.length === 0) {
+      return versions;
+    }
+
+    let body;
+
+    try {
+      ({ body } = await this._client.mget({
+        body: { docs: ids.map(_id => ({ _id, _source: false })) },
+        index: esIndex
+      }));
+    }
+    catch (e) {
+      throw this._esWrapper.formatESError(e);
+    }
+
+    for (const doc of body.docs) {
+      if (doc.found) {
+        versions.set(doc._id, doc);
+      }
+    }
+
+    return versions;
+  }
+
   /**
    * Extracts, injects metadata and validates documents contained
    * in a Request
@@ -2070,6 +2565,15 @@ class ElasticSearch extends Service {
           status: 400
         });
       }
+      else if ( document.ifVersion !== undefined
+        && !Number.isSafeInteger(document.ifVersion)
+      ) {
+        rejected.push({
+          document,
+          reason: 'document ifVersion must be an integer',
+          status: 400
+        });
+      }
       else {
         const extractedDocument = {
           // Do not use destructuring, it's 10x slower
@@ -2080,6 +2584,10 @@ class ElasticSearch extends Service {
           extractedDocument._id = document._id;
         }
 
+        if (document.ifVersion !== undefined) {
+          extractedDocument.ifVersion = document.ifVersion;
+        }
+
         extractedDocuments.push(extractedDocument);
 
         if (prepareMGet && typeof document._id === 'string') {
@@ -2130,7 +2638,295 @@ class ElasticSearch extends Service {
   }
 
   /**
-   * Gets the name of an esIndex for an index + collection
+   * @param {Object} mappings - collection mappings
+   *
+   * @returns {Object} collection mappings, with the common mapping
+   */
+  _withCommonMapping (mappings) {
+    return {
+      _meta: mappings._meta || this._config.commonMapping._meta,
+      dynamic: mappings.dynamic || this._config.commonMapping.dynamic,
+      properties: _.merge(
+        mappings.properties,
+        this._config.commonMapping.properties)
+    };
+  }
+
+  /**
+   * Copies documents of a migrated collection to its new index, and waits for
+   * the copy to complete.
+   * Copies keep the versions of the documents, and do not overwrite more
+   * recent copies (see migrateCollection).
+   *
+   * @param {Object} migration - index, collection, script, source, target
+   * @param {Object} options - onProgress (null), query (null: all documents),
+   *                           versionType ("external")
+   *
+   * @returns {Promise.<Object>} { total, versionConflicts }
+   */
+  async _reindex (
+    migration,
+    { onProgress=null, query=null, versionType='external' } = {})
+  {
+    const esRequest = {
+      body: {
+        conflicts: 'proceed',
+        dest: {
+          index: migration.target,
+          version_type: versionType
+        },
+        source: {
+          index: migration.source
+        }
+      },
+      refresh: true,
+      waitForCompletion: false
+    };
+
+    if (query) {
+      esRequest.body.source.query = query;
+    }
+
+    if (migration.script) {
+      esRequest.body.script = migration.script;
+    }
+
+    debug('Reindex: %o', esRequest);
+
+    const { body: { task: taskId } } = await this._client.reindex(esRequest);
+    let task;
+
+    do {
+      await Bluebird.delay(MIGRATION_POLL_INTERVAL);
+
+      ({ body: task } = await this._client.tasks.get({ taskId }));
+
+      if (onProgress) {
+        const { status } = task.task;
+
+        onProgress({
+          processed: status.created + status.updated + status.deleted
+            + status.noops + status.version_conflicts,
+          total: status.total
+        });
+      }
+    } while (!task.completed);
+
+    const failure = task.error || task.response.failures[0];
+
+    if (failure) {
+      throw kerror.get(
+        'migration_failed',
+        migration.index,
+        migration.collection,
+        _.get(failure, 'cause.reason') || failure.reason);
+    }
+
+    return {
+      total: task.response.total,
+      versionConflicts: task.response.version_conflicts
+    };
+  }
+
+  /**
+   * Fixes the copies of the documents of a migrated collection which are not
+   * up-to-date: copies of deleted documents, of documents written since they
+   * were copied, and of documents deleted and created again (with lower
+   * versions)
+   *
+   * Without a checkpoint, all copies are compared to their documents. With
+   * one, only the documents written after it are compared to their copies:
+   * copies of deleted documents are then left over.
+   *
+   * @param {Object} migration - index, collection, script, source, target
+   * @param {Object} [checkpoint] - see _getCheckpoint
+   *
+   * @returns {Promise}
+   */
+  async _reconcile (migration, checkpoint = null) {
+    const fromCopies = checkpoint === null;
+    const searches = fromCopies
+      ? [ { body: {}, index: migration.target } ]
+      : Object.entries(checkpoint).map(([ shard, seqNo ]) => ({
+        body: { query: { range: { _seq_no: { gt: seqNo } } } },
+        index: migration.source,
+        preference: `_shards:${shard}`
+      }));
+
+    for (const esRequest of searches) {
+      Object.assign(esRequest.body, {
+        _source: false,
+        sort: [ '_doc' ],
+        version: true
+      });
+      esRequest.scroll = this._config.defaults.scrollTTL;
+      esRequest.size = this._kuzzle.config.limits.documentsFetchCount;
+
+      let { body } = await this._client.search(esRequest);
+
+      try {
+        while (body.hits.hits.length > 0) {
+          await this._reconcileBatch(migration, body.hits.hits, fromCopies);
+
+          ({ body } = await this._client.scroll({
+            scroll: this._config.defaults.scrollTTL,
+            scrollId: body._scroll_id
+          }));
+        }
+      }
+      finally {
+        await this.clearScroll(body._scroll_id);
+      }
+    }
+  }
+
+  /**
+   * @param {Object} migration - index, collection, script, source, target
+   * @param {Array.<Object>} hits - { _id, _version }
+   * @param {Boolean} fromCopies - true if hits are copies of documents, false
+   *                               if they are the documents
+   *
+   * @returns {Promise}
+   */
+  async _reconcileBatch (migration, hits, fromCopies) {
+    const { body: { docs } } = await this._client.mget({
+      _source: false,
+      body: { ids: hits.map(({ _id }) => _id) },
+      index: fromCopies ? migration.source : migration.target
+    });
+    const [ documents, copies ] = fromCopies ? [ docs, hits ] : [ hits, docs ];
+    const deleted = [];
+    const outdated = [];
+    const recreated = [];
+
+    // search hits have no "found" property
+    for (let i = 0; i < hits.length; i++) {
+      if (documents[i].found === false) {
+        deleted.push(hits[i]._id);
+      }
+      else if ( copies[i].found === false
+        || documents[i]._version > copies[i]._version
+      ) {
+        outdated.push(hits[i]._id);
+      }
+      else if (documents[i]._version < copies[i]._version) {
+        recreated.push(hits[i]._id);
+      }
+    }
+
+    if (deleted.length > 0) {
+      await this._client.bulk({
+        body: deleted.map(_id => ({ delete: { _id, _index: migration.target } })),
+        refresh: true
+      });
+    }
+
+    if (outdated.length > 0) {
+      await this._reindex(migration, {
+        query: { ids: { values: outdated } }
+      });
+    }
+
+    // recreated documents have lower versions than their copies, which
+    // they can only replace with new versions
+    if (recreated.length > 0) {
+      await this._reindex(migration, {
+        query: { ids: { values: recreated } },
+        versionType: 'internal'
+      });
+    }
+  }
+
+  /**
+   * Documents written after a checkpoint have greater sequence numbers than
+   * the checkpoint of their shard
+   *
+   * @param {String} esIndex
+   *
+   * @returns {Promise.<Object>} last sequence number of each shard:
+   *                             { <shard>: <seqNo> }
+   */
+  async _getCheckpoint (esIndex) {
+    const { body } = await this._client.indices.stats({
+      index: esIndex,
+      level: 'shards'
+    });
+    const checkpoint = {};
+
+    for (const [ shard, copies ] of Object.entries(body.indices[esIndex].shards)) {
+      const primary = copies.find(({ routing }) => routing.primary);
+
+      checkpoint[shard] = primary.seq_no.max_seq_no;
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Deletes the new index of a failed migration, and unblocks writes on the
+   * collection
+   *
+   * @param {Object} migration - index, collection, script, source, target
+   * @param {Boolean} blocked - true if writes are blocked
+   *
+   * @returns {Promise}
+   */
+  async _abortMigration (migration, blocked) {
+    try {
+      if (blocked) {
+        await this._client.indices.putSettings({
+          body: { 'index.blocks.write': null },
+          index: migration.source
+        });
+      }
+
+      await this._client.indices.delete({
+        ignore_unavailable: true,
+        index: migration.target
+      });
+    }
+    catch (error) {
+      this._kuzzle.log.error(`Cannot clean up the failed migration of collection "${migration.index}":"${migration.collection}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the physical ES indexes of a collection: the index storing its
+   * documents, and the new index of its migration, if it is being migrated
+   *
+   * @param {String} index
+   * @param {String} collection
+   *
+   * @returns {Promise.<String[]>}
+   */
+  async _getCollectionIndexes (index, collection) {
+    const esIndex = this._getESIndex(index, collection);
+    const { body } = await this._client.cat.indices({ format: 'json' });
+
+    return body
+      .map(({ index: name }) => name)
+      .filter(name => name === esIndex
+        || name.startsWith(`${esIndex}${NAME_SEPARATOR}`));
+  }
+
+  /**
+   * @param {String} esIndex
+   *
+   * @returns {Promise.<String>} name of the physical ES index storing the
+   *                             documents of a collection
+   */
+  async _getAliasedIndex (esIndex) {
+    const { body } = await this._client.cat.aliases({ format: 'json' });
+    const aliased = body.find(({ alias }) => alias === esIndex);
+
+    return aliased ? aliased.index : esIndex;
+  }
+
+  /**
+   * Gets the name of an esIndex for an index + collection.
+   * Migrated collections are aliases of their physical ES index, with the
+   * same name: reads and writes are transparently sent to their new index
+   * once the migration completes (see migrateCollection).
    *
    * @param {String} index
    * @param {String} collection
@@ -2313,6 +3109,15 @@ class ElasticSearch extends Service {
     return _isObjectNameValid(name);
   }
 
+  /**
+   * Checks if collection mappings are valid
+   * @param  {Object} mappings
+   * @throws {BadRequestError} If the mappings are invalid
+   */
+  checkMappings (mappings = {}) {
+    this._checkMappings(mappings);
+  }
+
   /**
    * Clears an allocated scroll
    * @param  {[type]} id [description]
@@ -2376,6 +3181,100 @@ function assertWellFormedRefresh(esRequest) {
   }
 }
 
+/**
+ * Checks that a document can be written according to its "ifVersion"
+ * condition, if it has one
+ *
+ * @param {Object} document - { _id, ifVersion }
+ * @param {Object} [current] - current document version, if the document
+ *                             exists (see _mGetVersions)
+ *
+ * @returns {Object|null} { reason, status } if the document cannot be written,
+ *                        with the current version and the kerror id of
+ *                        version conflicts ({ _version, id })
+ */
+function getVersionConflict (document, current) {
+  if (document.ifVersion === undefined) {
+    return null;
+  }
+
+  if (! current) {
+    return { reason: 'document not found', status: 404 };
+  }
+
+  if (current._version !== document.ifVersion) {
+    return {
+      _version: current._version,
+      id: VERSION_CONFLICT,
+      reason: `document has been modified: expected version ${document.ifVersion}, current version is ${current._version}`,
+      status: 412
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Gets the bulk action options making a document write fail if the document
+ * is modified after its version has been checked
+ *
+ * @param {Object} document - { _id, ifVersion }
+ * @param {Object} [current] - checked document version
+ *
+ * @returns {Object} { if_primary_term, if_seq_no }, or an empty object if
+ *                   the write is unconditional
+ */
+function getWriteCondition (document, current) {
+  if (document.ifVersion === undefined) {
+    return {};
+  }
+
+  return {
+    if_primary_term: current._primary_term,
+    if_seq_no: current._seq_no
+  };
+}
+
+/**
+ * Sets the expiration date of a document, if it has one
+ *
+ * @param {Object} kuzzleMeta - document _kuzzle_info metadata
+ * @param {Number|null} expiresAt - expiration timestamp
+ */
+function setExpiry (kuzzleMeta, expiresAt) {
+  if (expiresAt !== null) {
+    kuzzleMeta.expiresAt = expiresAt;
+  }
+}
+
+/**
+ * Records an impersonation in a document written without metadata: raw
+ * writes keep documents as they are, but never hide who impersonated whom
+ *
+ * @param {Object} document - document content
+ * @param {String} impersonatedBy - impersonating user kuid
+ */
+function setImpersonator (document, impersonatedBy) {
+  document._kuzzle_info = Object.assign(
+    {},
+    document._kuzzle_info,
+    { impersonatedBy });
+}
+
+/**
+ * @param {Object} checkpoint - last sequence number of each shard
+ *
+ * @returns {Object} query matching the documents written after a checkpoint,
+ *                   with or without going through Kuzzle. Queries cannot
+ *                   target shards: documents of the shards with the most
+ *                   writes may match even if written before the checkpoint
+ */
+function writtenSince (checkpoint) {
+  return {
+    range: { _seq_no: { gt: Math.min(...Object.values(checkpoint)) } }
+  };
+}
+
 function getUserId (userId) {
   if (! userId) {
     return null;
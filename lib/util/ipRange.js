@@ -0,0 +1,181 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const net = require('net');
+
+// IP address ranges, in CIDR notation ("10.0.0.0/8", "fd00::/8").
+// A single address is a range containing that address only.
+// IPv4-mapped IPv6 addresses ("::ffff:10.0.0.1") are handled as IPv4 ones.
+
+/**
+ * @param {string} address
+ * @returns {Array.<number>|null} address bytes, or null if invalid
+ */
+function toBytes (address) {
+  // strips IPv6 zone indexes ("fe80::1%eth0")
+  const ip = address.replace(/%.*$/, '');
+  const family = net.isIP(ip);
+
+  if (family === 4) {
+    return ip.split('.').map(n => Number.parseInt(n, 10));
+  }
+
+  if (family !== 6) {
+    return null;
+  }
+
+  let groups = ip.split(':');
+  const last = groups[groups.length - 1];
+
+  // embedded IPv4 address
+  if (last.includes('.')) {
+    const v4 = toBytes(last);
+
+    groups = groups.slice(0, -1).concat(
+      ((v4[0] << 8) | v4[1]).toString(16),
+      ((v4[2] << 8) | v4[3]).toString(16));
+  }
+
+  const gap = groups.indexOf('');
+
+  if (gap !== -1) {
+    const head = groups.slice(0, gap).filter(g => g !== '');
+    const tail = groups.slice(gap + 1).filter(g => g !== '');
+
+    groups = head.concat(
+      new Array(8 - head.length - tail.length).fill('0'),
+      tail);
+  }
+
+  const bytes = [];
+
+  for (const group of groups) {
+    const value = Number.parseInt(group, 16);
+
+    bytes.push(value >> 8, value & 0xff);
+  }
+
+  // IPv4-mapped address
+  if ( bytes.slice(0, 10).every(b => b === 0)
+    && bytes[10] === 0xff
+    && bytes[11] === 0xff
+  ) {
+    return bytes.slice(12);
+  }
+
+  return bytes;
+}
+
+/**
+ * @param {string} range - IP address or CIDR range
+ * @returns {Object|null} { bytes, prefix }, or null if invalid
+ */
+function parse (range) {
+  if (typeof range !== 'string') {
+    return null;
+  }
+
+  const [address, prefix, ...rest] = range.split('/');
+  const bytes = toBytes(address);
+
+  if (bytes === null || rest.length > 0) {
+    return null;
+  }
+
+  if (prefix === undefined) {
+    return { bytes, prefix: bytes.length * 8 };
+  }
+
+  // prefixes of IPv4-mapped ranges count the 96 bits of the mapping
+  const offset = bytes.length === 4 && net.isIPv6(address) ? 96 : 0;
+
+  if ( !/^\d{1,3}$/.test(prefix)
+    || Number(prefix) < offset
+    || Number(prefix) - offset > bytes.length * 8
+  ) {
+    return null;
+  }
+
+  return { bytes, prefix: Number(prefix) - offset };
+}
+
+/**
+ * @param {string} range
+ * @returns {boolean}
+ */
+function isValid (range) {
+  return parse(range) !== null;
+}
+
+/**
+ * Tests if an IP address belongs to at least one of the provided ranges
+ *
+ * @param {Array.<string>} ranges - IP addresses or CIDR ranges
+ * @param {string} address
+ * @returns {boolean}
+ */
+function includes (ranges, address) {
+  const bytes = typeof address === 'string' ? toBytes(address) : null;
+
+  if (bytes === null) {
+    return false;
+  }
+
+  return ranges.some(range => {
+    const parsed = parse(range);
+
+    if (parsed === null || parsed.bytes.length !== bytes.length) {
+      return false;
+    }
+
+    for (let bit = 0; bit < parsed.prefix; bit += 8) {
+      const mask = (0xff << (8 - Math.min(8, parsed.prefix - bit))) & 0xff;
+      const i = bit / 8;
+
+      if ((bytes[i] & mask) !== (parsed.bytes[i] & mask)) {
+        return false;
+      }
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Returns the address of the client which sent a request: the first
+ * address of the connection chain, starting from Kuzzle, which is not a
+ * trusted proxy
+ *
+ * @param {Array.<string>} ips - connection peer address, followed by the
+ *                               forwarded addresses (client, proxy1, ...)
+ * @param {Array.<string>} trustedProxies - IP addresses or CIDR ranges
+ * @returns {string|undefined}
+ */
+function getClientIp (ips, trustedProxies) {
+  const chain = ips.slice(0, 1).concat(ips.slice(1).reverse());
+
+  return chain.find(ip => !includes(trustedProxies, ip))
+    || chain[chain.length - 1];
+}
+
+module.exports = { getClientIp, includes, isValid };
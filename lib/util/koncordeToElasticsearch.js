@@ -0,0 +1,230 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const convertDistance = require('koncorde/lib/util/convertDistance');
+const convertGeopoint = require('koncorde/lib/util/convertGeopoint');
+const kerror = require('../kerror');
+
+const realtimeError = kerror.wrap('core', 'realtime');
+
+// Translates Koncorde filters into Elasticsearch queries.
+// Filters are expected to have already been validated by Koncorde.
+
+const converters = {
+  and: filter => ({ bool: { filter: filter.and.map(convert) } }),
+
+  bool: filter => {
+    const bool = {};
+
+    if (Array.isArray(filter.bool.must)) {
+      bool.filter = filter.bool.must.map(convert);
+    }
+
+    if (Array.isArray(filter.bool.must_not)) {
+      bool.must_not = filter.bool.must_not.map(convert);
+    }
+
+    const should = [];
+
+    if (Array.isArray(filter.bool.should)) {
+      should.push({ bool: {
+        minimum_should_match: 1,
+        should: filter.bool.should.map(convert)
+      } });
+    }
+
+    if (Array.isArray(filter.bool.should_not)) {
+      should.push({ bool: {
+        minimum_should_match: 1,
+        should: filter.bool.should_not.map(f => ({
+          bool: { must_not: [ convert(f) ] }
+        }))
+      } });
+    }
+
+    if (should.length > 0) {
+      bool.filter = (bool.filter || []).concat(should);
+    }
+
+    return { bool };
+  },
+
+  equals: filter => ({ term: filter.equals }),
+
+  exists: filter => exists(filter.exists),
+
+  geoBoundingBox: filter => {
+    const [field] = Object.keys(filter.geoBoundingBox);
+    const bBox = filter.geoBoundingBox[field];
+    const topLeft = bBox.topLeft || bBox.top_left;
+    const bottomRight = bBox.bottomRight || bBox.bottom_right;
+    let box;
+
+    if (topLeft && bottomRight) {
+      const tl = convertGeopoint(topLeft);
+      const br = convertGeopoint(bottomRight);
+
+      box = { bottom: br.lat, left: tl.lon, right: br.lon, top: tl.lat };
+    }
+    else {
+      box = {
+        bottom: Number.parseFloat(bBox.bottom),
+        left: Number.parseFloat(bBox.left),
+        right: Number.parseFloat(bBox.right),
+        top: Number.parseFloat(bBox.top)
+      };
+    }
+
+    return { geo_bounding_box: { [field]: box } };
+  },
+
+  geoDistance: filter => {
+    const field = Object.keys(filter.geoDistance).find(f => f !== 'distance');
+
+    return geoDistance(
+      field,
+      filter.geoDistance[field],
+      filter.geoDistance.distance);
+  },
+
+  geoDistanceRange: filter => {
+    const field = Object.keys(filter.geoDistanceRange)
+      .find(f => f !== 'from' && f !== 'to');
+    const point = filter.geoDistanceRange[field];
+
+    return {
+      bool: {
+        filter: [ geoDistance(field, point, filter.geoDistanceRange.to) ],
+        must_not: [ geoDistance(field, point, filter.geoDistanceRange.from) ]
+      }
+    };
+  },
+
+  geoPolygon: filter => {
+    const [field] = Object.keys(filter.geoPolygon);
+    const points = filter.geoPolygon[field].points.map(p => {
+      const { lat, lon } = convertGeopoint(p);
+
+      return { lat, lon };
+    });
+
+    return { geo_polygon: { [field]: { points } } };
+  },
+
+  ids: filter => ({ ids: { values: filter.ids.values } }),
+
+  in: filter => ({ terms: filter.in }),
+
+  missing: filter => ({ bool: { must_not: [ exists(filter.missing) ] } }),
+
+  not: filter => ({ bool: { must_not: [ convert(filter.not) ] } }),
+
+  nothing: () => ({ match_none: {} }),
+
+  or: filter => ({
+    bool: {
+      minimum_should_match: 1,
+      should: filter.or.map(convert)
+    }
+  }),
+
+  range: filter => ({ range: filter.range }),
+
+  regexp: filter => {
+    const [field] = Object.keys(filter.regexp);
+    const regexp = typeof filter.regexp[field] === 'string'
+      ? { value: filter.regexp[field] }
+      : filter.regexp[field];
+
+    if (regexp.flags) {
+      throw realtimeError.get(
+        'unsupported_search_filter',
+        `regular expression flags ("regexp.${field}")`);
+    }
+
+    // Elasticsearch regular expressions are always anchored
+    let value = regexp.value;
+
+    value = value.startsWith('^') ? value.slice(1) : `.*${value}`;
+    value = value.endsWith('$') && !value.endsWith('\\$')
+      ? value.slice(0, -1)
+      : `${value}.*`;
+
+    return { regexp: { [field]: { value } } };
+  }
+};
+
+/**
+ * Converts an "exists" or "missing" field argument, which can also test
+ * that an array contains a value (e.g. "field[\"value\"]")
+ *
+ * @param {string|object} arg
+ * @returns {object}
+ */
+function exists (arg) {
+  const field = typeof arg === 'string' ? arg : arg.field;
+  const arrayField = field.match(/^(.*?[^\\])\[(.*)]$/);
+
+  if (arrayField !== null) {
+    const path = arrayField[1].replace(/\\([[\]])/g, '$1');
+
+    return { term: { [path]: JSON.parse(arrayField[2]) } };
+  }
+
+  return { exists: { field: field.replace(/\\([[\]])/g, '$1') } };
+}
+
+function geoDistance (field, point, distance) {
+  const { lat, lon } = convertGeopoint(point);
+
+  return {
+    geo_distance: {
+      distance: convertDistance(distance),
+      [field]: { lat, lon }
+    }
+  };
+}
+
+function convert (filter) {
+  const [keyword] = Object.keys(filter);
+
+  return converters[keyword](filter);
+}
+
+/**
+ * Converts Koncorde filters into an Elasticsearch query
+ *
+ * @param {object} filters - Koncorde filters
+ * @returns {object} Elasticsearch query
+ * @throws {core.realtime.unsupported_search_filter} If the filters cannot be
+ *                                                   converted
+ */
+function koncordeToElasticsearch (filters) {
+  if (!filters || Object.keys(filters).length === 0) {
+    return { match_all: {} };
+  }
+
+  return convert(filters);
+}
+
+module.exports = koncordeToElasticsearch;
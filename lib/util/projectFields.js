@@ -0,0 +1,64 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2020 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Returns a copy of a document, with its content restricted to the
+ * provided fields.
+ * Field paths use the dot notation (e.g. "foo.bar"). Included fields are
+ * selected first, then excluded ones are removed from the selection.
+ *
+ * @param {Object} document - {_id, _source, ...}
+ * @param {Object} [fields] - {include: [paths], exclude: [paths]}
+ * @returns {Object}
+ */
+function projectFields (document, fields) {
+  if (!fields || !document || !document._source) {
+    return document;
+  }
+
+  let source;
+
+  if (fields.include.length > 0) {
+    source = {};
+
+    for (const path of fields.include) {
+      if (_.has(document._source, path)) {
+        _.set(source, path, _.cloneDeep(_.get(document._source, path)));
+      }
+    }
+  }
+  else {
+    source = _.cloneDeep(document._source);
+  }
+
+  for (const path of fields.exclude) {
+    _.unset(source, path);
+  }
+
+  return Object.assign({}, document, { _source: source });
+}
+
+module.exports = projectFields;
@@ -220,7 +220,78 @@ describe('AdminController', () => {
         .be.calledOnce()
         .be.calledWith(
           { gordon: { freeman: [] } },
-          { onExistingUsers: 'overwrite', user: null, force: false });
+          { dryRun: false, onExistingUsers: 'overwrite', user: null, force: false });
+    });
+
+    it('should return the changes that would be made in dry run mode', async () => {
+      const diff = { roles: { created: ['foo'] } };
+
+      kuzzle.repositories.loadSecurities.resolves(diff);
+      request.input.args.dryRun = true;
+
+      const response = await adminController.loadSecurities(request);
+
+      should(kuzzle.repositories.loadSecurities).be.calledWithMatch(
+        { gordon: { freeman: [] } },
+        { dryRun: true });
+      should(response).eql(diff);
+    });
+  });
+
+  describe('#exportSecurities', () => {
+    beforeEach(() => {
+      request.input.action = 'exportSecurities';
+    });
+
+    it('should export roles, profiles and users', async () => {
+      const securities = { profiles: {}, roles: {}, users: {} };
+
+      kuzzle.repositories.exportSecurities.resolves(securities);
+
+      const response = await adminController.exportSecurities(request);
+
+      should(kuzzle.repositories.exportSecurities).be.calledWith({
+        excludeUsers: false,
+        includeCredentials: false
+      });
+      should(response).eql(securities);
+    });
+
+    it('should forward the export options', async () => {
+      request.input.args.excludeUsers = true;
+      request.input.args.includeCredentials = true;
+
+      await adminController.exportSecurities(request);
+
+      should(kuzzle.repositories.exportSecurities).be.calledWith({
+        excludeUsers: true,
+        includeCredentials: true
+      });
+    });
+  });
+
+  describe('#rotateJwtKey', () => {
+    beforeEach(() => {
+      request.input.action = 'rotateJwtKey';
+    });
+
+    it('should rotate the JWT signing key', async () => {
+      const response = await adminController.rotateJwtKey(request);
+
+      should(kuzzle.jwtKeyring.rotate).be.calledOnce();
+      should(response).eql({ algorithm: 'HS256', createdAt: 42, kid: 'kid' });
+    });
+
+    it('should not rotate keys concurrently', async () => {
+      const promise = adminController.rotateJwtKey(request);
+
+      await should(adminController.rotateJwtKey(request))
+        .rejectedWith(PreconditionError, { id: 'api.process.action_locked' });
+
+      await promise;
+      await adminController.rotateJwtKey(request);
+
+      should(kuzzle.jwtKeyring.rotate).be.calledTwice();
     });
   });
 });
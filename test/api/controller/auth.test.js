@@ -14,7 +14,8 @@ const {
     UnauthorizedError,
     BadRequestError,
     InternalError: KuzzleInternalError,
-    PluginImplementationError
+    PluginImplementationError,
+    PreconditionError
   }
 } = require('kuzzle-common-objects');
 const { NativeController } = require('../../../lib/api/controller/base');
@@ -82,10 +83,33 @@ describe('Test the auth controller', () => {
             ttl: 1234
           });
           should(kuzzle.repositories.token.generateToken)
-            .be.calledWith(user, request.context.connection.id, {});
+            .be.calledWith(
+              user,
+              request.context.connection.id,
+              { ip: null, protocol: null });
         });
     });
 
+    it('should record where sessions are opened from', async () => {
+      kuzzle.config.security.trustedProxies = ['10.0.0.0/8'];
+      kuzzle.repositories.token.generateToken.resolves(new Token({
+        _id: 'foobar#bar',
+        jwt: 'bar',
+        userId: 'foobar'
+      }));
+
+      const req = new Request(
+        { action: 'login', body: {}, controller: 'auth', strategy: 'mockup' },
+        { connection: { ips: ['1.2.3.4', '10.0.0.1'], protocol: 'http' } });
+
+      await authController.login(req);
+
+      should(kuzzle.repositories.token.generateToken).calledWithMatch(
+        user,
+        req.context.connection.id,
+        { ip: '1.2.3.4', protocol: 'http' });
+    });
+
     it('should refresh the token if it already exists', async () => {
       const
         existingToken = new Token({
@@ -187,7 +211,10 @@ describe('Test the auth controller', () => {
             ttl: 1234
           });
           should(kuzzle.repositories.token.generateToken)
-            .be.calledWith(user, request.context.connection.id, {expiresIn: '1s'});
+            .be.calledWith(
+              user,
+              request.context.connection.id,
+              { expiresIn: '1s', ip: null, protocol: null });
         });
     });
 
@@ -204,6 +231,263 @@ describe('Test the auth controller', () => {
         id: 'security.credentials.unknown_strategy'
       });
     });
+
+    describe('account lockout', () => {
+      beforeEach(() => {
+        kuzzle.loginLockout.getIdentifier.returns('jdoe');
+      });
+
+      it('should reject locked accounts without authenticating them', async () => {
+        const error = new Error('locked');
+
+        kuzzle.loginLockout.assertNotLocked.rejects(error);
+
+        await should(authController.login(request)).be.rejectedWith(error);
+
+        should(kuzzle.loginLockout.getIdentifier)
+          .calledWith('mockup', { username: 'jdoe' });
+        should(kuzzle.loginLockout.assertNotLocked).calledWith('mockup', 'jdoe');
+        should(kuzzle.passport.authenticate).not.be.called();
+        should(kuzzle.loginLockout.fail).not.be.called();
+      });
+
+      it('should count rejected credentials as failed attempts', async () => {
+        const error = new UnauthorizedError('wrong password');
+
+        kuzzle.passport.authenticate.rejects(error);
+
+        await should(authController.login(request)).be.rejectedWith(error);
+
+        should(kuzzle.loginLockout.fail).calledOnce().calledWith('mockup', 'jdoe');
+
+        kuzzle.passport.authenticate.rejects(new PluginImplementationError('oops'));
+
+        await should(authController.login(request)).be.rejected();
+
+        should(kuzzle.loginLockout.fail).calledOnce();
+      });
+
+      it('should forget failed attempts after a successful login', async () => {
+        kuzzle.repositories.token.generateToken.resolves(new Token({ userId: 'foo' }));
+
+        await authController.login(request);
+
+        should(kuzzle.loginLockout.reset).calledOnce().calledWith('mockup', 'jdoe');
+        should(kuzzle.loginLockout.fail).not.be.called();
+      });
+
+      it('should reject disabled accounts without counting a failed attempt', async () => {
+        user.disabled = true;
+
+        await should(authController.login(request)).be.rejectedWith(
+          UnauthorizedError,
+          { id: 'security.user.disabled' });
+
+        should(kuzzle.loginLockout.fail).not.be.called();
+        should(kuzzle.repositories.token.generateToken).not.be.called();
+
+        user.disabled = false;
+        user.expiresAt = Date.now() - 1000;
+
+        await should(authController.login(request)).be.rejectedWith(
+          UnauthorizedError,
+          { id: 'security.user.expired' });
+
+        should(kuzzle.loginLockout.fail).not.be.called();
+      });
+
+      it('should not check accounts without login identifiers', async () => {
+        kuzzle.loginLockout.getIdentifier.returns(null);
+        kuzzle.passport.authenticate.rejects(new UnauthorizedError('nope'));
+
+        await should(authController.login(request)).be.rejected();
+
+        should(kuzzle.loginLockout.assertNotLocked).not.be.called();
+        should(kuzzle.loginLockout.fail).not.be.called();
+      });
+    });
+
+    describe('refresh tokens', () => {
+      beforeEach(() => {
+        kuzzle.repositories.token.generateToken.resolves(new Token({
+          _id: 'foobar#bar',
+          expiresAt: 4567,
+          jwt: 'bar',
+          ttl: 1234,
+          userId: 'foobar'
+        }));
+        kuzzle.config.security.refreshTokens.enabled = true;
+        request.input.args.refreshToken = true;
+      });
+
+      it('should issue a refresh token on demand', async () => {
+        const response = await authController.login(request);
+
+        should(kuzzle.repositories.token.getSessionId).calledWith('bar');
+        should(kuzzle.refreshTokens.create).calledWith(
+          'foobar',
+          'session',
+          { chainId: null, ip: null, protocol: null });
+        should(response).eql({
+          _id: 'foobar',
+          expiresAt: 4567,
+          jwt: 'bar',
+          refreshToken: 'refresh-token',
+          refreshTokenExpiresAt: 42,
+          ttl: 1234
+        });
+      });
+
+      it('should not issue refresh tokens unless asked to', async () => {
+        request.input.args.refreshToken = false;
+
+        const response = await authController.login(request);
+
+        should(kuzzle.refreshTokens.create).not.be.called();
+        should(response).not.have.property('refreshToken');
+      });
+
+      it('should reject before authenticating if refresh tokens are disabled', () => {
+        kuzzle.config.security.refreshTokens.enabled = false;
+
+        should(() => authController.login(request)).throw(PreconditionError, {
+          id: 'security.token.refresh_tokens_disabled'
+        });
+        should(kuzzle.passport.authenticate).not.be.called();
+      });
+    });
+  });
+
+  describe('#exchangeRefreshToken', () => {
+    beforeEach(() => {
+      request = new Request(
+        {
+          action: 'exchangeRefreshToken',
+          body: { refreshToken: 'refresh' },
+          controller: 'auth'
+        },
+        { connection: { ips: ['1.2.3.4'], protocol: 'http' } });
+
+      kuzzle.repositories.user.load.resolves(user);
+      kuzzle.repositories.token.generateToken.resolves(new Token({
+        _id: 'foo#bar',
+        expiresAt: 4567,
+        jwt: 'bar',
+        ttl: 1234,
+        userId: 'foo'
+      }));
+    });
+
+    it('should exchange a refresh token for new tokens of the same chain', async () => {
+      const response = await authController.exchangeRefreshToken(request);
+
+      should(kuzzle.refreshTokens.use).calledWith('refresh');
+      should(kuzzle.repositories.user.load).calledWith('foo');
+      should(kuzzle.repositories.token.generateToken).calledWith(
+        user,
+        request.context.connection.id,
+        { ip: '1.2.3.4', protocol: 'http' });
+      should(kuzzle.refreshTokens.create).calledWith(
+        'foo',
+        'session',
+        { chainId: 'chain', ip: '1.2.3.4', protocol: 'http' });
+      should(response).eql({
+        _id: 'foo',
+        expiresAt: 4567,
+        jwt: 'bar',
+        refreshToken: 'refresh-token',
+        refreshTokenExpiresAt: 42,
+        ttl: 1234
+      });
+    });
+
+    it('should refresh the token of the current connection', async () => {
+      const existingToken = new Token({ _id: 'foo#foo', jwt: 'foo', userId: 'foo' });
+
+      kuzzle.tokenManager.getConnectedUserToken.returns(existingToken);
+      request.input.args.expiresIn = '1h';
+
+      await authController.exchangeRefreshToken(request);
+
+      should(kuzzle.repositories.token.generateToken).calledWithMatch(
+        user,
+        request.context.connection.id,
+        { expiresIn: '1h' });
+      should(kuzzle.tokenManager.refresh).calledWith(
+        existingToken,
+        sinon.match({ jwt: 'bar' }));
+    });
+
+    it('should reject invalid refresh tokens', async () => {
+      const error = new UnauthorizedError('nope');
+
+      kuzzle.refreshTokens.use.rejects(error);
+
+      await should(authController.exchangeRefreshToken(request))
+        .rejectedWith(error);
+
+      should(kuzzle.repositories.token.generateToken).not.be.called();
+
+      request.input.body = {};
+
+      await should(authController.exchangeRefreshToken(request))
+        .rejectedWith(BadRequestError, { id: 'api.assert.missing_argument' });
+    });
+
+    it('should revoke the refresh tokens of deleted users', async () => {
+      kuzzle.repositories.user.load.rejects({ id: 'services.storage.not_found' });
+
+      await should(authController.exchangeRefreshToken(request))
+        .rejectedWith(UnauthorizedError, {
+          id: 'security.token.invalid_refresh_token'
+        });
+
+      should(kuzzle.refreshTokens.revokeUser).calledWith('foo');
+      should(kuzzle.repositories.token.generateToken).not.be.called();
+    });
+
+    it('should reject refresh tokens of disabled users', async () => {
+      user.disabled = true;
+
+      await should(authController.exchangeRefreshToken(request))
+        .rejectedWith(UnauthorizedError, { id: 'security.user.disabled' });
+
+      should(kuzzle.repositories.token.generateToken).not.be.called();
+    });
+  });
+
+  describe('#listMySessions', () => {
+    it('should list the sessions of the current user', async () => {
+      const token = new Token({ _id: 'foo#jwt', jwt: 'jwt', userId: 'foo' });
+      const sessions = [ { _id: 'session', current: true } ];
+      kuzzle.repositories.token.listSessions.resolves(sessions);
+
+      const response = await authController.listMySessions(new Request(
+        { action: 'listMySessions', controller: 'auth' },
+        { token, user: { _id: 'foo' } }));
+
+      should(kuzzle.repositories.token.listSessions).calledWith('foo', token);
+      should(response).eql({ hits: sessions, total: 1 });
+    });
+
+    it('should reject anonymous users', () => {
+      return should(authController.listMySessions(new Request(
+        {},
+        { token: { _id: '-1' }, user: { _id: '-1' } })))
+        .rejectedWith(UnauthorizedError, { id: 'security.rights.unauthorized' });
+    });
+  });
+
+  describe('#revokeSession', () => {
+    it('should revoke one session of the current user', async () => {
+      const response = await authController.revokeSession(new Request(
+        { _id: 'session', action: 'revokeSession', controller: 'auth' },
+        { user: { _id: 'foo' } }));
+
+      should(kuzzle.repositories.token.revokeSession)
+        .calledWith('foo', 'session');
+      should(response).eql({ _id: 'session' });
+    });
   });
 
   describe('#logout', () => {
@@ -235,6 +519,14 @@ describe('Test the auth controller', () => {
         });
     });
 
+    it('should revoke the refresh tokens issued with the token', async () => {
+      await authController.logout(request);
+
+      should(kuzzle.repositories.token.getSessionId)
+        .calledWith(request.context.token.jwt);
+      should(kuzzle.refreshTokens.revokeSession).calledWith('foo', 'session');
+    });
+
     it('should expire all tokens at once', () => {
       request.input.args.global = true;
       return authController.logout(request)
@@ -370,7 +662,8 @@ describe('Test the auth controller', () => {
             userId: 'user',
             _id: '_id',
             jwt: 'jwt',
-            refreshed: false
+            refreshed: false,
+            restriction: null
           },
           user: {
             _id: 'user'
@@ -398,7 +691,7 @@ describe('Test the auth controller', () => {
             .be.calledWith(
               { _id: 'user' },
               req.context.connection.id,
-              { expiresIn: '42h' }
+              { expiresIn: '42h', ip: null, protocol: null, restriction: null }
             );
 
           should(kuzzle.tokenManager.refresh)
@@ -406,6 +699,22 @@ describe('Test the auth controller', () => {
         });
     });
 
+    it('should keep the restriction of scoped API keys tokens', async () => {
+      const restriction = { controllers: { document: { actions: { get: true } } } };
+
+      kuzzle.repositories.token.generateToken.resolves({});
+
+      await authController.refreshToken(new Request(
+        {},
+        {
+          token: { _id: '_id', jwt: 'jwt', restriction, userId: 'user' },
+          user: { _id: 'user' }
+        }));
+
+      should(kuzzle.repositories.token.generateToken)
+        .calledWithMatch({ _id: 'user' }, null, { restriction });
+    });
+
   });
 
   describe('#updateSelf', () => {
@@ -445,6 +754,22 @@ describe('Test the auth controller', () => {
       });
     });
 
+    it('should throw an error if the account status is specified', () => {
+      const updateSelf = body => () => authController.updateSelf(new Request(
+        { body },
+        {token: {userId: 'admin', _id: 'admin'}, user: {_id: 'admin'}}
+      ));
+
+      should(updateSelf({ disabled: false })).throw(BadRequestError, {
+        id: 'api.assert.forbidden_argument'
+      });
+      should(updateSelf({ expiresAt: null })).throw(BadRequestError, {
+        id: 'api.assert.forbidden_argument'
+      });
+
+      should(kuzzle.repositories.user.persist).not.be.called();
+    });
+
     it('should throw an error if current user is anonymous', () => {
       const r = new Request(
         { body: {foo: 'bar'} },
@@ -1,6 +1,8 @@
 'use strict';
 
-const { errors: { BadRequestError } } = require('kuzzle-common-objects');
+const {
+  errors: { BadRequestError, ForbiddenError }
+} = require('kuzzle-common-objects');
 const should = require('should');
 const sinon = require('sinon');
 const KuzzleMock = require('../../mocks/kuzzle.mock');
@@ -609,6 +611,41 @@ describe('#base/native controller', () => {
     });
   });
 
+  describe('#getApiKeyRestriction', () => {
+    const restriction = {
+      controllers: { document: { actions: { get: true } } }
+    };
+
+    it('should return the restriction sent in the request body', () => {
+      request.input.body = { restriction };
+      request.context = { token: { restriction: null } };
+
+      should(nativeController.getApiKeyRestriction(request)).eql(restriction);
+
+      request.input.body = { description: 'foo' };
+
+      should(nativeController.getApiKeyRestriction(request)).be.null();
+    });
+
+    it('should inherit the restriction of a restricted token', () => {
+      request.input.body = {};
+      request.context = { token: { restriction } };
+
+      should(nativeController.getApiKeyRestriction(request)).eql(restriction);
+
+      request.input.body = { restriction: JSON.parse(JSON.stringify(restriction)) };
+
+      should(nativeController.getApiKeyRestriction(request)).eql(restriction);
+
+      request.input.body = {
+        restriction: { controllers: { '*': { actions: { '*': true } } } }
+      };
+
+      should(() => nativeController.getApiKeyRestriction(request))
+        .throw(ForbiddenError, { id: 'security.token.restricted' });
+    });
+  });
+
   describe('#getSearchParams', () => {
     beforeEach(() => {
       request.input.args = {
@@ -2,7 +2,10 @@
 
 const should = require('should');
 const BulkController = require('../../../lib/api/controller/bulk');
-const { Request } = require('kuzzle-common-objects');
+const {
+  Request,
+  errors: { ForbiddenError }
+} = require('kuzzle-common-objects');
 const KuzzleMock = require('../../mocks/kuzzle.mock');
 const mockAssertions = require('../../mocks/mockAssertions');
 const { NativeController } = require('../../../lib/api/controller/base');
@@ -56,7 +59,7 @@ describe('Test the bulk controller', () => {
       const response = await controller.import(request);
 
       should(controller.publicStorage.import)
-        .be.calledWith(index, collection, bulkData, { refresh: 'false', userId: null });
+        .be.calledWith(index, collection, bulkData, { refresh: 'false', userId: null, impersonatedBy: null });
 
       should(response).match({
         successes: ['fake', 'data'],
@@ -110,7 +113,7 @@ describe('Test the bulk controller', () => {
         collection,
         id,
         content,
-        { refresh: 'false', injectKuzzleMeta: false});
+        { impersonatedBy: null, refresh: 'false', injectKuzzleMeta: false});
 
       should(response).match({
         _id: id,
@@ -119,6 +122,19 @@ describe('Test the bulk controller', () => {
       });
     });
 
+    it('should record the user impersonating the writer', async () => {
+      request.context.token = { impersonatedBy: 'admin', userId: 'user' };
+
+      await controller.write(request);
+
+      should(controller.publicStorage.createOrReplace).be.calledWithMatch(
+        index,
+        collection,
+        id,
+        content,
+        { impersonatedBy: 'admin', injectKuzzleMeta: false });
+    });
+
     it('should notify if its specified', async () => {
       request.input.args.notify = true;
 
@@ -166,7 +182,7 @@ describe('Test the bulk controller', () => {
         index,
         collection,
         documents,
-        { refresh: 'false', injectKuzzleMeta: false });
+        { impersonatedBy: null, refresh: 'false', injectKuzzleMeta: false });
 
       should(response).match({
         successes: [
@@ -177,6 +193,18 @@ describe('Test the bulk controller', () => {
       });
     });
 
+    it('should record the user impersonating the writer', async () => {
+      request.context.token = { impersonatedBy: 'admin', userId: 'user' };
+
+      await controller.mWrite(request);
+
+      should(controller.publicStorage.mCreateOrReplace).be.calledWithMatch(
+        index,
+        collection,
+        documents,
+        { impersonatedBy: 'admin', injectKuzzleMeta: false });
+    });
+
     it('should notify if its specified', async () => {
       request.input.args.notify = true;
 
@@ -215,5 +243,81 @@ describe('Test the bulk controller', () => {
 
       should(response.deleted).be.eql(2);
     });
+
+    it('should restrict the query with the user document filters', async () => {
+      const filter = { equals: { ownerId: 'kuid' } };
+
+      kuzzle.documentFilters.get.resolves(filter);
+      kuzzle.documentFilters.restrictQuery.returns('restricted');
+
+      await controller.deleteByQuery(request);
+
+      should(kuzzle.documentFilters.restrictQuery).calledWith(filter, query);
+      should(controller.publicStorage.deleteByQuery).be.calledWith(
+        index,
+        collection,
+        'restricted');
+    });
+
+    it('should reject queries on fields that the user may not read', async () => {
+      kuzzle.documentFilters.getForbiddenFields.resolves({
+        read: [ 'age' ],
+        write: []
+      });
+      kuzzle.documentFilters.findReadField.returns('age');
+
+      await should(controller.deleteByQuery(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_field' });
+
+      should(kuzzle.documentFilters.findReadField).calledWith([ 'age' ], { query });
+      should(controller.publicStorage.deleteByQuery).not.be.called();
+    });
+  });
+
+  describe('document filters', () => {
+    beforeEach(() => {
+      kuzzle.documentFilters.get.resolves({ equals: { ownerId: 'kuid' } });
+      request.context.user = { _id: 'kuid' };
+      request.input.resource._id = 'foo';
+      request.input.body = { bulkData: [], documents: [] };
+    });
+
+    it('should forbid raw writes to users restricted by document filters', async () => {
+      for (const action of ['import', 'write', 'mWrite']) {
+        request.input.action = action;
+
+        await should(controller[action](request)).rejectedWith(
+          ForbiddenError,
+          { id: 'security.rights.forbidden' });
+      }
+
+      should(controller.publicStorage.import).not.be.called();
+      should(controller.publicStorage.createOrReplace).not.be.called();
+      should(controller.publicStorage.mCreateOrReplace).not.be.called();
+    });
+
+    it('should forbid raw writes to users who may not write some fields', async () => {
+      kuzzle.documentFilters.get.resolves(null);
+      kuzzle.documentFilters.getForbiddenFields.resolves({
+        read: [],
+        write: [ 'salary' ]
+      });
+
+      for (const action of ['import', 'write', 'mWrite']) {
+        request.input.action = action;
+
+        await should(controller[action](request)).rejectedWith(
+          ForbiddenError,
+          {
+            id: 'security.rights.forbidden_field',
+            message: 'Insufficient permissions to access the field "salary" (User "kuid").'
+          });
+      }
+
+      should(controller.publicStorage.import).not.be.called();
+      should(controller.publicStorage.createOrReplace).not.be.called();
+      should(controller.publicStorage.mCreateOrReplace).not.be.called();
+    });
   });
 });
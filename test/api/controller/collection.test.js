@@ -100,6 +100,67 @@ describe('Test: collection controller', () => {
     });
   });
 
+  describe('#migrate', () => {
+    it('should start migrating the collection', async () => {
+      request.input.body = {
+        mappings: { properties: { city: { type: 'keyword' } } },
+        script: { params: { foo: 'bar' }, source: 'ctx._source.foo = params.foo' },
+        settings: { number_of_shards: 2 }
+      };
+      kuzzle.collectionMigration.start.resolves({ status: 'running' });
+
+      const response = await collectionController.migrate(request);
+
+      should(kuzzle.collectionMigration.start).calledWith(index, collection, {
+        mappings: { properties: { city: { type: 'keyword' } } },
+        script: { params: { foo: 'bar' }, source: 'ctx._source.foo = params.foo' },
+        settings: { number_of_shards: 2 }
+      });
+      should(response).eql({ status: 'running' });
+    });
+
+    it('should accept scripts as strings, and no body at all', async () => {
+      request.input.body = { script: 'ctx._source.foo = 42' };
+
+      await collectionController.migrate(request);
+
+      should(kuzzle.collectionMigration.start).calledWith(index, collection, {
+        mappings: {},
+        script: { lang: 'painless', source: 'ctx._source.foo = 42' },
+        settings: {}
+      });
+
+      request.input.body = null;
+
+      await collectionController.migrate(request);
+
+      should(kuzzle.collectionMigration.start).calledWith(index, collection, {
+        mappings: {},
+        script: null,
+        settings: {}
+      });
+    });
+
+    it('should reject invalid scripts', () => {
+      request.input.body = { script: 42 };
+
+      should(() => collectionController.migrate(request)).throw(BadRequestError, {
+        id: 'api.assert.invalid_type'
+      });
+    });
+  });
+
+  describe('#getMigration', () => {
+    it('should return the collection migration status', async () => {
+      kuzzle.collectionMigration.getStatus.resolves({ status: 'done' });
+
+      const response = await collectionController.getMigration(request);
+
+      should(kuzzle.collectionMigration.getStatus).calledWith(index, collection);
+      should(response).eql({ status: 'done' });
+    });
+  });
+
   describe('#truncate', () => {
     it('should trigger the proper methods and return a valid response', async () => {
       const response = await collectionController.truncate(request);
@@ -1,16 +1,20 @@
 'use strict';
 
 const should = require('should');
+const sinon = require('sinon');
 const KuzzleMock = require('../../mocks/kuzzle.mock');
 const DocumentController = require('../../../lib/api/controller/document');
 const {
   Request,
   errors: {
     BadRequestError,
+    ForbiddenError,
+    NotFoundError,
     SizeLimitError
   }
 } = require('kuzzle-common-objects');
 const { NativeController } = require('../../../lib/api/controller/base');
+const DocumentFilters = require('../../../lib/core/security/documentFilters');
 
 describe('DocumentController', () => {
   let
@@ -284,7 +288,7 @@ describe('DocumentController', () => {
         index,
         collection,
         content,
-        { id: 'foobar', userId: 'aschen', refresh: 'wait_for' });
+        { expiresAt: null, id: 'foobar', userId: 'aschen', refresh: 'wait_for', impersonatedBy: null });
 
       should(kuzzle.validation.validate).be.calledWith(request, false);
 
@@ -309,7 +313,20 @@ describe('DocumentController', () => {
         index,
         collection,
         content,
-        { id: null, userId: null, refresh: 'false' });
+        { expiresAt: null, id: null, userId: null, refresh: 'false', impersonatedBy: null });
+    });
+
+    it('should record the user impersonating the author', async () => {
+      request.context.user = { _id: 'aschen' };
+      request.context.token = { impersonatedBy: 'admin', userId: 'aschen' };
+
+      await documentController.create(request);
+
+      should(documentController.publicStorage.create).be.calledWithMatch(
+        index,
+        collection,
+        content,
+        { impersonatedBy: 'admin', userId: 'aschen' });
     });
   });
 
@@ -349,7 +366,7 @@ describe('DocumentController', () => {
         index,
         collection,
         documents,
-        { userId: 'aschen', refresh: 'wait_for' });
+        { userId: 'aschen', refresh: 'wait_for', impersonatedBy: null });
 
       should(kuzzle.notifier.notifyDocumentMChanges).be.calledWith(
         request,
@@ -362,6 +379,30 @@ describe('DocumentController', () => {
       });
     });
 
+    it('should pass the previous content of updated documents to the notifier', async () => {
+      documentController.publicStorage.mUpdate.resolves({ errors: [], items });
+
+      await documentController._mChanges(request, 'mUpdate', true);
+
+      should(documentController.publicStorage.mGet).not.be.called();
+      should(kuzzle.notifier.notifyDocumentMChanges.firstCall.args[3]).be.null();
+
+      kuzzle.notifier.tracksChanges.returns(true);
+      documentController.publicStorage.mGet.resolves({
+        errors: [],
+        items: [ { _id: '_id1', _source: { foo: 'bar' } } ]
+      });
+
+      await documentController._mChanges(request, 'mUpdate', true);
+
+      should(documentController.publicStorage.mGet).be.calledWith(
+        index,
+        collection,
+        ['_id1', '_id2', '_id3']);
+      should(kuzzle.notifier.notifyDocumentMChanges.secondCall.args[3])
+        .eql(new Map([ [ '_id1', { foo: 'bar' } ] ]));
+    });
+
     it('should have default values for userId and refresh params', async () => {
       await documentController._mChanges(request, 'mCreate', true);
 
@@ -369,7 +410,7 @@ describe('DocumentController', () => {
         index,
         collection,
         documents,
-        { userId: null, refresh: 'false' });
+        { userId: null, refresh: 'false', impersonatedBy: null });
     });
 
     it('should handle errors if some actions failed', async () => {
@@ -449,7 +490,7 @@ describe('DocumentController', () => {
         collection,
         'foobar',
         content,
-        { userId: 'aschen', refresh: 'wait_for' });
+        { expiresAt: null, userId: 'aschen', refresh: 'wait_for', impersonatedBy: null });
 
       should(kuzzle.validation.validate).be.calledWith(request, false);
 
@@ -491,7 +532,7 @@ describe('DocumentController', () => {
         collection,
         'foobar',
         content,
-        { userId: null, refresh: 'false' });
+        { expiresAt: null, userId: null, refresh: 'false', impersonatedBy: null });
     });
   });
 
@@ -526,7 +567,7 @@ describe('DocumentController', () => {
         collection,
         'foobar',
         content,
-        { userId: 'aschen', refresh: 'wait_for', retryOnConflict: 42 });
+        { expiresAt: null, userId: 'aschen', refresh: 'wait_for', retryOnConflict: 42, impersonatedBy: null, ifVersion: null });
 
       should(kuzzle.validation.validate).be.calledWith(request, false);
 
@@ -539,6 +580,25 @@ describe('DocumentController', () => {
       });
     });
 
+    it('should make the update conditional with ifVersion', async () => {
+      request.input.args.ifVersion = '3';
+
+      await documentController.update(request);
+
+      should(documentController.publicStorage.update).be.calledWithMatch(
+        index,
+        collection,
+        'foobar',
+        content,
+        { ifVersion: 3 });
+
+      request.input.args.ifVersion = 'foo';
+
+      await should(documentController.update(request)).rejectedWith(
+        BadRequestError,
+        { id: 'api.assert.invalid_type' });
+    });
+
     it('should have default value for refresh, userId and retryOnConflict', async () => {
       await documentController.update(request);
 
@@ -547,7 +607,31 @@ describe('DocumentController', () => {
         collection,
         'foobar',
         content,
-        { userId: null, refresh: 'false', retryOnConflict: undefined });
+        { expiresAt: null, userId: null, refresh: 'false', retryOnConflict: undefined, impersonatedBy: null, ifVersion: null });
+    });
+
+    it('should fetch the previous document content only to list its changes', async () => {
+      await documentController.update(request);
+
+      should(documentController.publicStorage.get).not.be.called();
+      should(kuzzle.notifier.notifyDocumentUpdate).be.calledWithMatch(
+        request,
+        { _id: '_id' },
+        null);
+
+      kuzzle.notifier.tracksChanges.returns(true);
+      documentController.publicStorage.get.resolves({
+        _id: 'foobar',
+        _source: { foo: 'baz' }
+      });
+
+      await documentController.update(request);
+
+      should(kuzzle.notifier.tracksChanges).be.calledWith(index, collection);
+      should(documentController.publicStorage.get)
+        .be.calledWith(index, collection, 'foobar');
+      should(kuzzle.notifier.notifyDocumentUpdate.secondCall.args[2])
+        .eql({ foo: 'baz' });
     });
 
     it('should returns the entire document with source: true', async () => {
@@ -563,13 +647,21 @@ describe('DocumentController', () => {
   });
 
   describe('#updateByQuery', () => {
+    let previous;
+
     beforeEach(() => {
+      previous = new Map([
+        [ 'id1', { foo: 'bar' } ],
+        [ 'id2', { foo: 'bar', bar: 'bar' } ]
+      ]);
+
       documentController.publicStorage.updateByQuery.resolves(({
+        errors: [],
+        previous,
         successes: [
           { _id: 'id1', _source: { foo: 'bar', bar: 'foo' } },
           { _id: 'id2', _source: { foo: 'bar', bar: 'foo' } }
-        ],
-        errors: []
+        ]
       }));
     });
 
@@ -592,14 +684,16 @@ describe('DocumentController', () => {
         collection,
         { match: { foo: 'bar' } },
         { bar: 'foo'},
-        { refresh: 'wait_for' });
+        { impersonatedBy: null, refresh: 'wait_for', userId: null });
 
       should(kuzzle.notifier.notifyDocumentMChanges).be.calledWith(
         request,
         [
           { _id: 'id1', _source: { foo: 'bar', bar: 'foo' } },
           { _id: 'id2', _source: { foo: 'bar', bar: 'foo' } }
-        ]);
+        ],
+        false,
+        previous);
 
       should(response).be.eql({
         successes: [
@@ -616,6 +710,24 @@ describe('DocumentController', () => {
       });
     });
 
+    it('should record the updater and the user impersonating them', async () => {
+      request.input.body = {
+        changes: { bar: 'foo' },
+        query: { match: { foo: 'bar' } }
+      };
+      request.context.user = { _id: 'aschen' };
+      request.context.token = { impersonatedBy: 'admin', userId: 'aschen' };
+
+      await documentController.updateByQuery(request);
+
+      should(documentController.publicStorage.updateByQuery).be.calledWithMatch(
+        index,
+        collection,
+        { match: { foo: 'bar' } },
+        { bar: 'foo' },
+        { impersonatedBy: 'admin', userId: 'aschen' });
+    });
+
     it('should not include documents content in the response of updateByQuery', async () => {
       request.input.body = {
         query: {
@@ -644,7 +756,7 @@ describe('DocumentController', () => {
         collection,
         { match: { foo: 'bar' } },
         { bar: 'foo' },
-        { refresh: 'wait_for' });
+        { impersonatedBy: null, refresh: 'wait_for', userId: null });
 
       should(kuzzle.notifier.notifyDocumentMChanges).be.calledOnce();
 
@@ -724,7 +836,7 @@ describe('DocumentController', () => {
         collection,
         'foobar',
         content,
-        { userId: 'aschen', refresh: 'wait_for' });
+        { userId: 'aschen', refresh: 'wait_for', impersonatedBy: null, ifVersion: null, expiresAt: null });
 
       should(kuzzle.validation.validate).be.calledWith(request, false);
 
@@ -745,7 +857,7 @@ describe('DocumentController', () => {
         collection,
         'foobar',
         content,
-        { userId: null, refresh: 'false' });
+        { userId: null, refresh: 'false', impersonatedBy: null, ifVersion: null, expiresAt: null });
     });
   });
 
@@ -764,7 +876,7 @@ describe('DocumentController', () => {
         index,
         collection,
         'foobar',
-        { refresh: 'wait_for' });
+        { ifVersion: null, refresh: 'wait_for', userId: null });
 
       should(kuzzle.notifier.notifyDocumentMDelete).be.calledWith(
         request,
@@ -827,7 +939,7 @@ describe('DocumentController', () => {
         index,
         collection,
         ids,
-        { refresh: 'wait_for' });
+        { ifVersions: {}, refresh: 'wait_for', userId: null });
 
       should(kuzzle.notifier.notifyDocumentMDelete)
         .be.calledWith(request, documents);
@@ -838,6 +950,27 @@ describe('DocumentController', () => {
       });
     });
 
+    it('should forward the expected versions of the documents to delete', async () => {
+      request.input.body.ifVersions = { id1: 2 };
+
+      await documentController.mDelete(request);
+
+      should(documentController.publicStorage.mDelete).be.calledWithMatch(
+        index,
+        collection,
+        ids,
+        { ifVersions: { id1: 2 } });
+
+      request.input.body.ifVersions = { id1: '2' };
+
+      await should(documentController.mDelete(request)).rejectedWith(
+        BadRequestError,
+        {
+          id: 'api.assert.invalid_type',
+          message: 'Wrong type for argument "body.ifVersions.id1" (expected: integer)'
+        });
+    });
+
     it('should handle errors if some actions failed', async () => {
       documentController.publicStorage.mDelete.resolves(({
         documents,
@@ -880,7 +1013,7 @@ describe('DocumentController', () => {
         index,
         collection,
         { foo: 'bar' },
-        { refresh: 'wait_for' });
+        { refresh: 'wait_for', userId: null });
 
       should(kuzzle.notifier.notifyDocumentMDelete).be.calledWith(
         request,
@@ -907,7 +1040,7 @@ describe('DocumentController', () => {
         index,
         collection,
         { foo: 'bar' },
-        { refresh: 'wait_for' });
+        { refresh: 'wait_for', userId: null });
 
       should(kuzzle.notifier.notifyDocumentMDelete).be.calledWith(
         request,
@@ -938,4 +1071,805 @@ describe('DocumentController', () => {
       should(response).match({ ok: 'ok' });
     });
   });
+
+  describe('document history', () => {
+    const revision = {
+      _id: 'revision',
+      action: 'update',
+      author: 'kuid',
+      document: {
+        _id: 'foo',
+        _source: { _kuzzle_info: { author: 'kuid' }, ownerId: 'someone', salary: 42 }
+      },
+      timestamp: 42
+    };
+
+    beforeEach(() => {
+      request.input.resource._id = 'foo';
+      request.input.args.revision = 'revision';
+      kuzzle.storageEngine.history.get.resolves(revision);
+      kuzzle.storageEngine.history.search.resolves({
+        hits: [ revision ],
+        total: 1
+      });
+    });
+
+    it('should reject if history is not enabled on the collection', async () => {
+      const error = new Error('foo');
+
+      kuzzle.storageEngine.history.assertEnabled.throws(error);
+
+      await should(documentController.getHistory(request)).rejectedWith(error);
+      await should(documentController.getRevision(request)).rejectedWith(error);
+      await should(documentController.restore(request)).rejectedWith(error);
+
+      should(kuzzle.storageEngine.history.assertEnabled)
+        .calledWith(index, collection);
+    });
+
+    it('should list the previous versions of a document', async () => {
+      request.input.args.from = 1;
+      request.input.args.size = 5;
+
+      const response = await documentController.getHistory(request);
+
+      should(kuzzle.storageEngine.history.search)
+        .calledWith(index, collection, 'foo', { from: 1, size: 5 });
+      should(response).eql({ hits: [ revision ], total: 1 });
+    });
+
+    it('should get a previous version of a document', async () => {
+      const response = await documentController.getRevision(request);
+
+      should(kuzzle.storageEngine.history.get)
+        .calledWith(index, collection, 'foo', 'revision');
+      should(response).eql(revision);
+    });
+
+    it('should hide the revisions and fields that the user may not read', async () => {
+      kuzzle.documentFilters = new DocumentFilters(kuzzle);
+      sinon.stub(kuzzle.documentFilters, 'get')
+        .resolves({ equals: { ownerId: 'kuid' } });
+      sinon.stub(kuzzle.documentFilters, 'getForbiddenFields')
+        .resolves({ read: ['salary'], write: [] });
+
+      should(await documentController.getHistory(request))
+        .eql({ hits: [], total: 1 });
+
+      await should(documentController.getRevision(request)).rejectedWith(
+        NotFoundError,
+        { id: 'services.storage.revision_not_found' });
+
+      await should(documentController.restore(request)).rejectedWith(
+        NotFoundError,
+        { id: 'services.storage.revision_not_found' });
+
+      kuzzle.documentFilters.get.resolves(null);
+
+      should(await documentController.getRevision(request)).match({
+        document: { _id: 'foo', _source: { ownerId: 'someone' } }
+      });
+      should((await documentController.getRevision(request)).document._source)
+        .not.have.property('salary');
+    });
+
+    it('should restore a previous version of a document', async () => {
+      const response = { _id: 'foo', _source: {}, _version: 3 };
+
+      kuzzle.funnel.processRequest.resolves({ result: response });
+      request.input.args.refresh = 'wait_for';
+      request.input.jwt = 'jwt';
+      request.context.user = { _id: 'kuid' };
+
+      should(await documentController.restore(request)).eql(response);
+
+      const restoreRequest = kuzzle.funnel.processRequest.firstCall.args[0];
+
+      should(kuzzle.funnel.checkRights).calledOnce().calledWith(restoreRequest);
+      sinon.assert.callOrder(
+        kuzzle.funnel.checkRights,
+        kuzzle.funnel.processRequest);
+      should(restoreRequest.input).match({
+        action: 'createOrReplace',
+        args: { refresh: 'wait_for' },
+        body: { ownerId: 'someone', salary: 42 },
+        controller: 'document',
+        jwt: 'jwt',
+        resource: { _id: 'foo', collection, index }
+      });
+      should(restoreRequest.input.body).not.have.property('_kuzzle_info');
+      should(restoreRequest.context.user).eql({ _id: 'kuid' });
+    });
+
+    it('should restore documents overwritten by bulk imports', async () => {
+      kuzzle.storageEngine.history.get.resolves({
+        ...revision,
+        action: 'import'
+      });
+      kuzzle.funnel.processRequest.resolves({ result: { _id: 'foo' } });
+
+      should(await documentController.restore(request)).eql({ _id: 'foo' });
+      should(kuzzle.funnel.processRequest.firstCall.args[0].input).match({
+        action: 'createOrReplace',
+        body: { ownerId: 'someone', salary: 42 },
+        resource: { _id: 'foo', collection, index }
+      });
+    });
+
+    it('should not restore a revision if the user cannot replace documents', async () => {
+      const error = new ForbiddenError('forbidden');
+
+      kuzzle.funnel.checkRights.rejects(error);
+
+      await should(documentController.restore(request)).rejectedWith(error);
+      should(kuzzle.funnel.processRequest).not.be.called();
+    });
+
+  });
+
+  describe('document expiry', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] });
+      request.input.resource._id = 'foo';
+      request.input.body = { foo: 'bar' };
+      documentController.publicStorage.create.resolves({ _id: 'foo', _source: {} });
+      documentController.publicStorage.update.resolves({ _id: 'foo', _source: {} });
+      documentController.publicStorage.replace.resolves({ _id: 'foo', _source: {} });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should set the expiration date of documents from their time to live', async () => {
+      request.input.args.ttl = '1h';
+
+      await documentController.create(request);
+
+      should(kuzzle.documentExpiry.mapCollection).calledWith(index, collection);
+      should(documentController.publicStorage.create.firstCall.args[3])
+        .match({ expiresAt: 1000 + 3600000 });
+
+      request.input.args.ttl = 60000;
+
+      await documentController.update(request);
+
+      should(documentController.publicStorage.update.firstCall.args[4])
+        .match({ expiresAt: 1000 + 60000 });
+    });
+
+    it('should set the expiration date of documents from an absolute date', async () => {
+      request.input.args.expiresAt = 42000;
+
+      await documentController.create(request);
+
+      should(documentController.publicStorage.create.firstCall.args[3])
+        .match({ expiresAt: 42000 });
+
+      await documentController.replace(request);
+
+      should(documentController.publicStorage.replace.firstCall.args[4])
+        .match({ expiresAt: 42000 });
+    });
+
+    it('should not map collections if documents do not expire', async () => {
+      await documentController.create(request);
+
+      should(kuzzle.documentExpiry.mapCollection).not.be.called();
+    });
+
+    it('should reject invalid expiration arguments', async () => {
+      request.input.args.ttl = '1h';
+      request.input.args.expiresAt = 42000;
+
+      await should(documentController.create(request)).rejectedWith(
+        BadRequestError,
+        { id: 'api.assert.mutually_exclusive' });
+
+      delete request.input.args.expiresAt;
+
+      for (const ttl of [ 'foo', -1, 0 ]) {
+        request.input.args.ttl = ttl;
+
+        await should(documentController.update(request)).rejectedWith(
+          BadRequestError,
+          { id: 'api.assert.invalid_argument' });
+      }
+
+      delete request.input.args.ttl;
+      request.input.args.expiresAt = 'foo';
+
+      await should(documentController.createOrReplace(request)).rejectedWith(
+        BadRequestError,
+        { id: 'api.assert.invalid_type' });
+
+      should(documentController.publicStorage.create).not.be.called();
+    });
+  });
+
+  describe('trash bin', () => {
+    const deleted = {
+      _id: 'foo',
+      _source: { _kuzzle_info: { deletedAt: 42, deleter: 'kuid' }, name: 'foo' },
+      _version: 2
+    };
+
+    beforeEach(() => {
+      request.input.resource._id = 'foo';
+      request.context.user = { _id: 'kuid' };
+      documentController.publicStorage.getDeleted.resolves(deleted);
+      documentController.publicStorage.restore.resolves({
+        _id: 'foo',
+        _source: { name: 'foo' },
+        _version: 3
+      });
+    });
+
+    it('should restore a deleted document', async () => {
+      request.input.args.refresh = 'wait_for';
+
+      const response = await documentController.restoreDeleted(request);
+
+      should(kuzzle.storageEngine.history.assertEnabled).not.be.called();
+      should(documentController.publicStorage.getDeleted)
+        .calledWith(index, collection, 'foo');
+      should(documentController.publicStorage.restore).calledWith(
+        index,
+        collection,
+        'foo',
+        { refresh: 'wait_for', userId: 'kuid' });
+      should(kuzzle.notifier.notifyDocumentCreate).calledWith(request, {
+        _id: 'foo',
+        _source: { name: 'foo' },
+        _version: 3
+      });
+      should(response).eql({ _id: 'foo', _source: { name: 'foo' }, _version: 3 });
+    });
+
+    it('should hide deleted documents not matching the user document filters', async () => {
+      kuzzle.documentFilters.test.resolves([false]);
+
+      await should(documentController.restoreDeleted(request)).rejectedWith(
+        NotFoundError,
+        { id: 'services.storage.not_in_trash' });
+
+      should(documentController.publicStorage.restore).not.be.called();
+    });
+
+    it('should not restore deleted documents with document:restore', async () => {
+      await should(documentController.restore(request)).rejectedWith(
+        BadRequestError,
+        { id: 'api.assert.missing_argument' });
+
+      should(documentController.publicStorage.getDeleted).not.be.called();
+      should(documentController.publicStorage.restore).not.be.called();
+    });
+
+    it('should search deleted documents', async () => {
+      documentController.publicStorage.searchDeleted.resolves({
+        aggregations: 'aggregations',
+        hits: [ deleted ],
+        other: 'other',
+        scrollId: 'scrollId',
+        total: 1
+      });
+      request.input.body = { query: { match: { name: 'foo' } } };
+      request.input.args.size = 3;
+
+      const response = await documentController.searchDeleted(request);
+
+      should(kuzzle.storageEngine.softDelete.assertEnabled)
+        .calledWith(index, collection);
+      should(documentController.publicStorage.searchDeleted).calledWith(
+        index,
+        collection,
+        { query: { match: { name: 'foo' } } },
+        { from: 0, scroll: undefined, size: 3 });
+      should(response).eql({
+        aggregations: 'aggregations',
+        hits: [ deleted ],
+        scrollId: 'scrollId',
+        total: 1
+      });
+    });
+
+    it('should reject searches if soft delete is not enabled on the collection', async () => {
+      const error = new Error('foo');
+
+      kuzzle.storageEngine.softDelete.assertEnabled.throws(error);
+
+      await should(documentController.searchDeleted(request)).rejectedWith(error);
+      should(documentController.publicStorage.searchDeleted).not.be.called();
+    });
+  });
+
+  describe('document filters', () => {
+    const owned = { _id: 'owned', _source: { ownerId: 'kuid', foo: 'foo' } };
+    const other = { _id: 'other', _source: { ownerId: 'someone' } };
+
+    beforeEach(() => {
+      kuzzle.documentFilters = new DocumentFilters(kuzzle);
+      sinon.stub(kuzzle.documentFilters, 'get')
+        .resolves({ equals: { ownerId: 'kuid' } });
+
+      request.context.user = { _id: 'kuid' };
+
+      documentController.publicStorage.get
+        .withArgs(index, collection, 'owned').resolves(owned)
+        .withArgs(index, collection, 'other').resolves(other);
+
+      documentController.publicStorage.mGet.callsFake(async (i, c, ids) => ({
+        errors: ids.filter(id => id !== 'owned' && id !== 'other'),
+        items: [owned, other].filter(doc => ids.includes(doc._id))
+      }));
+    });
+
+    it('should restrict searches and counts', async () => {
+      documentController.publicStorage.search.resolves({});
+      documentController.publicStorage.count.resolves(42);
+      request.input.body = { query: { match: { foo: 'bar' } }, sort: ['foo'] };
+
+      const restricted = {
+        query: {
+          bool: {
+            filter: [ { term: { ownerId: 'kuid' } } ],
+            must: { match: { foo: 'bar' } }
+          }
+        },
+        sort: ['foo']
+      };
+
+      await documentController.search(request);
+      should(documentController.publicStorage.search)
+        .calledWith(index, collection, restricted);
+
+      await documentController.count(request);
+      should(documentController.publicStorage.count)
+        .calledWith(index, collection, restricted);
+
+      should(kuzzle.documentFilters.get).calledWith(request);
+    });
+
+    it('should hide documents not matching the filters', async () => {
+      request.input.resource._id = 'owned';
+      should(await documentController.get(request)).match({ _id: 'owned' });
+      should(await documentController.exists(request)).be.true();
+
+      request.input.resource._id = 'other';
+      await should(documentController.get(request)).rejectedWith(NotFoundError, {
+        id: 'services.storage.not_found'
+      });
+      should(await documentController.exists(request)).be.false();
+
+      request.input.resource._id = 'missing';
+      should(await documentController.exists(request)).be.false();
+
+      request.input.body = { ids: ['owned', 'other', 'missing'] };
+      should(await documentController.mGet(request)).eql({
+        errors: ['missing', 'other'],
+        successes: [owned]
+      });
+    });
+
+    it('should forbid writing documents not matching the filters', async () => {
+      request.input.body = { ownerId: 'someone' };
+
+      await should(documentController.create(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_document' });
+
+      request.input.resource._id = 'owned';
+      await should(documentController.replace(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_document' });
+      await should(documentController.update(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_document' });
+
+      should(documentController.publicStorage.create).not.be.called();
+      should(documentController.publicStorage.replace).not.be.called();
+      should(documentController.publicStorage.update).not.be.called();
+
+      request.input.body = { foo: 'bar' };
+      documentController.publicStorage.update.resolves({});
+      await documentController.update(request);
+      should(documentController.publicStorage.update).calledOnce();
+    });
+
+    it('should not allow to overwrite documents not matching the filters', async () => {
+      request.input.body = { ownerId: 'kuid' };
+      request.input.resource._id = 'other';
+
+      await should(documentController.createOrReplace(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_document' });
+
+      for (const action of ['replace', 'update', 'delete']) {
+        await should(documentController[action](request)).rejectedWith(
+          NotFoundError,
+          { id: 'services.storage.not_found' });
+      }
+
+      should(documentController.publicStorage.createOrReplace).not.be.called();
+      should(documentController.publicStorage.delete).not.be.called();
+    });
+
+    it('should not delete documents hidden by the filters', async () => {
+      documentController.publicStorage.mDelete.resolves({
+        documents: [owned],
+        errors: []
+      });
+      request.input.body = { ids: ['owned', 'other'] };
+
+      const response = await documentController.mDelete(request);
+
+      should(documentController.publicStorage.mDelete)
+        .calledWith(index, collection, ['owned']);
+      should(response).eql({
+        errors: [ { _id: 'other', reason: 'document not found', status: 404 } ],
+        successes: ['owned']
+      });
+    });
+
+    it('should restrict queries of *ByQuery actions', async () => {
+      documentController.publicStorage.deleteByQuery.resolves({ documents: [] });
+      request.input.body = { query: { match: { foo: 'bar' } } };
+
+      await documentController.deleteByQuery(request);
+
+      should(documentController.publicStorage.deleteByQuery).calledWith(
+        index,
+        collection,
+        {
+          bool: {
+            filter: [ { term: { ownerId: 'kuid' } } ],
+            must: { match: { foo: 'bar' } }
+          }
+        });
+    });
+
+    it('should reject updates by query moving documents out of the filters', async () => {
+      const restricted = {
+        bool: {
+          filter: [ { term: { ownerId: 'kuid' } } ],
+          must: { match: { foo: 'foo' } }
+        }
+      };
+
+      documentController.publicStorage.search.resolves({ hits: [ owned ] });
+      documentController.publicStorage.updateByQuery.resolves({
+        errors: [],
+        successes: []
+      });
+      request.input.body = {
+        changes: { ownerId: 'someone' },
+        query: { match: { foo: 'foo' } }
+      };
+
+      await should(documentController.updateByQuery(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_document' });
+
+      should(documentController.publicStorage.search).calledWith(
+        index,
+        collection,
+        { query: restricted },
+        { size: kuzzle.config.limits.documentsWriteCount });
+      should(documentController.publicStorage.updateByQuery).not.be.called();
+
+      request.input.body.changes = { foo: 'bar' };
+      await documentController.updateByQuery(request);
+
+      should(documentController.publicStorage.updateByQuery).calledWith(
+        index,
+        collection,
+        restricted,
+        { foo: 'bar' });
+    });
+
+    it('should reject multi-document changes not allowed by the filters', async () => {
+      const documents = [
+        { _id: 'owned', body: { foo: 'bar' } },
+        { _id: 'owned', body: { ownerId: 'someone' } },
+        { _id: 'other', body: { foo: 'bar' } },
+        { _id: 'new', body: { ownerId: 'kuid' } }
+      ];
+
+      request.input.body = { documents };
+      documentController.publicStorage.mUpdate.resolves({
+        errors: [],
+        items: []
+      });
+
+      const response = await documentController._mChanges(
+        request,
+        'mUpdate',
+        true);
+
+      should(documentController.publicStorage.mUpdate).calledWith(
+        index,
+        collection,
+        [ documents[0], documents[3] ]);
+
+      should(response.errors).eql([
+        {
+          document: documents[1],
+          reason: 'forbidden by the user document filters',
+          status: 403
+        },
+        { document: documents[2], reason: 'document not found', status: 404 }
+      ]);
+
+      documentController.publicStorage.mCreateOrReplace.resolves({
+        errors: [],
+        items: []
+      });
+      request.input.body = { documents: [ documents[2] ] };
+
+      await documentController._mChanges(request, 'mCreateOrReplace', true);
+
+      should(documentController.publicStorage.mCreateOrReplace).not.be.called();
+    });
+  });
+
+  describe('forbidden fields', () => {
+    const document = {
+      _id: 'foo',
+      _source: { name: 'foo', salary: 42, status: 'ok' }
+    };
+
+    beforeEach(() => {
+      kuzzle.documentFilters = new DocumentFilters(kuzzle);
+      sinon.stub(kuzzle.documentFilters, 'get').resolves(null);
+      sinon.stub(kuzzle.documentFilters, 'getForbiddenFields')
+        .resolves({ read: ['salary'], write: ['salary', 'status'] });
+
+      request.context.user = { _id: 'kuid' };
+      request.input.resource._id = 'foo';
+
+      documentController.publicStorage.get.resolves(document);
+      documentController.publicStorage.mGet.resolves({
+        errors: [],
+        items: [document]
+      });
+    });
+
+    it('should hide unreadable fields from fetched documents', async () => {
+      should(await documentController.get(request)).match({
+        _id: 'foo',
+        _source: { name: 'foo', status: 'ok' }
+      });
+      should((await documentController.get(request))._source)
+        .not.have.property('salary');
+
+      request.input.body = { ids: ['foo'] };
+      should(await documentController.mGet(request)).eql({
+        errors: [],
+        successes: [ { _id: 'foo', _source: { name: 'foo', status: 'ok' } } ]
+      });
+
+      should(document._source.salary).eql(42);
+    });
+
+    it('should exclude unreadable fields from search results', async () => {
+      documentController.publicStorage.search.resolves({});
+      request.input.body = {
+        _source: ['name', 'salary'],
+        highlight: { fields: { '*': {}, name: {}, salary: {} } },
+        query: { match: { name: 'foo' } }
+      };
+
+      await documentController.search(request);
+
+      should(documentController.publicStorage.search).calledWith(
+        index,
+        collection,
+        {
+          _source: { excludes: ['salary'], includes: ['name', 'salary'] },
+          highlight: { fields: { name: {} } },
+          query: { match: { name: 'foo' } }
+        });
+    });
+
+    it('should reject aggregations on unreadable fields', async () => {
+      request.input.body = {
+        aggregations: {
+          byName: {
+            aggregations: { avg: { avg: { field: 'salary' } } },
+            terms: { field: 'name' }
+          }
+        }
+      };
+
+      await should(documentController.search(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_field' });
+
+      should(documentController.publicStorage.search).not.be.called();
+    });
+
+    it('should reject searches disclosing unreadable fields', async () => {
+      const probes = [
+        { query: { range: { salary: { gt: 1000 } } } },
+        { query: { match: { name: 'foo' } }, sort: [ { salary: 'desc' } ] }
+      ];
+
+      for (const body of probes) {
+        request.input.body = body;
+
+        for (const action of ['search', 'count', 'searchDeleted']) {
+          await should(documentController[action](request)).rejectedWith(
+            ForbiddenError,
+            {
+              id: 'security.rights.forbidden_field',
+              message: 'Insufficient permissions to access the field "salary" (User "kuid").'
+            });
+        }
+      }
+
+      request.input.body = { query: { range: { salary: { gt: 1000 } } } };
+      request.input.args.scroll = '1m';
+      await should(documentController.search(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_field' });
+
+      request.input.body = {
+        changes: { name: 'bar' },
+        query: { range: { salary: { gt: 1000 } } }
+      };
+
+      for (const action of ['deleteByQuery', 'updateByQuery']) {
+        await should(documentController[action](request)).rejectedWith(
+          ForbiddenError,
+          { id: 'security.rights.forbidden_field' });
+      }
+
+      should(documentController.publicStorage.search).not.be.called();
+      should(documentController.publicStorage.count).not.be.called();
+      should(documentController.publicStorage.searchDeleted).not.be.called();
+      should(documentController.publicStorage.deleteByQuery).not.be.called();
+      should(documentController.publicStorage.updateByQuery).not.be.called();
+    });
+
+    it('should not reject document filters on unreadable fields', async () => {
+      kuzzle.documentFilters.get.resolves({ range: { salary: { lt: 1000 } } });
+      documentController.publicStorage.count.resolves(42);
+      request.input.body = { query: { match: { name: 'foo' } } };
+
+      should(await documentController.count(request)).eql({ count: 42 });
+    });
+
+    it('should forbid writing unwritable fields', async () => {
+      request.input.body = { name: 'bar', status: 'ko' };
+
+      for (const action of ['create', 'createOrReplace', 'update', 'replace']) {
+        await should(documentController[action](request)).rejectedWith(
+          ForbiddenError,
+          {
+            id: 'security.rights.forbidden_field',
+            message: 'Insufficient permissions to access the field "status" (User "kuid").'
+          });
+      }
+
+      request.input.body = { changes: { status: 'ko' }, query: {} };
+      await should(documentController.updateByQuery(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_field' });
+
+      should(documentController.publicStorage.create).not.be.called();
+      should(documentController.publicStorage.createOrReplace).not.be.called();
+      should(documentController.publicStorage.update).not.be.called();
+      should(documentController.publicStorage.replace).not.be.called();
+      should(documentController.publicStorage.updateByQuery).not.be.called();
+    });
+
+    it('should forbid replacing documents holding unwritable fields', async () => {
+      request.input.body = { name: 'bar' };
+
+      await should(documentController.replace(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_field' });
+      await should(documentController.createOrReplace(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_field' });
+
+      documentController.publicStorage.update.resolves({
+        _id: 'foo',
+        _source: document._source
+      });
+      request.input.args.source = true;
+
+      should(await documentController.update(request)).eql({
+        _id: 'foo',
+        _source: { name: 'foo', status: 'ok' }
+      });
+    });
+
+    it('should forbid deleting or restoring documents holding unwritable fields', async () => {
+      await should(documentController.delete(request)).rejectedWith(
+        ForbiddenError,
+        {
+          id: 'security.rights.forbidden_field',
+          message: 'Insufficient permissions to access the field "salary" (User "kuid").'
+        });
+      should(documentController.publicStorage.delete).not.be.called();
+
+      documentController.publicStorage.getDeleted.resolves(document);
+      await should(documentController.restoreDeleted(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_field' });
+      should(documentController.publicStorage.restore).not.be.called();
+
+      documentController.publicStorage.search.resolves({
+        hits: [ { _id: 'bar', _source: { name: 'bar' } }, document ]
+      });
+      request.input.body = { query: { match: { name: 'foo' } } };
+      await should(documentController.deleteByQuery(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_field' });
+      should(documentController.publicStorage.search).calledWith(
+        index,
+        collection,
+        { query: { match: { name: 'foo' } } },
+        { size: kuzzle.config.limits.documentsWriteCount });
+      should(documentController.publicStorage.deleteByQuery).not.be.called();
+    });
+
+    it('should reject the deletion of documents holding unwritable fields', async () => {
+      documentController.publicStorage.mGet.resolves({
+        errors: [],
+        items: [ document, { _id: 'bar', _source: { name: 'bar' } } ]
+      });
+      documentController.publicStorage.mDelete.resolves({
+        documents: [ { _id: 'bar', _source: { name: 'bar' } } ],
+        errors: []
+      });
+      request.input.body = { ids: [ 'foo', 'bar' ] };
+
+      const response = await documentController.mDelete(request);
+
+      should(documentController.publicStorage.mDelete)
+        .calledWith(index, collection, [ 'bar' ]);
+      should(response).eql({
+        errors: [ { _id: 'foo', reason: 'forbidden field "salary"', status: 403 } ],
+        successes: [ 'bar' ]
+      });
+    });
+
+    it('should reject multi-document changes writing unwritable fields', async () => {
+      const documents = [
+        { _id: 'foo', body: { name: 'bar' } },
+        { _id: 'foo', body: { status: 'ko' } }
+      ];
+
+      request.input.body = { documents };
+      documentController.publicStorage.mUpdate.resolves({
+        errors: [],
+        items: [ { _id: 'foo', _source: document._source } ]
+      });
+
+      let response = await documentController._mChanges(request, 'mUpdate', true);
+
+      should(documentController.publicStorage.mUpdate)
+        .calledWith(index, collection, [ documents[0] ]);
+      should(response).eql({
+        errors: [
+          { document: documents[1], reason: 'forbidden field "status"', status: 403 }
+        ],
+        successes: [ { _id: 'foo', _source: { name: 'foo', status: 'ok' } } ]
+      });
+
+      documentController.publicStorage.mReplace.resolves({ errors: [], items: [] });
+      request.input.body = { documents: [ documents[0] ] };
+
+      response = await documentController._mChanges(request, 'mReplace', true);
+
+      should(documentController.publicStorage.mReplace).not.be.called();
+      should(response.errors).eql([
+        { document: documents[0], reason: 'forbidden field "salary"', status: 403 }
+      ]);
+    });
+  });
 });
@@ -6,7 +6,13 @@ const KuzzleMock = require('../../mocks/kuzzle.mock');
 const RealtimeController = require('../../../lib/api/controller/realtime');
 const {
   Request,
-  errors: { BadRequestError }
+  errors: {
+    BadRequestError,
+    ForbiddenError,
+    PreconditionError,
+    SizeLimitError,
+    UnauthorizedError
+  }
 } = require('kuzzle-common-objects');
 const { NativeController } = require('../../../lib/api/controller/base');
 
@@ -87,6 +93,155 @@ describe('RealtimeController', () => {
       should(req.input.args.propagate).be.true();
     });
 
+    it('should reject if "resumeFrom" is provided while replay is disabled', () => {
+      kuzzle.config.limits.subscriptionReplayBufferSize = 0;
+      request.input.args.resumeFrom = 42;
+
+      return should(realtimeController.subscribe(request)).rejectedWith(
+        PreconditionError,
+        { id: 'core.realtime.replay_disabled' });
+    });
+
+    it('should reject if "resumeFrom" is not a positive integer', async () => {
+      kuzzle.config.limits.subscriptionReplayBufferSize = 10;
+      request.input.args.resumeFrom = 'foo';
+
+      await should(realtimeController.subscribe(request)).rejectedWith(
+        BadRequestError,
+        { id: 'api.assert.invalid_type' });
+
+      request.input.args.resumeFrom = -1;
+
+      await should(realtimeController.subscribe(request)).rejectedWith(
+        BadRequestError,
+        { id: 'api.assert.invalid_argument' });
+    });
+
+    it('should cast "resumeFrom" to an integer', async () => {
+      kuzzle.config.limits.subscriptionReplayBufferSize = 10;
+      request.input.args.resumeFrom = '42';
+
+      await realtimeController.subscribe(request);
+
+      should(kuzzle.hotelClerk.addSubscription.firstCall.args[0].input.args.resumeFrom)
+        .be.exactly(42);
+    });
+
+    describe('#snapshot', () => {
+      beforeEach(() => {
+        request.input.args.snapshot = true;
+        request.context.user.isActionAllowed = sinon.stub().resolves(true);
+      });
+
+      it('should set default "from" and "size" arguments', async () => {
+        await realtimeController.subscribe(request);
+
+        const args = kuzzle.hotelClerk.addSubscription.firstCall.args[0].input.args;
+
+        should(args).match({ from: 0, size: 10, snapshot: true });
+
+        const searchRequest = request.context.user.isActionAllowed.firstCall.args[0];
+        should(searchRequest.input).match({
+          action: 'search',
+          controller: 'document',
+          resource: { collection: 'collection', index: 'test' }
+        });
+      });
+
+      it('should reject if the snapshot exceeds the documents fetch limit', () => {
+        kuzzle.config.limits.documentsFetchCount = 10;
+        request.input.args.from = '2';
+        request.input.args.size = '20';
+
+        return should(realtimeController.subscribe(request)).rejectedWith(
+          SizeLimitError,
+          { id: 'services.storage.get_limit_exceeded' });
+      });
+
+      it('should reject if "resumeFrom" is also provided', () => {
+        kuzzle.config.limits.subscriptionReplayBufferSize = 10;
+        request.input.args.resumeFrom = 42;
+
+        return should(realtimeController.subscribe(request)).rejectedWith(
+          BadRequestError,
+          { id: 'api.assert.mutually_exclusive' });
+      });
+
+      it('should reject if the user is not allowed to search documents', async () => {
+        request.context.user.isActionAllowed.resolves(false);
+
+        await should(realtimeController.subscribe(request)).rejectedWith(
+          ForbiddenError,
+          { id: 'security.rights.forbidden' });
+
+        request.context.user._id = '-1';
+
+        await should(realtimeController.subscribe(request)).rejectedWith(
+          UnauthorizedError,
+          { id: 'security.rights.unauthorized' });
+
+        should(kuzzle.hotelClerk.addSubscription).not.be.called();
+      });
+
+      it('should also restrict subscriptions with the search document filters', async () => {
+        request.input.body = { equals: { foo: 'bar' } };
+        kuzzle.documentFilters.get
+          .onFirstCall().resolves({ equals: { ownerId: '42' } })
+          .onSecondCall().resolves({ equals: { public: true } });
+
+        await realtimeController.subscribe(request);
+
+        should(kuzzle.documentFilters.get.secondCall.args[0].input).match({
+          action: 'search',
+          controller: 'document'
+        });
+        should(request.input.body).eql({
+          and: [
+            { equals: { foo: 'bar' } },
+            { equals: { ownerId: '42' } },
+            { equals: { public: true } }
+          ]
+        });
+      });
+    });
+
+    it('should restrict subscriptions with the user document filters', async () => {
+      kuzzle.documentFilters.get.resolves({ equals: { ownerId: '42' } });
+
+      await realtimeController.subscribe(request);
+
+      should(kuzzle.documentFilters.get).calledOnce().calledWith(request);
+      should(request.input.body).eql({ equals: { ownerId: '42' } });
+
+      request.input.body = { equals: { foo: 'bar' } };
+      await realtimeController.subscribe(request);
+
+      should(request.input.body).eql({
+        and: [
+          { equals: { foo: 'bar' } },
+          { equals: { ownerId: '42' } }
+        ]
+      });
+    });
+
+    it('should reject filters on fields that the user may not read', async () => {
+      request.input.body = { range: { salary: { gt: 1000 } } };
+      kuzzle.documentFilters.getForbiddenFields.resolves({
+        read: ['salary'],
+        write: []
+      });
+      kuzzle.documentFilters.findReadField.returns('salary');
+
+      await should(realtimeController.subscribe(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden_field' });
+
+      should(kuzzle.documentFilters.findReadField).calledWith(
+        ['salary'],
+        { range: { salary: { gt: 1000 } } });
+      should(kuzzle.hotelClerk.addSubscription).not.be.called();
+    });
+
     it('should return nothing if the connection is dead', async () => {
       // the check is actually done in the hotelclerk and returns undefined if so
       kuzzle.hotelClerk.addSubscription.resolves();
@@ -110,6 +265,27 @@ describe('RealtimeController', () => {
         .rejectedWith(BadRequestError, { id: 'api.assert.missing_argument' });
     });
 
+    it('should reject if "resumeFrom" is provided while replay is disabled', () => {
+      kuzzle.config.limits.subscriptionReplayBufferSize = 0;
+      request.input.body.roomId = 'foo';
+      request.input.args.resumeFrom = 42;
+
+      return should(realtimeController.join(request)).rejectedWith(
+        PreconditionError,
+        { id: 'core.realtime.replay_disabled' });
+    });
+
+    it('should reject if the user is restricted by document filters', async () => {
+      request.input.body.roomId = 'foo';
+      kuzzle.documentFilters.get.resolves({ equals: { ownerId: '42' } });
+
+      await should(realtimeController.join(request)).rejectedWith(
+        ForbiddenError,
+        { id: 'security.rights.forbidden' });
+
+      should(kuzzle.hotelClerk.join).not.be.called();
+    });
+
     it('should call the proper hotelClerk method',() => {
       request.input.body.roomId = 'foo';
 
@@ -181,6 +357,36 @@ describe('RealtimeController', () => {
     });
   });
 
+  describe('#getPresence', () => {
+    it('should throw an error if roomId is not provided',() => {
+      return should(realtimeController.getPresence(request))
+        .rejectedWith(BadRequestError, { id: 'api.assert.missing_argument' });
+    });
+
+    it('should call the proper hotelClerk method',async () => {
+      request.input.body.roomId = 'foo';
+
+      should(await realtimeController.getPresence(request)).match(foo);
+      should(kuzzle.hotelClerk.getPresence).calledWith(request, 0, 10);
+
+      request.input.args.from = 5;
+      request.input.args.size = '20';
+
+      await realtimeController.getPresence(request);
+      should(kuzzle.hotelClerk.getPresence).calledWith(request, 5, 20);
+    });
+
+    it('should reject if the members list exceeds the fetch limit', () => {
+      kuzzle.config.limits.documentsFetchCount = 10;
+      request.input.body.roomId = 'foo';
+      request.input.args.size = 100;
+
+      return should(realtimeController.getPresence(request)).rejectedWith(
+        SizeLimitError,
+        { id: 'services.storage.get_limit_exceeded' });
+    });
+  });
+
   describe('#list', () => {
     it('should call the proper hotelClerk method',() => {
       kuzzle.repositories.user.anonymous.returns({_id: '-1'});
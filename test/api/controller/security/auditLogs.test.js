@@ -0,0 +1,76 @@
+'use strict';
+
+const should = require('should');
+const KuzzleMock = require('../../../mocks/kuzzle.mock');
+const {
+  Request,
+  errors: {
+    BadRequestError,
+    SizeLimitError
+  }
+} = require('kuzzle-common-objects');
+const SecurityController = require('../../../../lib/api/controller/security');
+
+describe('Test: security controller - audit logs', () => {
+  let kuzzle;
+  let securityController;
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    securityController = new SecurityController(kuzzle);
+  });
+
+  describe('#searchAuditLogs', () => {
+    it('should forward the search to the audit trail', async () => {
+      const request = new Request({
+        body: { query: { term: { actor: 'admin' } } },
+        from: 13,
+        scroll: 'foo',
+        size: 42
+      });
+
+      kuzzle.auditTrail.search.resolves({
+        hits: [{ _id: 'log', _source: { actor: 'admin' } }],
+        scrollId: 'foobar',
+        total: 2
+      });
+
+      const response = await securityController.searchAuditLogs(request);
+
+      should(kuzzle.auditTrail.search).calledWithMatch(
+        { query: { term: { actor: 'admin' } } },
+        { from: 13, scroll: 'foo', size: 42 });
+      should(response).match({
+        hits: [{ _id: 'log' }],
+        scrollId: 'foobar',
+        total: 2
+      });
+    });
+
+    it('should throw if the number of documents per page exceeds server limits', () => {
+      kuzzle.config.limits.documentsFetchCount = 1;
+
+      const request = new Request({ body: {}, from: 0, size: 10 });
+
+      should(() => securityController.searchAuditLogs(request))
+        .throw(SizeLimitError, { id: 'services.storage.get_limit_exceeded' });
+    });
+  });
+
+  describe('#scrollAuditLogs', () => {
+    it('should throw if no scrollId is provided', () => {
+      should(() => securityController.scrollAuditLogs(new Request({})))
+        .throw(BadRequestError, { id: 'api.assert.missing_argument' });
+    });
+
+    it('should forward the scroll to the audit trail', async () => {
+      kuzzle.auditTrail.scroll.resolves({ hits: [], scrollId: 'bar', total: 2 });
+
+      const response = await securityController.scrollAuditLogs(
+        new Request({ scroll: 'qux', scrollId: 'foobar' }));
+
+      should(kuzzle.auditTrail.scroll).calledWith('foobar', 'qux');
+      should(response).match({ hits: [], scrollId: 'bar', total: 2 });
+    });
+  });
+});
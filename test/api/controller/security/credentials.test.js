@@ -303,6 +303,51 @@ describe('Test: security controller - credentials', () => {
     });
   });
 
+  describe('#getLoginAttempts', () => {
+    it('should return the failed login attempts of an account', async () => {
+      const attempts = { attempts: 2, locked: false, lockedUntil: null, locks: 0 };
+      kuzzle.loginLockout.get.resolves(attempts);
+
+      request = new Request({
+        controller: 'security',
+        action: 'getLoginAttempts',
+        strategy: 'someStrategy',
+        _id: 'someLogin'
+      });
+
+      should(await securityController.getLoginAttempts(request)).eql(attempts);
+      should(kuzzle.loginLockout.get).calledWith('someStrategy', 'someLogin');
+    });
+
+    it('should reject unknown strategies', () => {
+      request = new Request({
+        controller: 'security',
+        action: 'getLoginAttempts',
+        strategy: 'unknown',
+        _id: 'someLogin'
+      });
+
+      should(() => securityController.getLoginAttempts(request))
+        .throw({ id: 'security.credentials.unknown_strategy' });
+      should(kuzzle.loginLockout.get).not.be.called();
+    });
+  });
+
+  describe('#unlockUser', () => {
+    it('should forget the failed login attempts and locks of an account', async () => {
+      request = new Request({
+        controller: 'security',
+        action: 'unlockUser',
+        strategy: 'someStrategy',
+        _id: 'someLogin'
+      });
+
+      should(await securityController.unlockUser(request))
+        .eql({ acknowledged: true });
+      should(kuzzle.loginLockout.reset).calledWith('someStrategy', 'someLogin');
+    });
+  });
+
   describe('#getCredentialFields', () => {
     it('should return the list of a strategy\'s fields', () => {
       request = new Request({
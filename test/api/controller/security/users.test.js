@@ -5,10 +5,12 @@ const Bluebird = require('bluebird');
 const should = require('should');
 const sinon = require('sinon');
 const KuzzleMock = require('../../../mocks/kuzzle.mock');
+const User = require('../../../../lib/model/security/user');
 const {
   Request,
   errors: {
     BadRequestError,
+    ForbiddenError,
     NotFoundError,
     PluginImplementationError,
     SizeLimitError,
@@ -333,6 +335,25 @@ describe('Test: security controller - users', () => {
   });
 
   describe('#createUser', () => {
+    it('should reject invalid account statuses', () => {
+      const create = content => () => securityController.createUser(
+        new Request({
+          _id: 'test',
+          body: { content: Object.assign({ profileIds: ['anonymous'] }, content) }
+        }));
+
+      should(create({ disabled: true })).throw(BadRequestError, {
+        id: 'api.assert.forbidden_argument',
+        message: 'The argument "body.content.disabled" is not allowed by this API action.'
+      });
+
+      should(create({ expiresAt: '2020-01-01' })).throw(BadRequestError, {
+        id: 'api.assert.invalid_type'
+      });
+
+      should(kuzzle.repositories.user.persist).not.be.called();
+    });
+
     it('should return a valid response', () => {
       kuzzle.repositories.user.load.resolves(null);
       kuzzle.repositories.user.persist.resolves({_id: 'test'});
@@ -680,6 +701,15 @@ describe('Test: security controller - users', () => {
       });
     });
 
+    it('should not disable users', () => {
+      should(() => securityController.updateUser(new Request({
+        _id: 'test',
+        body: { disabled: true }
+      }))).throw(BadRequestError, { id: 'api.assert.forbidden_argument' });
+
+      should(kuzzle.repositories.user.persist).not.be.called();
+    });
+
     it('should update the profile correctly', () => {
       kuzzle.repositories.user.fromDTO.callsFake((...args) => Bluebird.resolve(args[0]));
       kuzzle.repositories.user.toDTO.returns({
@@ -778,6 +808,21 @@ describe('Test: security controller - users', () => {
         });
     });
 
+    it('should not enable disabled users', async () => {
+      kuzzle.repositories.user.load.resolves({ _id: 'test', disabled: true });
+      kuzzle.repositories.user.fromDTO.callsFake(async dto => dto);
+
+      await securityController.replaceUser(new Request({
+        _id: 'test',
+        body: { profileIds: ['anonymous'] }
+      }));
+
+      should(kuzzle.repositories.user.fromDTO).calledWithMatch({
+        _id: 'test',
+        disabled: true
+      });
+    });
+
     it('should return an error if the user is not found', () => {
       kuzzle.repositories.user.load.resolves(null);
 
@@ -816,6 +861,182 @@ describe('Test: security controller - users', () => {
     });
   });
 
+  describe('#disableUser', () => {
+    let user;
+
+    beforeEach(() => {
+      request = new Request(
+        { _id: 'test', action: 'disableUser', controller: 'security' },
+        { user: { _id: 'admin' } });
+
+      user = new User();
+      user._id = 'test';
+      user.profileIds = ['default'];
+      kuzzle.repositories.user.load.resolves(user);
+      kuzzle.repositories.user.persist.callsFake(async u => u);
+    });
+
+    it('should disable a user account', async () => {
+      const response = await securityController.disableUser(request);
+
+      should(kuzzle.repositories.user.persist).calledWithMatch(
+        { _id: 'test', disabled: true },
+        { database: { method: 'update', refresh: 'wait_for' } });
+      should(response).match({
+        _id: 'test',
+        _source: {
+          _kuzzle_info: { updater: 'admin' },
+          disabled: true,
+          profileIds: ['default']
+        }
+      });
+    });
+
+    it('should reject unknown users, oneself and the anonymous user', async () => {
+      kuzzle.repositories.user.load.resolves(null);
+
+      await should(securityController.disableUser(request)).rejectedWith(
+        NotFoundError,
+        { id: 'security.user.not_found' });
+
+      for (const _id of ['admin', '-1']) {
+        request.input.resource._id = _id;
+
+        await should(securityController.disableUser(request)).rejectedWith(
+          BadRequestError,
+          { id: 'security.user.cannot_disable' });
+      }
+
+      should(kuzzle.repositories.user.persist).not.be.called();
+    });
+  });
+
+  describe('#enableUser', () => {
+    let user;
+
+    beforeEach(() => {
+      request = new Request(
+        { _id: 'test', action: 'enableUser', controller: 'security' },
+        { user: { _id: 'admin' } });
+
+      user = new User();
+      user._id = 'test';
+      user.disabled = true;
+      kuzzle.repositories.user.load.resolves(user);
+      kuzzle.repositories.user.persist.callsFake(async u => u);
+    });
+
+    it('should enable a disabled user account', async () => {
+      user.expiresAt = Date.now() + 60000;
+
+      const response = await securityController.enableUser(request);
+
+      should(response._source).match({
+        disabled: false,
+        expiresAt: user.expiresAt
+      });
+    });
+
+    it('should remove the expiration date of expired accounts', async () => {
+      user.expiresAt = Date.now() - 1000;
+
+      await securityController.enableUser(request);
+
+      should(kuzzle.repositories.user.persist).calledWithMatch({
+        disabled: false,
+        expiresAt: null
+      });
+      should(user.isActive()).be.true();
+    });
+  });
+
+  describe('#explainRights', () => {
+    let profiles;
+
+    beforeEach(() => {
+      profiles = {
+        p1: {
+          explainAction: sinon.stub().resolves({ _id: 'p1', decision: 'denied', policies: [] })
+        },
+        p2: {
+          explainAction: sinon.stub().resolves({ _id: 'p2', decision: 'allowed', policies: [] })
+        }
+      };
+
+      kuzzle.repositories.profile.loadProfiles.callsFake(async ids => ids
+        .map(id => profiles[id]));
+    });
+
+    it('should explain the rights of a user on an action', async () => {
+      kuzzle.repositories.user.load.resolves({ _id: 'kuid', profileIds: ['p1', 'p2'] });
+
+      request = new Request({
+        body: {
+          action: 'create',
+          collection: 'collection',
+          controller: 'document',
+          index: 'index',
+          userId: 'kuid'
+        }
+      });
+
+      const response = await securityController.explainRights(request);
+
+      should(kuzzle.repositories.user.load).calledWith('kuid');
+      should(response).match({
+        allowed: true,
+        decision: 'allowed',
+        profiles: [{ _id: 'p1' }, { _id: 'p2' }]
+      });
+
+      const explained = profiles.p1.explainAction.firstCall.args[0];
+
+      should(explained.input).match({
+        action: 'create',
+        controller: 'document',
+        resource: { collection: 'collection', index: 'index' }
+      });
+      should(explained.context.user).match({ _id: 'kuid' });
+      should(explained.context.connection.id)
+        .eql(request.context.connection.id);
+    });
+
+    it('should explain the rights of a set of profiles, explicit denials first', async () => {
+      profiles.p1.explainAction.resolves({ _id: 'p1', decision: 'forbidden', policies: [] });
+
+      const response = await securityController.explainRights(new Request({
+        body: { action: 'list', controller: 'index', profileIds: ['p1', 'p2'] }
+      }));
+
+      should(kuzzle.repositories.user.load).not.be.called();
+      should(response).match({ allowed: false, decision: 'forbidden' });
+      should(profiles.p2.explainAction.firstCall.args[0].input.resource.index)
+        .be.null();
+    });
+
+    it('should require either a user or profiles', async () => {
+      request = new Request({ body: { action: 'list', controller: 'index' } });
+
+      await should(securityController.explainRights(request))
+        .rejectedWith(BadRequestError, { id: 'api.assert.missing_argument' });
+
+      request.input.body.userId = 'kuid';
+      request.input.body.profileIds = ['p1'];
+
+      await should(securityController.explainRights(request))
+        .rejectedWith(BadRequestError, { id: 'api.assert.mutually_exclusive' });
+    });
+
+    it('should reject if the user does not exist', async () => {
+      kuzzle.repositories.user.load.resolves(null);
+
+      await should(securityController.explainRights(new Request({
+        body: { action: 'list', controller: 'index', userId: 'kuid' }
+      })))
+        .rejectedWith(NotFoundError, { id: 'security.user.not_found' });
+    });
+  });
+
   describe('#getUserRights', () => {
     it('should resolve to an object on a getUserRights call', () => {
       kuzzle.repositories.user.load = userId => {
@@ -909,4 +1130,155 @@ describe('Test: security controller - users', () => {
       }))).be.rejectedWith(NotFoundError, { id: 'security.user.not_found' });
     });
   });
+
+  describe('#impersonate', () => {
+    beforeEach(() => {
+      request = new Request(
+        { _id: 'test', action: 'impersonate', controller: 'security' },
+        {
+          connection: { id: 'connection', protocol: 'http' },
+          token: { restriction: null, userId: 'admin' },
+          user: { _id: 'admin', profileIds: [ 'admin', 'default' ] }
+        });
+      kuzzle.repositories.user.load.resolves({ _id: 'test', profileIds: [ 'default' ] });
+      kuzzle.repositories.token.generateToken.resolves({
+        expiresAt: 42,
+        jwt: 'jwt',
+        ttl: 900000,
+        userId: 'test'
+      });
+    });
+
+    it('should issue a short-lived token of the impersonated user', async () => {
+      const response = await securityController.impersonate(request);
+
+      should(kuzzle.repositories.token.generateToken).calledWith(
+        { _id: 'test', profileIds: [ 'default' ] },
+        'connection',
+        {
+          expiresIn: 900000,
+          impersonatedBy: 'admin',
+          ip: null,
+          protocol: 'http',
+          restriction: null
+        });
+      should(response).eql({
+        _id: 'test',
+        expiresAt: 42,
+        impersonatedBy: 'admin',
+        jwt: 'jwt',
+        ttl: 900000
+      });
+    });
+
+    it('should keep the restriction of scoped API keys', async () => {
+      const restriction = { controllers: { document: { actions: { get: true } } } };
+
+      request.context.token = { restriction, userId: 'admin' };
+      request.input.args.expiresIn = '1h';
+
+      await securityController.impersonate(request);
+
+      should(kuzzle.repositories.token.generateToken).calledWithMatch(
+        { _id: 'test' },
+        'connection',
+        { expiresIn: 3600000, restriction });
+    });
+
+    it('should reject invalid or too long token lifetimes', async () => {
+      request.input.args.expiresIn = 'foo';
+
+      await should(securityController.impersonate(request)).rejectedWith(
+        BadRequestError,
+        { id: 'api.assert.invalid_argument' });
+
+      request.input.args.expiresIn = '2h';
+
+      await should(securityController.impersonate(request)).rejectedWith(
+        BadRequestError,
+        { id: 'security.token.ttl_exceeded' });
+
+      should(kuzzle.repositories.token.generateToken).not.be.called();
+    });
+
+    it('should reject unknown users, oneself and the anonymous user', async () => {
+      kuzzle.repositories.user.load.resolves(null);
+
+      await should(securityController.impersonate(request)).rejectedWith(
+        NotFoundError,
+        { id: 'security.user.not_found' });
+
+      for (const _id of ['admin', '-1']) {
+        kuzzle.repositories.user.load.resolves({ _id });
+
+        await should(securityController.impersonate(request)).rejectedWith(
+          BadRequestError,
+          { id: 'security.user.cannot_impersonate' });
+      }
+
+      should(kuzzle.repositories.token.generateToken).not.be.called();
+    });
+
+    it('should reject users with profiles the impersonator does not have', async () => {
+      request.context.user.profileIds = [ 'support' ];
+      kuzzle.repositories.user.load.resolves({
+        _id: 'test',
+        profileIds: [ 'admin', 'default', 'support' ]
+      });
+
+      await should(securityController.impersonate(request)).rejectedWith(
+        ForbiddenError,
+        {
+          id: 'security.user.impersonation_forbidden',
+          message: 'Cannot impersonate user "test": profiles not assigned to you (admin, default).'
+        });
+
+      should(kuzzle.repositories.token.generateToken).not.be.called();
+    });
+  });
+
+  describe('#listUserSessions', () => {
+    it('should list the sessions of a user', async () => {
+      const sessions = [ { _id: 'session' } ];
+      kuzzle.repositories.user.load.resolves({ _id: 'test' });
+      kuzzle.repositories.token.listSessions.resolves(sessions);
+
+      const response = await securityController.listUserSessions(
+        new Request({ userId: 'test' }));
+
+      should(kuzzle.repositories.token.listSessions).calledWith('test');
+      should(response).eql({ hits: sessions, total: 1 });
+    });
+
+    it('should reject if the user does not exist', () => {
+      kuzzle.repositories.user.load.resolves(null);
+
+      return should(securityController.listUserSessions(new Request({
+        userId: 'test'
+      }))).be.rejectedWith(NotFoundError, { id: 'security.user.not_found' });
+    });
+  });
+
+  describe('#revokeSession', () => {
+    it('should revoke one session of a user', async () => {
+      kuzzle.repositories.user.load.resolves({ _id: 'test' });
+
+      const response = await securityController.revokeSession(
+        new Request({ _id: 'session', userId: 'test' }));
+
+      should(kuzzle.repositories.token.revokeSession)
+        .calledWith('test', 'session');
+      should(kuzzle.repositories.token.deleteByUserId).not.be.called();
+      should(response).eql({ _id: 'session' });
+    });
+
+    it('should reject if the user does not exist', () => {
+      kuzzle.repositories.user.load.resolves(null);
+
+      return should(securityController.revokeSession(new Request({
+        _id: 'session',
+        userId: 'test'
+      }))).be.rejectedWith(NotFoundError, { id: 'security.user.not_found' });
+    });
+  });
 });
@@ -11,7 +11,8 @@ const
     }
   } = require('kuzzle-common-objects'),
   KuzzleMock = require('../../mocks/kuzzle.mock'),
-  FunnelController = require('../../../lib/api/funnel');
+  FunnelController = require('../../../lib/api/funnel'),
+  Role = require('../../../lib/model/security/role');
 
 describe('funnel.processRequest', () => {
   let
@@ -76,4 +77,115 @@ describe('funnel.processRequest', () => {
         should(kuzzle.pipe.calledWithMatch('request:onUnauthorized', request)).be.false();
       });
   });
+
+  describe('#scoped API keys', () => {
+    beforeEach(() => {
+      kuzzle.repositories.role.fromDTO.callsFake(async dto => {
+        const role = new Role();
+        role[Symbol.for('_kuzzle')] = kuzzle;
+
+        return Object.assign(role, dto);
+      });
+
+      kuzzle.repositories.user.load.resolves({
+        _id: 'user',
+        isActionAllowed: sinon.stub().resolves(true)
+      });
+
+      kuzzle.repositories.token.verifyToken.resolves({
+        restriction: {
+          controllers: { document: { actions: { get: true, search: true } } },
+          restrictedTo: [ { collections: ['bar'], index: 'foo' } ]
+        },
+        userId: 'user'
+      });
+    });
+
+    it('should allow actions granted by both the user and the token restriction', async () => {
+      const request = new Request({
+        action: 'get',
+        collection: 'bar',
+        controller: 'document',
+        index: 'foo'
+      });
+
+      await funnel.checkRights(request);
+
+      should(kuzzle.repositories.role.fromDTO).calledWithMatch({
+        controllers: { document: { actions: { get: true, search: true } } }
+      });
+      should(kuzzle.pipe).calledWith('request:onAuthorized', request);
+    });
+
+    it('should reject actions that the token restriction does not grant', async () => {
+      const requests = [
+        new Request({ action: 'create', collection: 'bar', controller: 'document', index: 'foo' }),
+        new Request({ action: 'get', collection: 'qux', controller: 'document', index: 'foo' }),
+        new Request({ action: 'list', controller: 'index' })
+      ];
+
+      for (const request of requests) {
+        await should(funnel.checkRights(request)).rejectedWith(ForbiddenError, {
+          id: 'security.rights.forbidden'
+        });
+      }
+
+      should(kuzzle.pipe).not.calledWith('request:onAuthorized');
+    });
+
+    it('should never grant more rights than the user has', async () => {
+      kuzzle.repositories.user.load.resolves({
+        _id: 'user',
+        isActionAllowed: sinon.stub().resolves(false)
+      });
+
+      await should(funnel.checkRights(new Request({
+        action: 'get',
+        collection: 'bar',
+        controller: 'document',
+        index: 'foo'
+      })))
+        .rejectedWith(ForbiddenError, { id: 'security.rights.forbidden' });
+    });
+  });
+
+  describe('#impersonation tokens', () => {
+    beforeEach(() => {
+      kuzzle.repositories.user.load.resolves({
+        _id: 'user',
+        isActionAllowed: sinon.stub().resolves(true)
+      });
+
+      kuzzle.repositories.token.verifyToken.resolves({
+        impersonatedBy: 'admin',
+        userId: 'user'
+      });
+    });
+
+    it('should grant the rights of the impersonated user', async () => {
+      const request = new Request({ action: 'list', controller: 'index' });
+
+      await funnel.checkRights(request);
+
+      should(request.context.user._id).eql('user');
+      should(request.context.token.impersonatedBy).eql('admin');
+      should(kuzzle.pipe).calledWith('request:onAuthorized', request);
+    });
+
+    it('should reject actions giving credentials or impersonating other users', async () => {
+      const requests = [
+        new Request({ action: 'createApiKey', controller: 'auth' }),
+        new Request({ action: 'refreshToken', controller: 'auth' }),
+        new Request({ action: 'updateMyCredentials', controller: 'auth' }),
+        new Request({ action: 'createApiKey', controller: 'security' }),
+        new Request({ action: 'impersonate', controller: 'security' })
+      ];
+
+      for (const request of requests) {
+        await should(funnel.checkRights(request)).rejectedWith(ForbiddenError, {
+          id: 'security.rights.forbidden'
+        });
+      }
+    });
+  });
 });
@@ -99,7 +99,8 @@ describe('lib/config/index.js', () => {
       const canBeZero = [
         'subscriptionMinterms',
         'subscriptionRooms',
-        'subscriptionDocumentTTL'
+        'subscriptionDocumentTTL',
+        'subscriptionReplayBufferSize'
       ];
 
       for (const limit of Object.keys(defaultConfig.limits).filter(l => l !== 'requestsRate')) {
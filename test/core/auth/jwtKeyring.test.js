@@ -0,0 +1,372 @@
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const should = require('should');
+const sinon = require('sinon');
+const {
+  errors: { InternalError: KuzzleInternalError }
+} = require('kuzzle-common-objects');
+
+const JwtKeyring = require('../../../lib/core/auth/jwtKeyring');
+const kerror = require('../../../lib/kerror');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+
+describe('Test: auth/jwtKeyring', () => {
+  let
+    kuzzle,
+    documents,
+    keyring,
+    clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: new Date(), toFake: ['Date'] });
+    kuzzle = new KuzzleMock();
+    kuzzle.config.security.jwt = {
+      algorithm: 'HS256',
+      expiresIn: '1h',
+      gracePeriod: 1000,
+      keyRotationGracePeriod: '1h',
+      maxTTL: -1,
+      secret: null,
+      vaultSecret: null
+    };
+
+    // in-memory "config" collection of the internal index
+    documents = {};
+    kuzzle.internalIndex.get.callsFake(async (collection, id) => {
+      if (!documents[id]) {
+        throw kerror.get('services', 'storage', 'not_found', id, 'kuzzle', collection);
+      }
+
+      return { _id: id, _source: JSON.parse(JSON.stringify(documents[id])) };
+    });
+    kuzzle.internalIndex.create.callsFake(async (collection, id, content) => {
+      documents[id] = content;
+    });
+    kuzzle.internalIndex.createOrReplace.callsFake(async (collection, id, content) => {
+      documents[id] = content;
+    });
+
+    keyring = new JwtKeyring(kuzzle);
+  });
+
+  afterEach(() => {
+    clearInterval(keyring.timer);
+    clock.restore();
+  });
+
+  describe('#init', () => {
+    it('should create the keyring with a generated key', async () => {
+      await keyring.init();
+
+      const stored = documents['security.jwt.keyring'];
+
+      should(kuzzle.internalIndex.create).calledOnce();
+      should(stored.configuredKid).be.null();
+      should(stored.keys).have.length(1);
+      should(stored.keys[0]).match({
+        algorithm: 'HS256',
+        createdAt: Date.now(),
+        legacy: true,
+        retiredAt: null
+      });
+      should(stored.keys[0].signingKey).be.a.String().and.have.length(1024);
+      should(keyring.current.kid).eql(stored.keys[0].kid);
+    });
+
+    it('should create the keyring with the secret stored by previous versions', async () => {
+      documents['security.jwt.secret'] = { seed: 'legacy-secret' };
+
+      await keyring.init();
+
+      const token = jwt.sign({ _id: 'foo' }, 'legacy-secret');
+
+      should(documents['security.jwt.keyring'].keys[0].signingKey)
+        .eql('legacy-secret');
+      should(await keyring.verify(token)).match({ _id: 'foo' });
+    });
+
+    it('should create the keyring with the configured secret', async () => {
+      documents['security.jwt.secret'] = { seed: 'legacy-secret' };
+      kuzzle.config.security.jwt.secret = 'configured-secret';
+
+      await keyring.init();
+
+      const stored = documents['security.jwt.keyring'];
+
+      should(stored.keys[0].signingKey).eql('configured-secret');
+      should(stored.configuredKid).eql(stored.keys[0].kid);
+    });
+
+    it('should load the signing key from the vault', async () => {
+      const { privateKey } = crypto.generateKeyPairSync('ec', {
+        namedCurve: 'prime256v1',
+        privateKeyEncoding: { format: 'pem', type: 'pkcs8' },
+        publicKeyEncoding: { format: 'pem', type: 'spki' }
+      });
+
+      kuzzle.config.security.jwt.algorithm = 'ES256';
+      kuzzle.config.security.jwt.vaultSecret = 'jwt.privateKey';
+      kuzzle.vault.secrets.jwt = { privateKey };
+
+      await keyring.init();
+
+      const stored = documents['security.jwt.keyring'].keys[0];
+      const token = keyring.sign({ _id: 'foo' });
+
+      // private keys loaded from the vault are never stored
+      should(stored.signingKey).be.null();
+      should(stored.verificationKey).startWith('-----BEGIN PUBLIC KEY-----');
+      should(jwt.verify(token, stored.verificationKey)).match({ _id: 'foo' });
+    });
+
+    it('should throw if the vault secret or the configuration is invalid', async () => {
+      kuzzle.config.security.jwt.vaultSecret = 'jwt.missing';
+
+      await should(keyring.init()).rejectedWith(KuzzleInternalError, {
+        id: 'core.vault.secret_not_found'
+      });
+
+      kuzzle.config.security.jwt.vaultSecret = null;
+      kuzzle.config.security.jwt.algorithm = 'RS256';
+      kuzzle.config.security.jwt.secret = 'not a private key';
+
+      await should(keyring.init()).rejectedWith(KuzzleInternalError, {
+        id: 'security.token.invalid_signing_key'
+      });
+
+      kuzzle.config.security.jwt.algorithm = 'none';
+
+      await should(keyring.init()).rejectedWith(KuzzleInternalError, {
+        id: 'core.configuration.out_of_range'
+      });
+    });
+
+    it('should rotate keys if the configured key changed', async () => {
+      kuzzle.config.security.jwt.secret = 'first-secret';
+      await keyring.init();
+
+      const first = keyring.current.kid;
+
+      // unchanged configuration
+      clearInterval(keyring.timer);
+      await keyring.init();
+      should(keyring.current.kid).eql(first);
+      should(kuzzle.internalIndex.createOrReplace).not.be.called();
+
+      kuzzle.config.security.jwt.secret = 'second-secret';
+      clearInterval(keyring.timer);
+      await keyring.init();
+
+      const stored = documents['security.jwt.keyring'];
+
+      should(keyring.current.kid).not.eql(first);
+      should(stored.configuredKid).eql(keyring.current.kid);
+      should(stored.keys).have.length(2);
+      should(stored.keys[1]).match({ kid: first, retiredAt: Date.now() });
+    });
+
+    it('should rotate keys if the configured algorithm changed', async () => {
+      await keyring.init();
+
+      kuzzle.config.security.jwt.algorithm = 'HS512';
+      clearInterval(keyring.timer);
+      await keyring.init();
+
+      should(keyring.current.algorithm).eql('HS512');
+      should(keyring.keys).have.length(2);
+    });
+  });
+
+  describe('#sign/#verify', () => {
+    beforeEach(() => keyring.init());
+
+    it('should sign tokens with the current key identifier', async () => {
+      const token = keyring.sign({ _id: 'foo' }, { expiresIn: 60 });
+      const { header, payload } = jwt.decode(token, { complete: true });
+
+      should(header).match({ alg: 'HS256', kid: keyring.current.kid });
+      should(payload.exp - payload.iat).eql(60);
+      should(await keyring.verify(token)).match({ _id: 'foo' });
+    });
+
+    it('should verify tokens signed with a rotated key during the grace period', async () => {
+      const token = keyring.sign({ _id: 'foo' });
+
+      await keyring.rotate();
+
+      should(await keyring.verify(token)).match({ _id: 'foo' });
+
+      clock.tick(3600000);
+
+      await should(keyring.verify(token)).rejectedWith(jwt.JsonWebTokenError, {
+        message: 'unknown signing key'
+      });
+    });
+
+    it('should keep rotated keys forever if there is no grace period', async () => {
+      kuzzle.config.security.jwt.keyRotationGracePeriod = -1;
+
+      const token = keyring.sign({ _id: 'foo' });
+
+      await keyring.rotate();
+      clock.tick(86400000 * 365);
+
+      should(await keyring.verify(token)).match({ _id: 'foo' });
+    });
+
+    it('should keep rotated keys as long as API keys signed with them are valid', async () => {
+      const apiKey = keyring.sign({ _id: 'foo' });
+      const expiring = keyring.sign({ _id: 'bar' });
+
+      kuzzle.internalIndex.batchExecute.callsFake(async (collection, query, callback) => {
+        callback([
+          { _source: { expiresAt: -1, token: apiKey } },
+          { _source: { expiresAt: Date.now() + 7200000, token: expiring } }
+        ]);
+      });
+
+      await keyring.rotate();
+
+      should(kuzzle.internalIndex.batchExecute).calledWithMatch('api-keys', {
+        bool: {
+          should: [
+            { term: { expiresAt: -1 } },
+            { range: { expiresAt: { gt: Date.now() } } }
+          ]
+        }
+      });
+
+      clock.tick(86400000);
+
+      should(await keyring.verify(apiKey)).match({ _id: 'foo' });
+
+      // rotating again forgets keys of API keys that expired or were deleted
+      kuzzle.internalIndex.batchExecute.resolves();
+      await keyring.rotate();
+
+      await should(keyring.verify(apiKey)).rejectedWith(jwt.JsonWebTokenError, {
+        message: 'unknown signing key'
+      });
+    });
+
+    it('should reject tokens not signed by a key of the keyring', async () => {
+      await should(keyring.verify('not a token')).rejectedWith(jwt.JsonWebTokenError);
+
+      await should(keyring.verify(jwt.sign({ _id: 'foo' }, 'foo', { keyid: keyring.current.kid })))
+        .rejectedWith(jwt.JsonWebTokenError, { message: 'invalid signature' });
+
+      // "alg" headers must match the key algorithm
+      await should(keyring.verify(jwt.sign({ _id: 'foo' }, keyring.current.signingKey, {
+        algorithm: 'HS512',
+        keyid: keyring.current.kid
+      })))
+        .rejectedWith(jwt.JsonWebTokenError, { message: 'invalid algorithm' });
+    });
+
+    it('should reload the keyring when it meets a key rotated by another node', async () => {
+      const otherNode = new JwtKeyring(kuzzle);
+
+      await otherNode.init();
+      clearInterval(otherNode.timer);
+      await otherNode.rotate();
+
+      const token = otherNode.sign({ _id: 'foo' });
+
+      should(await keyring.verify(token)).match({ _id: 'foo' });
+      should(keyring.current.kid).eql(otherNode.current.kid);
+
+      // unknown keys do not trigger more than a reload per second
+      kuzzle.internalIndex.get.resetHistory();
+
+      const forged = jwt.sign({ _id: 'foo' }, 'foo', { keyid: 'foo' });
+
+      await should(keyring.verify(forged)).rejected();
+      should(kuzzle.internalIndex.get).not.be.called();
+
+      clock.tick(1000);
+      await should(keyring.verify(forged)).rejected();
+      should(kuzzle.internalIndex.get).calledOnce();
+    });
+  });
+
+  describe('#rotate', () => {
+    it('should replace the current key and forget expired ones', async () => {
+      await keyring.init();
+
+      const first = keyring.current.kid;
+      const result = await keyring.rotate();
+
+      should(result).eql({
+        algorithm: 'HS256',
+        createdAt: Date.now(),
+        kid: keyring.current.kid
+      });
+      should(result.kid).not.eql(first);
+      should(kuzzle.internalIndex.createOrReplace).calledWithMatch(
+        'config',
+        'security.jwt.keyring',
+        sinon.match.object,
+        { refresh: 'wait_for' });
+      should(documents['security.jwt.keyring'].keys).match([
+        { kid: result.kid, retiredAt: null },
+        { kid: first, retiredAt: Date.now() }
+      ]);
+
+      clock.tick(3600000);
+      await keyring.rotate();
+
+      should(documents['security.jwt.keyring'].keys).have.length(2);
+      should(keyring.keys.map(key => key.kid)).not.containEql(first);
+    });
+  });
+
+  describe('#getJwks', () => {
+    it('should not publish HMAC secrets', async () => {
+      await keyring.init();
+
+      should(keyring.getJwks()).eql({ keys: [] });
+    });
+
+    it('should publish RSA public keys, rotated ones included', async () => {
+      kuzzle.config.security.jwt.algorithm = 'RS256';
+      await keyring.init();
+      await keyring.rotate();
+
+      const { keys } = keyring.getJwks();
+
+      should(keys).have.length(2);
+
+      for (const jwk of keys) {
+        should(jwk).match({
+          alg: 'RS256',
+          e: 'AQAB',
+          kty: 'RSA',
+          use: 'sig'
+        });
+        should(jwk.n).match(/^[\w-]{342}$/);
+      }
+
+      should(keys.map(jwk => jwk.kid)).eql(keyring.keys.map(key => key.kid));
+    });
+
+    it('should publish elliptic curves public keys', async () => {
+      kuzzle.config.security.jwt.algorithm = 'ES384';
+      await keyring.init();
+
+      const [ jwk ] = keyring.getJwks().keys;
+      const point = Buffer.concat([
+        Buffer.from([4]),
+        Buffer.from(jwk.x, 'base64'),
+        Buffer.from(jwk.y, 'base64')
+      ]);
+      const der = crypto
+        .createPublicKey(keyring.current.verificationKey)
+        .export({ format: 'der', type: 'spki' });
+
+      should(jwk).match({ alg: 'ES384', crv: 'P-384', kty: 'EC', use: 'sig' });
+      should(der.slice(der.length - point.length).equals(point)).be.true();
+    });
+  });
+});
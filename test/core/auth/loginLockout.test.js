@@ -0,0 +1,183 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const {
+  errors: { TooManyRequestsError }
+} = require('kuzzle-common-objects');
+
+const LoginLockout = require('../../../lib/core/auth/loginLockout');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+
+describe('Test: auth/loginLockout', () => {
+  let
+    kuzzle,
+    cache,
+    lockout,
+    clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(new Date());
+    kuzzle = new KuzzleMock();
+    kuzzle.config.security.lockout = {
+      attemptsTTL: '15m',
+      duration: '1m',
+      enabled: true,
+      maxAttempts: 3,
+      maxDuration: '5m'
+    };
+    cache = kuzzle.cacheEngine.internal;
+    lockout = new LoginLockout(kuzzle);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('#getIdentifier', () => {
+    it('should return the login identifier sent in the request body', () => {
+      kuzzle.pluginsManager.strategies = {
+        email: { strategy: { config: { strategyOptions: { usernameField: 'email' } } } },
+        local: { strategy: { config: {} } }
+      };
+
+      should(lockout.getIdentifier('local', { username: 'jdoe' })).eql('jdoe');
+      should(lockout.getIdentifier('email', { email: 'jdoe@foo.bar', username: 'jdoe' }))
+        .eql('jdoe@foo.bar');
+    });
+
+    it('should fall back to the credentials fields declared by the strategy', () => {
+      kuzzle.pluginsManager.strategies = {
+        apiKey: { strategy: { config: { fields: [ 'secret', 'login' ] } } },
+        email: { strategy: { config: { fields: [ 'email', 'password' ] } } }
+      };
+
+      should(lockout.getIdentifier('email', { email: 'jdoe@foo.bar', password: 'p' }))
+        .eql('jdoe@foo.bar');
+      should(lockout.getIdentifier('email', { email: 'jdoe@foo.bar', username: 'jdoe' }))
+        .eql('jdoe');
+      should(lockout.getIdentifier('apiKey', { login: 'jdoe', secret: 's' }))
+        .eql('jdoe');
+      should(lockout.getIdentifier('apiKey', { secret: 's' })).be.null();
+    });
+
+    it('should return null if there is no usable login identifier', () => {
+      should(lockout.getIdentifier('local', null)).be.null();
+      should(lockout.getIdentifier('local', {})).be.null();
+      should(lockout.getIdentifier('local', { username: '' })).be.null();
+      should(lockout.getIdentifier('local', { username: { $ne: null } })).be.null();
+
+      kuzzle.config.security.lockout.enabled = false;
+      should(lockout.getIdentifier('local', { username: 'jdoe' })).be.null();
+    });
+  });
+
+  describe('#assertNotLocked', () => {
+    it('should reject locked accounts', async () => {
+      cache.get.resolves(null);
+      await lockout.assertNotLocked('local', 'jdoe');
+
+      should(cache.get).calledWith('{lockout/local/jdoe}/lock');
+
+      cache.get.resolves(String(Date.now() - 1));
+      await lockout.assertNotLocked('local', 'jdoe');
+
+      cache.get.resolves(String(Date.now() + 41500));
+      await should(lockout.assertNotLocked('local', 'jdoe')).rejectedWith(
+        TooManyRequestsError,
+        {
+          id: 'security.credentials.locked',
+          message: 'Account locked after too many failed login attempts. Retry in 42 seconds.'
+        });
+    });
+  });
+
+  describe('#fail', () => {
+    it('should count failed attempts in a sliding time frame', async () => {
+      cache.incr.resolves(1);
+      await lockout.fail('local', 'jdoe');
+
+      should(cache.incr).calledOnce().calledWith('{lockout/local/jdoe}/attempts');
+      should(cache.pexpire).calledWith('{lockout/local/jdoe}/attempts', 900000);
+
+      cache.incr.resolves(2);
+      await lockout.fail('local', 'jdoe');
+
+      should(cache.pexpire).calledOnce();
+      should(cache.psetex).not.be.called();
+      should(kuzzle.emit).not.be.called();
+    });
+
+    it('should lock accounts for a progressive delay', async () => {
+      cache.incr
+        .withArgs('{lockout/local/jdoe}/attempts').resolves(3)
+        .withArgs('{lockout/local/jdoe}/locks').resolves(1);
+
+      await lockout.fail('local', 'jdoe');
+
+      should(cache.del).calledWith('{lockout/local/jdoe}/attempts');
+      should(cache.psetex).calledWith(
+        '{lockout/local/jdoe}/lock',
+        60000,
+        String(Date.now() + 60000));
+      should(cache.pexpire).calledWith('{lockout/local/jdoe}/locks', 960000);
+      should(kuzzle.emit).calledWith('auth:accountLocked', {
+        _id: 'jdoe',
+        lockedUntil: Date.now() + 60000,
+        locks: 1,
+        strategy: 'local'
+      });
+
+      cache.incr.withArgs('{lockout/local/jdoe}/locks').resolves(2);
+      await lockout.fail('local', 'jdoe');
+
+      should(cache.psetex.secondCall.args[1]).eql(120000);
+
+      cache.incr.withArgs('{lockout/local/jdoe}/locks').resolves(4);
+      await lockout.fail('local', 'jdoe');
+
+      should(cache.psetex.thirdCall.args[1]).eql(300000);
+    });
+
+    it('should not lock accounts twice on concurrent failures', async () => {
+      cache.incr.withArgs('{lockout/local/jdoe}/attempts').resolves(4);
+
+      await lockout.fail('local', 'jdoe');
+
+      should(cache.psetex).not.be.called();
+    });
+  });
+
+  describe('#reset', () => {
+    it('should forget failed attempts and locks', async () => {
+      await lockout.reset('local', 'jdoe');
+
+      should(cache.del).calledWith(
+        '{lockout/local/jdoe}/attempts',
+        '{lockout/local/jdoe}/lock',
+        '{lockout/local/jdoe}/locks');
+    });
+  });
+
+  describe('#get', () => {
+    it('should return the failed attempts and the lock status', async () => {
+      cache.mget.resolves([null, null, null]);
+
+      should(await lockout.get('local', 'jdoe')).eql({
+        attempts: 0,
+        locked: false,
+        lockedUntil: null,
+        locks: 0
+      });
+
+      cache.mget.resolves(['2', String(Date.now() + 1000), '1']);
+
+      should(await lockout.get('local', 'jdoe')).eql({
+        attempts: 2,
+        locked: true,
+        lockedUntil: Date.now() + 1000,
+        locks: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,290 @@
+'use strict';
+
+const crypto = require('crypto');
+const should = require('should');
+const sinon = require('sinon');
+const {
+  errors: {
+    PreconditionError,
+    UnauthorizedError
+  }
+} = require('kuzzle-common-objects');
+
+const RefreshTokens = require('../../../lib/core/auth/refreshTokens');
+const kerror = require('../../../lib/kerror');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+
+describe('Test: auth/refreshTokens', () => {
+  let
+    kuzzle,
+    documents,
+    refreshTokens,
+    clock;
+
+  const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: new Date(), toFake: ['Date'] });
+    kuzzle = new KuzzleMock();
+    kuzzle.config.security.refreshTokens = {
+      enabled: true,
+      expiresIn: '1d'
+    };
+
+    // in-memory "refresh-tokens" collection of the internal index
+    documents = {};
+    kuzzle.internalIndex.get.callsFake(async (collection, id) => {
+      if (!documents[id]) {
+        throw kerror.get('services', 'storage', 'not_found', id, 'kuzzle', collection);
+      }
+
+      return { _id: id, _source: Object.assign({}, documents[id]) };
+    });
+    kuzzle.internalIndex.create.callsFake(async (collection, id, content) => {
+      documents[id] = content;
+    });
+    kuzzle.internalIndex.update.callsFake(async (collection, id, content) => {
+      Object.assign(documents[id], content);
+    });
+    kuzzle.internalIndex.search.callsFake(async () => {
+      const hits = Object.keys(documents)
+        .map(id => ({ _id: id, _source: documents[id] }));
+
+      return { hits, total: hits.length };
+    });
+    kuzzle.cacheEngine.internal.set.resolves('OK');
+
+    refreshTokens = new RefreshTokens(kuzzle);
+  });
+
+  afterEach(() => {
+    clearInterval(refreshTokens.timer);
+    clock.restore();
+  });
+
+  describe('#init', () => {
+    it('should not purge refresh tokens if they are disabled', () => {
+      kuzzle.config.security.refreshTokens.enabled = false;
+
+      refreshTokens.init();
+
+      should(refreshTokens.timer).be.null();
+    });
+
+    it('should purge expired refresh tokens periodically', () => {
+      refreshTokens.init();
+
+      should(refreshTokens.timer).not.be.null();
+    });
+  });
+
+  describe('#create', () => {
+    it('should store a hashed refresh token in a new chain', async () => {
+      const { expiresAt, refreshToken } = await refreshTokens.create(
+        'user',
+        'session',
+        { ip: '1.2.3.4', protocol: 'http' });
+
+      should(refreshToken).match(/^[a-f0-9]{64}$/);
+      should(expiresAt).eql(Date.now() + 86400000);
+      should(kuzzle.internalIndex.create).calledWithMatch(
+        'refresh-tokens',
+        hash(refreshToken),
+        {},
+        { refresh: 'wait_for' });
+      should(documents[hash(refreshToken)]).match({
+        chainId: /^[a-f0-9]{32}$/,
+        createdAt: Date.now(),
+        expiresAt,
+        ip: '1.2.3.4',
+        protocol: 'http',
+        sessionId: 'session',
+        usedAt: null,
+        userId: 'user'
+      });
+    });
+
+    it('should add the refresh token to an existing chain', async () => {
+      const { refreshToken } = await refreshTokens.create(
+        'user',
+        'session',
+        { chainId: 'chain' });
+
+      should(documents[hash(refreshToken)].chainId).eql('chain');
+    });
+
+    it('should throw if refresh tokens are disabled', () => {
+      kuzzle.config.security.refreshTokens.enabled = false;
+
+      return should(refreshTokens.create('user', 'session')).rejectedWith(
+        PreconditionError,
+        { id: 'security.token.refresh_tokens_disabled' });
+    });
+  });
+
+  describe('#use', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      ({ refreshToken } = await refreshTokens.create(
+        'user',
+        'session',
+        { chainId: 'chain' }));
+    });
+
+    it('should mark the refresh token as used', async () => {
+      const document = await refreshTokens.use(refreshToken);
+
+      should(document).match({ chainId: 'chain', userId: 'user' });
+      should(kuzzle.cacheEngine.internal.set).calledWith(
+        `refreshTokens/${hash(refreshToken)}/used`,
+        '1',
+        'PX',
+        86400000,
+        'NX');
+      should(documents[hash(refreshToken)].usedAt).eql(Date.now());
+    });
+
+    it('should reject unknown and expired refresh tokens', async () => {
+      await should(refreshTokens.use('foo')).rejectedWith(UnauthorizedError, {
+        id: 'security.token.invalid_refresh_token'
+      });
+
+      clock.tick(86400000);
+
+      await should(refreshTokens.use(refreshToken)).rejectedWith(
+        UnauthorizedError,
+        { id: 'security.token.invalid_refresh_token' });
+
+      should(kuzzle.internalIndex.deleteByQuery).not.be.called();
+    });
+
+    it('should revoke the whole chain if a refresh token is reused', async () => {
+      await refreshTokens.use(refreshToken);
+      await refreshTokens.create('user', 'session2', { chainId: 'chain' });
+
+      await should(refreshTokens.use(refreshToken)).rejectedWith(
+        UnauthorizedError,
+        { id: 'security.token.invalid_refresh_token' });
+
+      should(kuzzle.cacheEngine.internal.set).calledOnce();
+      should(kuzzle.internalIndex.deleteByQuery).calledWith(
+        'refresh-tokens',
+        { term: { chainId: 'chain' } },
+        { conflicts: 'proceed', fetch: false });
+      should(kuzzle.repositories.token.revokeSession)
+        .calledWith('user', 'session')
+        .calledWith('user', 'session2');
+      should(kuzzle.emit).calledWith('auth:refreshTokenReused', {
+        chainId: 'chain',
+        userId: 'user'
+      });
+      should(kuzzle.log.warn).calledOnce();
+    });
+
+    it('should revoke the whole chain if a refresh token is used concurrently', async () => {
+      kuzzle.cacheEngine.internal.set.resolves(null);
+
+      await should(refreshTokens.use(refreshToken)).rejectedWith(
+        UnauthorizedError,
+        { id: 'security.token.invalid_refresh_token' });
+
+      should(kuzzle.internalIndex.update).not.be.called();
+      should(kuzzle.internalIndex.deleteByQuery).calledWith(
+        'refresh-tokens',
+        { term: { chainId: 'chain' } });
+    });
+
+    it('should reject refresh tokens revoked while being used', async () => {
+      kuzzle.internalIndex.update.rejects(
+        kerror.get('services', 'storage', 'not_found', 'foo', 'kuzzle', 'refresh-tokens'));
+
+      await should(refreshTokens.use(refreshToken)).rejectedWith(
+        UnauthorizedError,
+        { id: 'security.token.invalid_refresh_token' });
+    });
+
+    it('should ignore sessions that have already ended', async () => {
+      kuzzle.cacheEngine.internal.set.resolves(null);
+      kuzzle.repositories.token.revokeSession.rejects(
+        kerror.get('security', 'token', 'session_not_found', 'session', 'user'));
+
+      await should(refreshTokens.use(refreshToken)).rejectedWith({
+        id: 'security.token.invalid_refresh_token'
+      });
+
+      should(kuzzle.emit).calledWith('auth:refreshTokenReused');
+    });
+
+    it('should throw if refresh tokens are disabled', () => {
+      kuzzle.config.security.refreshTokens.enabled = false;
+
+      return should(refreshTokens.use(refreshToken)).rejectedWith(
+        PreconditionError,
+        { id: 'security.token.refresh_tokens_disabled' });
+    });
+  });
+
+  describe('#revokeSession', () => {
+    it('should revoke the chains of refresh tokens issued with a session', async () => {
+      await refreshTokens.create('user', 'session', { chainId: 'chain' });
+
+      await refreshTokens.revokeSession('user', 'session');
+
+      should(kuzzle.internalIndex.search).calledWith('refresh-tokens', {
+        query: {
+          bool: {
+            filter: [ { term: { userId: 'user' } }, { term: { sessionId: 'session' } } ]
+          }
+        }
+      });
+      should(kuzzle.internalIndex.deleteByQuery).calledWith(
+        'refresh-tokens',
+        { terms: { chainId: [ 'chain' ] } },
+        { conflicts: 'proceed', fetch: false });
+    });
+
+    it('should do nothing if there is no such refresh token', async () => {
+      await refreshTokens.revokeSession('user', 'session');
+
+      should(kuzzle.internalIndex.deleteByQuery).not.be.called();
+
+      kuzzle.config.security.refreshTokens.enabled = false;
+      kuzzle.internalIndex.search.resetHistory();
+
+      await refreshTokens.revokeSession('user', 'session');
+
+      should(kuzzle.internalIndex.search).not.be.called();
+    });
+  });
+
+  describe('#revokeUser', () => {
+    it('should revoke all refresh tokens of a user', async () => {
+      await refreshTokens.revokeUser('user');
+
+      should(kuzzle.internalIndex.deleteByQuery).calledWith(
+        'refresh-tokens',
+        { term: { userId: 'user' } },
+        { conflicts: 'proceed', fetch: false });
+    });
+  });
+
+  describe('#purge', () => {
+    it('should delete expired refresh tokens', async () => {
+      await refreshTokens.purge();
+
+      should(kuzzle.internalIndex.deleteByQuery).calledWith(
+        'refresh-tokens',
+        { range: { expiresAt: { lt: Date.now() } } },
+        { conflicts: 'proceed', fetch: false });
+    });
+
+    it('should log purge failures', async () => {
+      kuzzle.internalIndex.deleteByQuery.rejects(new Error('foo'));
+
+      await refreshTokens.purge();
+
+      should(kuzzle.log.error).calledOnce();
+    });
+  });
+});
@@ -60,13 +60,7 @@ describe('Test: token manager core component', () => {
     });
 
     it('should add the room ID to the list if an entry already exists for this token', () => {
-      tokenManager.tokens.insert({
-        idx: `${token.expiresAt};${token._id}`,
-        connectionId: 'foo',
-        expiresAt: token.expiresAt,
-        userId: token.userId,
-        rooms: new Set(['bar'])
-      });
+      tokenManager._add(token, 'foo', ['bar']);
 
       const runTimerStub = sinon.stub(tokenManager, 'runTimer');
 
@@ -299,6 +293,45 @@ describe('Test: token manager core component', () => {
       should(runTimerStub).be.calledOnce();
     });
 
+    it('should clean up subscriptions upon a user account expiration', async () => {
+      const now = Date.now();
+      const user = { _id: 'foo', expiresAt: now + 1000 };
+
+      kuzzle.hotelClerk.customers.set('connectionId1', new Map([
+        [ 'room1', true ]
+      ]));
+      kuzzle.hotelClerk.customers.set('connectionId2', new Map([
+        [ 'room2', true ]
+      ]));
+
+      tokenManager.link(
+        new Token({_id: 'api-key', expiresAt: -1, userId: 'foo'}),
+        'connectionId1',
+        'room1',
+        user);
+      tokenManager.link(
+        new Token({_id: 'token', expiresAt: now + 10000, userId: 'foo'}),
+        'connectionId2',
+        'room2',
+        user);
+
+      should(tokenManager.tokens.array.map(data => data.expiresAt))
+        .eql([ now + 1000, now + 1000 ]);
+      should(tokenManager.getConnectedUserToken('foo', 'connectionId1'))
+        .match({ _id: 'api-key', expiresAt: -1 });
+
+      clock.tick(1001);
+      await tokenManager.checkTokensValidity();
+      await tokenManager.checkTokensValidity();
+
+      should(kuzzle.notifier.notifyServer)
+        .calledTwice()
+        .calledWith(['room1'], 'connectionId1', 'TokenExpired', 'User Account Expired')
+        .calledWith(['room2'], 'connectionId2', 'TokenExpired', 'User Account Expired');
+      should(tokenManager.tokens.array).be.empty();
+      should(tokenManager.tokensById.size).eql(0);
+    });
+
     it('should not rerun a timer if the last token has been removed', async () => {
       const
         now = Date.now(),
@@ -358,13 +391,7 @@ describe('Test: token manager core component', () => {
     });
 
     it('should remove only the provided room ID from the entry', () => {
-      tokenManager.tokens.insert({
-        idx: `${token.expiresAt};${token._id}`,
-        connectionId: 'foo',
-        expiresAt: token.expiresAt,
-        userId: token.userId,
-        rooms: new Set(['foo', 'bar', 'baz'])
-      });
+      tokenManager._add(token, 'foo', ['foo', 'bar', 'baz']);
 
       tokenManager.unlink(token, 'bar');
       should(tokenManager.tokens.array)
@@ -416,6 +443,61 @@ describe('Test: token manager core component', () => {
     });
   });
 
+  describe('#expireUser', () => {
+    it('should notify and unsubscribe the real-time connections of a user', async () => {
+      kuzzle.hotelClerk.customers.set('connectionId1', new Map([
+        [ 'room1', true ]
+      ]));
+      kuzzle.hotelClerk.customers.set('connectionId2', new Map([
+        [ 'room2', true ]
+      ]));
+
+      tokenManager.link(token, 'connectionId1', 'room1');
+      tokenManager.link(
+        new Token({_id: 'bar#baz', userId: 'bar', expiresAt: token.expiresAt}),
+        'connectionId2',
+        'room2');
+
+      await tokenManager.expireUser('foo', 'User Account Disabled');
+
+      should(kuzzle.notifier.notifyServer)
+        .calledOnce()
+        .calledWith(
+          ['room1'],
+          'connectionId1',
+          'TokenExpired',
+          'User Account Disabled');
+      should(kuzzle.hotelClerk.removeCustomerFromAllRooms)
+        .calledOnce()
+        .calledWithMatch({ connection: { id: 'connectionId1' } });
+      should(tokenManager.tokens.array).have.length(1);
+      should(tokenManager.tokens.array[0].userId).eql('bar');
+      should(tokenManager.getConnectedUserToken('foo', 'connectionId1')).be.null();
+    });
+  });
+
+  describe('#setUserExpiry', () => {
+    it('should update the expiration date of the tokens of a user', () => {
+      const expiresAt = token.expiresAt;
+
+      tokenManager.link(token, 'connectionId', 'roomId', { expiresAt: null });
+      tokenManager.setUserExpiry('foo', expiresAt - 500);
+
+      should(tokenManager.tokens.array).have.length(1);
+      should(tokenManager.tokens.array[0]).match({
+        connectionId: 'connectionId',
+        expiresAt: expiresAt - 500,
+        rooms: new Set(['roomId'])
+      });
+
+      tokenManager.setUserExpiry('foo', null);
+      should(tokenManager.tokens.array[0].expiresAt).eql(expiresAt);
+
+      tokenManager.unlink(token, 'roomId');
+      should(tokenManager.tokens.array).be.empty();
+    });
+  });
+
   describe('#getConnectedUserToken', () => {
     it('should return a matching token', () => {
       tokenManager._add(token, 'foo', ['bar']);
@@ -432,4 +514,16 @@ describe('Test: token manager core component', () => {
       });
     });
   });
+
+  describe('#getConnections', () => {
+    it('should return the real-time connections linked to a token', () => {
+      should(tokenManager.getConnections(token)).eql([]);
+
+      tokenManager._add(token, 'foo', ['bar', 'baz']);
+
+      should(tokenManager.getConnections(token)).eql([
+        { _id: 'foo', subscriptions: 2 }
+      ]);
+    });
+  });
 });
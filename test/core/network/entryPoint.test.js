@@ -687,6 +687,28 @@ describe('lib/core/core/network/entryPoint', () => {
         .calledWithMatch(/^- - \(anonymous\) \[.*?\] "DO \/controller\/action FOOBAR" \d{3} \d{3} - -$/);
     });
 
+    it('should log the user impersonating the request user', () => {
+      const request = new Request(
+        {controller: 'controller', action: 'action'},
+        {
+          connectionId: '-1',
+          token: { impersonatedBy: 'admin', userId: 'foo' },
+          protocol: 'foobar'
+        });
+
+      entrypoint.logAccess(request);
+
+      should(entrypoint.logger.info)
+        .calledOnce()
+        .calledWithMatch(/^- - foo\(impersonatedBy:admin\) \[.*?\] "DO \/controller\/action FOOBAR" /);
+
+      entrypoint.config.logs.accessLogFormat = 'logstash';
+      entrypoint.logAccess(request);
+
+      should(entrypoint.logger.info.secondCall.args[0])
+        .match({ impersonatedBy: 'admin' });
+    });
+
     it('should forward the params to the logger when using "logstash" format output', () => {
       const
         connection = {foo: 'bar' },
@@ -180,6 +180,26 @@ describe('Test: router.httpRequest', () => {
     });
   });
 
+  it('should register the JSON Web Key Set route', (done) => {
+    httpRequest.url = '/.well-known/jwks.json';
+    httpRequest.method = 'GET';
+
+    kuzzle.jwtKeyring.getJwks.returns({ keys: [ { kid: 'foo' } ] });
+
+    routeController.http.route(httpRequest, result => {
+      try {
+        should(result.response.headers['content-type']).be.eql('application/json');
+        should(result.response.status).be.eql(200);
+        should(result.response.result).eql({ keys: [ { kid: 'foo' } ] });
+        should(kuzzle.funnel.execute).not.be.called();
+        done();
+      }
+      catch (e) {
+        done(e);
+      }
+    });
+  });
+
   it('should register plugins HTTP routes', (done) => {
     httpRequest.url = '/_plugin/foo/bar/baz';
     httpRequest.method = 'GET';
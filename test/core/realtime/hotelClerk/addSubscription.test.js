@@ -9,6 +9,7 @@ const {
   Request,
   errors: {
     BadRequestError,
+    ForbiddenError,
     NotFoundError,
     SizeLimitError
   }
@@ -122,6 +123,14 @@ describe('Test: hotelClerk.addSubscription', () => {
     return should(hotelClerk.addSubscription(request)).be.rejectedWith(BadRequestError);
   });
 
+  it('should keep the identifier of the subscribing user', async () => {
+    request.context.user = { _id: 'kuid' };
+
+    await hotelClerk.addSubscription(request);
+
+    should(hotelClerk.customersUsers.get(connectionId)).eql('kuid');
+  });
+
   it('should allow subscribing with an empty filter', () => {
     request.input.body = {};
 
@@ -213,6 +222,110 @@ describe('Test: hotelClerk.addSubscription', () => {
     return should(hotelClerk.addSubscription(request)).be.rejectedWith(BadRequestError);
   });
 
+  it('should reject the subscription if the given fields argument is incorrect', async () => {
+    for (const fields of [
+      'foo',
+      ['foo'],
+      { foo: ['bar'] },
+      { include: 'foo' },
+      { exclude: ['foo', ''] }
+    ]) {
+      request.input.args.fields = fields;
+
+      await should(hotelClerk.addSubscription(request)).be.rejectedWith(
+        BadRequestError,
+        { id: 'core.realtime.invalid_fields' });
+    }
+  });
+
+  it('should reject the subscription if the given changes argument is not a boolean', () => {
+    request.input.args.changes = 'true';
+
+    return should(hotelClerk.addSubscription(request)).be.rejectedWith(
+      BadRequestError,
+      { id: 'api.assert.invalid_type' });
+  });
+
+  it('should reject the subscription if the given throttle argument is incorrect', async () => {
+    for (const throttle of ['100', -1, 1.5]) {
+      request.input.args.throttle = throttle;
+
+      await should(hotelClerk.addSubscription(request)).be.rejectedWith(
+        BadRequestError,
+        { id: 'core.realtime.invalid_throttle' });
+    }
+  });
+
+  it('should store the fields projection in the subscription channel', async () => {
+    request.input.args.fields = { include: ['firstName'] };
+
+    const response = await hotelClerk.addSubscription(request);
+    const channel = hotelClerk.rooms.get('foobar').channels[response.channel];
+
+    should(channel.fields).eql({ exclude: [], include: ['firstName'] });
+
+    // projections are part of the channel configuration
+    request.input.args.fields = { exclude: ['firstName'] };
+
+    const other = await hotelClerk.addSubscription(request);
+
+    should(other.channel).not.eql(response.channel);
+
+    request.input.args.fields = { exclude: [], include: [] };
+
+    const noProjection = await hotelClerk.addSubscription(request);
+
+    should(hotelClerk.rooms.get('foobar').channels[noProjection.channel].fields)
+      .be.null();
+  });
+
+  it('should exclude the fields that the user may not read from notifications', async () => {
+    kuzzle.documentFilters.getForbiddenFields.resolves({
+      read: ['ssn'],
+      write: []
+    });
+    request.input.args.fields = { exclude: ['firstName'] };
+
+    const response = await hotelClerk.addSubscription(request);
+    const room = hotelClerk.rooms.get('foobar');
+
+    should(kuzzle.documentFilters.getForbiddenFields).calledWith(request);
+    should(room.channels[response.channel].fields)
+      .eql({ exclude: ['firstName', 'ssn'], include: [] });
+    should(request.input.args.fields).eql({ exclude: ['firstName'] });
+
+    // rights of joining users are resolved on the room collection
+    const joinRequest = new Request({
+      action: 'join',
+      body: { roomId: 'foobar' },
+      controller: 'realtime'
+    }, { connectionId: 'otherConnection', token: null });
+
+    kuzzle.documentFilters.getForbiddenFields.resetHistory();
+    kuzzle.documentFilters.getForbiddenFields.resolves({
+      read: [],
+      write: []
+    });
+
+    const joined = await hotelClerk.join(joinRequest);
+
+    should(kuzzle.documentFilters.getForbiddenFields).calledWithMatch({
+      input: { resource: { collection: 'bar', index: 'foo' } }
+    });
+    should(room.channels[joined.channel].fields).be.null();
+
+    // joined rooms filters cannot be checked against unreadable fields
+    kuzzle.documentFilters.getForbiddenFields.resolves({
+      read: ['age'],
+      write: []
+    });
+    joinRequest.context.connection.id = 'thirdConnection';
+
+    await should(hotelClerk.join(joinRequest)).rejectedWith(ForbiddenError, {
+      id: 'security.rights.forbidden'
+    });
+  });
+
   it('should reject the subscription if the number of minterms exceeds the configured limit', () => {
     kuzzle.config.limits.subscriptionMinterms = 8;
 
@@ -250,6 +363,156 @@ describe('Test: hotelClerk.addSubscription', () => {
     return should(hotelClerk.addSubscription(request)).be.fulfilled();
   });
 
+  it('should return the room sequence number if notifications replay is enabled', async () => {
+    kuzzle.config.limits.subscriptionReplayBufferSize = 10;
+    kuzzle.notifier.getSequence.resolves(42);
+
+    const response = await hotelClerk.addSubscription(request);
+
+    should(kuzzle.notifier.getSequence).calledWith('foobar');
+    should(response.sequence).be.eql(42);
+    should(response).not.have.property('replay');
+  });
+
+  it('should replay missed notifications before joining the channel', async () => {
+    kuzzle.config.limits.subscriptionReplayBufferSize = 10;
+    kuzzle.notifier.replay.resolves({ complete: false, count: 3, sequence: 45 });
+    request.input.args.resumeFrom = 40;
+
+    const response = await hotelClerk.addSubscription(request);
+
+    should(kuzzle.notifier.replay).calledOnce();
+
+    const [roomId, channel, id, from] = kuzzle.notifier.replay.firstCall.args;
+
+    should(roomId).eql('foobar');
+    should(channel.name).eql(response.channel);
+    should(id).eql(connectionId);
+    should(from).eql(40);
+    should(kuzzle.notifier.replay.calledBefore(kuzzle.entryPoint.joinChannel))
+      .be.true();
+
+    should(response).match({
+      replay: { complete: false, count: 3 },
+      sequence: 45
+    });
+  });
+
+  describe('#snapshot', () => {
+    let captured;
+
+    beforeEach(() => {
+      captured = [];
+      kuzzle.notifier.capture.returns(captured);
+      kuzzle.storageEngine.public.search.resolves({
+        hits: [
+          { _id: 'doc1', _score: 1, _source: { firstName: 'Ada' } },
+          { _id: 'doc2', _score: 1, _source: { firstName: 'Ada' } }
+        ],
+        total: 2
+      });
+
+      request.input.args.snapshot = true;
+      request.input.args.from = 0;
+      request.input.args.size = 10;
+    });
+
+    it('should return the documents matching the subscription filters', async () => {
+      const response = await hotelClerk.addSubscription(request);
+
+      should(kuzzle.notifier.capture).calledWith('foobar');
+      should(kuzzle.storageEngine.public.refreshCollection)
+        .calledWith('foo', 'bar');
+      should(kuzzle.storageEngine.public.search).calledWith(
+        'foo',
+        'bar',
+        { query: { term: { firstName: 'Ada' } } },
+        { from: 0, size: 10 });
+
+      should(response.snapshot).match({
+        hits: [
+          { _id: 'doc1', _source: { firstName: 'Ada' } },
+          { _id: 'doc2', _source: { firstName: 'Ada' } }
+        ],
+        total: 2
+      });
+
+      should(kuzzle.notifier.releaseCapture).calledWith('foobar', captured);
+      should(kuzzle.entryPoint.joinChannel.calledBefore(kuzzle.notifier.releaseCapture))
+        .be.true();
+    });
+
+    it('should merge changes that occurred while the snapshot was taken', async () => {
+      captured.push(
+        { action: 'delete', content: { _id: 'doc1' }, scope: 'out' },
+        {
+          action: 'update',
+          content: { _id: 'doc2', _source: { firstName: 'Ada', age: 36 } },
+          scope: 'in'
+        },
+        { action: 'create', content: { _id: 'doc3', _source: { firstName: 'Ada' } }, scope: 'in' },
+        { action: 'delete', content: { _id: 'doc4' }, scope: 'out' });
+
+      const response = await hotelClerk.addSubscription(request);
+
+      should(response.snapshot).eql({
+        hits: [
+          { _id: 'doc2', _source: { firstName: 'Ada', age: 36 } },
+          { _id: 'doc3', _source: { firstName: 'Ada' } }
+        ],
+        total: 2
+      });
+    });
+
+    it('should not count documents changed outside of the snapshot page', async () => {
+      kuzzle.storageEngine.public.search.resolves({
+        hits: [ { _id: 'doc1', _score: 1, _source: { firstName: 'Ada' } } ],
+        total: 5
+      });
+      captured.push({
+        action: 'update',
+        content: { _id: 'doc3', _source: { firstName: 'Ada', age: 36 } },
+        scope: 'in'
+      });
+
+      const response = await hotelClerk.addSubscription(request);
+
+      should(response.snapshot).eql({
+        hits: [ { _id: 'doc1', _source: { firstName: 'Ada' } } ],
+        total: 5
+      });
+    });
+
+    it('should apply the channel fields projection to the snapshot', async () => {
+      request.input.args.fields = { exclude: ['firstName'] };
+      captured.push({
+        action: 'create',
+        content: { _id: 'doc3', _source: { firstName: 'Ada', age: 36 } },
+        scope: 'in'
+      });
+
+      const response = await hotelClerk.addSubscription(request);
+
+      should(response.snapshot.hits).eql([
+        { _id: 'doc1', _source: {} },
+        { _id: 'doc2', _source: {} },
+        { _id: 'doc3', _source: { age: 36 } }
+      ]);
+    });
+
+    it('should remove the newly created room if the snapshot cannot be taken', async () => {
+      const error = new Error('foo');
+      kuzzle.storageEngine.public.search.rejects(error);
+
+      await should(hotelClerk.addSubscription(request)).be.rejectedWith(error);
+
+      should(kuzzle.notifier.releaseCapture).calledWith('foobar', captured);
+      should(hotelClerk.rooms.has('foobar')).be.false();
+      should(hotelClerk.customers.has(connectionId)).be.false();
+      should(kuzzle.entryPoint.joinChannel).not.be.called();
+    });
+  });
+
   it('should discard the request if the associated connection is no longer active', () => {
     kuzzle.router.isConnectionAlive.returns(false);
     hotelClerk._createRoom = sinon.stub().throws(new Error('Should not have been called'));
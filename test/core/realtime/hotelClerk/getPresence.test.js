@@ -0,0 +1,91 @@
+'use strict';
+
+const should = require('should');
+const {
+  Request,
+  errors: {
+    NotFoundError,
+    PreconditionError
+  }
+} = require('kuzzle-common-objects');
+
+const HotelClerk = require('../../../../lib/core/realtime/hotelClerk');
+const KuzzleMock = require('../../../mocks/kuzzle.mock');
+
+describe('Test: hotelClerk.getPresence', () => {
+  let
+    kuzzle,
+    hotelClerk,
+    request;
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    hotelClerk = new HotelClerk(kuzzle);
+
+    hotelClerk.rooms.set('room', {
+      channels: {},
+      collection: 'collection',
+      customers: new Set(),
+      index: 'index'
+    });
+    hotelClerk.rooms.set('other', {
+      channels: {},
+      collection: 'collection',
+      customers: new Set(),
+      index: 'index'
+    });
+
+    hotelClerk._addRoomForCustomer('conn1', 'room', { name: 'Ada' }, 'ada');
+    hotelClerk._addRoomForCustomer('conn2', 'room', { name: 'Ada (phone)' }, 'ada');
+    hotelClerk._addRoomForCustomer('conn3', 'room', null);
+    hotelClerk._addRoomForCustomer('conn4', 'other', {}, 'grace');
+
+    request = new Request(
+      { body: { roomId: 'room' } },
+      { connectionId: 'conn1' });
+  });
+
+  it('should list the room subscribers and their volatile data', () => {
+    should(hotelClerk.getPresence(request, 0, 10)).eql({
+      members: [
+        { kuid: 'ada', volatile: { name: 'Ada' } },
+        { kuid: 'ada', volatile: { name: 'Ada (phone)' } },
+        { kuid: null, volatile: null }
+      ],
+      total: 3
+    });
+  });
+
+  it('should paginate the members list', () => {
+    should(hotelClerk.getPresence(request, 1, 1)).eql({
+      members: [ { kuid: 'ada', volatile: { name: 'Ada (phone)' } } ],
+      total: 3
+    });
+  });
+
+  it('should throw if the room does not exist', () => {
+    request.input.body.roomId = 'foo';
+
+    should(() => hotelClerk.getPresence(request, 0, 10))
+      .throw(NotFoundError, { id: 'core.realtime.room_not_found' });
+  });
+
+  it('should throw if the connection has not subscribed to the room', () => {
+    request.input.body.roomId = 'other';
+
+    should(() => hotelClerk.getPresence(request, 0, 10))
+      .throw(PreconditionError, { id: 'core.realtime.not_subscribed' });
+  });
+
+  it('should forget users of connections without subscriptions', async () => {
+    hotelClerk._removeRoomForAllCustomers('other');
+
+    should(hotelClerk.customers.has('conn4')).be.false();
+    should(hotelClerk.customersUsers.has('conn4')).be.false();
+
+    await hotelClerk._removeRoomForCustomer(request.context, 'room', false);
+
+    should(hotelClerk.customersUsers.has('conn1')).be.false();
+    should(hotelClerk.customersUsers.get('conn2')).eql('ada');
+  });
+});
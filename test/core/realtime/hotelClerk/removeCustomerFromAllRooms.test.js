@@ -40,7 +40,7 @@ describe('Test: hotelClerk.removeCustomerFromAllRooms', () => {
       customers: new Set([connectionId]),
       index,
       collection,
-      channels: ['barfoo']
+      channels: { barfoo: {} }
     });
 
     hotelClerk.roomsCount = 2;
@@ -69,6 +69,9 @@ describe('Test: hotelClerk.removeCustomerFromAllRooms', () => {
       channels: ['foobar']
     });
     should(hotelClerk.rooms).not.have.key('bar');
+    should(kuzzle.notifier.clearThrottling)
+      .be.calledOnce()
+      .be.calledWith(['barfoo']);
 
     should(hotelClerk.customers.get('a')).have.value('foo', null);
     should(hotelClerk.customers.get('b')).have.value('foo', null);
@@ -96,6 +99,51 @@ describe('Test: hotelClerk.removeCustomerFromAllRooms', () => {
       });
   });
 
+  describe('with notifications replay enabled', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      kuzzle.config.limits.subscriptionReplayBufferSize = 10;
+      kuzzle.config.limits.subscriptionReplayTTL = 60;
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should keep rooms without subscribers alive during the replay TTL', async () => {
+      await hotelClerk.removeCustomerFromAllRooms(context);
+
+      should(kuzzle.koncorde.remove).not.be.called();
+      should(hotelClerk.rooms.get('bar').customers.size).be.eql(0);
+      should(hotelClerk.lingeringRooms).have.key('bar');
+      should(hotelClerk.roomsCount).be.eql(2);
+
+      clock.tick(60000);
+
+      should(kuzzle.koncorde.remove).be.calledOnce().and.calledWith('bar');
+      should(kuzzle.notifier.releaseReplayBuffer).calledWith('bar');
+      should(hotelClerk.rooms).not.have.key('bar');
+      should(hotelClerk.lingeringRooms).be.empty();
+      should(hotelClerk.roomsCount).be.eql(1);
+    });
+
+    it('should not remove a lingering room if someone subscribed to it', async () => {
+      await hotelClerk.removeCustomerFromAllRooms(context);
+
+      hotelClerk._addRoomForCustomer('a', 'bar', null);
+
+      should(hotelClerk.lingeringRooms).be.empty();
+
+      clock.tick(60000);
+
+      should(kuzzle.koncorde.remove).not.be.called();
+      should(hotelClerk.rooms.get('bar').customers).match(new Set(['a']));
+      should(hotelClerk.roomsCount).be.eql(2);
+    });
+  });
+
   it('should log an error if a problem occurs while unsubscribing', () => {
     const error = new Error('Mocked error');
     kuzzle.koncorde.remove = sinon.stub().throws(error);
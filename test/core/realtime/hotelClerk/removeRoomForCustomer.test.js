@@ -93,7 +93,7 @@ describe ('lib/core/hotelclerk:removeRoomForCustomer', () => {
 
         should(hotelClerk._removeRoomFromRealtimeEngine)
           .be.calledOnce()
-          .be.calledWith('roomId');
+          .be.calledWithMatch('roomId', { channels: {} });
 
         should(response).be.eql('roomId');
         should(hotelClerk.roomsCount).be.eql(0);
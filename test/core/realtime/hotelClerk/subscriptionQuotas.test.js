@@ -0,0 +1,141 @@
+'use strict';
+
+const should = require('should');
+const {
+  Request,
+  errors: { SizeLimitError }
+} = require('kuzzle-common-objects');
+
+const HotelClerk = require('../../../../lib/core/realtime/hotelClerk');
+const KuzzleMock = require('../../../mocks/kuzzle.mock');
+
+describe('Test: hotelClerk subscription quotas', () => {
+  let
+    kuzzle,
+    hotelClerk,
+    profiles;
+
+  const subscribe = (connectionId, filters, kuid = 'user') => {
+    const request = new Request({
+      action: 'subscribe',
+      body: filters,
+      collection: 'collection',
+      controller: 'realtime',
+      index: 'index'
+    }, { connectionId });
+
+    request.context.user = { _id: kuid, profileIds: ['free', 'other'] };
+
+    return hotelClerk.addSubscription(request);
+  };
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    hotelClerk = new HotelClerk(kuzzle);
+
+    kuzzle.koncorde.normalize.callsFake(async (index, collection, filters) => ({
+      id: JSON.stringify(filters)
+    }));
+    kuzzle.koncorde.store.callsFake(normalized => ({ id: normalized.id }));
+
+    profiles = {
+      free: { subscriptionsPerConnection: 2, subscriptionsPerUser: 3 },
+      other: { subscriptionsPerConnection: 1, subscriptionsPerUser: 1 }
+    };
+
+    kuzzle.repositories.profile.loadProfiles.callsFake(async ids => ids
+      .map(id => profiles[id]));
+  });
+
+  it('should apply the most permissive limit per connection', async () => {
+    await subscribe('conn1', { equals: { foo: 1 } });
+    await subscribe('conn1', { equals: { foo: 2 } });
+
+    await should(subscribe('conn1', { equals: { foo: 3 } })).rejectedWith(
+      SizeLimitError,
+      {
+        id: 'core.realtime.too_many_subscriptions',
+        message: 'Unable to subscribe: maximum number of subscriptions per connection reached (max 2).'
+      });
+
+    // the room created for the rejected subscription has been removed
+    should(hotelClerk.rooms.size).eql(2);
+    should(hotelClerk.roomsCount).eql(2);
+    should(kuzzle.koncorde.remove).calledWith(JSON.stringify({ equals: { foo: 3 } }));
+
+    // subscribing to an already subscribed room is not limited
+    await subscribe('conn1', { equals: { foo: 1 } });
+  });
+
+  it('should apply the most permissive limit per user, all connections included', async () => {
+    await subscribe('conn1', { equals: { foo: 1 } });
+    await subscribe('conn2', { equals: { foo: 1 } });
+    await subscribe('conn3', { equals: { foo: 2 } });
+
+    should(hotelClerk.usersSubscriptions.get('user')).eql(3);
+
+    await should(subscribe('conn4', { equals: { foo: 3 } })).rejectedWith(
+      SizeLimitError,
+      { id: 'core.realtime.too_many_subscriptions' });
+
+    // another user is not affected
+    await subscribe('conn4', { equals: { foo: 3 } }, 'anotherUser');
+  });
+
+  it('should apply limits to concurrent subscriptions', async () => {
+    const results = await Promise.all([1, 2, 3, 4].map(foo => subscribe(
+      `conn${foo}`,
+      { equals: { foo } })
+      .then(() => 'subscribed', error => error.id)));
+
+    should(results.filter(result => result === 'subscribed')).have.length(3);
+    should(results).containEql('core.realtime.too_many_subscriptions');
+    should(hotelClerk.usersSubscriptions.get('user')).eql(3);
+
+    const connection = await Promise.all([5, 6, 7].map(foo => subscribe(
+      'conn5',
+      { equals: { foo } },
+      'anotherUser')
+      .then(() => 'subscribed', error => error.id)));
+
+    should(connection).eql([
+      'subscribed',
+      'subscribed',
+      'core.realtime.too_many_subscriptions'
+    ]);
+    should(hotelClerk.subscriptionReservations.size).eql(0);
+  });
+
+  it('should release quotas when subscriptions end', async () => {
+    await subscribe('conn1', { equals: { foo: 1 } });
+    await subscribe('conn2', { equals: { foo: 2 } });
+    await subscribe('conn2', { equals: { foo: 3 } });
+
+    await hotelClerk._removeRoomForCustomer(
+      { connection: { id: 'conn2' } },
+      JSON.stringify({ equals: { foo: 2 } }),
+      false);
+
+    should(hotelClerk.usersSubscriptions.get('user')).eql(2);
+
+    await subscribe('conn3', { equals: { foo: 4 } });
+
+    hotelClerk._removeRoomEverywhere(JSON.stringify({ equals: { foo: 1 } }));
+    should(hotelClerk.usersSubscriptions.get('user')).eql(2);
+
+    await hotelClerk.removeCustomerFromAllRooms({ connection: { id: 'conn2' } });
+    await hotelClerk.removeCustomerFromAllRooms({ connection: { id: 'conn3' } });
+    should(hotelClerk.usersSubscriptions.has('user')).be.false();
+  });
+
+  it('should not limit subscriptions if a profile has no limit', async () => {
+    profiles.other.subscriptionsPerConnection = 0;
+    profiles.other.subscriptionsPerUser = 0;
+
+    for (let i = 0; i < 5; i++) {
+      await subscribe('conn1', { equals: { foo: i } });
+    }
+
+    should(hotelClerk.customers.get('conn1').size).eql(5);
+  });
+});
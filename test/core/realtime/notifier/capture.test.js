@@ -0,0 +1,61 @@
+'use strict';
+
+const should = require('should');
+const { Request } = require('kuzzle-common-objects');
+
+const KuzzleMock = require('../../../mocks/kuzzle.mock');
+const Notifier = require('../../../../lib/core/realtime/notifier');
+
+describe('Test: notifier notifications capture', () => {
+  let
+    kuzzle,
+    request,
+    notifier;
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    notifier = new Notifier(kuzzle);
+
+    request = new Request({
+      index: 'index',
+      collection: 'collection',
+      controller: 'document',
+      action: 'create'
+    }, {protocol: 'protocol'});
+  });
+
+  it('should capture document notifications until the capture is released', async () => {
+    const captured = notifier.capture('foo');
+    const other = notifier.capture('foo');
+
+    await notifier.notifyDocument(['foo', 'bar'], request, 'in', 'create', {
+      _id: 'doc1',
+      _source: { foo: 'bar' }
+    });
+
+    should(captured).eql([
+      {
+        action: 'create',
+        content: { _id: 'doc1', _source: { foo: 'bar' } },
+        scope: 'in'
+      }
+    ]);
+    should(other).eql(captured);
+
+    notifier.releaseCapture('foo', captured);
+    should(notifier.captures.get('foo').size).eql(1);
+
+    await notifier.notifyDocument(['foo'], request, 'out', 'delete', {
+      _id: 'doc1'
+    });
+
+    should(captured).have.length(1);
+    should(other).have.length(2);
+
+    notifier.releaseCapture('foo', other);
+    should(notifier.captures.has('foo')).be.false();
+
+    // releasing an unknown capture is harmless
+    notifier.releaseCapture('foo', other);
+  });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const should = require('should');
+const { Request } = require('kuzzle-common-objects');
+
+const KuzzleMock = require('../../../mocks/kuzzle.mock');
+const Notifier = require('../../../../lib/core/realtime/notifier');
+
+describe('Test: notifier documents changes', () => {
+  let
+    kuzzle,
+    request,
+    notifier;
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    notifier = new Notifier(kuzzle);
+
+    request = new Request({
+      index: 'index',
+      collection: 'collection',
+      controller: 'document',
+      action: 'update'
+    }, {protocol: 'protocol'});
+
+    kuzzle.hotelClerk.rooms.set('foo', {
+      channels: {
+        foo_changes: { changes: true, cluster: true, scope: 'all' },
+        foo_projected: {
+          changes: true,
+          cluster: true,
+          fields: { exclude: ['secret'], include: [] },
+          scope: 'all'
+        },
+        foo_plain: { cluster: true, scope: 'all' }
+      }
+    });
+
+    kuzzle.hotelClerk.rooms.set('bar', {
+      channels: {
+        bar_plain: { cluster: true, scope: 'all' }
+      }
+    });
+  });
+
+  it('should not list changes if no subscription asked for them', async () => {
+    await notifier.notifyDocument(['bar'], request, 'in', 'update', {
+      _id: 'id',
+      _source: { foo: 'bar' }
+    }, { foo: 'baz' });
+
+    should(kuzzle.entryPoint.dispatch.firstCall.args[1].payload.result)
+      .not.have.property('_changes');
+  });
+
+  it('should tell whether changes of a collection documents are tracked', () => {
+    kuzzle.koncorde.getFilterIds.withArgs('index', 'collection').returns(['bar']);
+    kuzzle.koncorde.getFilterIds.withArgs('index', 'other').returns(['bar', 'foo']);
+
+    should(notifier.tracksChanges('index', 'collection')).be.false();
+    should(notifier.tracksChanges('index', 'other')).be.true();
+    should(notifier.tracksChanges('index', 'none')).be.false();
+  });
+
+  it('should list changes made to updated documents', async () => {
+    const previous = {
+      _kuzzle_info: { updatedAt: 1 },
+      deleted: true,
+      list: [1, 2],
+      nested: { same: 'same', value: 1 },
+      secret: 'foo',
+      unchanged: 'foo'
+    };
+
+    const content = {
+      _id: 'id',
+      _source: {
+        _kuzzle_info: { updatedAt: 2 },
+        added: 'added',
+        list: [1, 2, 3],
+        nested: { same: 'same', value: 2 },
+        secret: 'bar',
+        unchanged: 'foo'
+      }
+    };
+
+    await notifier.notifyDocument(
+      ['foo'],
+      request,
+      'in',
+      'update',
+      content,
+      previous);
+
+    should(kuzzle.emit).calledWithMatch('core:notify:document', {
+      previous: { secret: 'foo' }
+    });
+
+    const dispatch = kuzzle.entryPoint.dispatch;
+    const notifications = {};
+
+    for (const call of dispatch.getCalls()) {
+      for (const channel of call.args[1].channels) {
+        notifications[channel] = call.args[1].payload.result;
+      }
+    }
+
+    should(notifications.foo_plain).not.have.property('_changes');
+    should(notifications.foo_changes._changes).eql([
+      { path: 'deleted', previous: true },
+      { path: 'list', previous: [1, 2] },
+      { path: 'nested.value', previous: 1 },
+      { path: 'secret', previous: 'foo' },
+      { path: 'added', previous: undefined }
+    ]);
+
+    // changes are restricted to projected fields
+    should(notifications.foo_projected._changes).eql([
+      { path: 'deleted', previous: true },
+      { path: 'list', previous: [1, 2] },
+      { path: 'nested.value', previous: 1 },
+      { path: 'added', previous: undefined }
+    ]);
+  });
+
+  it('should list changes of documents updated together', async () => {
+    kuzzle.koncorde.test.returns(['foo']);
+    request.input.action = 'mUpdate';
+
+    await notifier.notifyDocumentMChanges(
+      request,
+      [ { _id: 'id', _source: { value: 2 } } ],
+      false,
+      new Map([ [ 'id', { value: 1 } ] ]));
+
+    const call = kuzzle.entryPoint.dispatch.getCalls()
+      .find(c => c.args[1].channels.includes('foo_changes'));
+
+    should(call.args[1].payload.result._changes).eql([
+      { path: 'value', previous: 1 }
+    ]);
+  });
+
+  it('should flag changes as unknown if the previous content is unknown', async () => {
+    await notifier.notifyDocument(['foo'], request, 'in', 'update', {
+      _id: 'id',
+      _source: { foo: 'bar' }
+    });
+
+    const call = kuzzle.entryPoint.dispatch.getCalls()
+      .find(c => c.args[1].channels.includes('foo_changes'));
+
+    should(call.args[1].payload.result._changes).be.null();
+  });
+});
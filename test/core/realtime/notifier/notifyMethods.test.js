@@ -78,7 +78,7 @@ describe('notify methods', () => {
         'out',
         'action',
         content,
-        { fromCluster: false });
+        { fromCluster: false, previous: null, sequences: null });
 
       should(kuzzle.emit.callCount).be.eql(1);
       should(kuzzle.emit.getCall(0).args).match([
@@ -167,6 +167,48 @@ describe('notify methods', () => {
           ['notify:dispatch', notification]);
       });
 
+      it('should send projected documents to channels with a fields projection', async () => {
+        kuzzle.hotelClerk.rooms.set('projected', {
+          channels: {
+            projected_all: { scope: 'all', cluster: true, fields: null },
+            projected_include: {
+              cluster: true,
+              fields: { exclude: ['foo.baz'], include: ['foo', 'qux'] },
+              scope: 'all'
+            }
+          }
+        });
+
+        const content = {
+          _id: 'id',
+          _source: { bar: 'bar', foo: { bar: 'bar', baz: 'baz' }, qux: 42 }
+        };
+
+        await notifier._notifyDocument(
+          ['projected', 'alwaysMatching'],
+          request,
+          'in',
+          'action',
+          content,
+          { fromCluster: false });
+
+        const dispatch = kuzzle.entryPoint.dispatch;
+
+        should(dispatch).calledTwice();
+        should(dispatch.firstCall.args[1].channels)
+          .eql(['projected_all', 'always']);
+        should(dispatch.firstCall.args[1].payload.result).eql(content);
+
+        should(dispatch.secondCall.args[1].channels).eql(['projected_include']);
+        should(dispatch.secondCall.args[1].payload.result).eql({
+          _id: 'id',
+          _source: { foo: { bar: 'bar' }, qux: 42 }
+        });
+
+        // the original content is left untouched
+        should(content._source.foo.baz).eql('baz');
+      });
+
       it('should not notify if no channel match the provided scope argument', async () => {
         const content = {some: 'content'};
 
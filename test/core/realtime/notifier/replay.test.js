@@ -0,0 +1,235 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const { Request } = require('kuzzle-common-objects');
+
+const KuzzleMock = require('../../../mocks/kuzzle.mock');
+const Notifier = require('../../../../lib/core/realtime/notifier');
+const { DocumentNotification } = require('../../../../lib/model/notification');
+
+describe('Test: notifier notifications replay', () => {
+  let
+    kuzzle,
+    request,
+    notifier;
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    notifier = new Notifier(kuzzle);
+
+    kuzzle.config.limits.subscriptionReplayBufferSize = 10;
+    kuzzle.config.limits.subscriptionReplayTTL = 60;
+
+    request = new Request({
+      index: 'index',
+      collection: 'collection',
+      controller: 'document',
+      action: 'create'
+    }, {protocol: 'protocol'});
+
+    kuzzle.hotelClerk.rooms.set('foo', {
+      channels: {
+        foo_all: { scope: 'all', users: 'none', cluster: true },
+        foo_out: { scope: 'out', users: 'none', cluster: true }
+      }
+    });
+
+    kuzzle.hotelClerk.rooms.set('bar', {
+      channels: {
+        bar_all: { scope: 'all', users: 'none', cluster: true }
+      }
+    });
+  });
+
+  describe('#notifyDocument', () => {
+    it('should neither assign sequence numbers nor buffer notifications if replay is disabled', async () => {
+      kuzzle.config.limits.subscriptionReplayBufferSize = 0;
+
+      await notifier.notifyDocument(['foo'], request, 'in', 'create', {});
+
+      should(kuzzle.cacheEngine.internal.incr).not.be.called();
+      should(kuzzle.cacheEngine.internal.lpush).not.be.called();
+      should(kuzzle.emit.firstCall.args[1].sequences).be.null();
+
+      const payload = kuzzle.entryPoint.dispatch.firstCall.args[1].payload;
+      should(payload).not.have.property('sequence');
+    });
+
+    it('should assign a sequence number per room and buffer notifications', async () => {
+      kuzzle.cacheEngine.internal.incr
+        .withArgs('{replay/foo}/sequence').resolves(12)
+        .withArgs('{replay/bar}/sequence').resolves(3);
+
+      await notifier.notifyDocument(
+        ['foo', 'bar'],
+        request,
+        'in',
+        'create',
+        { _id: 'id', _source: {} });
+
+      const cache = kuzzle.cacheEngine.internal;
+
+      should(cache.persist).calledWith('{replay/foo}/sequence');
+      should(cache.ltrim).calledWith('{replay/foo}/buffer', 0, 9);
+      should(cache.expire).calledWith('{replay/foo}/buffer', 60);
+
+      const buffered = JSON.parse(cache.lpush.withArgs('{replay/foo}/buffer').firstCall.args[1]);
+      should(buffered).match({
+        action: 'create',
+        result: { _id: 'id' },
+        scope: 'in',
+        sequence: 12
+      });
+
+      should(kuzzle.emit).calledWithMatch('core:notify:document', {
+        sequences: { bar: 3, foo: 12 }
+      });
+
+      // one notification per room, as sequence numbers differ
+      const dispatch = kuzzle.entryPoint.dispatch;
+      should(dispatch).calledTwice();
+      should(dispatch.firstCall.args[1].channels).eql(['foo_all']);
+      should(dispatch.firstCall.args[1].payload).be.instanceOf(DocumentNotification);
+      should(dispatch.firstCall.args[1].payload.sequence).eql(12);
+      should(dispatch.secondCall.args[1].channels).eql(['bar_all']);
+      should(dispatch.secondCall.args[1].payload.sequence).eql(3);
+    });
+  });
+
+  describe('#getSequence', () => {
+    it('should return null if replay is disabled', async () => {
+      kuzzle.config.limits.subscriptionReplayBufferSize = 0;
+
+      should(await notifier.getSequence('foo')).be.null();
+      should(kuzzle.cacheEngine.internal.get).not.be.called();
+    });
+
+    it('should return the current room sequence number', async () => {
+      kuzzle.cacheEngine.internal.get.resolves(null);
+      should(await notifier.getSequence('foo')).eql(0);
+
+      kuzzle.cacheEngine.internal.get.resolves('42');
+      should(await notifier.getSequence('foo')).eql(42);
+      should(kuzzle.cacheEngine.internal.get).calledWith('{replay/foo}/sequence');
+    });
+  });
+
+  describe('#replay', () => {
+    const buffered = (sequence, scope = 'in') => JSON.stringify({
+      result: { _id: `doc${sequence}` },
+      scope,
+      sequence
+    });
+    const channel = { name: 'foo_all', scope: 'all' };
+
+    it('should replay missed notifications in order, to the provided connection only', async () => {
+      kuzzle.cacheEngine.internal.get.resolves('5');
+      kuzzle.cacheEngine.internal.lrange
+        .onFirstCall().resolves([buffered(5), buffered(4), buffered(3), buffered(2)])
+        .onSecondCall().resolves([buffered(5), buffered(4), buffered(3)]);
+
+      const result = await notifier.replay('foo', channel, 'connectionId', 2);
+
+      should(result).match({ complete: true, count: 3, sequence: 5 });
+
+      const dispatch = kuzzle.entryPoint.dispatch;
+      should(dispatch).calledThrice();
+
+      for (let i = 0; i < 3; i++) {
+        should(dispatch.getCall(i).args).match(['notify', {
+          channels: ['foo_all'],
+          connectionId: 'connectionId',
+          payload: { sequence: i + 3 }
+        }]);
+      }
+
+      should(kuzzle.pipe).calledWith('notify:document');
+    });
+
+    it('should also replay notifications buffered during the replay', async () => {
+      kuzzle.cacheEngine.internal.get.resolves('3');
+      kuzzle.cacheEngine.internal.lrange
+        .onFirstCall().resolves([buffered(3)])
+        .onSecondCall().resolves([buffered(4), buffered(3)])
+        .onThirdCall().resolves([buffered(4), buffered(3)]);
+
+      const result = await notifier.replay('foo', channel, 'connectionId', 2);
+
+      should(result).match({ complete: true, count: 2, sequence: 4 });
+    });
+
+    it('should only replay notifications matching the channel scope', async () => {
+      kuzzle.cacheEngine.internal.get.resolves('3');
+      kuzzle.cacheEngine.internal.lrange
+        .onFirstCall().resolves([buffered(3, 'out'), buffered(2, 'in')])
+        .onSecondCall().resolves([]);
+
+      const result = await notifier.replay(
+        'foo',
+        { name: 'foo_out', scope: 'out' },
+        'connectionId',
+        1);
+
+      should(result).match({ complete: true, count: 1, sequence: 3 });
+      should(kuzzle.entryPoint.dispatch).calledOnce();
+      should(kuzzle.entryPoint.dispatch.firstCall.args[1].payload.sequence).eql(3);
+    });
+
+    it('should apply the channel fields projection to replayed notifications', async () => {
+      kuzzle.cacheEngine.internal.get.resolves('3');
+      kuzzle.cacheEngine.internal.lrange
+        .onFirstCall().resolves([JSON.stringify({
+          result: { _id: 'doc3', _source: { bar: 'bar', foo: 'foo' } },
+          scope: 'in',
+          sequence: 3
+        })])
+        .onSecondCall().resolves([]);
+
+      await notifier.replay(
+        'foo',
+        { fields: { exclude: [], include: ['foo'] }, name: 'foo_all', scope: 'all' },
+        'connectionId',
+        2);
+
+      should(kuzzle.entryPoint.dispatch.firstCall.args[1].payload.result).eql({
+        _id: 'doc3',
+        _source: { foo: 'foo' }
+      });
+    });
+
+    it('should flag the replay as incomplete if notifications are missing', async () => {
+      kuzzle.cacheEngine.internal.get.resolves('10');
+      kuzzle.cacheEngine.internal.lrange.resolves([buffered(10), buffered(9)]);
+      sinon.stub(notifier, '_dispatch').resolves();
+
+      let result = await notifier.replay('foo', channel, 'connectionId', 2);
+
+      should(result).match({ complete: false, count: 2, sequence: 10 });
+
+      // room sequence restarted
+      kuzzle.cacheEngine.internal.get.resolves('10');
+      result = await notifier.replay('foo', channel, 'connectionId', 20);
+
+      should(result).match({ complete: false, count: 0, sequence: 10 });
+    });
+  });
+
+  describe('#releaseReplayBuffer', () => {
+    it('should set the room sequence number to expire', async () => {
+      await notifier.releaseReplayBuffer('foo');
+
+      should(kuzzle.cacheEngine.internal.expire)
+        .calledOnce()
+        .calledWith('{replay/foo}/sequence', 60);
+    });
+
+    it('should do nothing if replay is disabled', async () => {
+      kuzzle.config.limits.subscriptionReplayBufferSize = 0;
+
+      await notifier.releaseReplayBuffer('foo');
+
+      should(kuzzle.cacheEngine.internal.expire).not.be.called();
+    });
+  });
+});
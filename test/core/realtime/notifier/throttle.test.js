@@ -0,0 +1,176 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const { Request } = require('kuzzle-common-objects');
+
+const KuzzleMock = require('../../../mocks/kuzzle.mock');
+const Notifier = require('../../../../lib/core/realtime/notifier');
+
+describe('Test: notifier notifications throttling', () => {
+  let
+    clock,
+    kuzzle,
+    request,
+    notifier;
+
+  const notified = channel => kuzzle.entryPoint.dispatch.getCalls()
+    .filter(call => call.args[1].channels.includes(channel))
+    .map(call => call.args[1].payload);
+
+  const flush = async ms => {
+    clock.tick(ms);
+    // lets dispatched notifications go through the pipes
+    for (let i = 0; i < 5; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    kuzzle = new KuzzleMock();
+    notifier = new Notifier(kuzzle);
+
+    request = new Request({
+      index: 'index',
+      collection: 'collection',
+      controller: 'document',
+      action: 'update'
+    }, {protocol: 'protocol'});
+
+    kuzzle.hotelClerk.rooms.set('foo', {
+      channels: {
+        foo_all: { cluster: true, scope: 'all', throttle: 100 },
+        foo_in: { cluster: true, scope: 'in', throttle: 100 },
+        foo_plain: { cluster: true, scope: 'all' }
+      }
+    });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  const update = (id, value, scope = 'in') => notifier._notifyDocument(
+    ['foo'],
+    request,
+    scope,
+    'update',
+    scope === 'in' ? { _id: id, _source: { value } } : { _id: id },
+    { fromCluster: false });
+
+  it('should send the first notification and coalesce the following ones', async () => {
+    for (let i = 0; i < 5; i++) {
+      await update('doc', i);
+    }
+
+    should(notified('foo_plain')).have.length(5);
+    should(notified('foo_all').map(n => n.result._source.value)).eql([0]);
+
+    await flush(100);
+
+    should(notified('foo_all').map(n => n.result._source.value)).eql([0, 4]);
+    should(notified('foo_in').map(n => n.result._source.value)).eql([0, 4]);
+
+    // a new window is opened by the trailing notification
+    await update('doc', 5);
+    should(notified('foo_all')).have.length(2);
+
+    await flush(100);
+    should(notified('foo_all').map(n => n.result._source.value)).eql([0, 4, 5]);
+
+    // window closed without pending notification
+    await flush(100);
+    should(notifier.throttled.size).eql(0);
+
+    await update('doc', 6);
+    should(notified('foo_all')).have.length(4);
+  });
+
+  it('should throttle notifications per document', async () => {
+    await update('doc1', 1);
+    await update('doc2', 1);
+    await update('doc1', 2);
+
+    should(notified('foo_all').map(n => n.result._id)).eql(['doc1', 'doc2']);
+
+    await flush(100);
+
+    should(notified('foo_all').map(n => n.result._id))
+      .eql(['doc1', 'doc2', 'doc1']);
+  });
+
+  it('should deliver the final "out" notification of a document leaving the scope', async () => {
+    await update('doc', 1);
+    await update('doc', 2);
+    await update('doc', null, 'out');
+
+    await flush(100);
+
+    should(notified('foo_all').map(n => n.scope)).eql(['in', 'out']);
+
+    // the pending notification is outdated for channels not listening
+    // to documents leaving their scope
+    should(notified('foo_in').map(n => n.scope)).eql(['in']);
+  });
+
+  it('should merge listed changes of coalesced notifications', async () => {
+    kuzzle.hotelClerk.rooms.get('foo').channels.foo_all.changes = true;
+
+    await notifier._notifyDocument(['foo'], request, 'in', 'update', {
+      _id: 'doc', _source: { a: 1, b: 1 }
+    }, { previous: { a: 0, b: 0 } });
+    await notifier._notifyDocument(['foo'], request, 'in', 'update', {
+      _id: 'doc', _source: { a: 2, b: 1 }
+    }, { previous: { a: 1, b: 1 } });
+    await notifier._notifyDocument(['foo'], request, 'in', 'update', {
+      _id: 'doc', _source: { a: 2, b: 2, c: 2 }
+    }, { previous: { a: 2, b: 1 } });
+
+    await flush(100);
+
+    const notifications = notified('foo_all');
+
+    should(notifications).have.length(2);
+    should(notifications[1].result).eql({
+      _changes: [
+        { path: 'a', previous: 1 },
+        { path: 'b', previous: 1 },
+        { path: 'c', previous: undefined }
+      ],
+      _id: 'doc',
+      _source: { a: 2, b: 2, c: 2 }
+    });
+  });
+
+  it('should drop the pending notifications of removed channels', async () => {
+    await update('doc', 1);
+    await update('doc', 2);
+
+    const timers = clock.countTimers();
+
+    notifier.clearThrottling(['foo_all', 'foo_plain']);
+
+    should(notifier.throttled).have.keys('foo_in');
+    should(clock.countTimers()).eql(timers - 1);
+
+    await flush(100);
+
+    should(notified('foo_all')).have.length(1);
+    should(notified('foo_in')).have.length(2);
+  });
+
+  it('should not throttle notifications without document identifier', async () => {
+    await notifier._notifyDocument(['foo'], request, 'in', 'publish', {
+      _id: null,
+      _source: { foo: 'bar' }
+    });
+    await notifier._notifyDocument(['foo'], request, 'in', 'publish', {
+      _id: null,
+      _source: { foo: 'bar' }
+    });
+
+    should(notified('foo_all')).have.length(2);
+    should(notifier.throttled.size).eql(0);
+  });
+});
@@ -0,0 +1,459 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const {
+  Request,
+  errors: { UnauthorizedError }
+} = require('kuzzle-common-objects');
+
+const AuditTrail = require('../../../lib/core/security/auditTrail');
+const ApiKey = require('../../../lib/model/storage/apiKey');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+
+describe('Test: security/auditTrail', () => {
+  let
+    kuzzle,
+    auditTrail,
+    clock;
+
+  const request = (data, user = { _id: 'admin' }) => {
+    const req = new Request(data, {
+      connection: { ips: ['10.0.0.1'], protocol: 'http' },
+      user
+    });
+
+    return req;
+  };
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(new Date());
+    kuzzle = new KuzzleMock();
+    kuzzle.config.security.auditTrail = { enabled: true, retention: '90d' };
+    auditTrail = new AuditTrail(kuzzle);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('#init', () => {
+    it('should periodically delete expired audit logs', () => {
+      auditTrail.init();
+
+      clock.tick(3600000);
+
+      should(kuzzle.internalIndex.deleteByQuery).calledOnce().calledWith(
+        'audit-logs',
+        { range: { timestamp: { lt: Date.now() - 7776000000 } } },
+        { fetch: false });
+    });
+
+    it('should not delete audit logs kept forever', () => {
+      kuzzle.config.security.auditTrail.retention = -1;
+      auditTrail.init();
+
+      clock.tick(3600000);
+
+      should(auditTrail.timer).be.null();
+      should(kuzzle.internalIndex.deleteByQuery).not.be.called();
+    });
+  });
+
+  describe('#audit', () => {
+    it('should only execute non-audited actions', async () => {
+      const execute = sinon.stub().resolves('result');
+
+      should(await auditTrail.audit(
+        request({ action: 'get', controller: 'document' }),
+        execute))
+        .eql('result');
+
+      should(execute).calledOnce();
+      should(kuzzle.internalIndex.create).not.be.called();
+    });
+
+    it('should not record anything if disabled', async () => {
+      kuzzle.config.security.auditTrail.enabled = false;
+
+      await auditTrail.audit(
+        request({ _id: 'foo', action: 'deleteUser', controller: 'security' }),
+        sinon.stub().resolves({ _id: 'foo' }));
+
+      should(kuzzle.internalIndex.create).not.be.called();
+    });
+
+    it('should record changes with the target state before and after', async () => {
+      kuzzle.config.security.trustedProxies = ['10.0.0.0/8'];
+      kuzzle.repositories.role.load.resolves({
+        _id: 'foo',
+        controllers: { document: { actions: { get: true } } }
+      });
+
+      const result = {
+        _id: 'foo',
+        _source: { controllers: { '*': { actions: { '*': true } } } }
+      };
+
+      const req = request({
+        _id: 'foo',
+        action: 'updateRole',
+        body: { controllers: { '*': { actions: { '*': true } } } },
+        controller: 'security'
+      });
+      req.context.connection.ips.push('1.2.3.4', '10.0.0.2');
+
+      should(await auditTrail.audit(req, async () => result)).equal(result);
+
+      should(kuzzle.repositories.role.load).calledWith('foo');
+      should(kuzzle.internalIndex.create).calledOnce().calledWith(
+        'audit-logs',
+        null,
+        {
+          action: 'updateRole',
+          actor: 'admin',
+          after: result,
+          before: {
+            _id: 'foo',
+            _source: { controllers: { document: { actions: { get: true } } } }
+          },
+          controller: 'security',
+          error: null,
+          impersonatedBy: null,
+          ip: '1.2.3.4',
+          protocol: 'http',
+          status: 'success',
+          target: { id: 'foo', strategy: null, type: 'role' },
+          timestamp: Date.now()
+        });
+    });
+
+    it('should neither load created targets nor store deleted ones', async () => {
+      await auditTrail.audit(
+        request({ _id: 'foo', action: 'createUser', controller: 'security' }),
+        async () => ({ _id: 'foo', _source: {} }));
+
+      should(kuzzle.repositories.user.load).not.be.called();
+      should(kuzzle.internalIndex.create.firstCall.args[2]).match({
+        after: { _id: 'foo', _source: {} },
+        before: null
+      });
+
+      kuzzle.repositories.user.load.resolves({ _id: 'foo', profileIds: ['default'] });
+
+      await auditTrail.audit(
+        request({ _id: 'foo', action: 'deleteUser', controller: 'security' }),
+        async () => ({ _id: 'foo' }));
+
+      should(kuzzle.internalIndex.create.secondCall.args[2]).match({
+        after: null,
+        before: { _id: 'foo', _source: { profileIds: ['default'] } }
+      });
+    });
+
+    it('should never record credentials nor API key secrets', async () => {
+      await auditTrail.audit(
+        request({
+          _id: 'foo',
+          action: 'createCredentials',
+          body: { password: 'secret' },
+          controller: 'security',
+          strategy: 'local'
+        }),
+        async () => ({ username: 'foo' }));
+
+      should(kuzzle.internalIndex.create.firstCall.args[2]).match({
+        after: null,
+        before: null,
+        target: { id: 'foo', strategy: 'local', type: 'credentials' }
+      });
+
+      sinon.stub(ApiKey, 'load').resolves({
+        serialize: () => ({
+          _id: 'key',
+          _source: { description: 'foo', fingerprint: 'hash', userId: 'foo' }
+        })
+      });
+
+      try {
+        await auditTrail.audit(
+          request({
+            _id: 'key',
+            action: 'deleteApiKey',
+            controller: 'security',
+            userId: 'foo'
+          }),
+          async () => ({ _id: 'key' }));
+
+        should(ApiKey.load).calledWith('foo', 'key');
+      }
+      finally {
+        ApiKey.load.restore();
+      }
+
+      should(kuzzle.internalIndex.create.secondCall.args[2]).match({
+        after: null,
+        before: { _id: 'key', _source: { description: 'foo', userId: 'foo' } },
+        target: { id: 'key', type: 'api-key' }
+      });
+      should(kuzzle.internalIndex.create.secondCall.args[2].before._source)
+        .not.have.property('fingerprint');
+
+      await auditTrail.audit(
+        request({ action: 'createApiKey', controller: 'security', userId: 'foo' }),
+        async () => ({
+          _id: 'key',
+          _source: { fingerprint: 'hash', token: 'jwt', userId: 'foo' }
+        }));
+
+      should(kuzzle.internalIndex.create.thirdCall.args[2]).match({
+        after: { _id: 'key', _source: { userId: 'foo' } },
+        target: { id: 'key', type: 'api-key' }
+      });
+      should(kuzzle.internalIndex.create.thirdCall.args[2].after._source)
+        .have.keys('userId');
+    });
+
+    it('should record logins and failed login attempts, but no token', async () => {
+      await auditTrail.audit(
+        request({ action: 'login', controller: 'auth', strategy: 'local' }, null),
+        async () => ({ _id: 'foo', jwt: 'jwt' }));
+
+      should(kuzzle.internalIndex.create.firstCall.args[2]).match({
+        action: 'login',
+        actor: 'foo',
+        after: null,
+        status: 'success',
+        target: { id: 'foo', strategy: 'local', type: 'session' }
+      });
+
+      const error = new UnauthorizedError('wrong password');
+
+      await should(auditTrail.audit(
+        request({ action: 'login', controller: 'auth', strategy: 'local' }, null),
+        async () => {
+          throw error;
+        }))
+        .rejectedWith(error);
+
+      should(kuzzle.internalIndex.create.secondCall.args[2]).match({
+        actor: null,
+        error: { message: 'wrong password', status: 401 },
+        status: 'failure',
+        target: { id: null, strategy: 'local', type: 'session' }
+      });
+
+      // intermediate step of a multi-step strategy
+      await auditTrail.audit(
+        request({ action: 'login', controller: 'auth', strategy: 'otp' }, null),
+        async () => ({ step: 'otp' }));
+
+      should(kuzzle.internalIndex.create).calledTwice();
+    });
+
+    it('should record refresh tokens exchanges like logins', async () => {
+      await auditTrail.audit(
+        request({ action: 'exchangeRefreshToken', controller: 'auth' }, null),
+        async () => ({ _id: 'foo', jwt: 'jwt', refreshToken: 'refresh' }));
+
+      should(kuzzle.internalIndex.create.firstCall.args[2]).match({
+        action: 'exchangeRefreshToken',
+        actor: 'foo',
+        after: null,
+        status: 'success',
+        target: { id: 'foo', type: 'session' }
+      });
+
+      const error = new UnauthorizedError('invalid refresh token');
+
+      await should(auditTrail.audit(
+        request({ action: 'exchangeRefreshToken', controller: 'auth' }, null),
+        async () => {
+          throw error;
+        }))
+        .rejectedWith(error);
+
+      should(kuzzle.internalIndex.create.secondCall.args[2]).match({
+        actor: null,
+        status: 'failure',
+        target: { id: null, type: 'session' }
+      });
+    });
+
+    it('should record impersonations, and the actions of impersonated users', async () => {
+      await auditTrail.audit(
+        request({ _id: 'foo', action: 'impersonate', controller: 'security' }),
+        async () => ({ _id: 'foo', impersonatedBy: 'admin', jwt: 'jwt' }));
+
+      should(kuzzle.internalIndex.create.firstCall.args[2]).match({
+        actor: 'admin',
+        after: null,
+        impersonatedBy: null,
+        target: { id: 'foo', type: 'userImpersonation' }
+      });
+
+      const req = request(
+        { _id: 'bar', action: 'deleteUser', controller: 'security' },
+        { _id: 'foo' });
+
+      req.context.token = { impersonatedBy: 'admin', userId: 'foo' };
+
+      await auditTrail.audit(req, async () => ({ _id: 'bar' }));
+
+      should(kuzzle.internalIndex.create.secondCall.args[2]).match({
+        actor: 'foo',
+        impersonatedBy: 'admin',
+        target: { id: 'bar', type: 'user' }
+      });
+    });
+
+    it('should record JWT signing key rotations', async () => {
+      const result = { algorithm: 'HS256', createdAt: 42, kid: 'foo' };
+
+      await auditTrail.audit(
+        request({ action: 'rotateJwtKey', controller: 'admin' }),
+        async () => result);
+
+      should(kuzzle.internalIndex.create.firstCall.args[2]).match({
+        actor: 'admin',
+        after: result,
+        before: null,
+        target: { id: 'foo', type: 'jwtKey' }
+      });
+    });
+
+    it('should record the changes users make to their own account', async () => {
+      kuzzle.repositories.user.load.resolves({ _id: 'foo', profileIds: ['default'] });
+
+      await auditTrail.audit(
+        request({ action: 'updateSelf', controller: 'auth' }, { _id: 'foo' }),
+        async () => ({ _id: 'foo', _source: { name: 'foo' } }));
+
+      should(kuzzle.repositories.user.load).calledWith('foo');
+      should(kuzzle.internalIndex.create.firstCall.args[2]).match({
+        actor: 'foo',
+        after: { _id: 'foo', _source: { name: 'foo' } },
+        before: { _id: 'foo', _source: { profileIds: ['default'] } },
+        target: { id: 'foo', type: 'user' }
+      });
+
+      await auditTrail.audit(
+        request(
+          {
+            action: 'updateMyCredentials',
+            body: { password: 'secret' },
+            controller: 'auth',
+            strategy: 'local'
+          },
+          { _id: 'foo' }),
+        async () => ({ username: 'foo' }));
+
+      should(kuzzle.internalIndex.create.secondCall.args[2]).match({
+        after: null,
+        before: null,
+        target: { id: 'foo', strategy: 'local', type: 'credentials' }
+      });
+
+      sinon.stub(ApiKey, 'load').resolves({
+        serialize: () => ({
+          _id: 'key',
+          _source: { fingerprint: 'hash', userId: 'foo' }
+        })
+      });
+
+      try {
+        await auditTrail.audit(
+          request(
+            { _id: 'key', action: 'deleteApiKey', controller: 'auth' },
+            { _id: 'foo' }),
+          async () => ({ _id: 'key' }));
+
+        should(ApiKey.load).calledWith('foo', 'key');
+      }
+      finally {
+        ApiKey.load.restore();
+      }
+
+      should(kuzzle.internalIndex.create.thirdCall.args[2]).match({
+        before: { _id: 'key', _source: { userId: 'foo' } },
+        target: { id: 'key', type: 'api-key' }
+      });
+    });
+
+    it('should record the deletion of several targets at once', async () => {
+      await auditTrail.audit(
+        request({
+          action: 'mDeleteUsers',
+          body: { ids: ['foo', 'bar', 'baz'] },
+          controller: 'security'
+        }),
+        async () => ['foo', 'bar']);
+
+      should(kuzzle.repositories.user.load).not.be.called();
+      should(kuzzle.internalIndex.create.firstCall.args[2]).match({
+        action: 'mDeleteUsers',
+        after: null,
+        before: null,
+        target: { id: ['foo', 'bar'], type: 'user' }
+      });
+
+      await auditTrail.audit(
+        request({ action: 'loadSecurities', controller: 'admin' }),
+        async () => ({ acknowledged: true }));
+
+      should(kuzzle.internalIndex.create.secondCall.args[2]).match({
+        after: null,
+        before: null,
+        target: { id: null, type: 'securities' }
+      });
+    });
+
+    it('should not record failed changes', async () => {
+      const error = new Error('failed');
+
+      await should(auditTrail.audit(
+        request({ _id: 'foo', action: 'deleteRole', controller: 'security' }),
+        async () => {
+          throw error;
+        }))
+        .rejectedWith(error);
+
+      should(kuzzle.internalIndex.create).not.be.called();
+    });
+
+    it('should not fail audited actions if their logs cannot be written', async () => {
+      kuzzle.internalIndex.create.rejects(new Error('unavailable'));
+
+      should(await auditTrail.audit(
+        request({ action: 'logout', controller: 'auth' }),
+        async () => ({ acknowledged: true })))
+        .eql({ acknowledged: true });
+
+      should(kuzzle.log.error).calledOnce();
+    });
+  });
+
+  describe('#search', () => {
+    it('should sort audit logs by date, unless specified', async () => {
+      kuzzle.internalIndex.search.resolves({
+        aggregations: undefined,
+        hits: [],
+        scrollId: 'foo',
+        total: 0
+      });
+
+      should(await auditTrail.search({ query: {} }, { size: 10 }))
+        .eql({ hits: [], scrollId: 'foo', total: 0 });
+
+      should(kuzzle.internalIndex.search).calledWith(
+        'audit-logs',
+        { query: {}, sort: [ { timestamp: 'desc' } ] },
+        { size: 10 });
+
+      await auditTrail.search({ sort: ['actor'] }, {});
+
+      should(kuzzle.internalIndex.search.secondCall.args[1])
+        .eql({ sort: ['actor'] });
+    });
+  });
+});
@@ -0,0 +1,286 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const { Request } = require('kuzzle-common-objects');
+
+const DocumentFilters = require('../../../lib/core/security/documentFilters');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+
+describe('Test: security/documentFilters', () => {
+  let
+    kuzzle,
+    documentFilters,
+    request,
+    profiles;
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    documentFilters = new DocumentFilters(kuzzle);
+
+    request = new Request({
+      action: 'search',
+      collection: 'collection',
+      controller: 'document',
+      index: 'index'
+    });
+    request.context.user = { _id: 'kuid', profileIds: ['p1', 'p2'] };
+
+    profiles = {
+      p1: {
+        getDocumentFilters: sinon.stub().resolves([]),
+        getForbiddenFields: sinon.stub().resolves([])
+      },
+      p2: {
+        getDocumentFilters: sinon.stub().resolves([]),
+        getForbiddenFields: sinon.stub().resolves([])
+      }
+    };
+
+    kuzzle.repositories.profile.loadProfiles.callsFake(async ids => ids
+      .map(id => profiles[id]));
+  });
+
+  describe('#validate', () => {
+    it('should accept filters usable both in memory and in queries', async () => {
+      await documentFilters.validate({ equals: { ownerId: '$kuid' } });
+    });
+
+    it('should reject invalid filters', async () => {
+      await should(documentFilters.validate({ foo: 'bar' }))
+        .rejectedWith({ name: 'BadRequestError' });
+
+      await should(documentFilters.validate({
+        regexp: { foo: { flags: 'i', value: 'bar' } }
+      }))
+        .rejectedWith({ id: 'core.realtime.unsupported_search_filter' });
+    });
+  });
+
+  describe('#get', () => {
+    it('should return null if the request has no user', async () => {
+      request.context.user = null;
+
+      should(await documentFilters.get(request)).be.null();
+      should(kuzzle.repositories.profile.loadProfiles).not.be.called();
+    });
+
+    it('should return null if a policy allows the action without filter', async () => {
+      profiles.p1.getDocumentFilters.resolves([{ equals: { foo: 'bar' } }]);
+      profiles.p2.getDocumentFilters.resolves([null]);
+
+      should(await documentFilters.get(request)).be.null();
+      should(profiles.p1.getDocumentFilters).calledWith(request);
+    });
+
+    it('should return null if no policy allows the action', async () => {
+      should(await documentFilters.get(request)).be.null();
+    });
+
+    it('should combine the filters of the policies allowing the action', async () => {
+      profiles.p1.getDocumentFilters.resolves([{ equals: { foo: 'bar' } }]);
+
+      should(await documentFilters.get(request)).eql({ equals: { foo: 'bar' } });
+
+      profiles.p2.getDocumentFilters.resolves([
+        { in: { ownerId: ['$kuid', 'admin'] } }
+      ]);
+
+      should(await documentFilters.get(request)).eql({
+        or: [
+          { equals: { foo: 'bar' } },
+          { in: { ownerId: ['kuid', 'admin'] } }
+        ]
+      });
+    });
+  });
+
+  describe('#getForbiddenFields', () => {
+    it('should return no field if the request has no user', async () => {
+      request.context.user = null;
+
+      should(await documentFilters.getForbiddenFields(request))
+        .eql({ read: [], write: [] });
+    });
+
+    it('should only forbid fields forbidden by all roles allowing the action', async () => {
+      profiles.p1.getForbiddenFields.resolves([
+        { read: ['foo', 'bar'], write: ['foo', 'bar', 'baz'] }
+      ]);
+
+      should(await documentFilters.getForbiddenFields(request)).eql({
+        read: ['foo', 'bar'],
+        write: ['foo', 'bar', 'baz']
+      });
+      should(profiles.p1.getForbiddenFields).calledWith(request);
+
+      profiles.p2.getForbiddenFields.resolves([
+        { read: ['bar'], write: ['foo', 'baz'] },
+        { read: ['bar', 'qux'], write: ['baz'] }
+      ]);
+
+      should(await documentFilters.getForbiddenFields(request)).eql({
+        read: ['bar'],
+        write: ['baz']
+      });
+
+      profiles.p2.getForbiddenFields.resolves([{ read: [], write: [] }]);
+
+      should(await documentFilters.getForbiddenFields(request))
+        .eql({ read: [], write: [] });
+    });
+  });
+
+  describe('#hideFields', () => {
+    it('should remove unreadable fields from a document copy', () => {
+      const document = {
+        _id: 'foo',
+        _source: { email: 'foo@bar.qux', name: 'foo', profile: { age: 42, city: 'foo' } }
+      };
+
+      should(documentFilters.hideFields([], document)).equal(document);
+      should(documentFilters.hideFields(['email', 'profile.age'], document))
+        .eql({ _id: 'foo', _source: { name: 'foo', profile: { city: 'foo' } } });
+      should(document._source.email).eql('foo@bar.qux');
+    });
+  });
+
+  describe('#findWrittenField', () => {
+    it('should return the first unwritable field changed by a content', () => {
+      const fields = ['role', 'profile.verified'];
+
+      should(documentFilters.findWrittenField(fields, { name: 'foo' })).be.null();
+      should(documentFilters.findWrittenField(fields, { profile: { age: 42 } }))
+        .be.null();
+      should(documentFilters.findWrittenField(fields, { role: null }))
+        .eql('role');
+      should(documentFilters.findWrittenField(fields, {
+        profile: { verified: true }
+      }))
+        .eql('profile.verified');
+
+      // overwriting a parent object overwrites its fields
+      should(documentFilters.findWrittenField(fields, { profile: null }))
+        .eql('profile.verified');
+      should(documentFilters.findWrittenField(['constructor'], {})).be.null();
+    });
+  });
+
+  describe('#findReadField', () => {
+    const fields = ['salary', 'profile.ssn'];
+
+    it('should return the first unreadable field referenced by a query', () => {
+      should(documentFilters.findReadField([], { range: { salary: {} } }))
+        .be.null();
+      should(documentFilters.findReadField(fields, {
+        query: { bool: { must: [ { match: { name: 'foo' } } ] } },
+        sort: [ 'name', { age: 'desc' } ]
+      }))
+        .be.null();
+
+      for (const body of [
+        { query: { range: { salary: { gt: 1000 } } } },
+        { query: { exists: { field: 'salary' } } },
+        { query: { term: { 'salary.keyword': '1000' } } },
+        { query: { multi_match: { fields: [ 'name', 'sal*' ], query: '1000' } } },
+        { query: { query_string: { query: 'foo' } } },
+        { query: { query_string: { fields: [ 'name' ], query: 'salary:1000' } } },
+        { sort: 'salary' },
+        { sort: [ { salary: { order: 'asc' } } ] },
+        { aggregations: { avg: { avg: { field: 'salary' } } } },
+        { query: { script: { script: 'doc["salary"].value > 1000' } } },
+        { sort: { _script: { script: { params: { f: 'salary' } } } } }
+      ]) {
+        should(documentFilters.findReadField(fields, body)).eql('salary');
+      }
+
+      should(documentFilters.findReadField(fields, {
+        query: { match: { 'profile.ssn': 'foo' } }
+      }))
+        .eql('profile.ssn');
+      should(documentFilters.findReadField(fields, {
+        query: { match: { 'profile.name': 'foo' } }
+      }))
+        .be.null();
+    });
+
+    it('should return the first unreadable field referenced by a filter', () => {
+      should(documentFilters.findReadField(fields, { equals: { name: 'foo' } }))
+        .be.null();
+      should(documentFilters.findReadField(fields, {
+        and: [ { equals: { name: 'foo' } }, { range: { salary: { gt: 1 } } } ]
+      }))
+        .eql('salary');
+      should(documentFilters.findReadField(fields, { exists: 'salary' }))
+        .eql('salary');
+      should(documentFilters.findReadField(fields, {
+        not: { exists: 'profile.ssn["foo"]' }
+      }))
+        .eql('profile.ssn');
+    });
+  });
+
+  describe('#restrictQuery', () => {
+    it('should leave queries untouched if there is no filter', () => {
+      const query = { match: { foo: 'bar' } };
+
+      should(documentFilters.restrictQuery(null, query)).equal(query);
+    });
+
+    it('should add the filter to the query', () => {
+      const filter = { equals: { ownerId: 'kuid' } };
+
+      should(documentFilters.restrictQuery(filter, { match: { foo: 'bar' } }))
+        .eql({
+          bool: {
+            filter: [ { term: { ownerId: 'kuid' } } ],
+            must: { match: { foo: 'bar' } }
+          }
+        });
+
+      should(documentFilters.restrictQuery(filter)).eql({
+        bool: {
+          filter: [ { term: { ownerId: 'kuid' } } ],
+          must: { match_all: {} }
+        }
+      });
+    });
+  });
+
+  describe('#test', () => {
+    const documents = [
+      { _id: 'foo', _source: { ownerId: 'kuid' } },
+      { _id: 'bar', _source: { ownerId: 'someone' } },
+      { _id: 'baz', _source: { ownerId: 'someone' } }
+    ];
+
+    it('should match all documents if there is no filter', async () => {
+      should(await documentFilters.test(null, documents)).eql([true, true, true]);
+    });
+
+    it('should test documents against the filter', async () => {
+      should(await documentFilters.test(
+        { or: [ { equals: { ownerId: 'kuid' } }, { ids: { values: ['baz'] } } ] },
+        documents))
+        .eql([true, false, true]);
+
+      should(documentFilters.koncorde.getIndexes()).be.empty();
+    });
+
+    it('should support concurrent tests of a same filter', async () => {
+      const filter = { equals: { ownerId: 'kuid' } };
+
+      const results = await Promise.all([
+        documentFilters.test(filter, documents),
+        documentFilters.test(filter, documents.slice(1)),
+        documentFilters.test(filter, documents)
+      ]);
+
+      should(results).eql([
+        [true, false, false],
+        [false, false],
+        [true, false, false]
+      ]);
+    });
+  });
+});
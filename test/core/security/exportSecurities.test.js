@@ -0,0 +1,119 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+const Repositories = require('../../../lib/core/security');
+
+describe('security/exportSecurities', () => {
+  let repositories;
+  let kuzzle;
+  let exists;
+  let getById;
+
+  const hit = (_id, _source) => ({
+    _id,
+    _source: Object.assign({ _kuzzle_info: { author: 'foo' } }, _source)
+  });
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+
+    kuzzle.internalIndex.search
+      .withArgs('roles')
+      .resolves({
+        hits: [ hit('driver', { controllers: { auth: { actions: { login: true } } } }) ],
+        scrollId: 'roles-scroll',
+        total: 1
+      });
+    kuzzle.internalIndex.search
+      .withArgs('profiles')
+      .resolves({
+        hits: [ hit('driver', { policies: [ { roleId: 'driver' } ] }) ],
+        scrollId: 'profiles-scroll',
+        total: 2
+      });
+    kuzzle.internalIndex.scroll
+      .withArgs('profiles-scroll')
+      .resolves({
+        hits: [ hit('customer', { policies: [ { roleId: 'customer' } ] }) ],
+        scrollId: 'profiles-scroll',
+        total: 2
+      });
+    kuzzle.internalIndex.search
+      .withArgs('users')
+      .resolves({
+        hits: [
+          hit('gfreeman', { disabled: true, name: 'Gordon', profileIds: ['driver'] }),
+          hit('bcalhoun', { disabled: false, profileIds: ['customer'] })
+        ],
+        scrollId: 'users-scroll',
+        total: 2
+      });
+
+    exists = sinon.stub().callsFake(async (request, kuid) => kuid === 'gfreeman');
+    getById = sinon.stub().resolves({ kuid: 'gfreeman', username: 'gfreeman' });
+
+    kuzzle.pluginsManager.listStrategies.returns(['local', 'oauth']);
+    kuzzle.pluginsManager.hasStrategyMethod
+      .callsFake((strategy, method) => strategy === 'local' || method !== 'getById');
+    kuzzle.pluginsManager.getStrategyMethod
+      .withArgs('local', 'exists').returns(exists)
+      .withArgs('local', 'getById').returns(getById);
+
+    repositories = new Repositories(kuzzle);
+  });
+
+  it('should export roles, profiles and users without metadata, with their status', async () => {
+    const securities = await repositories.exportSecurities();
+
+    should(securities).eql({
+      profiles: {
+        customer: { policies: [ { roleId: 'customer' } ] },
+        driver: { policies: [ { roleId: 'driver' } ] }
+      },
+      roles: {
+        driver: { controllers: { auth: { actions: { login: true } } } }
+      },
+      users: {
+        bcalhoun: { content: { profileIds: ['customer'] } },
+        gfreeman: {
+          content: { disabled: true, name: 'Gordon', profileIds: ['driver'] }
+        }
+      }
+    });
+
+    should(kuzzle.internalIndex.search).calledWithMatch('roles', {}, {
+      scroll: '10s',
+      size: kuzzle.config.limits.documentsFetchCount
+    });
+    should(kuzzle.internalIndex.scroll)
+      .calledOnce()
+      .calledWith('profiles-scroll', '10s');
+    should(exists).not.be.called();
+  });
+
+  it('should export user credentials on demand', async () => {
+    const securities = await repositories.exportSecurities({
+      includeCredentials: true
+    });
+
+    should(securities.users.gfreeman.credentials).eql({
+      local: { kuid: 'gfreeman', username: 'gfreeman' }
+    });
+    should(securities.users.bcalhoun.credentials).eql({});
+    should(getById).calledOnce().calledWithMatch(
+      { input: { resource: { _id: 'gfreeman' } } },
+      'gfreeman',
+      'local');
+  });
+
+  it('should not export users if asked to', async () => {
+    const securities = await repositories.exportSecurities({
+      excludeUsers: true
+    });
+
+    should(securities).not.have.property('users');
+    should(kuzzle.internalIndex.search).not.be.calledWith('users');
+  });
+});
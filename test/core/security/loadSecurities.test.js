@@ -116,6 +116,56 @@ describe('security/loadSecurities', () => {
       .be.eql(['driver']);
   });
 
+  it('should leave existing users unchanged if their content is the same', async () => {
+    kuzzle.funnel.processRequest
+      .onCall(0).resolves({
+        result: {
+          hits: [ { _id: 'gfreeman', _source: { profileIds: ['driver'] } } ]
+        }
+      })
+      .onCall(1).resolves();
+
+    await repositories.loadSecurities(
+      {
+        users: {
+          bcalhoun: securities.users.bcalhoun,
+          gfreeman: { content: { profileIds: ['driver'] } }
+        }
+      },
+      { onExistingUsers: 'overwrite' });
+
+    should(kuzzle.funnel.processRequest.callCount).be.eql(2);
+    should(kuzzle.funnel.processRequest.getCall(1).args[0].input.action)
+      .be.eql('createUser');
+    should(kuzzle.funnel.processRequest.getCall(1).args[0].input.resource._id)
+      .be.eql('bcalhoun');
+  });
+
+  it('should disable users once created', async () => {
+    kuzzle.funnel.processRequest
+      .onCall(0).resolves({ result: { hits: [] } })
+      .resolves();
+
+    await repositories.loadSecurities({
+      users: {
+        bcalhoun: { content: { disabled: false, profileIds: ['customer'] } },
+        gfreeman: { content: { disabled: true, profileIds: ['driver'] } }
+      }
+    });
+
+    const requests = kuzzle.funnel.processRequest.args
+      .map(([ request ]) => request.input);
+
+    should(requests).match([
+      { action: 'mGetUsers' },
+      { action: 'createUser', body: { content: { profileIds: ['customer'] } } },
+      { action: 'createUser', body: { content: { profileIds: ['driver'] } } },
+      { action: 'disableUser', resource: { _id: 'gfreeman' } }
+    ]);
+    should(requests[1].body.content).not.have.property('disabled');
+    should(requests[2].body.content).not.have.property('disabled');
+  });
+
   it('should reject if the securities object is null', () => {
     return should(repositories.loadSecurities(null))
       .rejectedWith(BadRequestError, {
@@ -161,4 +211,196 @@ describe('security/loadSecurities', () => {
         message: 'Invalid argument "123". Expected: object'
       });
   });
+
+  describe('dry run', () => {
+    beforeEach(() => {
+      kuzzle.internalIndex.mGet.resolves({ errors: [], items: [] });
+      kuzzle.funnel.processRequest.resolves({ result: { hits: [] } });
+    });
+
+    it('should list the roles and profiles to create, update or leave unchanged', async () => {
+      kuzzle.internalIndex.mGet
+        .withArgs('roles')
+        .resolves({
+          errors: ['customer'],
+          items: [{
+            _id: 'driver',
+            _source: Object.assign(
+              { _kuzzle_info: { author: 'foo' } },
+              securities.roles.driver)
+          }]
+        });
+      kuzzle.internalIndex.mGet
+        .withArgs('profiles')
+        .resolves({
+          errors: [],
+          items: [
+            {
+              _id: 'driver',
+              _source: Object.assign(
+                { rateLimit: 0, _kuzzle_info: { author: 'foo' } },
+                securities.profiles.driver)
+            },
+            { _id: 'customer', _source: { policies: [ { roleId: 'driver' } ] } }
+          ]
+        });
+
+      const diff = await repositories.loadSecurities(
+        { profiles: securities.profiles, roles: securities.roles },
+        { dryRun: true });
+
+      should(diff).eql({
+        profiles: {
+          created: [],
+          deleted: [],
+          unchanged: ['driver'],
+          updated: ['customer']
+        },
+        roles: {
+          created: ['customer'],
+          deleted: [],
+          unchanged: ['driver'],
+          updated: []
+        },
+        users: { created: [], deleted: [], unchanged: [], updated: [] }
+      });
+      should(kuzzle.internalIndex.mGet).calledWith('roles', ['driver', 'customer']);
+      should(kuzzle.funnel.processRequest).not.be.called();
+    });
+
+    it('should validate roles and profiles as they would be loaded', async () => {
+      const role = { _id: 'role' };
+      const profile = { _id: 'profile' };
+
+      kuzzle.repositories.role.fromDTO.resolves(role);
+      kuzzle.repositories.profile.fromDTO.resolves(profile);
+
+      await repositories.loadSecurities(
+        { profiles: securities.profiles, roles: securities.roles },
+        { dryRun: true, force: true });
+
+      should(kuzzle.repositories.role.fromDTO)
+        .calledWith(Object.assign({ _id: 'driver' }, securities.roles.driver))
+        .calledWith(Object.assign({ _id: 'customer' }, securities.roles.customer));
+      should(kuzzle.repositories.role.validateRole)
+        .calledTwice()
+        .calledWith(role, { force: true });
+
+      // profiles may use the roles about to be created
+      should(kuzzle.repositories.profile.fromDTO).calledWith(
+        Object.assign({ _id: 'driver' }, securities.profiles.driver),
+        { newRoles: ['driver', 'customer'] });
+      should(kuzzle.repositories.profile.validateProfile)
+        .calledTwice()
+        .calledWith(profile, { newRoles: ['driver', 'customer'] });
+    });
+
+    it('should reject invalid roles and profiles', async () => {
+      const error = new BadRequestError('invalid role');
+
+      kuzzle.repositories.role.validateRole.rejects(error);
+
+      await should(repositories.loadSecurities(
+        { roles: securities.roles },
+        { dryRun: true }))
+        .rejectedWith(error);
+
+      await should(repositories.loadSecurities(
+        { profiles: { foo: { rateLimit: 42 } } },
+        { dryRun: true }))
+        .rejectedWith(BadRequestError, { id: 'api.assert.missing_argument' });
+
+      should(kuzzle.repositories.profile.validateProfile).not.be.called();
+    });
+
+    it('should list the users to create, skip or overwrite', async () => {
+      kuzzle.funnel.processRequest.resolves({
+        result: { hits: [{ _id: 'gfreeman' }] }
+      });
+
+      const skip = await repositories.loadSecurities(
+        { users: securities.users },
+        { dryRun: true, onExistingUsers: 'skip' });
+
+      should(skip.users).eql({
+        created: ['bcalhoun'],
+        deleted: [],
+        unchanged: ['gfreeman'],
+        updated: []
+      });
+
+      const overwrite = await repositories.loadSecurities(
+        { users: securities.users },
+        { dryRun: true, onExistingUsers: 'overwrite' });
+
+      should(overwrite.users).eql({
+        created: ['bcalhoun'],
+        deleted: [],
+        unchanged: [],
+        updated: ['gfreeman']
+      });
+
+      // only mGetUsers requests are executed
+      should(kuzzle.funnel.processRequest).calledTwice();
+      should(kuzzle.funnel.processRequest.getCall(1).args[0].input.action)
+        .eql('mGetUsers');
+    });
+
+    it('should compare the content of existing users', async () => {
+      kuzzle.funnel.processRequest.resolves({
+        result: {
+          hits: [
+            {
+              _id: 'gfreeman',
+              _source: {
+                _kuzzle_info: { author: 'foo' },
+                disabled: false,
+                profileIds: ['driver']
+              }
+            },
+            { _id: 'bcalhoun', _source: { profileIds: ['driver'] } }
+          ]
+        }
+      });
+
+      const diff = await repositories.loadSecurities(
+        {
+          users: {
+            bcalhoun: { content: { profileIds: ['customer'] } },
+            gfreeman: { content: { profileIds: ['driver'] } }
+          }
+        },
+        { dryRun: true, onExistingUsers: 'overwrite' });
+
+      should(diff.users).eql({
+        created: [],
+        deleted: [],
+        unchanged: ['gfreeman'],
+        updated: ['bcalhoun']
+      });
+    });
+
+    it('should reject if existing users would not be loaded', async () => {
+      kuzzle.funnel.processRequest.resolves({
+        result: { hits: [{ _id: 'gfreeman' }] }
+      });
+
+      await should(repositories.loadSecurities(
+        { users: securities.users },
+        { dryRun: true }))
+        .rejectedWith(BadRequestError, { id: 'security.user.prevent_overwrite' });
+
+      await should(repositories.loadSecurities(
+        { users: securities.users },
+        { dryRun: true, onExistingUsers: 'foo' }))
+        .rejectedWith(BadRequestError, { id: 'api.assert.unexpected_argument' });
+    });
+
+    it('should reject if securities contain non-object properties', () => {
+      return should(repositories.loadSecurities(
+        { roles: { foo: 123 } },
+        { dryRun: true }))
+        .rejectedWith(BadRequestError, { id: 'api.assert.invalid_argument' });
+    });
+  });
 });
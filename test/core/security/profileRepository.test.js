@@ -482,4 +482,34 @@ describe('Test: security/profileRepository', () => {
     });
   });
 
+  describe('#validateProfile', () => {
+    it('should validate a profile without saving it', async () => {
+      profileRepository.persistToDatabase = sinon.stub().resolves();
+
+      await profileRepository.validateProfile(testProfile);
+
+      should(kuzzle.repositories.role.loadRoles)
+        .calledWith(['test', 'test2']);
+      should(profileRepository.persistToDatabase).not.be.called();
+      should(kuzzle.emit).not.be.called();
+    });
+
+    it('should not look for the roles about to be created', async () => {
+      await profileRepository.validateProfile(
+        testProfile,
+        { newRoles: ['test2'] });
+
+      should(kuzzle.repositories.role.loadRoles).calledWith(['test']);
+    });
+
+    it('should reject invalid profiles', () => {
+      testProfile.policies.push({ roleId: 'test3', foo: 'bar' });
+
+      return should(profileRepository.validateProfile(testProfile))
+        .rejectedWith(BadRequestError, {
+          id: 'api.assert.unexpected_argument'
+        });
+    });
+  });
+
 });
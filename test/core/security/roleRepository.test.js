@@ -455,6 +455,38 @@ describe('Test: security/roleRepository', () => {
         });
     });
   });
+  describe('#validateRole', () => {
+    it('should check the role rights without saving it', async () => {
+      const role = new Role();
+
+      role._id = 'test';
+      role.controllers = { controller: { actions: { action: true } } };
+      roleRepository.checkRoleNativeRights = sinon.stub();
+      roleRepository.checkRolePluginsRights = sinon.stub();
+      roleRepository.persistToDatabase = sinon.stub().resolves();
+
+      await roleRepository.validateRole(role, { force: true });
+
+      should(roleRepository.checkRoleNativeRights).calledWith(role);
+      should(roleRepository.checkRolePluginsRights)
+        .calledWith(role, { force: true });
+      should(roleRepository.persistToDatabase).not.be.called();
+      should(kuzzle.emit).not.be.called();
+    });
+
+    it('should reject invalid roles', () => {
+      const role = new Role();
+
+      role._id = 'anonymous';
+      role.controllers = { auth: { actions: { login: false } } };
+
+      return should(roleRepository.validateRole(role))
+        .rejectedWith(BadRequestError, {
+          id: 'security.role.login_required'
+        });
+    });
+  });
+
   describe('#checkRoleNativeRights', () => {
     beforeEach(async () => {
       kuzzle.funnel = new Funnel(kuzzle);
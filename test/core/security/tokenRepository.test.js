@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto = require('crypto');
 const ms = require('ms');
 const jwt = require('jsonwebtoken');
 const Bluebird = require('bluebird');
@@ -9,11 +10,14 @@ const sinon = require('sinon');
 const Token = require('../../../lib/model/security/token');
 const User = require('../../../lib/model/security/user');
 const TokenRepository = require('../../../lib/core/security/tokenRepository');
+const JwtKeyring = require('../../../lib/core/auth/jwtKeyring');
+const kerror = require('../../../lib/kerror');
 const {
   models: { RequestContext },
   errors: {
     BadRequestError,
     InternalError: KuzzleInternalError,
+    NotFoundError,
     UnauthorizedError
   }
 } = require('kuzzle-common-objects');
@@ -25,14 +29,25 @@ describe('Test: security/tokenRepository', () => {
     kuzzle,
     tokenRepository;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     kuzzle = new KuzzleMock();
     kuzzle.config.security.jwt.secret = 'test-secret';
+    kuzzle.internalIndex.get.rejects(
+      kerror.get('services', 'storage', 'not_found', 'foo', 'kuzzle', 'config'));
+
+    // tokens without a "kid" header are verified with the configured secret
+    kuzzle.jwtKeyring = new JwtKeyring(kuzzle);
+    await kuzzle.jwtKeyring.init();
+
     tokenRepository = new TokenRepository(kuzzle);
 
     return tokenRepository.init();
   });
 
+  afterEach(() => {
+    clearInterval(kuzzle.jwtKeyring.timer);
+  });
+
   describe('#constructor', () => {
     it('should take into account the options given', () => {
       const repository = new TokenRepository(kuzzle, { ttl: 1000 });
@@ -74,8 +89,14 @@ describe('Test: security/tokenRepository', () => {
   });
 
   describe('#verifyToken', () => {
+    let user;
+
     beforeEach(() => {
       tokenRepository.cacheEngine.get.resolves(null);
+
+      user = new User();
+      user._id = 'auser';
+      kuzzle.repositories.user.load.resolves(user);
     });
 
     it('should reject the promise if the jwt is invalid', () => {
@@ -118,6 +139,23 @@ describe('Test: security/tokenRepository', () => {
         });
     });
 
+    it('should verify tokens with the key they were signed with', async () => {
+      const _id = 'auser';
+      const token = kuzzle.jwtKeyring.sign({ _id });
+
+      tokenRepository.cacheEngine.get
+        .withArgs(tokenRepository.getCacheKey(`${_id}#${token}`))
+        .resolves(JSON.stringify({ _id, jwt: token }));
+
+      should(await tokenRepository.verifyToken(token)).match({ _id, jwt: token });
+
+      await should(tokenRepository.verifyToken(jwt.sign(
+        { _id },
+        kuzzle.config.security.jwt.secret,
+        { keyid: 'unknown' })))
+        .be.rejectedWith(UnauthorizedError, { id: 'security.token.invalid' });
+    });
+
     it('should load the anonymous user if the token is null', () => {
       return tokenRepository.verifyToken(null)
         .then(userToken => assertIsAnonymous(userToken));
@@ -150,6 +188,56 @@ describe('Test: security/tokenRepository', () => {
           should(tokenRepository.cacheEngine.expire).not.be.called();
         });
     });
+
+    it('should reject tokens of disabled or expired accounts', async () => {
+      const token = kuzzle.jwtKeyring.sign({ _id: 'auser' });
+
+      tokenRepository.cacheEngine.get
+        .withArgs(tokenRepository.getCacheKey(`auser#${token}`))
+        .resolves(JSON.stringify({ _id: `auser#${token}`, jwt: token, userId: 'auser' }));
+
+      user.disabled = true;
+
+      await should(tokenRepository.verifyToken(token)).rejectedWith(
+        UnauthorizedError,
+        { id: 'security.user.disabled' });
+
+      user.disabled = false;
+      user.expiresAt = Date.now() - 1000;
+
+      await should(tokenRepository.verifyToken(token)).rejectedWith(
+        UnauthorizedError,
+        { id: 'security.user.expired' });
+
+      should(kuzzle.repositories.user.load).calledWith('auser');
+
+      user.expiresAt = Date.now() + 60000;
+
+      should(await tokenRepository.verifyToken(token)).match({ userId: 'auser' });
+    });
+
+    it('should reject impersonation tokens issued by disabled accounts', async () => {
+      const
+        token = kuzzle.jwtKeyring.sign({ _id: 'auser', impersonatedBy: 'admin' }),
+        admin = new User();
+
+      admin._id = 'admin';
+      admin.disabled = true;
+      kuzzle.repositories.user.load.withArgs('admin').resolves(admin);
+
+      tokenRepository.cacheEngine.get
+        .withArgs(tokenRepository.getCacheKey(`auser#${token}`))
+        .resolves(JSON.stringify({
+          _id: `auser#${token}`,
+          impersonatedBy: 'admin',
+          jwt: token,
+          userId: 'auser'
+        }));
+
+      await should(tokenRepository.verifyToken(token)).rejectedWith(
+        UnauthorizedError,
+        { id: 'security.user.disabled', message: 'User "admin" is disabled.' });
+    });
   });
 
   describe('#generateToken', () => {
@@ -194,7 +282,8 @@ describe('Test: security/tokenRepository', () => {
           kuzzle.config.security.jwt.secret,
           {
             algorithm: kuzzle.config.security.jwt.algorithm,
-            expiresIn: ms(kuzzle.config.security.jwt.expiresIn) / 1000
+            expiresIn: ms(kuzzle.config.security.jwt.expiresIn) / 1000,
+            keyid: kuzzle.jwtKeyring.current.kid
           });
       user._id = 'userInCache';
       const persistForUserSpy = sinon.spy(tokenRepository, 'persistForUser');
@@ -211,6 +300,41 @@ describe('Test: security/tokenRepository', () => {
         });
     });
 
+    it('should tell who impersonates the user of impersonation tokens', async () => {
+      const user = new User();
+      user._id = 'foo';
+
+      const token = await tokenRepository.generateToken(
+        user,
+        'connectionId',
+        { impersonatedBy: 'admin' });
+
+      should(token.impersonatedBy).eql('admin');
+      should(jwt.decode(token.jwt)).match({ _id: 'foo', impersonatedBy: 'admin' });
+      should(tokenRepository.cacheEngine.setex).calledWithMatch(
+        'repos/kuzzle/token/' + token._id,
+        3600,
+        sinon.match('"impersonatedBy":"admin"'));
+    });
+
+    it('should not issue tokens outliving the account of their user', async () => {
+      const user = new User();
+      user._id = 'foo';
+      user.expiresAt = Date.now() + 60000;
+
+      const token = await tokenRepository.generateToken(user, 'connectionId');
+
+      should(token.ttl).be.approximately(60000, 1000);
+      should(token.expiresAt).be.approximately(user.expiresAt, 1000);
+
+      const apiKeyToken = await tokenRepository.generateToken(
+        user,
+        'connectionId',
+        { apiKey: true, expiresIn: -1 });
+
+      should(apiKeyToken.expiresAt).eql(-1);
+    });
+
     it('should return an internal error if an error occurs when generating token', () => {
       const user = new User();
 
@@ -375,6 +499,8 @@ describe('Test: security/tokenRepository', () => {
 
           should(kuzzle.tokenManager.expire)
             .calledWithMatch({userId: 'foo', _id: 'baz', expiresAt: 3});
+
+          should(kuzzle.refreshTokens.revokeUser).calledWith('foo');
         });
     });
 
@@ -403,6 +529,110 @@ describe('Test: security/tokenRepository', () => {
         });
     });
   });
+
+  describe('#sessions', () => {
+    const sha256 = string => crypto.createHash('sha256').update(string).digest('hex');
+
+    beforeEach(() => {
+      sinon.stub(tokenRepository, 'refreshCacheTTL');
+      tokenRepository.cacheEngine.searchKeys.resolves([
+        'repos/kuzzle/token/foo#jwt1',
+        'repos/kuzzle/token/foo#jwt2',
+        'repos/kuzzle/token/foo#apikey'
+      ]);
+
+      tokenRepository.cacheEngine.get
+        .withArgs('repos/kuzzle/token/foo#jwt1')
+        .resolves(JSON.stringify({
+          _id: 'foo#jwt1',
+          createdAt: 1,
+          expiresAt: 10,
+          ip: '1.2.3.4',
+          jwt: 'jwt1',
+          protocol: 'http',
+          userId: 'foo'
+        }));
+      tokenRepository.cacheEngine.get
+        .withArgs('repos/kuzzle/token/foo#jwt2')
+        .resolves(JSON.stringify({
+          _id: 'foo#jwt2',
+          createdAt: 2,
+          expiresAt: 20,
+          impersonatedBy: 'admin',
+          jwt: 'jwt2',
+          protocol: 'websocket',
+          userId: 'foo'
+        }));
+      tokenRepository.cacheEngine.get
+        .withArgs('repos/kuzzle/token/foo#apikey')
+        .resolves(JSON.stringify({
+          _id: 'foo#apikey',
+          apiKey: true,
+          expiresAt: -1,
+          jwt: 'apikey',
+          userId: 'foo'
+        }));
+
+      kuzzle.tokenManager.getConnections.returns([]);
+      kuzzle.tokenManager.getConnections
+        .withArgs(sinon.match({ _id: 'foo#jwt2' }))
+        .returns([ { _id: 'connection', subscriptions: 2 } ]);
+    });
+
+    it('should list user sessions, without disclosing their tokens', async () => {
+      const sessions = await tokenRepository.listSessions(
+        'foo',
+        new Token({ _id: 'foo#jwt1' }));
+
+      should(tokenRepository.cacheEngine.searchKeys)
+        .calledWith('repos/kuzzle/token/foo#*');
+      should(sessions).eql([
+        {
+          _id: sha256('jwt2'),
+          connections: [ { _id: 'connection', subscriptions: 2 } ],
+          createdAt: 2,
+          current: false,
+          expiresAt: 20,
+          impersonatedBy: 'admin',
+          ip: null,
+          protocol: 'websocket'
+        },
+        {
+          _id: sha256('jwt1'),
+          connections: [],
+          createdAt: 1,
+          current: true,
+          expiresAt: 10,
+          impersonatedBy: null,
+          ip: '1.2.3.4',
+          protocol: 'http'
+        }
+      ]);
+    });
+
+    it('should revoke a single session', async () => {
+      await tokenRepository.revokeSession('foo', sha256('jwt2'));
+
+      should(tokenRepository.cacheEngine.expire)
+        .calledOnce()
+        .calledWith('repos/kuzzle/token/foo#jwt2', -1);
+      should(kuzzle.tokenManager.expire)
+        .calledOnce()
+        .calledWithMatch({ _id: 'foo#jwt2' });
+      should(kuzzle.refreshTokens.revokeSession)
+        .calledWith('foo', sha256('jwt2'));
+    });
+
+    it('should not revoke unknown sessions nor API keys', async () => {
+      for (const id of ['unknown', sha256('apikey')]) {
+        await should(tokenRepository.revokeSession('foo', id)).rejectedWith(
+          NotFoundError,
+          { id: 'security.token.session_not_found' });
+      }
+
+      should(tokenRepository.cacheEngine.expire).not.be.called();
+    });
+  });
 });
 
 function assertIsAnonymous (token) {
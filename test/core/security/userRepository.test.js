@@ -183,6 +183,38 @@ describe('Test: security/userRepository', () => {
       should(user._id).match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
     });
 
+    it('should clean up the real-time subscriptions of inactive users', async () => {
+      const user = new User();
+      user._id = 'foo';
+      user.profileIds = ['a profile'];
+
+      await userRepository.persist(user);
+
+      should(kuzzle.tokenManager.expireUser).not.be.called();
+      should(kuzzle.tokenManager.setUserExpiry).calledWith('foo', null);
+
+      user.expiresAt = Date.now() + 1000;
+      await userRepository.persist(user);
+
+      should(kuzzle.tokenManager.setUserExpiry)
+        .calledWith('foo', user.expiresAt);
+      should(kuzzle.tokenManager.expireUser).not.be.called();
+
+      user.expiresAt = Date.now() - 1000;
+      await userRepository.persist(user);
+
+      should(kuzzle.tokenManager.expireUser)
+        .calledOnce()
+        .calledWith('foo', 'User Account Expired');
+
+      user.disabled = true;
+      await userRepository.persist(user);
+
+      should(kuzzle.tokenManager.expireUser)
+        .calledTwice()
+        .calledWith('foo', 'User Account Disabled');
+    });
+
     it('should reject if we try to remove the anonymous profile from the anonymous user', () => {
       return should(userRepository.anonymous()
         .then(user => {
@@ -42,16 +42,9 @@ describe('InternalIndexBootstrap', () => {
   });
 
   describe('#startOrWait', () => {
-    let
-      safeBootstrapStartOrWait,
-      jwtSecret;
+    let safeBootstrapStartOrWait;
 
     beforeEach(() => {
-      jwtSecret = 'i-am-the-secret-now';
-
-      internalIndexBootstrap.createInternalCollections = sinon.stub().resolves();
-      internalIndexBootstrap._getJWTSecret = sinon.stub().resolves(jwtSecret);
-
       safeBootstrapStartOrWait = SafeBootstrap.prototype.startOrWait;
       SafeBootstrap.prototype.startOrWait = sinon.stub().resolves();
     });
@@ -60,22 +53,17 @@ describe('InternalIndexBootstrap', () => {
       SafeBootstrap.prototype.startOrWait = safeBootstrapStartOrWait;
     });
 
-    it('create internal index, call parent method and set JWT secret', async () => {
+    it('create internal collections and call parent method', async () => {
       await internalIndexBootstrap.startOrWait();
 
       sinon.assert.callOrder(
-        SafeBootstrap.prototype.startOrWait,
-        internalIndexBootstrap._getJWTSecret
-      );
-
-      should(kuzzle.config.security.jwt.secret)
-        .be.eql('i-am-the-secret-now');
+        internalIndexStorage.createCollections,
+        SafeBootstrap.prototype.startOrWait);
     });
   });
 
   describe('#_bootstrapSequence', () => {
     beforeEach(() => {
-      internalIndexBootstrap._persistJWTSecret = sinon.stub().resolves();
       internalIndexBootstrap.createInitialSecurities = sinon.stub().resolves();
       internalIndexBootstrap.createInitialValidations = sinon.stub().resolves();
     });
@@ -86,7 +74,6 @@ describe('InternalIndexBootstrap', () => {
       sinon.assert.callOrder(
         internalIndexBootstrap.createInitialSecurities,
         internalIndexBootstrap.createInitialValidations,
-        internalIndexBootstrap._persistJWTSecret,
         internalIndexStorage.create
       );
     });
@@ -140,45 +127,6 @@ describe('InternalIndexBootstrap', () => {
     });
   });
 
-  describe('#_getJWTSecret', () => {
-    it('should return the secret if it\'s already present in memory', async () => {
-      kuzzle.config.security.jwt.secret = 'i-am-the-secret';
-
-      const jwt = await internalIndexBootstrap._getJWTSecret();
-
-      should(jwt).be.eql('i-am-the-secret');
-      should(internalIndexStorage.get).not.be.called();
-    });
-
-    it('should get the secret from storage if it exists', async () => {
-      internalIndexStorage.get.resolves({ _source: { seed: 'i-am-another-secret' } });
-
-      const jwt = await internalIndexBootstrap._getJWTSecret();
-
-      should(jwt).be.eql('i-am-another-secret');
-      should(internalIndexStorage.get).be.calledWith('config', internalIndexBootstrap._JWT_SECRET_ID);
-    });
-  });
-
-  describe('#_persistJWTSecret', () => {
-    it('should persist the secret from the memory if it\'s exists', async () => {
-      kuzzle.config.security.jwt.secret = 'i-am-the-secret';
-
-      await internalIndexBootstrap._persistJWTSecret();
-
-      should(internalIndexStorage.create).be.calledWith(
-        'config',
-        internalIndexBootstrap._JWT_SECRET_ID,
-        { seed: 'i-am-the-secret' });
-    });
-
-    it('should generate and persist a random secret', async () => {
-      await internalIndexBootstrap._persistJWTSecret();
-
-      should(internalIndexStorage.create).be.called();
-    });
-  });
-
   describe('#_loadApiKeys', () => {
     it('should load API key tokens to Redis cache', async () => {
       const batchExecuteStub = sinon
@@ -192,8 +140,8 @@ describe('InternalIndexBootstrap', () => {
 
       should(batchExecuteStub).be.calledWith({ match_all: {} });
       should(kuzzle.repositories.token.persistForUser)
-        .be.calledWith('encoded-token-1', 'user-id-1', 42)
-        .be.calledWith('encoded-token-2', 'user-id-2', -1);
+        .be.calledWith('encoded-token-1', 'user-id-1', 42, { apiKey: true, restriction: null })
+        .be.calledWith('encoded-token-2', 'user-id-2', -1, { apiKey: true, restriction: null });
     });
   });
 });
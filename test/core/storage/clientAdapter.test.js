@@ -305,4 +305,276 @@ describe('ClientAdapter', () => {
         });
     });
   });
+
+  describe('document history', () => {
+    const previous = { _id: 'foo', _source: { name: 'previous' } };
+    let history;
+
+    beforeEach(() => {
+      history = {
+        deleteCollection: sinon.stub().resolves(),
+        deleteIndexes: sinon.stub().resolves(),
+        isEnabled: sinon.stub().returns(true),
+        record: sinon.stub().resolves(),
+        writeLimit: 10
+      };
+
+      clientAdapter = new ClientAdapter(elasticsearch, indexCache, history);
+
+      elasticsearch.mGet.resolves({ errors: [], items: [ previous ] });
+      elasticsearch.batchExecute.callsFake(async (i, c, q, callback) => {
+        callback([ { _id: 'foo', _index: '&index.collection', _source: previous._source } ]);
+      });
+    });
+
+    it('should not fetch documents if history is not enabled on the collection', async () => {
+      history.isEnabled.returns(false);
+      elasticsearch.update.resolves('ret');
+
+      const ret = await clientAdapter.update('index', 'collection', 'foo', {});
+
+      should(ret).eql('ret');
+      should(history.isEnabled).calledWith('index', 'collection');
+      should(elasticsearch.mGet).not.be.called();
+      should(history.record).not.be.called();
+    });
+
+    it('should store the previous version of written documents', async () => {
+      elasticsearch.update.resolves({ _id: 'foo', _source: {} });
+
+      const ret = await clientAdapter.update(
+        'index',
+        'collection',
+        'foo',
+        { name: 'current' },
+        { refresh: 'wait_for' });
+
+      should(ret).eql({ _id: 'foo', _source: {} });
+      should(elasticsearch.mGet).calledWith('index', 'collection', ['foo']);
+      should(elasticsearch.update).calledWith(
+        'index',
+        'collection',
+        'foo',
+        { name: 'current' },
+        { refresh: 'wait_for' });
+      should(history.record).calledWith(
+        'index',
+        'collection',
+        [ previous ],
+        'update');
+      should(elasticsearch.mGet.calledBefore(elasticsearch.update)).be.true();
+    });
+
+    it('should only store the previous version of successfully written documents', async () => {
+      elasticsearch.mGet.resolves({
+        errors: [],
+        items: [ previous, { _id: 'bar', _source: {} } ]
+      });
+      elasticsearch.mReplace.resolves({
+        errors: [ { document: { _id: 'bar' } } ],
+        items: [ { _id: 'foo' } ]
+      });
+
+      await clientAdapter.mReplace('index', 'collection', [
+        { _id: 'foo', body: {} },
+        { _id: 'bar', body: {} },
+        { body: {} }
+      ]);
+
+      should(elasticsearch.mGet).calledWith('index', 'collection', ['foo', 'bar']);
+      should(history.record).calledWith(
+        'index',
+        'collection',
+        [ previous ],
+        'mReplace');
+    });
+
+    it('should store the previous version of documents overwritten by imports', async () => {
+      elasticsearch.mGet.resolves({
+        errors: [],
+        items: [ previous, { _id: 'bar', _source: {} } ]
+      });
+      elasticsearch.import.resolves({
+        errors: [ { update: { _id: 'bar', status: 404 } } ],
+        items: [
+          { index: { _id: 'foo', status: 200 } },
+          { create: { _id: 'baz', status: 201 } }
+        ]
+      });
+
+      await clientAdapter.import('index', 'collection', [
+        { index: { _id: 'foo' } },
+        { name: 'current' },
+        { update: { _id: 'bar' } },
+        { doc: { name: 'current' } },
+        { create: { _id: 'baz' } },
+        { name: 'current' },
+        { index: {} },
+        { name: 'current' }
+      ]);
+
+      should(elasticsearch.mGet).calledWith('index', 'collection', ['foo', 'bar']);
+      should(history.record).calledWith(
+        'index',
+        'collection',
+        [ previous ],
+        'import');
+    });
+
+    it('should fetch the documents matched by queries', async () => {
+      const query = { match: { name: 'previous' } };
+
+      elasticsearch.deleteByQuery.resolves({ documents: [ { _id: 'foo' } ] });
+
+      await clientAdapter.deleteByQuery('index', 'collection', query);
+
+      should(elasticsearch.batchExecute).calledWithMatch(
+        'index',
+        'collection',
+        query);
+      should(history.record).calledWith(
+        'index',
+        'collection',
+        [ previous ],
+        'deleteByQuery');
+    });
+
+    it('should not fetch more documents than the write limit', async () => {
+      const query = { match: { name: 'previous' } };
+
+      elasticsearch.count.resolves(11);
+
+      await should(clientAdapter.updateByQuery(
+        'index',
+        'collection',
+        query,
+        { name: 'current' }))
+        .rejectedWith({ id: 'services.storage.write_limit_exceeded' });
+
+      should(elasticsearch.count)
+        .calledWith('index', 'collection', { query });
+      should(elasticsearch.batchExecute).not.be.called();
+      should(elasticsearch.updateByQuery).not.be.called();
+    });
+
+    it('should not store anything if the write fails', async () => {
+      const error = new Error('foo');
+
+      elasticsearch.delete.rejects(error);
+
+      await should(clientAdapter.delete('index', 'collection', 'foo'))
+        .rejectedWith(error);
+
+      should(history.record).not.be.called();
+    });
+
+    it('should delete the history of deleted collections and indexes', async () => {
+      await clientAdapter.deleteCollection('index', 'collection');
+      should(history.deleteCollection).calledWith('index', 'collection');
+
+      await clientAdapter.deleteIndex('index');
+      should(history.deleteIndexes).calledWith(['index']);
+
+      await clientAdapter.deleteIndexes(['index1', 'index2']);
+      should(history.deleteIndexes).calledWith(['index1', 'index2']);
+    });
+  });
+
+  describe('soft delete', () => {
+    let softDelete;
+
+    beforeEach(() => {
+      softDelete = {
+        delete: sinon.stub().resolves('soft'),
+        getDeleted: sinon.stub().resolves('deleted'),
+        import: sinon.stub().resolves('imported'),
+        isEnabled: sinon.stub().returns(true),
+        mCreateOrReplace: sinon.stub().resolves('written'),
+        restore: sinon.stub().resolves('restored'),
+        searchDeleted: sinon.stub().resolves('trash')
+      };
+
+      clientAdapter = new ClientAdapter(elasticsearch, indexCache, null, softDelete);
+    });
+
+    it('should execute methods changed by soft delete with the trash bin', async () => {
+      const ret = await clientAdapter.delete(
+        'index',
+        'collection',
+        'foo',
+        { refresh: 'wait_for' });
+
+      should(ret).eql('soft');
+      should(softDelete.isEnabled).calledWith('index', 'collection');
+      should(softDelete.delete).calledWith(
+        'index',
+        'collection',
+        'foo',
+        { refresh: 'wait_for' });
+      should(elasticsearch.delete).not.be.called();
+
+      should(await clientAdapter.import('index', 'collection', [], {}))
+        .eql('imported');
+      should(await clientAdapter.mCreateOrReplace('index', 'collection', [], {}))
+        .eql('written');
+      should(elasticsearch.import).not.be.called();
+      should(elasticsearch.mCreateOrReplace).not.be.called();
+    });
+
+    it('should execute other methods with the storage client', async () => {
+      elasticsearch.create.resolves('created');
+
+      should(await clientAdapter.create('index', 'collection', {})).eql('created');
+
+      softDelete.isEnabled.returns(false);
+      elasticsearch.delete.resolves('hard');
+
+      should(await clientAdapter.delete('index', 'collection', 'foo')).eql('hard');
+      should(softDelete.delete).not.be.called();
+    });
+
+    it('should expose the trash bin methods', async () => {
+      should(await clientAdapter.getDeleted('index', 'collection', 'foo'))
+        .eql('deleted');
+      should(await clientAdapter.restore('index', 'collection', 'foo', {}))
+        .eql('restored');
+      should(await clientAdapter.searchDeleted('index', 'collection', {}, {}))
+        .eql('trash');
+
+      should(softDelete.restore).calledWith('index', 'collection', 'foo', {});
+
+      indexCache.exists.returns(false);
+
+      should(() => clientAdapter.getDeleted('index', 'collection', 'foo'))
+        .throw({ id: 'services.storage.unknown_index' });
+    });
+
+    it('should store the previous version of soft deleted documents', async () => {
+      const history = {
+        isEnabled: sinon.stub().returns(true),
+        record: sinon.stub().resolves()
+      };
+      const previous = { _id: 'foo', _source: { name: 'previous' } };
+
+      clientAdapter = new ClientAdapter(elasticsearch, indexCache, history, softDelete);
+      elasticsearch.mGet.resolves({ errors: [], items: [ previous ] });
+
+      await clientAdapter.delete('index', 'collection', 'foo');
+
+      should(softDelete.delete).calledOnce();
+      should(elasticsearch.delete).not.be.called();
+      should(history.record).calledWith(
+        'index',
+        'collection',
+        [ previous ],
+        'delete');
+    });
+
+    it('should not be available on clients without trash bin', () => {
+      clientAdapter = new ClientAdapter(elasticsearch, indexCache);
+
+      should(clientAdapter.restore).be.undefined();
+      should(clientAdapter.searchDeleted).be.undefined();
+    });
+  });
 });
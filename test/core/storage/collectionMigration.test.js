@@ -0,0 +1,202 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const {
+  errors: {
+    BadRequestError,
+    NotFoundError,
+    PreconditionError
+  }
+} = require('kuzzle-common-objects');
+
+const CollectionMigration = require('../../../lib/core/storage/collectionMigration');
+const kerror = require('../../../lib/kerror');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+
+describe('Test: storage/collectionMigration', () => {
+  let
+    kuzzle,
+    storage,
+    migration,
+    clock;
+
+  const config = { mappings: { properties: { city: { type: 'keyword' } } } };
+
+  beforeEach(() => {
+    // progress is saved periodically
+    clock = sinon.useFakeTimers({
+      toFake: ['Date', 'setInterval', 'clearInterval']
+    });
+    kuzzle = new KuzzleMock();
+    kuzzle.cacheEngine.internal.set.resolves('OK');
+
+    storage = kuzzle.storageEngine.public;
+    storage.collectionExists.resolves(true);
+
+    migration = new CollectionMigration(kuzzle);
+    sinon.spy(migration, '_complete');
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('#start', () => {
+    it('should migrate the collection in the background', async () => {
+      const status = await migration.start('index', 'collection', config);
+
+      should(status).eql({
+        collection: 'collection',
+        endedAt: null,
+        error: null,
+        index: 'index',
+        processed: 0,
+        startedAt: Date.now(),
+        status: 'running',
+        step: 'copy',
+        total: 0
+      });
+      should(kuzzle.cacheEngine.internal.set)
+        .calledWith(
+          'collectionMigration/index/collection/lock',
+          '1',
+          'PX',
+          60000,
+          'NX')
+        .calledWith(
+          'collectionMigration/index/collection',
+          JSON.stringify(status),
+          'PX',
+          60000);
+      should(storage.migrateCollection).calledWithMatch(
+        'index',
+        'collection',
+        config,
+        { onProgress: sinon.match.func });
+
+      await migration._complete.firstCall.returnValue;
+
+      should(kuzzle.cacheEngine.internal.set).calledWith(
+        'collectionMigration/index/collection',
+        JSON.stringify(Object.assign({}, status, {
+          endedAt: Date.now(),
+          status: 'done'
+        })),
+        'PX',
+        86400000);
+      should(kuzzle.cacheEngine.internal.del).calledWith(
+        'collectionMigration/index/collection/lock');
+      should(kuzzle.log.info).calledOnce();
+    });
+
+    it('should save the migration progress periodically', async () => {
+      let migrated;
+
+      storage.migrateCollection.returns(new Promise(resolve => {
+        migrated = resolve;
+      }));
+
+      await migration.start('index', 'collection', config);
+
+      const { onProgress } = storage.migrateCollection.firstCall.args[3];
+
+      onProgress({ processed: 21, step: 'copy', total: 42 });
+      clock.tick(1000);
+
+      should(kuzzle.cacheEngine.internal.set).calledWithMatch(
+        'collectionMigration/index/collection',
+        sinon.match(json => JSON.parse(json).processed === 21));
+      should(kuzzle.cacheEngine.internal.pexpire).calledWith(
+        'collectionMigration/index/collection/lock',
+        60000);
+
+      migrated();
+      await migration._complete.firstCall.returnValue;
+    });
+
+    it('should save the error of failed migrations', async () => {
+      storage.migrateCollection.rejects(
+        kerror.get('services', 'storage', 'migration_failed', 'index', 'collection', 'foo'));
+
+      await migration.start('index', 'collection', config);
+      await migration._complete.firstCall.returnValue;
+
+      const [ key, json ] = kuzzle.cacheEngine.internal.set.lastCall.args;
+
+      should(key).eql('collectionMigration/index/collection');
+      should(JSON.parse(json)).match({
+        error: {
+          id: 'services.storage.migration_failed',
+          message: 'Failed to migrate collection "index":"collection": foo'
+        },
+        status: 'failed'
+      });
+      should(kuzzle.cacheEngine.internal.del).calledWith(
+        'collectionMigration/index/collection/lock');
+      should(kuzzle.log.error).calledOnce();
+    });
+
+    it('should throw if the collection is already being migrated', async () => {
+      kuzzle.cacheEngine.internal.set.resolves(null);
+
+      await should(migration.start('index', 'collection', config)).rejectedWith(
+        PreconditionError,
+        { id: 'services.storage.migration_in_progress' });
+
+      should(storage.migrateCollection).not.be.called();
+    });
+
+    it('should throw if the collection does not exist', async () => {
+      storage.collectionExists.resolves(false);
+
+      await should(migration.start('index', 'collection', config)).rejectedWith(
+        PreconditionError,
+        { id: 'services.storage.unknown_collection' });
+
+      should(storage.collectionExists).calledWith('index', 'collection');
+      should(kuzzle.cacheEngine.internal.set).not.be.called();
+      should(storage.migrateCollection).not.be.called();
+    });
+
+    it('should throw if the new mappings are invalid', async () => {
+      const mappings = { dinamic: 'false' };
+
+      storage.checkMappings.throws(kerror.get(
+        'services',
+        'storage',
+        'invalid_mapping',
+        'dinamic',
+        'Did you mean "dynamic"?'));
+
+      await should(migration.start('index', 'collection', { mappings }))
+        .rejectedWith(
+          BadRequestError,
+          { id: 'services.storage.invalid_mapping' });
+
+      should(storage.checkMappings).calledWith(mappings);
+      should(kuzzle.cacheEngine.internal.set).not.be.called();
+      should(storage.migrateCollection).not.be.called();
+    });
+  });
+
+  describe('#getStatus', () => {
+    it('should return the migration status of a collection', async () => {
+      kuzzle.cacheEngine.internal.get.resolves('{"status":"done"}');
+
+      should(await migration.getStatus('index', 'collection')).eql({
+        status: 'done'
+      });
+      should(kuzzle.cacheEngine.internal.get).calledWith(
+        'collectionMigration/index/collection');
+    });
+
+    it('should throw if the collection has not been migrated', async () => {
+      kuzzle.cacheEngine.internal.get.resolves(null);
+
+      await should(migration.getStatus('index', 'collection')).rejectedWith(
+        NotFoundError,
+        { id: 'services.storage.migration_not_found' });
+    });
+  });
+});
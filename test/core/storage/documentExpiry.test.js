@@ -0,0 +1,181 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+
+const DocumentExpiry = require('../../../lib/core/storage/documentExpiry');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+
+describe('Test: storage/documentExpiry', () => {
+  let
+    kuzzle,
+    storage,
+    expiry;
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    kuzzle.config.services.storageEngine.documentExpiry = {
+      batchSize: 2,
+      interval: '10s'
+    };
+    kuzzle.cacheEngine.internal.set.resolves('OK');
+
+    storage = kuzzle.storageEngine.public;
+    storage.listIndexes.resolves([ 'index' ]);
+    storage.listCollections.resolves([ 'collection' ]);
+    storage.search.resolves({ hits: [], total: 0 });
+    storage.mDelete.callsFake(async (index, collection, ids) => ({
+      documents: ids.map(_id => ({ _id, _source: {} })),
+      errors: []
+    }));
+
+    expiry = new DocumentExpiry(kuzzle);
+  });
+
+  afterEach(() => {
+    clearInterval(expiry.timer);
+  });
+
+  describe('#init', () => {
+    it('should delete expired documents periodically', () => {
+      expiry.init();
+
+      should(expiry.timer).not.be.null();
+    });
+
+    it('should not delete expired documents if there is no interval', () => {
+      kuzzle.config.services.storageEngine.documentExpiry.interval = -1;
+
+      expiry.init();
+
+      should(expiry.timer).be.null();
+    });
+  });
+
+  describe('#mapCollection', () => {
+    it('should add the expiration date to collection mappings once', async () => {
+      await expiry.mapCollection('index', 'collection');
+      await expiry.mapCollection('index', 'collection');
+
+      should(storage.updateMapping).calledOnce().calledWith(
+        'index',
+        'collection',
+        {
+          properties: {
+            _kuzzle_info: { properties: { expiresAt: { type: 'date' } } }
+          }
+        });
+
+      await expiry.mapCollection('index', 'other');
+
+      should(storage.updateMapping).calledTwice();
+    });
+  });
+
+  describe('#reap', () => {
+    it('should delete expired documents in batches and notify subscribers', async () => {
+      storage.search
+        .onFirstCall().resolves({ hits: [ { _id: 'foo' }, { _id: 'bar' } ] })
+        .onSecondCall().resolves({ hits: [ { _id: 'baz' } ] });
+
+      await expiry.reap();
+
+      should(kuzzle.cacheEngine.internal.set).calledWith(
+        'documentExpiry/lock',
+        '1',
+        'PX',
+        60000,
+        'NX');
+      should(kuzzle.cacheEngine.internal.pexpire)
+        .calledTwice()
+        .calledWith('documentExpiry/lock', 60000);
+      should(kuzzle.cacheEngine.internal.del)
+        .calledOnce()
+        .calledWith('documentExpiry/lock');
+      sinon.assert.callOrder(
+        kuzzle.cacheEngine.internal.set,
+        kuzzle.cacheEngine.internal.pexpire,
+        storage.search,
+        kuzzle.cacheEngine.internal.del);
+      should(storage.search).calledTwice().calledWith(
+        'index',
+        'collection',
+        {
+          query: {
+            range: { '_kuzzle_info.expiresAt': { lte: sinon.match.number } }
+          }
+        },
+        { size: 2 });
+      should(storage.mDelete)
+        .calledWith('index', 'collection', [ 'foo', 'bar' ], { refresh: 'wait_for' })
+        .calledWith('index', 'collection', [ 'baz' ], { refresh: 'wait_for' });
+      should(kuzzle.notifier.notifyDocumentMDelete).calledTwice();
+
+      const [ request, documents ] = kuzzle.notifier.notifyDocumentMDelete
+        .firstCall.args;
+
+      should(request.input).match({
+        action: 'mDelete',
+        controller: 'document',
+        resource: { collection: 'collection', index: 'index' }
+      });
+      should(documents).eql([
+        { _id: 'foo', _source: {} },
+        { _id: 'bar', _source: {} }
+      ]);
+    });
+
+    it('should stop if expired documents cannot be deleted', async () => {
+      storage.search.resolves({ hits: [ { _id: 'foo' }, { _id: 'bar' } ] });
+      storage.mDelete.resolves({
+        documents: [ { _id: 'foo' } ],
+        errors: [ { _id: 'bar', reason: 'foo', status: 500 } ]
+      });
+
+      await expiry.reap();
+
+      should(storage.mDelete).calledOnce();
+    });
+
+    it('should do nothing if another node is deleting expired documents', async () => {
+      kuzzle.cacheEngine.internal.set.resolves(null);
+
+      await expiry.reap();
+
+      should(storage.listIndexes).not.be.called();
+      should(storage.search).not.be.called();
+      should(kuzzle.cacheEngine.internal.del).not.be.called();
+    });
+
+    it('should log failures and proceed with the other collections', async () => {
+      storage.listCollections.resolves([ 'collection', 'other' ]);
+      storage.search
+        .withArgs('index', 'collection').rejects(new Error('foo'))
+        .withArgs('index', 'other').resolves({ hits: [ { _id: 'foo' } ] });
+
+      await expiry.reap();
+
+      should(kuzzle.log.error).calledOnce();
+      should(storage.mDelete).calledOnce().calledWith('index', 'other', [ 'foo' ]);
+    });
+
+    it('should log errors and release the lock instead of rejecting', async () => {
+      storage.listIndexes.rejects(new Error('foo'));
+
+      await expiry.reap();
+
+      should(kuzzle.log.error)
+        .calledOnce()
+        .calledWith('Cannot delete expired documents: foo');
+      should(kuzzle.cacheEngine.internal.del).calledWith('documentExpiry/lock');
+
+      kuzzle.cacheEngine.internal.set.rejects(new Error('bar'));
+
+      await expiry.reap();
+
+      should(kuzzle.log.error)
+        .calledTwice()
+        .calledWith('Cannot delete expired documents: bar');
+    });
+  });
+});
@@ -0,0 +1,252 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const {
+  errors: { NotFoundError, PreconditionError }
+} = require('kuzzle-common-objects');
+
+const DocumentHistory = require('../../../lib/core/storage/documentHistory');
+const kerror = require('../../../lib/kerror');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+
+describe('Test: storage/documentHistory', () => {
+  let
+    kuzzle,
+    history;
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    kuzzle.config.services.storageEngine.history = {
+      collections: { index: ['collection'] }
+    };
+    kuzzle.internalIndex.mCreate.resolves({ errors: [], items: [] });
+
+    history = new DocumentHistory(kuzzle);
+  });
+
+  describe('#isEnabled', () => {
+    it('should only enable history on the configured collections', () => {
+      should(history.isEnabled('index', 'collection')).be.true();
+      should(history.isEnabled('index', 'other')).be.false();
+      should(history.isEnabled('other', 'collection')).be.false();
+
+      should(() => history.assertEnabled('index', 'other')).throw(
+        PreconditionError,
+        { id: 'services.storage.history_disabled' });
+    });
+  });
+
+  describe('#record', () => {
+    it('should store the previous versions of documents', async () => {
+      await history.record(
+        'index',
+        'collection',
+        [
+          { _id: 'foo', _source: { _kuzzle_info: { author: 'author', updater: 'updater' }, name: 'foo' } },
+          { _id: 'bar', _source: { _kuzzle_info: { author: 'author', updater: null } } },
+          { _id: 'baz', _source: {} }
+        ],
+        'update');
+
+      should(kuzzle.internalIndex.mCreate).calledWith('document-history', [
+        {
+          body: {
+            action: 'update',
+            author: 'updater',
+            collection: 'collection',
+            document: { _kuzzle_info: { author: 'author', updater: 'updater' }, name: 'foo' },
+            documentId: 'foo',
+            index: 'index',
+            timestamp: sinon.match.number
+          }
+        },
+        {
+          body: {
+            action: 'update',
+            author: 'author',
+            collection: 'collection',
+            document: { _kuzzle_info: { author: 'author', updater: null } },
+            documentId: 'bar',
+            index: 'index',
+            timestamp: sinon.match.number
+          }
+        },
+        {
+          body: {
+            action: 'update',
+            author: null,
+            collection: 'collection',
+            document: {},
+            documentId: 'baz',
+            index: 'index',
+            timestamp: sinon.match.number
+          }
+        }
+      ]);
+    });
+
+    it('should do nothing if there is no previous version', async () => {
+      await history.record('index', 'collection', [], 'delete');
+
+      should(kuzzle.internalIndex.mCreate).not.be.called();
+    });
+
+    it('should log failures instead of throwing', async () => {
+      kuzzle.internalIndex.mCreate.resolves({
+        errors: [ { reason: 'foo' } ],
+        items: []
+      });
+
+      await history.record('index', 'collection', [ { _id: 'foo', _source: {} } ], 'delete');
+
+      kuzzle.internalIndex.mCreate.rejects(new Error('bar'));
+
+      await history.record('index', 'collection', [ { _id: 'foo', _source: {} } ], 'delete');
+
+      should(kuzzle.log.error).calledTwice();
+      should(kuzzle.log.error.firstCall.args[0]).containEql('foo');
+      should(kuzzle.log.error.secondCall.args[0]).containEql('bar');
+    });
+  });
+
+  describe('#search', () => {
+    it('should list the previous versions of a document, most recent first', async () => {
+      kuzzle.internalIndex.search.resolves({
+        hits: [ {
+          _id: 'revision',
+          _source: {
+            action: 'update',
+            author: 'kuid',
+            collection: 'collection',
+            document: { name: 'foo' },
+            documentId: 'foo',
+            index: 'index',
+            timestamp: 42
+          }
+        } ],
+        total: 3
+      });
+
+      const result = await history.search('index', 'collection', 'foo', {
+        from: 1,
+        size: 1
+      });
+
+      should(kuzzle.internalIndex.search).calledWith(
+        'document-history',
+        {
+          query: {
+            bool: {
+              filter: [
+                { term: { index: 'index' } },
+                { term: { collection: 'collection' } },
+                { term: { documentId: 'foo' } }
+              ]
+            }
+          },
+          sort: [ { timestamp: 'desc' } ]
+        },
+        { from: 1, size: 1 });
+      should(result).eql({
+        hits: [ {
+          _id: 'revision',
+          action: 'update',
+          author: 'kuid',
+          document: { _id: 'foo', _source: { name: 'foo' } },
+          timestamp: 42
+        } ],
+        total: 3
+      });
+    });
+  });
+
+  describe('#get', () => {
+    const stored = {
+      _id: 'revision',
+      _source: {
+        action: 'delete',
+        author: 'kuid',
+        collection: 'collection',
+        document: { name: 'foo' },
+        documentId: 'foo',
+        index: 'index',
+        timestamp: 42
+      }
+    };
+
+    it('should get a previous version of a document', async () => {
+      kuzzle.internalIndex.get.resolves(stored);
+
+      should(await history.get('index', 'collection', 'foo', 'revision')).eql({
+        _id: 'revision',
+        action: 'delete',
+        author: 'kuid',
+        document: { _id: 'foo', _source: { name: 'foo' } },
+        timestamp: 42
+      });
+      should(kuzzle.internalIndex.get).calledWith('document-history', 'revision');
+    });
+
+    it('should reject revisions of other documents and unknown revisions', async () => {
+      kuzzle.internalIndex.get.resolves(stored);
+
+      await should(history.get('index', 'collection', 'bar', 'revision'))
+        .rejectedWith(NotFoundError, { id: 'services.storage.revision_not_found' });
+
+      await should(history.get('index', 'other', 'foo', 'revision'))
+        .rejectedWith(NotFoundError, { id: 'services.storage.revision_not_found' });
+
+      kuzzle.internalIndex.get.rejects(kerror.get(
+        'services',
+        'storage',
+        'not_found',
+        'revision',
+        'kuzzle',
+        'document-history'));
+
+      await should(history.get('index', 'collection', 'foo', 'revision'))
+        .rejectedWith(NotFoundError, { id: 'services.storage.revision_not_found' });
+    });
+  });
+
+  describe('#deleteCollection/#deleteIndexes', () => {
+    it('should delete the history of collections and indexes', async () => {
+      await history.deleteCollection('index', 'collection');
+
+      should(kuzzle.internalIndex.deleteByQuery).calledWith(
+        'document-history',
+        {
+          bool: {
+            filter: [
+              { term: { index: 'index' } },
+              { term: { collection: 'collection' } }
+            ]
+          }
+        },
+        { fetch: false });
+
+      await history.deleteIndexes(['index', 'other']);
+
+      should(kuzzle.internalIndex.deleteByQuery).calledWith(
+        'document-history',
+        { terms: { index: ['index'] } },
+        { fetch: false });
+    });
+
+    it('should do nothing if history is not enabled', async () => {
+      await history.deleteCollection('index', 'other');
+      await history.deleteIndexes(['other']);
+
+      should(kuzzle.internalIndex.deleteByQuery).not.be.called();
+    });
+
+    it('should log failures instead of throwing', async () => {
+      kuzzle.internalIndex.deleteByQuery.rejects(new Error('foo'));
+
+      await history.deleteIndexes(['index']);
+
+      should(kuzzle.log.error).calledOnce();
+    });
+  });
+});
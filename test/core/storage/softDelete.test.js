@@ -0,0 +1,467 @@
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const {
+  errors: { NotFoundError, PreconditionError }
+} = require('kuzzle-common-objects');
+
+const SoftDelete = require('../../../lib/core/storage/softDelete');
+const kerror = require('../../../lib/kerror');
+const KuzzleMock = require('../../mocks/kuzzle.mock');
+const ElasticsearchMock = require('../../mocks/elasticsearch.mock');
+
+describe('Test: storage/softDelete', () => {
+  const hidden = {
+    bool: {
+      must: { match: { name: 'foo' } },
+      must_not: { exists: { field: '_kuzzle_info.deletedAt' } }
+    }
+  };
+  let
+    kuzzle,
+    client,
+    indexCache,
+    softDelete;
+
+  const alive = { _id: 'foo', _source: { name: 'foo' }, _version: 1 };
+  const deleted = {
+    _id: 'bar',
+    _source: { _kuzzle_info: { deletedAt: 42, deleter: 'user' }, name: 'bar' },
+    _version: 2
+  };
+
+  beforeEach(() => {
+    kuzzle = new KuzzleMock();
+    kuzzle.config.services.storageEngine.softDelete = {
+      collections: { index: ['collection', 'missing'] },
+      purgeDelay: '1d'
+    };
+
+    client = new ElasticsearchMock(
+      kuzzle,
+      kuzzle.config.services.storageEngine,
+      'public');
+    client.get.callsFake(async (index, collection, id) => {
+      if (id === 'foo') {
+        return alive;
+      }
+      if (id === 'bar') {
+        return deleted;
+      }
+
+      throw kerror.get('services', 'storage', 'not_found', id, index, collection);
+    });
+    client.mGet.resolves({ errors: [ 'baz' ], items: [ alive, deleted ] });
+    client.mUpdate.callsFake(async (index, collection, documents) => ({
+      errors: [],
+      items: documents.map(({ _id }) => ({ _id, _source: { updated: true }, _version: 3 }))
+    }));
+
+    indexCache = {
+      exists: sinon.stub().callsFake(({ collection }) => collection !== 'missing')
+    };
+
+    softDelete = new SoftDelete(kuzzle, client, indexCache);
+  });
+
+  afterEach(() => {
+    clearInterval(softDelete.timer);
+  });
+
+  describe('#isEnabled', () => {
+    it('should only enable soft delete on the configured collections', () => {
+      should(softDelete.isEnabled('index', 'collection')).be.true();
+      should(softDelete.isEnabled('index', 'other')).be.false();
+      should(softDelete.isEnabled('other', 'collection')).be.false();
+
+      should(() => softDelete.assertEnabled('index', 'other')).throw(
+        PreconditionError,
+        { id: 'services.storage.soft_delete_disabled' });
+    });
+  });
+
+  describe('#init', () => {
+    it('should map the deletion metadata and purge deleted documents periodically', async () => {
+      await softDelete.init();
+
+      should(client.updateMapping).calledOnce().calledWith(
+        'index',
+        'collection',
+        {
+          properties: {
+            _kuzzle_info: {
+              properties: {
+                deletedAt: { type: 'date' },
+                deleter: { type: 'keyword' }
+              }
+            }
+          }
+        });
+      should(softDelete.timer).not.be.null();
+    });
+
+    it('should not purge deleted documents if there is no purge delay', async () => {
+      kuzzle.config.services.storageEngine.softDelete.purgeDelay = -1;
+
+      await softDelete.init();
+
+      should(softDelete.timer).be.null();
+    });
+  });
+
+  describe('#purge', () => {
+    it('should permanently delete documents deleted for longer than the purge delay', async () => {
+      const now = Date.now();
+
+      await softDelete.purge();
+
+      should(client.deleteByQuery).calledOnce().calledWith(
+        'index',
+        'collection',
+        { range: { '_kuzzle_info.deletedAt': { lt: sinon.match(lt => lt >= now - 86400000 && lt <= Date.now() - 86400000) } } },
+        { fetch: false });
+    });
+
+    it('should log purge failures', async () => {
+      client.deleteByQuery.rejects(new Error('foo'));
+
+      await softDelete.purge();
+
+      should(kuzzle.log.error).calledOnce();
+    });
+  });
+
+  describe('reads', () => {
+    it('should hide deleted documents from get and exists', async () => {
+      should(await softDelete.get('index', 'collection', 'foo')).eql(alive);
+      should(await softDelete.exists('index', 'collection', 'foo')).be.true();
+
+      await should(softDelete.get('index', 'collection', 'bar')).rejectedWith(
+        NotFoundError,
+        { id: 'services.storage.not_found' });
+      should(await softDelete.exists('index', 'collection', 'bar')).be.false();
+      should(await softDelete.exists('index', 'collection', 'baz')).be.false();
+    });
+
+    it('should list deleted documents as mGet errors', async () => {
+      const result = await softDelete.mGet('index', 'collection', ['foo', 'bar', 'baz']);
+
+      should(result).eql({ errors: [ 'baz', 'bar' ], items: [ alive ] });
+    });
+
+    it('should exclude deleted documents from searches and counts', async () => {
+      await softDelete.search(
+        'index',
+        'collection',
+        { query: { match: { name: 'foo' } }, sort: [ 'name' ] },
+        { size: 10 });
+
+      should(client.search).calledWith(
+        'index',
+        'collection',
+        { query: hidden, sort: [ 'name' ] },
+        { size: 10 });
+
+      await softDelete.count('index', 'collection', {});
+
+      should(client.count).calledWith('index', 'collection', {
+        query: {
+          bool: {
+            must: { match_all: {} },
+            must_not: { exists: { field: '_kuzzle_info.deletedAt' } }
+          }
+        }
+      });
+    });
+  });
+
+  describe('writes', () => {
+    it('should reject changes made to deleted documents', async () => {
+      await softDelete.update('index', 'collection', 'foo', {}, { refresh: 'false' });
+
+      should(client.update).calledWith('index', 'collection', 'foo', {}, { refresh: 'false' });
+
+      await should(softDelete.replace('index', 'collection', 'bar', {}))
+        .rejectedWith({ id: 'services.storage.not_found' });
+      should(client.replace).not.be.called();
+    });
+
+    it('should reject multiple changes made to deleted documents', async () => {
+      client.mReplace.resolves({ errors: [], items: [ alive ] });
+
+      const result = await softDelete.mReplace(
+        'index',
+        'collection',
+        [ { _id: 'foo', body: {} }, { _id: 'bar', body: { name: 'bar' } } ],
+        { refresh: 'false' });
+
+      should(client.mReplace).calledWith(
+        'index',
+        'collection',
+        [ { _id: 'foo', body: {} } ],
+        { refresh: 'false' });
+      should(result).eql({
+        errors: [ {
+          document: { _id: 'bar', body: { name: 'bar' } },
+          reason: 'document not found',
+          status: 404
+        } ],
+        items: [ alive ]
+      });
+    });
+
+    it('should reject overwrites of deleted documents', async () => {
+      await softDelete.createOrReplace('index', 'collection', 'foo', {}, {});
+
+      should(client.createOrReplace).calledWith('index', 'collection', 'foo', {}, {});
+
+      client.createOrReplace.resetHistory();
+
+      await should(softDelete.createOrReplace('index', 'collection', 'bar', {}, {}))
+        .rejectedWith({ id: 'services.storage.in_trash' });
+      should(client.createOrReplace).not.be.called();
+
+      client.mCreateOrReplace.resolves({ errors: [], items: [ alive ] });
+
+      const result = await softDelete.mCreateOrReplace(
+        'index',
+        'collection',
+        [ { _id: 'foo', body: {} }, { _id: 'bar', body: {} }, { body: {} } ],
+        {});
+
+      should(client.mCreateOrReplace).calledWith(
+        'index',
+        'collection',
+        [ { _id: 'foo', body: {} }, { body: {} } ],
+        {});
+      should(result.errors).eql([ {
+        document: { _id: 'bar', body: {} },
+        reason: 'document in the trash bin',
+        status: 412
+      } ]);
+    });
+
+    it('should exclude deleted documents from bulk imports', async () => {
+      client.import.resolves({ errors: [], items: [ 'foo' ] });
+
+      const result = await softDelete.import(
+        'index',
+        'collection',
+        [
+          { index: { _id: 'foo' } },
+          { name: 'foo' },
+          { delete: { _id: 'bar' } },
+          { update: { _id: 'bar' } },
+          { doc: { name: 'bar' } },
+          { create: {} },
+          { name: 'baz' }
+        ],
+        { refresh: 'false' });
+
+      should(client.mGet).calledWith('index', 'collection', [ 'foo', 'bar', 'bar' ]);
+      should(client.import).calledWith(
+        'index',
+        'collection',
+        [
+          { index: { _id: 'foo' } },
+          { name: 'foo' },
+          { create: {} },
+          { name: 'baz' }
+        ],
+        { refresh: 'false' });
+
+      const error = {
+        _id: 'bar',
+        error: { reason: 'document in the trash bin', type: 'in_trash' },
+        status: 412
+      };
+
+      should(result).eql({
+        errors: [ { delete: error }, { update: error } ],
+        items: [ 'foo' ]
+      });
+    });
+
+    it('should exclude deleted documents from updates by query', async () => {
+      await softDelete.updateByQuery(
+        'index',
+        'collection',
+        { match: { name: 'foo' } },
+        { name: 'bar' },
+        {});
+
+      should(client.updateByQuery).calledWith(
+        'index',
+        'collection',
+        hidden,
+        { name: 'bar' },
+        {});
+    });
+  });
+
+  describe('#delete', () => {
+    it('should flag the document as deleted', async () => {
+      const result = await softDelete.delete(
+        'index',
+        'collection',
+        'foo',
+        { ifVersion: 1, refresh: 'wait_for', userId: 'user' });
+
+      should(result).be.null();
+      should(client.delete).not.be.called();
+      should(client.mUpdate).calledWith(
+        'index',
+        'collection',
+        [ {
+          _id: 'foo',
+          body: { _kuzzle_info: { deletedAt: sinon.match.number, deleter: 'user' } },
+          ifVersion: 1
+        } ],
+        { refresh: 'wait_for' });
+    });
+
+    it('should reject deleted documents and version conflicts', async () => {
+      await should(softDelete.delete('index', 'collection', 'bar'))
+        .rejectedWith(NotFoundError, { id: 'services.storage.not_found' });
+
+      client.mUpdate.resolves({
+        errors: [ { document: { _id: 'foo' }, reason: 'modified', status: 412 } ],
+        items: []
+      });
+
+      await should(softDelete.delete('index', 'collection', 'foo', { ifVersion: 0 }))
+        .rejectedWith(PreconditionError, {
+          id: 'services.storage.version_conflict',
+          message: 'Document "foo" in "index":"collection" has been modified: expected version 0, current version is 1.'
+        });
+    });
+  });
+
+  describe('#mDelete', () => {
+    it('should flag the existing documents as deleted', async () => {
+      const result = await softDelete.mDelete(
+        'index',
+        'collection',
+        [ 'foo', 'bar', 'baz', 42 ],
+        { ifVersions: { foo: 1 }, userId: 'user' });
+
+      should(client.mGet).calledWith('index', 'collection', [ 'foo', 'bar', 'baz' ]);
+      should(client.mUpdate).calledWith(
+        'index',
+        'collection',
+        [ {
+          _id: 'foo',
+          body: { _kuzzle_info: { deletedAt: sinon.match.number, deleter: 'user' } },
+          ifVersion: 1
+        } ]);
+      should(result).eql({
+        documents: [ { _id: 'foo', _source: { updated: true } } ],
+        errors: [
+          { _id: 'bar', reason: 'document not found', status: 404 },
+          { _id: 'baz', reason: 'document not found', status: 404 },
+          { _id: 42, reason: 'document _id must be a string', status: 400 }
+        ]
+      });
+    });
+  });
+
+  describe('#deleteByQuery', () => {
+    it('should flag the documents matching the query as deleted', async () => {
+      client.updateByQuery.resolves({
+        errors: [ { document: { _id: 'baz' }, reason: 'foo', status: 500 } ],
+        successes: [ { _id: 'foo', _source: { name: 'foo' }, status: 200 } ]
+      });
+
+      const result = await softDelete.deleteByQuery(
+        'index',
+        'collection',
+        { match: { name: 'foo' } },
+        { refresh: 'wait_for', userId: 'user' });
+
+      should(client.deleteByQuery).not.be.called();
+      should(client.updateByQuery).calledWith(
+        'index',
+        'collection',
+        hidden,
+        { _kuzzle_info: { deletedAt: sinon.match.number, deleter: 'user' } },
+        { refresh: 'wait_for', size: undefined });
+      should(result).eql({
+        deleted: 1,
+        documents: [ { _id: 'foo', _source: { name: 'foo' } } ],
+        failures: [ { _id: 'baz', reason: 'foo' } ],
+        total: 2
+      });
+    });
+  });
+
+  describe('trash bin', () => {
+    it('should get deleted documents only', async () => {
+      should(await softDelete.getDeleted('index', 'collection', 'bar')).eql(deleted);
+
+      for (const id of [ 'foo', 'baz' ]) {
+        await should(softDelete.getDeleted('index', 'collection', id))
+          .rejectedWith(NotFoundError, { id: 'services.storage.not_in_trash' });
+      }
+
+      await should(softDelete.getDeleted('index', 'other', 'bar'))
+        .rejectedWith(PreconditionError, { id: 'services.storage.soft_delete_disabled' });
+    });
+
+    it('should search deleted documents only', async () => {
+      await softDelete.searchDeleted('index', 'collection', {}, { from: 0 });
+
+      should(client.search).calledWith(
+        'index',
+        'collection',
+        {
+          query: {
+            bool: {
+              filter: { exists: { field: '_kuzzle_info.deletedAt' } },
+              must: { match_all: {} }
+            }
+          }
+        },
+        { from: 0 });
+
+      should(() => softDelete.searchDeleted('index', 'other', {}))
+        .throw(PreconditionError, { id: 'services.storage.soft_delete_disabled' });
+    });
+
+    it('should restore deleted documents', async () => {
+      const result = await softDelete.restore(
+        'index',
+        'collection',
+        'bar',
+        { refresh: 'wait_for', userId: 'user' });
+
+      should(result).eql({ _id: 'bar', _source: { updated: true }, _version: 3 });
+      should(client.mUpdate).calledWith(
+        'index',
+        'collection',
+        [ {
+          _id: 'bar',
+          body: {
+            _kuzzle_info: {
+              deletedAt: null,
+              deleter: null,
+              updatedAt: sinon.match.number,
+              updater: 'user'
+            }
+          },
+          ifVersion: 2
+        } ],
+        { refresh: 'wait_for' });
+    });
+
+    it('should not restore documents restored or deleted concurrently', async () => {
+      client.mUpdate.resolves({
+        errors: [ { document: { _id: 'bar' }, reason: 'modified', status: 412 } ],
+        items: []
+      });
+
+      await should(softDelete.restore('index', 'collection', 'bar'))
+        .rejectedWith(NotFoundError, { id: 'services.storage.not_in_trash' });
+    });
+  });
+});
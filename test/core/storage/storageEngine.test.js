@@ -19,6 +19,7 @@ describe('StorageEngine', () => {
 
     StorageEngine = mockrequire.reRequire('../../../lib/core/storage/storageEngine');
     storageEngine = new StorageEngine(kuzzle);
+    sinon.stub(storageEngine.softDelete, 'init').resolves();
   });
 
   afterEach(() => {
@@ -47,6 +48,8 @@ describe('StorageEngine', () => {
       should(storageEngine._publicClient.init).be.called();
       should(storageEngine._internalClient.init).be.called();
       should(storageEngine._populateIndexCache).be.called();
+      should(storageEngine.softDelete.init.calledAfter(
+        storageEngine._populateIndexCache)).be.true();
       should(BaseModel.kuzzle).be.eql(kuzzle);
       should(BaseModel.indexStorage).be.eql(kuzzle.internalIndex);
     });
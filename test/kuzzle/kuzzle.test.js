@@ -18,6 +18,10 @@ describe('/lib/kuzzle/kuzzle.js', () => {
     'gc',
     'pluginsManager',
     'adminController',
+    'auditTrail',
+    'documentExpiry',
+    'jwtKeyring',
+    'refreshTokens',
     'repositories',
     'services',
     'statistics',
@@ -76,6 +80,7 @@ describe('/lib/kuzzle/kuzzle.js', () => {
         kuzzle.storageEngine.init,
         kuzzle.internalIndex.init,
         kuzzle.log.info, // storageEngine init
+        kuzzle.jwtKeyring.init,
         kuzzle.validation.init,
         kuzzle.repositories.init,
         kuzzle.funnel.init,
@@ -90,6 +95,9 @@ describe('/lib/kuzzle/kuzzle.js', () => {
         kuzzle.log.info, // default rights loaded
         kuzzle.router.init,
         kuzzle.statistics.init,
+        kuzzle.auditTrail.init,
+        kuzzle.refreshTokens.init,
+        kuzzle.documentExpiry.init,
         kuzzle.validation.curateSpecification,
         kuzzle.repositories.role.sanityCheck,
         kuzzle.pipe, // kuzzle:start
@@ -25,6 +25,7 @@ class ClientAdapterMock extends ClientAdapter {
     this.createIndex = sinon.stub().resolves();
     this.createCollection = sinon.stub().resolves();
     this.getMapping = sinon.stub().resolves();
+    this.migrateCollection = sinon.stub().resolves();
     this.updateMapping = sinon.stub().resolves();
     this.truncateCollection = sinon.stub().resolves();
     this.import = sinon.stub().resolves();
@@ -45,8 +46,12 @@ class ClientAdapterMock extends ClientAdapter {
     this.deleteCollection = sinon.stub().resolves();
     this.isIndexNameValid = sinon.stub().returns(true);
     this.isCollectionNameValid = sinon.stub().returns(true);
+    this.checkMappings = sinon.stub();
     this.loadMappings = sinon.stub().resolves();
     this.loadFixtures = sinon.stub().resolves();
+    this.getDeleted = sinon.stub().resolves();
+    this.restore = sinon.stub().resolves();
+    this.searchDeleted = sinon.stub().resolves();
   }
 }
 
@@ -24,6 +24,8 @@ class ElasticsearchMock extends Elasticsearch {
     this.createIndex = sinon.stub().resolves();
     this.createCollection = sinon.stub().resolves();
     this.getMapping = sinon.stub().resolves();
+    this.migrateCollection = sinon.stub().resolves();
+    this.updateMapping = sinon.stub().resolves();
     this.truncateCollection = sinon.stub().resolves();
     this.import = sinon.stub().resolves();
     this.listCollections = sinon.stub().resolves();
@@ -42,6 +44,7 @@ class ElasticsearchMock extends Elasticsearch {
     this.mDelete = sinon.stub().resolves();
     this.deleteCollection = sinon.stub().resolves();
     this.clearScroll = sinon.stub().resolves();
+    this.batchExecute = sinon.stub().resolves();
   }
 }
 
@@ -43,6 +43,53 @@ class KuzzleMock extends Kuzzle {
     // ============================
 
 
+    this.loginLockout = {
+      assertNotLocked: sinon.stub().resolves(),
+      fail: sinon.stub().resolves(),
+      get: sinon.stub().resolves({ attempts: 0, locked: false, lockedUntil: null, locks: 0 }),
+      getIdentifier: sinon.stub().returns(null),
+      reset: sinon.stub().resolves()
+    };
+
+    this.jwtKeyring = {
+      getJwks: sinon.stub().returns({ keys: [] }),
+      init: sinon.stub().resolves(),
+      rotate: sinon.stub().resolves({
+        algorithm: 'HS256',
+        createdAt: 42,
+        kid: 'kid'
+      }),
+      sign: sinon.stub().returns('token'),
+      verify: sinon.stub().resolves({ _id: 'foo' })
+    };
+
+    this.collectionMigration = {
+      getStatus: sinon.stub().resolves(),
+      start: sinon.stub().resolves()
+    };
+
+    this.documentExpiry = {
+      init: sinon.stub(),
+      mapCollection: sinon.stub().resolves(),
+      reap: sinon.stub().resolves()
+    };
+
+    this.refreshTokens = {
+      create: sinon.stub().resolves({
+        expiresAt: 42,
+        refreshToken: 'refresh-token'
+      }),
+      init: sinon.stub(),
+      purge: sinon.stub().resolves(),
+      revokeSession: sinon.stub().resolves(),
+      revokeUser: sinon.stub().resolves(),
+      use: sinon.stub().resolves({
+        chainId: 'chain',
+        sessionId: 'session',
+        userId: 'foo'
+      })
+    };
+
     this.log = {
       error: sinon.stub(),
       warn: sinon.stub(),
@@ -95,9 +142,29 @@ class KuzzleMock extends Kuzzle {
       join: sinon.stub().resolves(foo),
       removeSubscription: sinon.stub().resolves(foo),
       countSubscription: sinon.stub().resolves(foo),
+      getPresence: sinon.stub().returns(foo),
       listSubscriptions: sinon.stub().resolves(foo),
     };
 
+    this.auditTrail = {
+      audit: sinon.stub().callsFake((request, execute) => execute()),
+      init: sinon.stub(),
+      search: sinon.stub().resolves({ hits: [], scrollId: null, total: 0 }),
+      scroll: sinon.stub().resolves({ hits: [], scrollId: null, total: 0 })
+    };
+
+    this.documentFilters = {
+      findReadField: sinon.stub().returns(null),
+      findWrittenField: sinon.stub().returns(null),
+      get: sinon.stub().resolves(null),
+      getForbiddenFields: sinon.stub().resolves({ read: [], write: [] }),
+      hideFields: sinon.stub().callsFake((fields, document) => document),
+      restrictQuery: sinon.stub().callsFake((filter, query) => query),
+      test: sinon.stub().callsFake(async (filter, documents) => documents
+        .map(() => true)),
+      validate: sinon.stub().resolves()
+    };
+
     this.dump = sinon.stub().resolves();
     this.shutdown = sinon.stub();
 
@@ -112,7 +179,22 @@ class KuzzleMock extends Kuzzle {
       },
       public: new ClientAdapterMock(),
       internal: new ClientAdapterMock(),
-      config: this.config.services.storageEngine
+      config: this.config.services.storageEngine,
+      history: {
+        assertEnabled: sinon.stub(),
+        deleteCollection: sinon.stub().resolves(),
+        deleteIndexes: sinon.stub().resolves(),
+        get: sinon.stub().resolves(),
+        isEnabled: sinon.stub().returns(false),
+        record: sinon.stub().resolves(),
+        search: sinon.stub().resolves({ hits: [], total: 0 })
+      },
+      softDelete: {
+        assertEnabled: sinon.stub(),
+        init: sinon.stub().resolves(),
+        isEnabled: sinon.stub().returns(false),
+        purge: sinon.stub().resolves()
+      }
     };
 
     this.cacheEngine = {
@@ -123,8 +205,12 @@ class KuzzleMock extends Kuzzle {
         exists: sinon.stub().resolves(),
         expire: sinon.stub().resolves(),
         flushdb: sinon.stub().resolves(),
+        incr: sinon.stub().resolves(1),
         info: sinon.stub().resolves(),
         keys: sinon.stub().resolves(),
+        lpush: sinon.stub().resolves(),
+        lrange: sinon.stub().resolves([]),
+        ltrim: sinon.stub().resolves(),
         mget: sinon.stub().resolves(),
         persist: sinon.stub().resolves(),
         pexpire: sinon.stub().resolves(),
@@ -151,6 +237,13 @@ class KuzzleMock extends Kuzzle {
 
     this.notifier = {
       init: sinon.spy(),
+      captures: new Map(),
+      capture: sinon.stub().returns([]),
+      releaseCapture: sinon.stub(),
+      getSequence: sinon.stub().resolves(0),
+      clearThrottling: sinon.stub(),
+      releaseReplayBuffer: sinon.stub().resolves(),
+      replay: sinon.stub().resolves({ complete: true, count: 0, sequence: 0 }),
       notifyUser: sinon.stub().resolves(),
       notifyServer: sinon.stub().resolves(),
       notifyDocument: sinon.stub().resolves(),
@@ -158,6 +251,7 @@ class KuzzleMock extends Kuzzle {
       notifyDocumentMDelete: sinon.stub().resolves(),
       notifyDocumentReplace: sinon.stub().resolves(),
       notifyDocumentUpdate: sinon.stub().resolves(),
+      tracksChanges: sinon.stub().returns(false),
       publish: sinon.stub().resolves(foo),
       notifyDocumentMCreate: sinon.stub().resolves(),
       notifyDocumentMChanges: sinon.stub().resolves()
@@ -202,11 +296,13 @@ class KuzzleMock extends Kuzzle {
         search: sinon.stub().resolves(),
         scroll: sinon.stub().resolves(),
         validateAndSaveProfile: sinon.stub(),
+        validateProfile: sinon.stub().resolves(),
         delete: sinon.stub(),
         getProfileFromRequest: sinon.stub(),
         truncate: sinon.stub().resolves()
       },
       role: {
+        checkRoleNativeRights: sinon.stub(),
         delete: sinon.stub().resolves(),
         fromDTO: sinon.stub().resolves(),
         getRoleFromRequest: sinon.stub().callsFake((...args) => Bluebird.resolve(args[0])),
@@ -217,6 +313,7 @@ class KuzzleMock extends Kuzzle {
         search: sinon.stub().resolves(),
         scroll: sinon.stub().resolves(),
         validateAndSaveRole: sinon.stub().callsFake((...args) => Bluebird.resolve(args[0])),
+        validateRole: sinon.stub().resolves(),
         truncate: sinon.stub().resolves(),
         sanityCheck: sinon.stub()
       },
@@ -244,11 +341,15 @@ class KuzzleMock extends Kuzzle {
         generateToken: sinon.stub().resolves({}),
         expire: sinon.stub().resolves(),
         deleteByUserId: sinon.stub().resolves(),
+        getSessionId: sinon.stub().returns('session'),
         truncate: sinon.stub().resolves(),
         persistToCache: sinon.stub().resolves(),
         persistForUser: sinon.stub().resolves(),
-        loadForUser: sinon.stub().resolves()
+        listSessions: sinon.stub().resolves([]),
+        loadForUser: sinon.stub().resolves(),
+        revokeSession: sinon.stub().resolves()
       },
+      exportSecurities: sinon.stub().resolves(),
       loadSecurities: sinon.stub().resolves(),
     };
 
@@ -282,9 +383,12 @@ class KuzzleMock extends Kuzzle {
 
     this.tokenManager = {
       expire: sinon.stub(),
+      expireUser: sinon.stub().resolves(),
       getConnectedUserToken: sinon.stub(),
+      getConnections: sinon.stub().returns([]),
       link: sinon.stub(),
       refresh: sinon.stub(),
+      setUserExpiry: sinon.stub(),
       unlink: sinon.stub()
     };
 
@@ -24,6 +24,7 @@ class ElasticsearchClientMock {
       }
     });
     this.mget = sinon.stub().resolves();
+    this.reindex = sinon.stub().resolves();
     this.update = sinon.stub().resolves();
     this.search = sinon.stub().resolves();
     this.scroll = sinon.stub().resolves();
@@ -51,7 +52,13 @@ class ElasticsearchClientMock {
       existsType: sinon.stub().resolves(),
       getMapping: sinon.stub().resolves(),
       putMapping: sinon.stub().resolves(),
-      refresh: sinon.stub().resolves()
+      refresh: sinon.stub().resolves(),
+      stats: sinon.stub().resolves(),
+      updateAliases: sinon.stub().resolves()
+    };
+
+    this.tasks = {
+      get: sinon.stub().resolves()
     };
 
     this.mcreate = sinon.stub().resolves();
@@ -101,6 +101,43 @@ describe('Test: model/security/profile', () => {
       .then(isAllowed => should(isAllowed).be.false());
   });
 
+  it('should deny the action if one of the roles explicitly denies it', async () => {
+    const
+      profile = new Profile(),
+      roles = {
+        allowRole: new Role(),
+        denyRole: new Role()
+      };
+
+    roles.allowRole.controllers = {
+      controller: { actions: { '*': true } }
+    };
+    roles.denyRole.controllers = {
+      controller: { actions: { action: { effect: 'deny' } } }
+    };
+
+    for (const roleId of Object.keys(roles)) {
+      roles[roleId][_kuzzle] = kuzzle;
+    }
+
+    kuzzle.repositories.role.load.callsFake(async id => roles[id]);
+    profile[_kuzzle] = kuzzle;
+    profile.policies = [{ roleId: 'allowRole' }];
+
+    should(await profile.isActionAllowed(request)).be.true();
+    should(await profile.isActionDenied(request)).be.false();
+
+    profile.policies.push({ roleId: 'denyRole' });
+
+    should(await profile.isActionAllowed(request)).be.false();
+    should(await profile.isActionDenied(request)).be.true();
+
+    profile.policies[1].restrictedTo = [{ index: 'otherIndex' }];
+
+    should(await profile.isActionAllowed(request)).be.true();
+    should(await profile.isActionDenied(request)).be.false();
+  });
+
   it('should retrieve the correct rights list', async () => {
     const profile = new Profile();
     const role1 = new Role();
@@ -196,6 +233,144 @@ describe('Test: model/security/profile', () => {
       .be.equal(true);
   });
 
+  it('should return the document filters of the policies allowing an action', async () => {
+    const profile = new Profile();
+    const allowRole = new Role();
+    const denyRole = new Role();
+
+    allowRole.controllers = { controller: { actions: { action: true } } };
+    denyRole.controllers = { controller: { actions: { action: false } } };
+
+    for (const role of [allowRole, denyRole]) {
+      role[_kuzzle] = kuzzle;
+    }
+
+    kuzzle.repositories.role.load.callsFake(async id => id === 'allow'
+      ? allowRole
+      : denyRole);
+
+    profile[_kuzzle] = kuzzle;
+    profile.policies = [
+      { filter: { equals: { foo: 'deny' } }, roleId: 'deny' },
+      { filter: { equals: { foo: 'bar' } }, roleId: 'allow' },
+      {
+        filter: { equals: { foo: 'restricted' } },
+        restrictedTo: [{ index: 'otherIndex' }],
+        roleId: 'allow'
+      },
+      { roleId: 'allow' }
+    ];
+
+    should(await profile.getDocumentFilters(request)).eql([
+      { equals: { foo: 'bar' } },
+      null
+    ]);
+
+    profile.policies = [];
+    should(await profile.getDocumentFilters(request)).eql([]);
+  });
+
+  it('should return the forbidden fields of the policies allowing an action', async () => {
+    const profile = new Profile();
+    const allowRole = new Role();
+    const denyRole = new Role();
+
+    allowRole.controllers = { controller: { actions: { action: true } } };
+    allowRole.forbiddenFields = {
+      index: { collection: { read: ['foo'], write: ['bar'] } }
+    };
+    denyRole.controllers = { controller: { actions: { action: false } } };
+    denyRole.forbiddenFields = allowRole.forbiddenFields;
+
+    for (const role of [allowRole, denyRole]) {
+      role[_kuzzle] = kuzzle;
+    }
+
+    kuzzle.repositories.role.load.callsFake(async id => id === 'allow'
+      ? allowRole
+      : denyRole);
+
+    profile[_kuzzle] = kuzzle;
+    profile.policies = [
+      { roleId: 'deny' },
+      { roleId: 'allow' },
+      { restrictedTo: [{ index: 'otherIndex' }], roleId: 'allow' }
+    ];
+
+    should(await profile.getForbiddenFields(request)).eql([
+      { read: ['foo'], write: ['bar'] }
+    ]);
+  });
+
+  describe('#explainAction', () => {
+    it('should explain the decision of each policy', async () => {
+      const profile = new Profile();
+      const roles = {
+        allowRole: new Role(),
+        denyRole: new Role()
+      };
+
+      roles.allowRole._id = 'allowRole';
+      roles.allowRole.controllers = {
+        controller: { actions: { action: true } }
+      };
+      roles.denyRole._id = 'denyRole';
+      roles.denyRole.controllers = {
+        '*': { actions: { '*': { effect: 'deny' } } }
+      };
+
+      for (const role of Object.values(roles)) {
+        role[_kuzzle] = kuzzle;
+      }
+
+      kuzzle.repositories.role.load.callsFake(async id => roles[id]);
+
+      profile._id = 'profile';
+      profile[_kuzzle] = kuzzle;
+
+      should(await profile.explainAction(request)).eql({
+        _id: 'profile',
+        decision: 'denied',
+        policies: []
+      });
+
+      profile.policies = [
+        { roleId: 'allowRole' },
+        { restrictedTo: [{ index: 'other' }], roleId: 'denyRole' }
+      ];
+
+      should(await profile.explainAction(request)).match({
+        _id: 'profile',
+        decision: 'allowed',
+        policies: [
+          {
+            effect: 'allow',
+            restrictedTo: [],
+            roleId: 'allowRole',
+            rule: { action: 'action', controller: 'controller', value: true }
+          },
+          {
+            effect: null,
+            restricted: true,
+            restrictedTo: [{ index: 'other' }],
+            roleId: 'denyRole',
+            rule: { action: '*', controller: '*' }
+          }
+        ]
+      });
+
+      profile.policies[1].restrictedTo = [{ index: 'index' }];
+
+      should(await profile.explainAction(request)).match({
+        decision: 'forbidden',
+        policies: [
+          { effect: 'allow' },
+          { effect: 'deny', restriction: { index: 'index' } }
+        ]
+      });
+    });
+  });
+
   describe('#validateDefinition', () => {
     let profile;
 
@@ -371,5 +546,49 @@ describe('Test: model/security/profile', () => {
         should(e.id).eql('api.assert.invalid_argument');
       }
     });
+
+    it('should validate policies document filters', async () => {
+      profile.policies = [{ filter: { equals: { foo: 'bar' } }, roleId: 'admin' }];
+
+      await profile.validateDefinition();
+      should(kuzzle.documentFilters.validate)
+        .calledWith({ equals: { foo: 'bar' } });
+
+      profile.policies[0].filter = 'foo';
+      await should(profile.validateDefinition()).rejectedWith(BadRequestError, {
+        id: 'api.assert.invalid_type',
+        message: 'Wrong type for argument "policies[0].filter" (expected: object)'
+      });
+
+      profile.policies[0].filter = { foo: 'bar' };
+      kuzzle.documentFilters.validate.rejects(new Error('unknown keyword'));
+      await should(profile.validateDefinition()).rejectedWith(BadRequestError, {
+        id: 'security.profile.invalid_filter',
+        message: 'Invalid document filter "policies[0].filter": unknown keyword'
+      });
+    });
+
+    it('should validate subscription limits', async () => {
+      profile.policies = [{roleId: 'admin'}];
+
+      for (const limit of ['subscriptionsPerConnection', 'subscriptionsPerUser']) {
+        profile[limit] = null;
+        await profile.validateDefinition();
+        should(profile[limit]).eql(0);
+
+        profile[limit] = 1.5;
+        await should(profile.validateDefinition()).rejectedWith(
+          BadRequestError,
+          { id: 'api.assert.invalid_type' });
+
+        profile[limit] = -1;
+        await should(profile.validateDefinition()).rejectedWith(
+          BadRequestError,
+          { id: 'api.assert.invalid_argument' });
+
+        profile[limit] = 10;
+        await profile.validateDefinition();
+      }
+    });
   });
 });
@@ -50,4 +50,34 @@ describe('Test: model/security/rights', () => {
     result = Rights.merge({value: 'foobar'}, {value: 'foobar'});
     should(result.value).be.equal('denied');
   });
+
+  it('should merge action rules, explicit denials taking precedence', () => {
+    const allow = () => ({value: {effect: 'allow'}});
+    const deny = () => ({value: {effect: 'deny'}});
+    const conditional = effect => ({
+      value: {conditions: {protocols: ['http']}, effect}
+    });
+
+    should(Rights.merge(undefined, allow()).value).be.equal('allowed');
+    should(Rights.merge(undefined, deny()).value).be.equal('forbidden');
+    should(Rights.merge(undefined, conditional('allow')).value)
+      .be.equal('conditional');
+    should(Rights.merge(undefined, conditional('deny')).value)
+      .be.equal('denied');
+
+    should(Rights.merge({value: true}, deny()).value).be.equal('forbidden');
+    should(Rights.merge(deny(), {value: true}).value).be.equal('forbidden');
+    should(Rights.merge({value: true}, conditional('deny')).value)
+      .be.equal('conditional');
+    should(Rights.merge(conditional('allow'), {value: true}).value)
+      .be.equal('allowed');
+
+    // merged rights remember conditional denials
+    const merged = Rights.merge(conditional('deny'), {value: false});
+
+    should(merged.value).be.equal('denied');
+    should(Rights.merge(merged, {value: true}).value).be.equal('conditional');
+    should(Rights.merge({value: 'forbidden'}, allow()).value)
+      .be.equal('forbidden');
+  });
 });
@@ -1,6 +1,7 @@
 'use strict';
 
 const should = require('should');
+const sinon = require('sinon');
 const Kuzzle = require('../../mocks/kuzzle.mock');
 const Role = require('../../../lib/model/security/role');
 const {
@@ -199,6 +200,100 @@ describe('Test: model/security/role', () => {
       should(role.isActionAllowed(request)).be.false();
     });
 
+    it('should allow actions allowed by rules whose conditions are met', () => {
+      const role = new Role();
+      const rule = { effect: 'allow' };
+      const httpRequest = new Request(request.input, {
+        connection: { ips: ['10.0.0.1', '192.168.1.1'], protocol: 'http' }
+      });
+
+      role.controllers = { controller: { actions: { action: rule } } };
+      role[_kuzzle] = kuzzle;
+
+      should(role.isActionAllowed(httpRequest)).be.true();
+
+      rule.conditions = { ips: ['10.0.0.0/8'], protocols: ['http', 'mqtt'] };
+      should(role.isActionAllowed(httpRequest)).be.true();
+      should(role.isActionAllowed(request)).be.false();
+
+      rule.conditions = { protocols: ['websocket'] };
+      should(role.isActionAllowed(httpRequest)).be.false();
+
+      rule.effect = 'deny';
+      delete rule.conditions;
+      should(role.isActionAllowed(httpRequest)).be.false();
+    });
+
+    it('should only trust the addresses forwarded by trusted proxies', () => {
+      const role = new Role();
+      const forwarded = new Request(request.input, {
+        // peer, then X-Forwarded-For chain: client, proxy1
+        connection: { ips: ['10.0.0.2', '192.168.1.1', '10.0.0.1'] }
+      });
+
+      role.controllers = {
+        controller: {
+          actions: {
+            action: { conditions: { ips: ['192.168.1.0/24'] }, effect: 'allow' }
+          }
+        }
+      };
+      role[_kuzzle] = kuzzle;
+
+      try {
+        should(role.isActionAllowed(forwarded)).be.false();
+
+        kuzzle.config.security.trustedProxies = ['10.0.0.2'];
+        should(role.isActionAllowed(forwarded)).be.false();
+
+        kuzzle.config.security.trustedProxies = ['10.0.0.0/24'];
+        should(role.isActionAllowed(forwarded)).be.true();
+      }
+      finally {
+        kuzzle.config.security.trustedProxies = [];
+      }
+    });
+
+    it('should check the time windows of rules', () => {
+      const role = new Role();
+      const rule = {
+        conditions: {
+          timeWindows: [
+            { days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '08:00', to: '19:00' }
+          ]
+        },
+        effect: 'allow'
+      };
+      // Wednesday, 2020-06-10 at 18:30 UTC
+      const clock = sinon.useFakeTimers(Date.UTC(2020, 5, 10, 18, 30));
+
+      role.controllers = { controller: { actions: { action: rule } } };
+      role[_kuzzle] = kuzzle;
+
+      try {
+        should(role.isActionAllowed(request)).be.true();
+
+        // 20:30 in Paris
+        rule.conditions.timeWindows[0].timezone = 'Europe/Paris';
+        should(role.isActionAllowed(request)).be.false();
+
+        // windows ending before they start span midnight
+        rule.conditions.timeWindows.push({
+          from: '20:00',
+          timezone: 'Europe/Paris',
+          to: '02:00'
+        });
+        should(role.isActionAllowed(request)).be.true();
+
+        // Saturday
+        clock.tick(3 * 24 * 3600 * 1000 - 5 * 3600 * 1000);
+        should(role.isActionAllowed(request)).be.false();
+      }
+      finally {
+        clock.restore();
+      }
+    });
+
     it('should reject if the rights configuration is not a boolean', () => {
       const role = new Role();
       role.controllers = {
@@ -215,6 +310,145 @@ describe('Test: model/security/role', () => {
 
   });
 
+  describe('#isActionDenied', () => {
+    it('should tell if an action is explicitly denied', () => {
+      const role = new Role();
+
+      role.controllers = {
+        controller: {
+          actions: {
+            '*': { effect: 'deny' },
+            other: true
+          }
+        }
+      };
+      role[_kuzzle] = kuzzle;
+
+      should(role.isActionDenied(request)).be.true();
+      should(role.isActionDenied(request, [{ index: 'index' }])).be.true();
+      should(role.isActionDenied(request, [{ index: 'other' }])).be.false();
+
+      role.controllers.controller.actions.action = {
+        conditions: { protocols: ['http'] },
+        effect: 'deny'
+      };
+      should(role.isActionDenied(request)).be.false();
+
+      role.controllers.controller.actions.action = false;
+      should(role.isActionDenied(request)).be.false();
+    });
+  });
+
+  describe('#explainAction', () => {
+    it('should return the rule applying to an action, and the role decision', () => {
+      const role = new Role();
+
+      role.controllers = {
+        '*': { actions: { '*': true } },
+        controller: {
+          actions: {
+            '*': { effect: 'deny' },
+            other: true
+          }
+        }
+      };
+      role[_kuzzle] = kuzzle;
+
+      should(role.explainAction(request)).eql({
+        conditions: null,
+        effect: 'deny',
+        restricted: false,
+        restriction: null,
+        rule: {
+          action: '*',
+          controller: 'controller',
+          value: { effect: 'deny' }
+        }
+      });
+
+      delete role.controllers.controller;
+
+      should(role.explainAction(request)).match({
+        effect: 'allow',
+        rule: { action: '*', controller: '*', value: true }
+      });
+
+      role.controllers = { controller: { actions: { other: true } } };
+
+      should(role.explainAction(request)).match({ effect: null, rule: null });
+    });
+
+    it('should explain which restriction and which conditions apply', () => {
+      const role = new Role();
+
+      role.controllers = {
+        controller: {
+          actions: {
+            action: {
+              conditions: { protocols: ['http'] },
+              effect: 'allow'
+            }
+          }
+        }
+      };
+      role[_kuzzle] = kuzzle;
+
+      const restrictedTo = [
+        { index: 'other' },
+        { collections: ['collection'], index: 'index' }
+      ];
+
+      should(role.explainAction(request, restrictedTo)).match({
+        conditions: false,
+        effect: null,
+        restricted: false,
+        restriction: { collections: ['collection'], index: 'index' }
+      });
+
+      role.controllers.controller.actions.action.conditions.protocols.push(
+        request.context.connection.protocol);
+
+      should(role.explainAction(request, restrictedTo)).match({
+        conditions: true,
+        effect: 'allow'
+      });
+
+      should(role.explainAction(request, [{ index: 'other' }])).match({
+        conditions: true,
+        effect: null,
+        restricted: true,
+        restriction: null
+      });
+    });
+
+    it('should be consistent with isActionAllowed and isActionDenied', () => {
+      const role = new Role();
+      const rules = [
+        true,
+        false,
+        { effect: 'allow' },
+        { effect: 'deny' },
+        { conditions: { protocols: ['foo'] }, effect: 'allow' },
+        { conditions: { protocols: ['foo'] }, effect: 'deny' }
+      ];
+
+      role[_kuzzle] = kuzzle;
+
+      for (const rule of rules) {
+        for (const restrictedTo of [[], [{ index: 'index' }], [{ index: 'foo' }]]) {
+          role.controllers = { controller: { actions: { action: rule } } };
+
+          const { effect } = role.explainAction(request, restrictedTo);
+
+          should(effect === 'allow')
+            .eql(role.isActionAllowed(request, restrictedTo));
+          should(effect === 'deny')
+            .eql(role.isActionDenied(request, restrictedTo));
+        }
+      }
+    });
+  });
+
   describe('#validateDefinition', () => {
     it('should reject the promise if the controllers definition is not an object', () => {
       const role = new Role();
@@ -320,5 +554,106 @@ describe('Test: model/security/role', () => {
 
       return should(role.validateDefinition(context)).be.fulfilledWith();
     });
+
+    it('should validate action rules', async () => {
+      const role = new Role();
+      const rule = {
+        conditions: {
+          ips: ['10.0.0.0/8', '::1'],
+          protocols: ['http'],
+          timeWindows: [
+            { days: ['sat', 'sun'], from: '10:00', timezone: 'Europe/Paris', to: '12:00' },
+            { from: '22:00', to: '06:00' }
+          ]
+        },
+        effect: 'allow'
+      };
+
+      role.controllers = {
+        controller: { actions: { '*': { effect: 'deny' }, action: rule } }
+      };
+      await role.validateDefinition();
+
+      const invalid = [
+        [{ effect: 'maybe' }, 'invalid_argument', 'controller.actions.action.effect'],
+        [{ effect: 'allow', foo: 'bar' }, 'unexpected_argument', 'controller.actions.action.foo'],
+        [{ conditions: [], effect: 'allow' }, 'invalid_type', 'controller.actions.action.conditions'],
+        [{ conditions: { users: [] }, effect: 'allow' }, 'unexpected_argument', 'controller.actions.action.conditions.users'],
+        [{ conditions: { ips: [] }, effect: 'allow' }, 'invalid_type', 'controller.actions.action.conditions.ips'],
+        [{ conditions: { ips: ['10.0.0.0/33'] }, effect: 'allow' }, 'invalid_argument', 'controller.actions.action.conditions.ips[0]'],
+        [{ conditions: { protocols: [42] }, effect: 'allow' }, 'invalid_type', 'controller.actions.action.conditions.protocols[0]'],
+        [{ conditions: { timeWindows: ['foo'] }, effect: 'allow' }, 'invalid_type', 'controller.actions.action.conditions.timeWindows[0]'],
+        [{ conditions: { timeWindows: [{ from: '10:00' }] }, effect: 'allow' }, 'missing_argument', 'controller.actions.action.conditions.timeWindows[0].to'],
+        [{ conditions: { timeWindows: [{ from: '24:00', to: '10:00' }] }, effect: 'allow' }, 'invalid_argument', 'controller.actions.action.conditions.timeWindows[0].from'],
+        [{ conditions: { timeWindows: [{ days: ['monday'], from: '08:00', to: '10:00' }] }, effect: 'allow' }, 'invalid_argument', 'controller.actions.action.conditions.timeWindows[0].days'],
+        [{ conditions: { timeWindows: [{ from: '08:00', timezone: 'Mars/Olympus', to: '10:00' }] }, effect: 'allow' }, 'invalid_argument', 'controller.actions.action.conditions.timeWindows[0].timezone']
+      ];
+
+      for (const [action, id, name] of invalid) {
+        role.controllers.controller.actions.action = action;
+
+        await should(role.validateDefinition()).rejectedWith(BadRequestError, {
+          id: `api.assert.${id}`,
+          message: new RegExp(`"${name.replace(/[[\].]/g, '\\$&')}"`)
+        });
+      }
+    });
+
+    it('should validate forbidden fields', async () => {
+      const role = new Role();
+      role.controllers = { controller: { actions: { action: true } } };
+
+      role.forbiddenFields = {
+        index: { collection: { read: ['foo'], write: ['foo', 'bar.baz'] } }
+      };
+      await role.validateDefinition();
+
+      const invalid = [
+        ['foo', 'forbiddenFields'],
+        [{ index: [] }, 'forbiddenFields.index'],
+        [{ index: { collection: 'foo' } }, 'forbiddenFields.index.collection'],
+        [{ index: { collection: { read: 'foo' } } }, 'forbiddenFields.index.collection.read'],
+        [{ index: { collection: { write: [''] } } }, 'forbiddenFields.index.collection.write']
+      ];
+
+      for (const [forbiddenFields, name] of invalid) {
+        role.forbiddenFields = forbiddenFields;
+
+        await should(role.validateDefinition()).rejectedWith(BadRequestError, {
+          id: 'api.assert.invalid_type',
+          message: new RegExp(`^Wrong type for argument "${name}"`)
+        });
+      }
+
+      role.forbiddenFields = { index: { collection: { delete: [] } } };
+      await should(role.validateDefinition()).rejectedWith(BadRequestError, {
+        id: 'api.assert.unexpected_argument'
+      });
+    });
+  });
+
+  describe('#getForbiddenFields', () => {
+    it('should return the fields forbidden in a collection', () => {
+      const role = new Role();
+
+      should(role.getForbiddenFields('index', 'collection'))
+        .eql({ read: [], write: [] });
+
+      role.forbiddenFields = {
+        index: {
+          collection: { read: ['foo'] },
+          other: { write: ['bar'] }
+        }
+      };
+
+      should(role.getForbiddenFields('index', 'collection'))
+        .eql({ read: ['foo'], write: [] });
+      should(role.getForbiddenFields('index', 'other'))
+        .eql({ read: [], write: ['bar'] });
+      should(role.getForbiddenFields('index', 'missing'))
+        .eql({ read: [], write: [] });
+      should(role.getForbiddenFields('missing', 'collection'))
+        .eql({ read: [], write: [] });
+    });
   });
 });
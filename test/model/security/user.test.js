@@ -7,7 +7,7 @@ const Kuzzle = require('../../mocks/kuzzle.mock');
 const Profile = require('../../../lib/model/security/profile');
 const User = require('../../../lib/model/security/user');
 const {
-  errors: { InternalError },
+  errors: { InternalError, UnauthorizedError },
   Request,
 } = require('kuzzle-common-objects');
 
@@ -139,6 +139,16 @@ describe('Test: model/security/user', () => {
       });
   });
 
+  it('should deny actions explicitly denied by any of its profiles', async () => {
+    profile2.isActionDenied = sinon.stub().resolves(true);
+
+    should(await user.isActionAllowed(new Request({}))).be.false();
+
+    profile2.isActionDenied.resolves(false);
+
+    should(await user.isActionAllowed(new Request({}))).be.true();
+  });
+
   it('should respond false if the user have no profileIds', () => {
     user.profileIds = [];
     return user.isActionAllowed(new Request({}))
@@ -157,4 +167,27 @@ describe('Test: model/security/user', () => {
       { id: 'security.user.uninitialized' });
   });
 
+  it('should tell whether the user account is disabled or expired', () => {
+    user._id = 'foo';
+
+    should(user.isActive()).be.true();
+    should(() => user.assertIsActive()).not.throw();
+
+    user.expiresAt = Date.now() - 1;
+
+    should(user.isExpired()).be.true();
+    should(user.isActive()).be.false();
+    should(() => user.assertIsActive()).throw(UnauthorizedError, {
+      id: 'security.user.expired'
+    });
+
+    user.expiresAt = Date.now() + 60000;
+    user.disabled = true;
+
+    should(user.isExpired()).be.false();
+    should(user.isActive()).be.false();
+    should(() => user.assertIsActive()).throw(UnauthorizedError, {
+      id: 'security.user.disabled'
+    });
+  });
 });
@@ -7,6 +7,7 @@ const KuzzleMock = require('../../mocks/kuzzle.mock');
 const ClientAdapterMock = require('../../mocks/clientAdapter.mock');
 const BaseModel = require('../../../lib/model/storage/baseModel');
 const ApiKey = require('../../../lib/model/storage/apiKey');
+const Role = require('../../../lib/model/security/role');
 
 describe('ApiKey', () => {
   let StorageEngine;
@@ -67,7 +68,7 @@ describe('ApiKey', () => {
       should(BaseModel.kuzzle.repositories.token.generateToken).be.calledWith(
         user,
         'connectionId',
-        { expiresIn: 'expiresIn', bypassMaxTTL: true });
+        { apiKey: true, expiresIn: 'expiresIn', bypassMaxTTL: true, restriction: null });
 
       should(saveStub)
         .be.calledWith({ userId: 'aschen', refresh: 'wait_for' });
@@ -91,6 +92,82 @@ describe('ApiKey', () => {
 
       should(apiKey._id).be.eql('my-api-key-id');
     });
+
+    it('should create API keys restricted to a subset of the user rights', async () => {
+      const restriction = {
+        controllers: { document: { actions: { get: true } } },
+        restrictedTo: [ { collections: ['bar'], index: 'foo' } ]
+      };
+      sinon.stub(ApiKey, 'validateRestriction').resolves();
+
+      try {
+        const apiKey = await ApiKey.create(
+          user,
+          'connectionId',
+          'expiresIn',
+          'CI pipeline',
+          { restriction });
+
+        should(ApiKey.validateRestriction).calledWith(restriction);
+        should(apiKey._source.restriction).eql(restriction);
+      }
+      finally {
+        ApiKey.validateRestriction.restore();
+      }
+
+      should(BaseModel.kuzzle.repositories.token.generateToken).be.calledWith(
+        user,
+        'connectionId',
+        { apiKey: true, bypassMaxTTL: true, expiresIn: 'expiresIn', restriction });
+    });
+  });
+
+  describe('ApiKey.validateRestriction', () => {
+    beforeEach(() => {
+      kuzzle.repositories.role.fromDTO.callsFake(async dto => {
+        const role = new Role();
+        role[Symbol.for('_kuzzle')] = kuzzle;
+
+        return Object.assign(role, dto);
+      });
+      kuzzle.storageEngine = storageEngine;
+    });
+
+    it('should accept valid restrictions', async () => {
+      const restriction = {
+        controllers: { document: { actions: { get: true } } },
+        restrictedTo: [ { collections: ['bar'], index: 'foo' } ]
+      };
+
+      await ApiKey.validateRestriction(restriction);
+
+      should(kuzzle.repositories.role.checkRoleNativeRights).calledWithMatch({
+        controllers: restriction.controllers
+      });
+
+      await ApiKey.validateRestriction({ controllers: restriction.controllers });
+    });
+
+    it('should reject invalid restrictions', async () => {
+      await should(ApiKey.validateRestriction('foo')).rejectedWith({
+        id: 'api.assert.invalid_type'
+      });
+
+      await should(ApiKey.validateRestriction({ controllers: {}, foo: 'bar' }))
+        .rejectedWith({
+          id: 'api.assert.unexpected_argument',
+          message: 'Unexpected argument "restriction.foo" (accepted arguments: "controllers", "restrictedTo")'
+        });
+
+      await should(ApiKey.validateRestriction({ restrictedTo: [] }))
+        .rejectedWith({ id: 'api.assert.missing_argument' });
+
+      await should(ApiKey.validateRestriction({
+        controllers: { document: { actions: { get: true } } },
+        restrictedTo: [ { collections: ['bar'] } ]
+      }))
+        .rejectedWith({ id: 'api.assert.missing_argument' });
+    });
   });
 
   describe('ApiKey.load', () => {
@@ -3,6 +3,7 @@
 const should = require('should');
 const sinon = require('sinon');
 const ms = require('ms');
+const Bluebird = require('bluebird');
 const KuzzleMock = require('../../mocks/kuzzle.mock');
 const ESClientMock = require('../../mocks/service/elasticsearchClient.mock');
 const ES = require('../../../lib/service/storage/elasticsearch');
@@ -558,6 +559,23 @@ describe('Test: ElasticSearch service', () => {
           });
         });
     });
+
+    it('should store the expiration date of documents', async () => {
+      elasticsearch._client.index.resolves({ body: { _id: 'liia', _version: 1 } });
+
+      await elasticsearch.create(index, collection, { city: 'Kathmandu' });
+
+      should(elasticsearch._client.index.firstCall.args[0].body._kuzzle_info)
+        .not.have.property('expiresAt');
+
+      const result = await elasticsearch.create(
+        index,
+        collection,
+        { city: 'Kathmandu' },
+        { expiresAt: 42 });
+
+      should(result._source._kuzzle_info.expiresAt).eql(42);
+    });
   });
 
   describe('#createOrReplace', () => {
@@ -589,6 +607,7 @@ describe('Test: ElasticSearch service', () => {
               _kuzzle_info: {
                 author: 'aschen',
                 createdAt: timestamp,
+                impersonatedBy: null,
                 updatedAt: timestamp,
                 updater: 'aschen'
               }
@@ -634,6 +653,20 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should record impersonations even if meta are not injected', async () => {
+      await elasticsearch.createOrReplace(
+        index,
+        collection,
+        'liia',
+        { _kuzzle_info: { author: 'foo' }, city: 'Kathmandu' },
+        { impersonatedBy: 'admin', injectKuzzleMeta: false });
+
+      should(elasticsearch._client.index.firstCall.args[0].body).eql({
+        _kuzzle_info: { author: 'foo', impersonatedBy: 'admin' },
+        city: 'Kathmandu'
+      });
+    });
+
     it('should return a rejected promise if client.index fails', () => {
       elasticsearch._client.index.rejects(esClientError);
 
@@ -678,6 +711,7 @@ describe('Test: ElasticSearch service', () => {
               doc: {
                 city: 'Panipokari',
                 _kuzzle_info: {
+                  impersonatedBy: null,
                   updatedAt: timestamp,
                   updater: null
                 }
@@ -698,6 +732,23 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should only change the expiration date of documents if set', async () => {
+      await elasticsearch.update(index, collection, 'liia', { city: 'Panipokari' });
+
+      should(elasticsearch._client.update.firstCall.args[0].body.doc._kuzzle_info)
+        .not.have.property('expiresAt');
+
+      await elasticsearch.update(
+        index,
+        collection,
+        'liia',
+        { city: 'Panipokari' },
+        { expiresAt: 42 });
+
+      should(elasticsearch._client.update.secondCall.args[0].body.doc._kuzzle_info)
+        .match({ expiresAt: 42 });
+    });
+
     it('should handle optional configurations', () => {
       const promise = elasticsearch.update(
         index,
@@ -714,6 +765,7 @@ describe('Test: ElasticSearch service', () => {
               doc: {
                 city: 'Panipokari',
                 _kuzzle_info: {
+                  impersonatedBy: null,
                   updatedAt: timestamp,
                   updater: 'aschen'
                 }
@@ -735,6 +787,75 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should only update a document if it has the expected version', async () => {
+      elasticsearch._client.get.resolves({
+        body: { _primary_term: 1, _seq_no: 12, _version: 3 }
+      });
+
+      await elasticsearch.update(
+        index,
+        collection,
+        'liia',
+        { city: 'Panipokari' },
+        { ifVersion: 3, retryOnConflict: 42 });
+
+      should(elasticsearch._client.get).be.calledWith({
+        _source: false,
+        id: 'liia',
+        index: esIndexName
+      });
+      should(elasticsearch._client.update).be.calledWithMatch({
+        id: 'liia',
+        if_primary_term: 1,
+        if_seq_no: 12,
+        retryOnConflict: undefined
+      });
+    });
+
+    it('should reject with a version conflict if the document has been modified', async () => {
+      elasticsearch._client.get.resolves({
+        body: { _primary_term: 1, _seq_no: 12, _version: 4 }
+      });
+
+      await should(elasticsearch.update(
+        index,
+        collection,
+        'liia',
+        { city: 'Panipokari' },
+        { ifVersion: 3 }))
+        .rejectedWith(PreconditionError, {
+          id: 'services.storage.version_conflict',
+          message: `Document "liia" in "${index}":"${collection}" has been modified: expected version 3, current version is 4.`
+        });
+
+      should(elasticsearch._client.update).not.be.called();
+    });
+
+    it('should report the current version of documents modified concurrently', async () => {
+      const conflict = new Error('version conflict');
+
+      conflict.meta = { statusCode: 409 };
+      elasticsearch._client.update.rejects(conflict);
+      elasticsearch._client.get
+        .onFirstCall().resolves({
+          body: { _primary_term: 1, _seq_no: 12, _version: 3 }
+        })
+        .onSecondCall().resolves({
+          body: { _primary_term: 1, _seq_no: 13, _version: 4 }
+        });
+
+      await should(elasticsearch.update(
+        index,
+        collection,
+        'liia',
+        { city: 'Panipokari' },
+        { ifVersion: 3 }))
+        .rejectedWith(PreconditionError, {
+          id: 'services.storage.version_conflict',
+          message: /current version is 4\.$/
+        });
+    });
+
     it('should return a rejected promise if client.update fails', () => {
       elasticsearch._client.update.rejects(esClientError);
 
@@ -764,6 +885,7 @@ describe('Test: ElasticSearch service', () => {
           doc: {
             city: 'Panipokari',
             _kuzzle_info: {
+              impersonatedBy: null,
               updatedAt: timestamp,
               updater: 'oh noes'
             }
@@ -787,6 +909,7 @@ describe('Test: ElasticSearch service', () => {
         }
       });
       elasticsearch._client.exists.resolves({ body: true });
+      elasticsearch._client.get.resolves({ body: { _source: {} } });
     });
 
     it('should support replace capability', () => {
@@ -806,6 +929,7 @@ describe('Test: ElasticSearch service', () => {
               _kuzzle_info: {
                 author: null,
                 createdAt: timestamp,
+                impersonatedBy: null,
                 updatedAt: timestamp,
                 updater: null
               }
@@ -839,6 +963,7 @@ describe('Test: ElasticSearch service', () => {
               _kuzzle_info: {
                 author: 'aschen',
                 createdAt: timestamp,
+                impersonatedBy: null,
                 updatedAt: timestamp,
                 updater: 'aschen'
               }
@@ -854,6 +979,68 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should only replace a document if it has the expected version', async () => {
+      elasticsearch._client.get.resolves({
+        body: { _primary_term: 1, _seq_no: 12, _version: 3 }
+      });
+
+      await elasticsearch.replace(
+        index,
+        collection,
+        'liia',
+        { city: 'Kathmandu' },
+        { ifVersion: 3 });
+
+      should(elasticsearch._client.exists).not.be.called();
+      should(elasticsearch._client.index).be.calledWithMatch({
+        id: 'liia',
+        if_primary_term: 1,
+        if_seq_no: 12
+      });
+
+      elasticsearch._client.index.resetHistory();
+
+      await should(elasticsearch.replace(
+        index,
+        collection,
+        'liia',
+        { city: 'Kathmandu' },
+        { ifVersion: 2 }))
+        .rejectedWith(PreconditionError, { id: 'services.storage.version_conflict' });
+
+      should(elasticsearch._client.index).not.be.called();
+    });
+
+    it('should keep the expiration date of documents', async () => {
+      elasticsearch._client.get.resolves({
+        body: { _source: { _kuzzle_info: { expiresAt: 42000 } } }
+      });
+
+      await elasticsearch.replace(index, collection, 'liia', { city: 'Kathmandu' });
+
+      should(elasticsearch._client.get).be.calledWithMatch({
+        _source_includes: '_kuzzle_info.expiresAt',
+        id: 'liia',
+        index: esIndexName
+      });
+      should(elasticsearch._client.index).be.calledWithMatch({
+        body: { _kuzzle_info: { expiresAt: 42000 } }
+      });
+
+      elasticsearch._client.get.resetHistory();
+
+      await elasticsearch.replace(
+        index,
+        collection,
+        'liia',
+        { city: 'Kathmandu' },
+        { expiresAt: 1337 });
+
+      should(elasticsearch._client.get).not.be.called();
+      should(elasticsearch._client.index.secondCall.args[0].body._kuzzle_info)
+        .match({ expiresAt: 1337 });
+    });
+
     it('should throw a NotFoundError Exception if document already exists', () => {
       elasticsearch._client.exists.resolves({ body: false });
 
@@ -934,6 +1121,27 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should only delete a document if it has the expected version', async () => {
+      elasticsearch._client.get.resolves({
+        body: { _primary_term: 1, _seq_no: 12, _version: 3 }
+      });
+
+      await elasticsearch.delete(index, collection, 'liia', { ifVersion: 3 });
+
+      should(elasticsearch._client.delete).be.calledWithMatch({
+        id: 'liia',
+        if_primary_term: 1,
+        if_seq_no: 12
+      });
+
+      elasticsearch._client.delete.resetHistory();
+
+      await should(elasticsearch.delete(index, collection, 'liia', { ifVersion: 2 }))
+        .rejectedWith(PreconditionError, { id: 'services.storage.version_conflict' });
+
+      should(elasticsearch._client.delete).not.be.called();
+    });
+
     it('should return a rejected promise if client.delete fails', () => {
       elasticsearch._client.delete.rejects(esClientError);
 
@@ -1026,6 +1234,11 @@ describe('Test: ElasticSearch service', () => {
             ],
             errors: []
           });
+
+          should(result.previous).eql(new Map([
+            [ '_id1', { name: 'Ok' } ],
+            [ '_id2', { name: 'Ok' } ]
+          ]));
         });
     });
 
@@ -1051,7 +1264,9 @@ describe('Test: ElasticSearch service', () => {
             collection,
             documents,
             {
-              refresh: 'wait_for'
+              impersonatedBy: null,
+              refresh: 'wait_for',
+              userId: null
             });
 
           should(result).match({
@@ -1149,13 +1364,14 @@ describe('Test: ElasticSearch service', () => {
         index,
         collection,
         { filter: 'term' },
-        { refresh: 'wait_for', from: 1, size: 3 });
+        { refresh: 'wait_for', from: 1, size: 3, conflicts: 'proceed' });
 
       should(elasticsearch._client.deleteByQuery).be.calledWithMatch({
         index: esIndexName,
         body: { query: { filter: 'term' } },
         size: 3,
-        refresh: true
+        refresh: true,
+        conflicts: 'proceed'
       });
 
       should(result).match({
@@ -1599,6 +1815,23 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should get the mapping of migrated collections', async () => {
+      elasticsearch._client.indices.getMapping.resolves({
+        body: {
+          [`${esIndexName}.1577836800000`]: {
+            mappings: { dynamic: 'false', properties: { city: { type: 'text' } } }
+          }
+        }
+      });
+
+      const result = await elasticsearch.getMapping(index, collection);
+
+      should(result).match({
+        dynamic: 'false',
+        properties: { city: { type: 'text' } }
+      });
+    });
+
     it('should include kuzzleMeta if specified', () => {
       const promise = elasticsearch.getMapping(
         index,
@@ -1919,6 +2152,9 @@ describe('Test: ElasticSearch service', () => {
       };
 
       elasticsearch.getMapping = sinon.stub().resolves(existingMapping);
+      elasticsearch._client.cat.indices.resolves({
+        body: [ { index: esIndexName } ]
+      });
     });
 
     it('should delete and then create the collection with the same mapping', () => {
@@ -1928,7 +2164,7 @@ describe('Test: ElasticSearch service', () => {
         .then(result => {
           should(elasticsearch.getMapping).be.calledWith(index, collection);
           should(elasticsearch._client.indices.delete).be.calledWithMatch({
-            index: esIndexName
+            index: [ esIndexName ]
           });
           should(elasticsearch._client.indices.create).be.calledWithMatch({
             index: esIndexName,
@@ -1958,6 +2194,398 @@ describe('Test: ElasticSearch service', () => {
     });
   });
 
+  describe('#migrateCollection', () => {
+    let target;
+
+    const taskResult = ({ failures = [], total = 0, versionConflicts = 0 } = {}) => ({
+      body: {
+        completed: true,
+        response: { failures, total, version_conflicts: versionConflicts },
+        task: {
+          status: {
+            created: total,
+            deleted: 0,
+            noops: 0,
+            total,
+            updated: 0,
+            version_conflicts: versionConflicts
+          }
+        }
+      }
+    });
+
+    beforeEach(() => {
+      target = `${esIndexName}.${timestamp}`;
+
+      sinon.stub(Bluebird, 'delay').resolves();
+
+      elasticsearch._client.cat.aliases.resolves({ body: [] });
+      elasticsearch._client.cat.indices.resolves({
+        body: [
+          { index: esIndexName },
+          // interrupted migration
+          { index: `${esIndexName}.42` }
+        ]
+      });
+      elasticsearch._client.indices.getSettings.resolves({
+        body: {
+          [esIndexName]: {
+            settings: {
+              index: {
+                analysis: { analyzer: { foo: { type: 'standard' } } },
+                number_of_replicas: '1',
+                number_of_shards: '1',
+                uuid: 'uuid'
+              }
+            }
+          }
+        }
+      });
+      elasticsearch._client.reindex.resolves({ body: { task: 'task' } });
+      elasticsearch._client.tasks.get.resolves(taskResult());
+      elasticsearch._client.tasks.get.onFirstCall().resolves(taskResult({ total: 2 }));
+      elasticsearch._client.count.resolves({ body: { count: 2 } });
+      elasticsearch._client.search.resolves({
+        body: { _scroll_id: 'scroll', hits: { hits: [] } }
+      });
+      elasticsearch._client.indices.stats.callsFake(async ({ index: esIndex }) => ({
+        body: {
+          indices: {
+            [esIndex]: {
+              shards: {
+                0: [
+                  { routing: { primary: false }, seq_no: { max_seq_no: 40 } },
+                  { routing: { primary: true }, seq_no: { max_seq_no: 42 } }
+                ],
+                1: [
+                  { routing: { primary: true }, seq_no: { max_seq_no: 41 } }
+                ]
+              }
+            }
+          }
+        }
+      }));
+    });
+
+    afterEach(() => {
+      Bluebird.delay.restore();
+    });
+
+    it('should copy documents to a new index and swap the collection to it', async () => {
+      const onProgress = sinon.stub();
+
+      await elasticsearch.migrateCollection(
+        index,
+        collection,
+        {
+          mappings: { properties: { city: { type: 'keyword' } } },
+          script: { source: 'ctx._source.city = ctx._source.town' },
+          settings: { number_of_shards: 2 }
+        },
+        { onProgress });
+
+      should(elasticsearch._client.indices.delete).calledOnce().calledWith({
+        index: [ `${esIndexName}.42` ]
+      });
+      should(elasticsearch._client.indices.putSettings.firstCall).calledWith({
+        body: { 'index.blocks.write': null },
+        index: esIndexName
+      });
+
+      const { body } = elasticsearch._client.indices.create.firstCall.args[0];
+
+      should(elasticsearch._client.indices.create).calledWithMatch({
+        index: target
+      });
+      should(body.mappings.properties).match({
+        _kuzzle_info: { properties: { createdAt: { type: 'date' } } },
+        city: { type: 'keyword' }
+      });
+      should(body.settings).eql({
+        index: {
+          analysis: { analyzer: { foo: { type: 'standard' } } },
+          number_of_replicas: '1',
+          number_of_shards: 2
+        }
+      });
+
+      // copy, and catch-up pass copying nothing
+      should(elasticsearch._client.reindex).calledTwice();
+      should(elasticsearch._client.reindex.firstCall.args[0]).eql({
+        body: {
+          conflicts: 'proceed',
+          dest: { index: target, version_type: 'external' },
+          script: { source: 'ctx._source.city = ctx._source.town' },
+          source: { index: esIndexName }
+        },
+        refresh: true,
+        waitForCompletion: false
+      });
+      should(elasticsearch._client.indices.stats).calledWith({
+        index: esIndexName,
+        level: 'shards'
+      });
+      should(elasticsearch._client.reindex.secondCall.args[0].body.source.query)
+        .eql({ range: { _seq_no: { gt: 41 } } });
+      should(elasticsearch._client.tasks.get).calledWith({ taskId: 'task' });
+      should(onProgress)
+        .calledWith({ processed: 2, step: 'copy', total: 2 })
+        .calledWith({ processed: 0, step: 'catchUp', total: 0 })
+        .calledWith({ processed: 0, step: 'swap', total: 0 });
+
+      should(elasticsearch._client.indices.putSettings).calledTwice();
+      should(elasticsearch._client.indices.putSettings.secondCall).calledWith({
+        body: { 'index.blocks.write': true },
+        index: esIndexName
+      });
+      should(elasticsearch._client.indices.updateAliases).calledWith({
+        body: {
+          actions: [
+            { remove_index: { index: esIndexName } },
+            { add: { alias: esIndexName, index: target } }
+          ]
+        }
+      });
+      should(elasticsearch._client.indices.updateAliases.calledAfter(
+        elasticsearch._client.indices.putSettings)).be.true();
+    });
+
+    it('should migrate collections which have already been migrated', async () => {
+      elasticsearch._client.cat.aliases.resolves({
+        body: [ { alias: esIndexName, index: `${esIndexName}.42` } ]
+      });
+      elasticsearch._client.cat.indices.resolves({
+        body: [ { index: `${esIndexName}.42` } ]
+      });
+      elasticsearch._client.indices.getSettings.resolves({
+        body: { [`${esIndexName}.42`]: { settings: { index: {} } } }
+      });
+
+      await elasticsearch.migrateCollection(index, collection);
+
+      should(elasticsearch._client.indices.delete).not.be.called();
+      should(elasticsearch._client.indices.putSettings).calledOnce();
+      should(elasticsearch._client.reindex).calledWithMatch({
+        body: { source: { index: `${esIndexName}.42` } }
+      });
+      should(elasticsearch._client.indices.updateAliases).calledWith({
+        body: {
+          actions: [
+            { remove_index: { index: `${esIndexName}.42` } },
+            { add: { alias: esIndexName, index: target } }
+          ]
+        }
+      });
+    });
+
+    it('should fix the copies of deleted or recreated documents', async () => {
+      elasticsearch._client.search.withArgs(sinon.match({ index: target })).resolves({
+        body: {
+          _scroll_id: 'scroll',
+          hits: {
+            hits: [
+              { _id: 'deleted', _version: 1 },
+              { _id: 'outdated', _version: 1 },
+              { _id: 'recreated', _version: 3 },
+              { _id: 'unchanged', _version: 2 }
+            ]
+          }
+        }
+      });
+      elasticsearch._client.scroll.resolves({
+        body: { _scroll_id: 'scroll', hits: { hits: [] } }
+      });
+      elasticsearch._client.mget.resolves({
+        body: {
+          docs: [
+            { found: false },
+            { _version: 2, found: true },
+            { _version: 1, found: true },
+            { _version: 2, found: true }
+          ]
+        }
+      });
+
+      await elasticsearch.migrateCollection(index, collection);
+
+      should(elasticsearch._client.search).calledWithMatch({
+        body: { _source: false, version: true },
+        index: target
+      });
+      should(elasticsearch._client.mget).calledWith({
+        _source: false,
+        body: { ids: [ 'deleted', 'outdated', 'recreated', 'unchanged' ] },
+        index: esIndexName
+      });
+      should(elasticsearch._client.bulk).calledWith({
+        body: [ { delete: { _id: 'deleted', _index: target } } ],
+        refresh: true
+      });
+      should(elasticsearch._client.reindex)
+        .calledWithMatch({
+          body: {
+            dest: { version_type: 'external' },
+            source: { query: { ids: { values: [ 'outdated' ] } } }
+          }
+        })
+        .calledWithMatch({
+          body: {
+            dest: { version_type: 'internal' },
+            source: { query: { ids: { values: [ 'recreated' ] } } }
+          }
+        });
+      should(elasticsearch._client.clearScroll).calledWith({ scrollId: 'scroll' });
+    });
+
+    it('should only compare the documents written since the last catch-up while writes are blocked', async () => {
+      const blocked = elasticsearch._client.indices.putSettings.withArgs({
+        body: { 'index.blocks.write': true },
+        index: esIndexName
+      });
+
+      elasticsearch._client.search
+        .withArgs(sinon.match({ preference: '_shards:1' }))
+        .callsFake(async () => {
+          // documents written without going through Kuzzle
+          if (!blocked.called) {
+            return { body: { _scroll_id: 'scroll', hits: { hits: [] } } };
+          }
+
+          return {
+            body: {
+              _scroll_id: 'scroll',
+              hits: {
+                hits: [
+                  { _id: 'created', _version: 1 },
+                  { _id: 'outdated', _version: 2 },
+                  { _id: 'recreated', _version: 1 },
+                  { _id: 'unchanged', _version: 2 }
+                ]
+              }
+            }
+          };
+        });
+      elasticsearch._client.scroll.resolves({
+        body: { _scroll_id: 'scroll', hits: { hits: [] } }
+      });
+      elasticsearch._client.mget.resolves({
+        body: {
+          docs: [
+            { found: false },
+            { _version: 1, found: true },
+            { _version: 3, found: true },
+            { _version: 2, found: true }
+          ]
+        }
+      });
+
+      await elasticsearch.migrateCollection(index, collection);
+
+      should(elasticsearch._client.search).calledWithMatch({
+        body: { query: { range: { _seq_no: { gt: 41 } } }, version: true },
+        index: esIndexName,
+        preference: '_shards:1'
+      });
+      should(elasticsearch._client.search).calledWithMatch({
+        body: { query: { range: { _seq_no: { gt: 42 } } }, version: true },
+        index: esIndexName,
+        preference: '_shards:0'
+      });
+      should(elasticsearch._client.mget).calledOnce().calledWith({
+        _source: false,
+        body: { ids: [ 'created', 'outdated', 'recreated', 'unchanged' ] },
+        index: target
+      });
+      should(elasticsearch._client.reindex)
+        .calledWithMatch({
+          body: {
+            dest: { version_type: 'external' },
+            source: { query: { ids: { values: [ 'created', 'outdated' ] } } }
+          }
+        })
+        .calledWithMatch({
+          body: {
+            dest: { version_type: 'internal' },
+            source: { query: { ids: { values: [ 'recreated' ] } } }
+          }
+        });
+      should(elasticsearch._client.bulk).not.be.called();
+      should(elasticsearch._client.indices.updateAliases).calledOnce();
+    });
+
+    it('should allow writes again to fix the copies of documents deleted while writes are blocked', async () => {
+      elasticsearch._client.count
+        .withArgs({ index: target })
+        .onFirstCall().resolves({ body: { count: 3 } })
+        .resolves({ body: { count: 2 } });
+
+      await elasticsearch.migrateCollection(index, collection);
+
+      const settings = elasticsearch._client.indices.putSettings.args
+        .map(([ { body } ]) => body['index.blocks.write']);
+
+      // the first unblocking clears the block of the interrupted migration
+      should(settings).eql([ null, true, null, true ]);
+      should(elasticsearch._client.search.args
+        .filter(([ { index: esIndex } ]) => esIndex === target))
+        .have.length(2);
+      should(elasticsearch._client.indices.updateAliases).calledOnce();
+    });
+
+    it('should fail if documents keep being deleted while writes are blocked', async () => {
+      elasticsearch._client.count
+        .withArgs({ index: target }).resolves({ body: { count: 3 } });
+
+      await should(elasticsearch.migrateCollection(index, collection))
+        .rejectedWith({ id: 'services.storage.migration_failed' });
+
+      should(elasticsearch._client.count).callCount(6);
+      should(elasticsearch._client.indices.putSettings.lastCall).calledWith({
+        body: { 'index.blocks.write': null },
+        index: esIndexName
+      });
+      should(elasticsearch._client.indices.updateAliases).not.be.called();
+    });
+
+    it('should delete the new index if documents cannot be copied', async () => {
+      elasticsearch._client.tasks.get.onFirstCall().resolves(taskResult({
+        failures: [ { cause: { reason: 'failed to parse field [city]' } } ]
+      }));
+
+      await should(elasticsearch.migrateCollection(index, collection))
+        .rejectedWith({
+          id: 'services.storage.migration_failed',
+          message: `Failed to migrate collection "${index}":"${collection}": failed to parse field [city]`
+        });
+
+      should(elasticsearch._client.indices.delete).calledWith({
+        ignore_unavailable: true,
+        index: target
+      });
+      should(elasticsearch._client.indices.putSettings).not.be.calledWithMatch({
+        body: { 'index.blocks.write': true }
+      });
+      should(elasticsearch._client.indices.updateAliases).not.be.called();
+    });
+
+    it('should unblock writes if the collection cannot be swapped', async () => {
+      elasticsearch._client.indices.updateAliases.rejects(esClientError);
+
+      await should(elasticsearch.migrateCollection(index, collection))
+        .rejectedWith(esClientError);
+
+      should(elasticsearch._client.indices.putSettings).calledWith({
+        body: { 'index.blocks.write': null },
+        index: esIndexName
+      });
+      should(elasticsearch._client.indices.delete).calledWith({
+        ignore_unavailable: true,
+        index: target
+      });
+    });
+  });
+
+
   describe('#import', () => {
     let
       getExpectedEsRequest,
@@ -1975,6 +2603,7 @@ describe('Test: ElasticSearch service', () => {
               author: userId,
               createdAt: timestamp,
               updater: null,
+              impersonatedBy: null,
               updatedAt: null
             }
           },
@@ -1986,6 +2615,7 @@ describe('Test: ElasticSearch service', () => {
               author: userId,
               createdAt: timestamp,
               updater: null,
+              impersonatedBy: null,
               updatedAt: null
             }
           },
@@ -1996,6 +2626,7 @@ describe('Test: ElasticSearch service', () => {
               firstName: 'foobar',
               _kuzzle_info: {
                 updater: userId,
+                impersonatedBy: null,
                 updatedAt: timestamp
               }
             }
@@ -2296,6 +2927,21 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should not list the aliases of migrated collections', async () => {
+      elasticsearch._client.cat.aliases.resolves({
+        body: [
+          { alias: '&nepali.liia', index: '&nepali.liia.1577836800000' },
+          { alias: 'alias-liia', index: '&nepali.liia.1577836800000' }
+        ]
+      });
+
+      const result = await elasticsearch.listAliases();
+
+      should(result).eql([
+        { collection: 'liia.1577836800000', index: 'nepali', name: 'alias-liia' }
+      ]);
+    });
+
     it('should return a rejected promise if client fails', () => {
       elasticsearch._client.cat.aliases.rejects(esClientError);
 
@@ -2444,12 +3090,22 @@ describe('Test: ElasticSearch service', () => {
 
   describe('#deleteCollection', () => {
     it('should allow to delete a collection', () => {
+      elasticsearch._client.cat.indices.resolves({
+        body: [
+          { index: '&nepali.liia' },
+          { index: '&nepali.liia.1577836800000' },
+          { index: '&nepali.liias' },
+          { index: '%nepali.liia' }
+        ]
+      });
+
       const promise = elasticsearch.deleteCollection('nepali', 'liia');
 
       return promise
         .then(result => {
+          // the new index of a migration is deleted along with the collection
           should(elasticsearch._client.indices.delete).be.calledWithMatch({
-            index: '&nepali.liia'
+            index: [ '&nepali.liia', '&nepali.liia.1577836800000' ]
           });
 
           should(result).be.null();
@@ -2591,6 +3247,7 @@ describe('Test: ElasticSearch service', () => {
           author: null,
           createdAt: timestamp,
           updater: null,
+          impersonatedBy: null,
           updatedAt: null
         }
       };
@@ -2781,6 +3438,7 @@ describe('Test: ElasticSearch service', () => {
           author: null,
           createdAt: timestamp,
           updater: null,
+          impersonatedBy: null,
           updatedAt: null
         }
       };
@@ -2891,6 +3549,19 @@ describe('Test: ElasticSearch service', () => {
           should(result).match(mExecuteResult);
         });
     });
+
+    it('should record impersonations even if meta are not injected', async () => {
+      await elasticsearch.mCreateOrReplace(
+        index,
+        collection,
+        documents,
+        { impersonatedBy: 'admin', injectKuzzleMeta: false });
+
+      should(elasticsearch._mExecute.firstCall.args[0].body[1]).eql({
+        _kuzzle_info: { impersonatedBy: 'admin' },
+        city: 'Kathmandu'
+      });
+    });
   });
 
   describe('#mUpdate', () => {
@@ -2903,6 +3574,7 @@ describe('Test: ElasticSearch service', () => {
       kuzzleMeta = {
         _kuzzle_info: {
           updater: null,
+          impersonatedBy: null,
           updatedAt: timestamp
         }
       };
@@ -2972,6 +3644,54 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should reject documents which do not have the expected version', async () => {
+      documents[0].ifVersion = 1;
+      documents[1].ifVersion = 1;
+      elasticsearch._client.mget.resolves({
+        body: {
+          docs: [
+            { _id: 'mehry', _primary_term: 1, _seq_no: 12, _version: 1, found: true },
+            { _id: 'liia', _primary_term: 1, _seq_no: 13, _version: 2, found: true }
+          ]
+        }
+      });
+
+      await elasticsearch.mUpdate(index, collection, documents);
+
+      should(elasticsearch._client.mget).be.calledWithMatch({
+        body: {
+          docs: [
+            { _id: 'mehry', _source: false },
+            { _id: 'liia', _source: false }
+          ]
+        },
+        index: esIndexName
+      });
+      const [ esRequest, toImport, rejected ] = elasticsearch._mExecute.firstCall.args;
+
+      should(esRequest.body).match([
+        {
+          update: {
+            _id: 'mehry',
+            _index: esIndexName,
+            if_primary_term: 1,
+            if_seq_no: 12
+          }
+        },
+        { doc: { city: 'Kathmandu' } }
+      ]);
+      should(toImport).match([ { _id: 'mehry', ifVersion: 1 } ]);
+      should(rejected).match([
+        {
+          _version: 2,
+          document: { _id: 'liia', body: { city: 'Ho Chi Minh City' } },
+          id: 'services.storage.version_conflict',
+          reason: 'document has been modified: expected version 1, current version is 2',
+          status: 412
+        }
+      ]);
+    });
+
     it('should allow additional options', () => {
       kuzzleMeta._kuzzle_info.updater = 'aschen';
 
@@ -3056,6 +3776,7 @@ describe('Test: ElasticSearch service', () => {
           author: null,
           createdAt: timestamp,
           updater: null,
+          impersonatedBy: null,
           updatedAt: null
         }
       };
@@ -3085,8 +3806,8 @@ describe('Test: ElasticSearch service', () => {
             index: esIndexName,
             body: {
               docs: [
-                { _id: 'mehry', _source: false },
-                { _id: 'liia', _source: false }
+                { _id: 'mehry', _source: '_kuzzle_info.expiresAt' },
+                { _id: 'liia', _source: '_kuzzle_info.expiresAt' }
               ]
             }
           });
@@ -3114,6 +3835,63 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should keep the expiration date of documents', async () => {
+      elasticsearch._client.mget.resolves({
+        body: {
+          docs: [
+            { _id: 'mehry', _source: { _kuzzle_info: { expiresAt: 42000 } }, found: true },
+            { _id: 'liia', _source: {}, found: true }
+          ]
+        }
+      });
+
+      await elasticsearch.mReplace(index, collection, documents);
+
+      const [ esRequest ] = elasticsearch._mExecute.firstCall.args;
+
+      should(esRequest.body[1]._kuzzle_info.expiresAt).eql(42000);
+      should(esRequest.body[3]._kuzzle_info).not.have.property('expiresAt');
+    });
+
+    it('should reject documents which do not have the expected version', async () => {
+      documents[0].ifVersion = 1;
+      documents[1].ifVersion = 1;
+      elasticsearch._client.mget.resolves({
+        body: {
+          docs: [
+            { _id: 'mehry', _primary_term: 1, _seq_no: 12, _version: 1, found: true },
+            { _id: 'liia', _primary_term: 1, _seq_no: 13, _version: 2, found: true }
+          ]
+        }
+      });
+
+      await elasticsearch.mReplace(index, collection, documents);
+
+      const [ esRequest, toImport, rejected ] = elasticsearch._mExecute.firstCall.args;
+
+      should(esRequest.body).match([
+        {
+          index: {
+            _id: 'mehry',
+            _index: esIndexName,
+            if_primary_term: 1,
+            if_seq_no: 12
+          }
+        },
+        { city: 'Kathmandu' }
+      ]);
+      should(toImport).match([ { _id: 'mehry', ifVersion: 1 } ]);
+      should(rejected).match([
+        {
+          _version: 2,
+          document: { _id: 'liia', body: { city: 'Ho Chi Minh City' } },
+          id: 'services.storage.version_conflict',
+          reason: 'document has been modified: expected version 1, current version is 2',
+          status: 412
+        }
+      ]);
+    });
+
     it('should add not found documents to rejected', () => {
       elasticsearch._client.mget.resolves({
         body: {
@@ -3129,8 +3907,8 @@ describe('Test: ElasticSearch service', () => {
             index: esIndexName,
             body: {
               docs: [
-                { _id: 'mehry', _source: false },
-                { _id: 'liia', _source: false }
+                { _id: 'mehry', _source: '_kuzzle_info.expiresAt' },
+                { _id: 'liia', _source: '_kuzzle_info.expiresAt' }
               ]
             }
           });
@@ -3180,7 +3958,7 @@ describe('Test: ElasticSearch service', () => {
           should(elasticsearch._client.mget).be.calledWithMatch({
             index: esIndexName,
             body: {
-              docs: [ { _id: 'mehry', _source: false } ]
+              docs: [ { _id: 'mehry', _source: '_kuzzle_info.expiresAt' } ]
             }
           });
 
@@ -3366,6 +4144,73 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should only delete documents with the expected version', async () => {
+      elasticsearch._client.mget.resolves({
+        body: {
+          docs: [
+            { _id: 'mehry', _primary_term: 1, _seq_no: 12, _version: 1, found: true }
+          ]
+        }
+      });
+      elasticsearch._client.bulk.resolves({
+        body: {
+          items: [ { delete: { _id: 'mehry', _version: 2, status: 200 } } ]
+        }
+      });
+
+      let result = await elasticsearch.mDelete(
+        index,
+        collection,
+        documentIds,
+        { ifVersions: { mehry: 1 } });
+
+      should(elasticsearch._client.deleteByQuery).be.calledWithMatch({
+        body: { query: { ids: { values: ['liia'] } } }
+      });
+      should(elasticsearch._client.bulk).be.calledWithMatch({
+        body: [
+          {
+            delete: {
+              _id: 'mehry',
+              _index: esIndexName,
+              if_primary_term: 1,
+              if_seq_no: 12
+            }
+          }
+        ]
+      });
+      should(result.documents).match([
+        { _id: 'mehry', _source: { city: 'Kathmandu' } },
+        { _id: 'liia', _source: { city: 'Ho Chi Minh City' } },
+        { _id: 'mehry', _source: { city: 'Kathmandu' } }
+      ]);
+      should(result.errors).be.empty();
+
+      elasticsearch._client.deleteByQuery.resetHistory();
+      elasticsearch._client.bulk.resetHistory();
+
+      result = await elasticsearch.mDelete(
+        index,
+        collection,
+        ['mehry'],
+        { ifVersions: { mehry: 0 } });
+
+      should(elasticsearch._client.deleteByQuery).not.be.called();
+      should(elasticsearch._client.bulk).not.be.called();
+      should(result).match({
+        documents: [],
+        errors: [
+          {
+            _id: 'mehry',
+            _version: 1,
+            id: 'services.storage.version_conflict',
+            reason: 'document has been modified: expected version 0, current version is 1',
+            status: 412
+          }
+        ]
+      });
+    });
+
     it('should allow additional options', () => {
       const promise = elasticsearch.mDelete(
         index,
@@ -3477,6 +4322,46 @@ describe('Test: ElasticSearch service', () => {
         });
     });
 
+    it('should report conflicts of conditional writes as precondition failures', async () => {
+      documents[1].ifVersion = 3;
+      elasticsearch._client.bulk.resolves({
+        body: {
+          items: [
+            { index: { _id: 'liia', status: 201, _version: 1 } },
+            {
+              update: {
+                _id: 'mehry',
+                _index: esIndexName,
+                status: 409,
+                error: { reason: '[mehry]: version conflict' }
+              }
+            }
+          ]
+        }
+      });
+      elasticsearch._client.mget.resolves({
+        body: {
+          docs: [ { _id: 'mehry', _primary_term: 1, _seq_no: 14, _version: 4, found: true } ]
+        }
+      });
+
+      const result = await elasticsearch._mExecute(esRequest, documents, []);
+
+      should(elasticsearch._client.mget).calledWithMatch({
+        body: { docs: [ { _id: 'mehry', _source: false } ] },
+        index: esIndexName
+      });
+      should(result.errors).eql([
+        {
+          _version: 4,
+          document: documents[1],
+          id: 'services.storage.version_conflict',
+          reason: 'document has been modified: expected version 3, current version is 4',
+          status: 412
+        }
+      ]);
+    });
+
     it('should not call bulk if there is no documents', () => {
       const promise = elasticsearch._mExecute(esRequest, [], partialErrors);
 
@@ -3531,6 +4416,7 @@ describe('Test: ElasticSearch service', () => {
           author: null,
           createdAt: timestamp,
           updater: null,
+          impersonatedBy: null,
           updatedAt: null
         }
       };
@@ -3550,6 +4436,25 @@ describe('Test: ElasticSearch service', () => {
         _source: { city: 'Kathmandu' }
       }]);
     });
+
+    it('should reject documents with an invalid expected version', () => {
+      const {
+        rejected,
+        extractedDocuments
+      } = elasticsearch._extractMDocuments(
+        [
+          { _id: 'liia', body: { city: 'Kathmandu' }, ifVersion: 2 },
+          { _id: 'mehry', body: { city: 'Kathmandu' }, ifVersion: '2' }
+        ],
+        {});
+
+      should(rejected).match([{
+        document: { _id: 'mehry' },
+        reason: 'document ifVersion must be an integer',
+        status: 400
+      }]);
+      should(extractedDocuments).match([ { _id: 'liia', ifVersion: 2 } ]);
+    });
   });
 
   describe('#isIndexNameValid', () => {
@@ -3609,6 +4514,23 @@ describe('Test: ElasticSearch service', () => {
     });
   });
 
+  describe('#checkMappings', () => {
+    it('should throw if the mappings are invalid', () => {
+      should(() => elasticsearch.checkMappings({ dinamic: 'false' })).throw({
+        id: 'services.storage.invalid_mapping',
+        message: /Did you mean "dynamic"/
+      });
+    });
+
+    it('should accept valid or missing mappings', () => {
+      should(() => elasticsearch.checkMappings({
+        dynamic: 'false',
+        properties: { city: { type: 'keyword' } }
+      })).not.throw();
+      should(() => elasticsearch.checkMappings()).not.throw();
+    });
+  });
+
   describe('#_checkMappings', () => {
     it('should throw when a property is incorrect', () => {
       const
@@ -0,0 +1,64 @@
+'use strict';
+
+const should = require('should');
+const ipRange = require('../../lib/util/ipRange');
+
+describe('ipRange', () => {
+  describe('#isValid', () => {
+    it('should accept IP addresses and CIDR ranges', () => {
+      for (const range of ['10.0.0.1', '10.0.0.0/8', '0.0.0.0/0', '::1', 'fd00::/8', '::ffff:10.0.0.0/104']) {
+        should(ipRange.isValid(range)).be.true(range);
+      }
+
+      for (const range of ['foo', '10.0.0.256', '10.0.0.0/33', '10.0.0.0/', '10.0.0.0/8/8', 'fd00::/129', null]) {
+        should(ipRange.isValid(range)).be.false(range);
+      }
+    });
+  });
+
+  describe('#includes', () => {
+    it('should test IPv4 addresses', () => {
+      should(ipRange.includes(['10.0.0.0/8'], '10.1.2.3')).be.true();
+      should(ipRange.includes(['10.0.0.0/8'], '11.1.2.3')).be.false();
+      should(ipRange.includes(['192.168.1.0/25'], '192.168.1.127')).be.true();
+      should(ipRange.includes(['192.168.1.0/25'], '192.168.1.128')).be.false();
+      should(ipRange.includes(['1.2.3.4'], '1.2.3.4')).be.true();
+      should(ipRange.includes(['1.2.3.4'], '1.2.3.5')).be.false();
+      should(ipRange.includes(['1.2.3.4', '0.0.0.0/0'], '8.8.8.8')).be.true();
+    });
+
+    it('should test IPv6 addresses', () => {
+      should(ipRange.includes(['fd00::/8'], 'fd12:3456::1')).be.true();
+      should(ipRange.includes(['fd00::/8'], 'fe80::1%eth0')).be.false();
+      should(ipRange.includes(['fe80::/10'], 'fe80::1%eth0')).be.true();
+      should(ipRange.includes(['::1'], '0:0:0:0:0:0:0:1')).be.true();
+      should(ipRange.includes(['2001:db8::/32'], '2001:db8:ffff::')).be.true();
+      should(ipRange.includes(['2001:db8::/32'], '2001:db9::')).be.false();
+    });
+
+    it('should handle IPv4-mapped IPv6 addresses as IPv4 ones', () => {
+      should(ipRange.includes(['10.0.0.0/8'], '::ffff:10.0.0.1')).be.true();
+      should(ipRange.includes(['::ffff:10.0.0.1'], '10.0.0.1')).be.true();
+      should(ipRange.includes(['::/0'], '10.0.0.1')).be.false();
+    });
+
+    it('should not match invalid addresses', () => {
+      should(ipRange.includes(['0.0.0.0/0'], 'foo')).be.false();
+      should(ipRange.includes(['0.0.0.0/0'], undefined)).be.false();
+      should(ipRange.includes(['foo'], '10.0.0.1')).be.false();
+    });
+  });
+
+  describe('#getClientIp', () => {
+    it('should return the first address which is not a trusted proxy', () => {
+      const ips = ['10.0.0.1', '1.2.3.4', '5.6.7.8', '10.0.0.2'];
+
+      should(ipRange.getClientIp(ips, [])).eql('10.0.0.1');
+      should(ipRange.getClientIp(ips, ['10.0.0.0/8'])).eql('5.6.7.8');
+      should(ipRange.getClientIp(ips, ['10.0.0.0/8', '5.6.7.8']))
+        .eql('1.2.3.4');
+      should(ipRange.getClientIp(ips, ['0.0.0.0/0'])).eql('1.2.3.4');
+      should(ipRange.getClientIp([], [])).be.undefined();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const should = require('should');
+
+const { BadRequestError } = require('kuzzle-common-objects').errors;
+const koncordeToElasticsearch = require('../../lib/util/koncordeToElasticsearch');
+
+describe('#koncordeToElasticsearch', () => {
+  it('should match all documents with empty filters', () => {
+    should(koncordeToElasticsearch({})).eql({ match_all: {} });
+    should(koncordeToElasticsearch(null)).eql({ match_all: {} });
+  });
+
+  it('should convert simple keywords', () => {
+    should(koncordeToElasticsearch({ equals: { foo: 'bar' } }))
+      .eql({ term: { foo: 'bar' } });
+
+    should(koncordeToElasticsearch({ in: { foo: ['bar', 'baz'] } }))
+      .eql({ terms: { foo: ['bar', 'baz'] } });
+
+    should(koncordeToElasticsearch({ ids: { values: ['foo'] } }))
+      .eql({ ids: { values: ['foo'] } });
+
+    should(koncordeToElasticsearch({ range: { age: { gte: 3, lt: 42 } } }))
+      .eql({ range: { age: { gte: 3, lt: 42 } } });
+
+    should(koncordeToElasticsearch({ exists: 'foo.bar' }))
+      .eql({ exists: { field: 'foo.bar' } });
+
+    should(koncordeToElasticsearch({ exists: 'foo["bar"]' }))
+      .eql({ term: { foo: 'bar' } });
+
+    should(koncordeToElasticsearch({ missing: { field: 'foo' } }))
+      .eql({ bool: { must_not: [ { exists: { field: 'foo' } } ] } });
+
+    should(koncordeToElasticsearch({ nothing: 'foo' }))
+      .eql({ match_none: {} });
+  });
+
+  it('should convert operands', () => {
+    const filters = {
+      and: [
+        { equals: { foo: 'bar' } },
+        {
+          or: [
+            { not: { exists: 'baz' } },
+            {
+              bool: {
+                must: [ { equals: { qux: 1 } } ],
+                should_not: [ { equals: { qux: 2 } } ]
+              }
+            }
+          ]
+        }
+      ]
+    };
+
+    should(koncordeToElasticsearch(filters)).eql({
+      bool: {
+        filter: [
+          { term: { foo: 'bar' } },
+          {
+            bool: {
+              minimum_should_match: 1,
+              should: [
+                { bool: { must_not: [ { exists: { field: 'baz' } } ] } },
+                {
+                  bool: {
+                    filter: [
+                      { term: { qux: 1 } },
+                      {
+                        bool: {
+                          minimum_should_match: 1,
+                          should: [
+                            { bool: { must_not: [ { term: { qux: 2 } } ] } }
+                          ]
+                        }
+                      }
+                    ]
+                  }
+                }
+              ]
+            }
+          }
+        ]
+      }
+    });
+  });
+
+  it('should convert geospatial keywords', () => {
+    should(koncordeToElasticsearch({
+      geoBoundingBox: {
+        location: { topLeft: '43.6,3.8', bottomRight: { lat: 43.5, lon: 3.9 } }
+      }
+    })).eql({
+      geo_bounding_box: {
+        location: { bottom: 43.5, left: 3.8, right: 3.9, top: 43.6 }
+      }
+    });
+
+    should(koncordeToElasticsearch({
+      geoDistance: { distance: '1km', location: [43.6, 3.8] }
+    })).eql({
+      geo_distance: { distance: 1000, location: { lat: 43.6, lon: 3.8 } }
+    });
+
+    should(koncordeToElasticsearch({
+      geoDistanceRange: { from: '1km', location: [43.6, 3.8], to: '2km' }
+    })).eql({
+      bool: {
+        filter: [
+          { geo_distance: { distance: 2000, location: { lat: 43.6, lon: 3.8 } } }
+        ],
+        must_not: [
+          { geo_distance: { distance: 1000, location: { lat: 43.6, lon: 3.8 } } }
+        ]
+      }
+    });
+
+    should(koncordeToElasticsearch({
+      geoPolygon: { location: { points: [[0, 0], [0, 1], [1, 1]] } }
+    })).eql({
+      geo_polygon: {
+        location: {
+          points: [ { lat: 0, lon: 0 }, { lat: 0, lon: 1 }, { lat: 1, lon: 1 } ]
+        }
+      }
+    });
+  });
+
+  it('should convert regular expressions into anchored ones', () => {
+    should(koncordeToElasticsearch({ regexp: { foo: '^ba[rz]$' } }))
+      .eql({ regexp: { foo: { value: 'ba[rz]' } } });
+
+    should(koncordeToElasticsearch({ regexp: { foo: { value: 'bar' } } }))
+      .eql({ regexp: { foo: { value: '.*bar.*' } } });
+  });
+
+  it('should throw on regular expressions with flags', () => {
+    should(() => koncordeToElasticsearch({
+      regexp: { foo: { flags: 'i', value: 'bar' } }
+    })).throw(BadRequestError, { id: 'core.realtime.unsupported_search_filter' });
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const should = require('should');
+
+const projectFields = require('../../lib/util/projectFields');
+
+describe('#projectFields', () => {
+  const document = {
+    _id: 'foo',
+    _source: {
+      bar: 'bar',
+      foo: { bar: 'bar', baz: [1, 2, 3] },
+      qux: { foo: 'foo' }
+    }
+  };
+
+  it('should return the document as is if there is nothing to project', () => {
+    should(projectFields(document, null)).be.exactly(document);
+    should(projectFields({ _id: 'foo' }, { exclude: ['foo'], include: [] }))
+      .eql({ _id: 'foo' });
+  });
+
+  it('should only keep included fields', () => {
+    should(projectFields(document, {
+      exclude: [],
+      include: ['bar', 'foo.baz', 'missing']
+    })).eql({
+      _id: 'foo',
+      _source: { bar: 'bar', foo: { baz: [1, 2, 3] } }
+    });
+  });
+
+  it('should remove excluded fields from included ones', () => {
+    should(projectFields(document, {
+      exclude: ['foo.bar', 'qux'],
+      include: []
+    })).eql({
+      _id: 'foo',
+      _source: { bar: 'bar', foo: { baz: [1, 2, 3] } }
+    });
+
+    should(projectFields(document, {
+      exclude: ['foo.bar'],
+      include: ['foo']
+    })).eql({
+      _id: 'foo',
+      _source: { foo: { baz: [1, 2, 3] } }
+    });
+  });
+
+  it('should not modify the original document', () => {
+    const projected = projectFields(document, {
+      exclude: ['foo.bar'],
+      include: []
+    });
+
+    projected._source.foo.baz.push(4);
+
+    should(document._source.foo).eql({ bar: 'bar', baz: [1, 2, 3] });
+  });
+});